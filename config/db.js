@@ -18,6 +18,8 @@
 
 const mysql = require('mysql2/promise'); // MySQL client with promise support
 const bcrypt = require('bcrypt'); // Password hashing library
+const requestWorkflow = require('./requestWorkflow'); // Request status definitions
+const emailTemplates = require('./emailTemplates'); // Built-in email templates
 require('dotenv').config(); // Load environment variables
 
 /**
@@ -200,6 +202,51 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Stream the rows of a query instead of loading them all into memory
+     * The pool connection is released once the stream ends or errors.
+     *
+     * @param {string} query - SQL query to execute
+     * @param {Array} values - Values to bind to the query
+     * @returns {import('stream').Readable} Object-mode stream of rows
+     */
+    streamQuery(query, values = []) {
+        if (!this.db) {
+            throw new Error('Database not connected');
+        }
+
+        // The promise pool wraps a callback pool, which is the one that can stream
+        return this.db.pool.query(query, values).stream({ highWaterMark: 100 });
+    }
+
+    /**
+     * Run a callback inside a database transaction
+     * The callback receives a dedicated pool connection; use connection.execute()
+     * for every statement that must commit or roll back together.
+     *
+     * @param {Function} callback - async (connection) => result
+     * @returns {Promise<*>} Whatever the callback returns
+     */
+    async withTransaction(callback) {
+        if (!this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const connection = await this.db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await callback(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            console.error('❌ Transaction rolled back:', error.message);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Create necessary database tables with normalized structure
      * Implements a fully normalized database design following best practices:
@@ -243,13 +290,18 @@ class DatabaseManager {
                     lastName VARCHAR(100) NOT NULL,
                     isActive BOOLEAN DEFAULT TRUE,
                     lastLogin DATETIME NULL,
+                    outOfOfficeStart DATETIME NULL, -- Leave period; new requests skip the user while it is active
+                    outOfOfficeEnd DATETIME NULL,
+                    delegateUserId INT NULL, -- Staff member who handles the user's open requests while away
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     -- Performance indexes for common queries
                     INDEX idx_email (email),
                     INDEX idx_username (username),
                     INDEX idx_role (role),
-                    INDEX idx_is_active (isActive)
+                    INDEX idx_is_active (isActive),
+                    INDEX idx_delegate_user_id (delegateUserId),
+                    FOREIGN KEY (delegateUserId) REFERENCES users(id) ON DELETE SET NULL
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `;
             await this.executeQuery(createUsersTable);
@@ -311,6 +363,7 @@ class DatabaseManager {
                 CREATE TABLE IF NOT EXISTS departments (
                     department_id INT AUTO_INCREMENT PRIMARY KEY,
                     department_name VARCHAR(255) NOT NULL,
+                    head_email VARCHAR(255) NULL, -- Department head; receives SLA escalation emails
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     INDEX idx_department_name (department_name)
@@ -346,6 +399,7 @@ class DatabaseManager {
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     documentName VARCHAR(255) UNIQUE NOT NULL,
                     basePrice DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+                    processingDays INT NOT NULL DEFAULT 3, -- SLA target in working days
                     isActive BOOLEAN DEFAULT TRUE, -- Soft delete capability
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -405,7 +459,8 @@ class DatabaseManager {
             const createRequestStatusesTable = `
                 CREATE TABLE IF NOT EXISTS request_statuses (
                     id INT AUTO_INCREMENT PRIMARY KEY,
-                    statusName ENUM('PENDING', 'SET', 'READY', 'RECEIVED', 'FAILED') UNIQUE NOT NULL,
+                    -- Workflow statuses are defined in config/requestWorkflow.js; SET/RECEIVED/FAILED are legacy values
+                    statusName ENUM('PENDING', 'SET', 'PROCESSING', 'READY', 'RECEIVED', 'RELEASED', 'FAILED', 'DECLINE', 'CANCELLED') UNIQUE NOT NULL,
                     description TEXT, -- Human-readable description of the status
                     isActive BOOLEAN DEFAULT TRUE,
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -459,14 +514,36 @@ class DatabaseManager {
 
                     -- Optional fields
                     otherPurpose TEXT, -- Free-text purpose if not in predefined list
+
+                    -- Authorized representative claiming the documents for the requester
+                    representativeName VARCHAR(150) NULL,
+                    representativeIdNumber VARCHAR(100) NULL, -- ID the representative will present
+                    authorizationLetter VARCHAR(255) NULL, -- Uploaded letter (file name in private_uploads/authorization-letters/)
+                    representativeIdConfirmedAt DATETIME NULL, -- When staff checked the ID at release
+                    representativeIdConfirmedBy INT NULL,
+
                     scheduledPickup DATETIME NULL, -- When student is scheduled to pick up
                     rescheduledPickup DATETIME NULL, -- If pickup was rescheduled
                     dateProcessed DATETIME NULL, -- When request was processed by staff
                     dateCompleted DATETIME NULL, -- When documents were picked up
                     totalAmount DECIMAL(10,2) DEFAULT 0.00, -- Total cost of all documents
+                    paymentStatus ENUM('UNPAID', 'PAID', 'REFUNDED', 'WAIVED') NOT NULL DEFAULT 'UNPAID', -- Settlement state of the request
                     processedBy INT NULL, -- Staff member who processed the request
                     adminNotes TEXT, -- Internal notes for administrators
 
+                    -- SLA: working-day due date set at submission, escalation sent once when breached
+                    dueDate DATE NULL,
+                    escalatedAt DATETIME NULL,
+
+                    -- Background job markers so each notice is sent once
+                    pickupReminderSentAt DATETIME NULL,
+                    unclaimedAlertAt DATETIME NULL,
+
+                    -- Soft deletion: hidden from lists and reports, purged after the retention window
+                    deletedAt DATETIME NULL,
+                    deletedBy INT NULL, -- User who moved the request to the trash
+                    deleteReason TEXT NULL,
+
                     -- Audit fields
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -482,13 +559,17 @@ class DatabaseManager {
                     INDEX idx_pickup_status_id (pickupStatusId),
                     INDEX idx_created_at (createdAt),
                     INDEX idx_processed_by (processedBy),
+                    INDEX idx_payment_status (paymentStatus),
+                    INDEX idx_deleted_at (deletedAt),
+                    INDEX idx_due_date (dueDate),
 
                     -- Foreign key constraints with referential integrity
                     FOREIGN KEY (courseId) REFERENCES courses(id) ON DELETE RESTRICT,
                     FOREIGN KEY (purposeId) REFERENCES request_purposes(id) ON DELETE RESTRICT,
                     FOREIGN KEY (statusId) REFERENCES request_statuses(id) ON DELETE RESTRICT,
                     FOREIGN KEY (pickupStatusId) REFERENCES pickup_statuses(id) ON DELETE RESTRICT,
-                    FOREIGN KEY (processedBy) REFERENCES users(id) ON DELETE SET NULL
+                    FOREIGN KEY (processedBy) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (deletedBy) REFERENCES users(id) ON DELETE SET NULL
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `;
             await this.executeQuery(createDocumentRequestsTable);
@@ -529,6 +610,7 @@ class DatabaseManager {
                     requestId INT NOT NULL, -- Links to document_requests table
                     statusId INT NOT NULL, -- Links to request_statuses table
                     changedBy INT NULL, -- Links to users table (who made the change)
+                    onBehalfOf INT NULL, -- Out-of-office owner when changedBy acted as their delegate
                     notes TEXT, -- Optional notes about the change
                     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
 
@@ -541,7 +623,8 @@ class DatabaseManager {
                     -- Foreign key constraints
                     FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
                     FOREIGN KEY (statusId) REFERENCES request_statuses(id) ON DELETE RESTRICT,
-                    FOREIGN KEY (changedBy) REFERENCES users(id) ON DELETE SET NULL
+                    FOREIGN KEY (changedBy) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (onBehalfOf) REFERENCES users(id) ON DELETE SET NULL
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `;
             await this.executeQuery(createRequestTrackingTable);
@@ -585,6 +668,30 @@ class DatabaseManager {
             await this.executeQuery(createTransactionDaysTable);
             console.log('✅ Transaction days table created');
 
+            // === TRANSACTION DAY RULES TABLE ===
+            // Weekly rules (e.g. every Saturday: no transaction) for dates without a transaction_days row
+            const createTransactionDayRulesTable = `
+                CREATE TABLE IF NOT EXISTS transaction_day_rules (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    weekday TINYINT NOT NULL, -- 0 = Sunday ... 6 = Saturday
+                    status ENUM('no transaction', 'limited', 'available') NOT NULL,
+                    time_start TIME NULL,
+                    time_end TIME NULL,
+                    message TEXT NULL,
+                    startsOn DATE NULL, -- Rule applies from this date (always when NULL)
+                    endsOn DATE NULL, -- Rule applies until this date (forever when NULL)
+                    is_active TINYINT(1) DEFAULT 1,
+                    createdBy INT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_weekday (weekday),
+                    FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createTransactionDayRulesTable);
+            console.log('✅ Transaction day rules table created');
+
             // === EMAIL VERIFICATIONS TABLE ===
             // Stores email verification tokens for link-based verification
             const createEmailVerificationsTable = `
@@ -619,6 +726,418 @@ class DatabaseManager {
             await this.executeQuery(createUserDepartmentsTable);
             console.log('✅ User-departments junction table created');
 
+            // === PAYMENTS TABLE ===
+            // One row per checkout attempt made through a payment gateway
+            // document_requests.paymentStatus holds the settled state of the whole request
+            const createPaymentsTable = `
+                CREATE TABLE IF NOT EXISTS payments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NOT NULL, -- Links to document_requests table
+                    provider VARCHAR(50) NOT NULL, -- Gateway adapter name (mock, paymongo, ...)
+                    providerReference VARCHAR(255) NULL, -- Checkout/session ID issued by the gateway
+                    providerPaymentId VARCHAR(255) NULL, -- Captured payment ID (needed for refunds)
+                    amount DECIMAL(10,2) NOT NULL,
+                    currency CHAR(3) NOT NULL DEFAULT 'PHP',
+                    status ENUM('PENDING', 'PAID', 'FAILED', 'REFUNDED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+                    checkoutUrl TEXT NULL,
+                    paidAt DATETIME NULL,
+                    refundedAt DATETIME NULL,
+                    refundedBy INT NULL,
+                    notes TEXT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uq_provider_reference (provider, providerReference),
+                    INDEX idx_request_id (requestId),
+                    INDEX idx_status (status),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+                    FOREIGN KEY (refundedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createPaymentsTable);
+            console.log('✅ Payments table created');
+
+            // === RECEIPT SEQUENCES TABLE ===
+            // Last official receipt number issued per school year
+            // Locked with SELECT ... FOR UPDATE while issuing so numbers stay gapless
+            const createReceiptSequencesTable = `
+                CREATE TABLE IF NOT EXISTS receipt_sequences (
+                    schoolYear VARCHAR(9) PRIMARY KEY, -- e.g. 2026-2027
+                    lastNumber INT NOT NULL DEFAULT 0,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createReceiptSequencesTable);
+            console.log('✅ Receipt sequences table created');
+
+            // === OFFICIAL RECEIPTS TABLE ===
+            // Every OR number issued for a paid request
+            // Voided receipts keep their number; a replacement gets the next one
+            const createOfficialReceiptsTable = `
+                CREATE TABLE IF NOT EXISTS official_receipts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    orNumber VARCHAR(30) NOT NULL UNIQUE, -- Printed OR number
+                    schoolYear VARCHAR(9) NOT NULL,
+                    sequenceNumber INT NOT NULL,
+                    requestId INT NOT NULL, -- Links to document_requests table
+                    paymentId INT NULL, -- Payment the receipt acknowledges
+                    amount DECIMAL(10,2) NOT NULL,
+                    issuedBy INT NULL,
+                    issuedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    printCount INT NOT NULL DEFAULT 0, -- Prints after the first are reprints
+                    lastPrintedAt DATETIME NULL,
+                    voidedAt DATETIME NULL,
+                    voidedBy INT NULL,
+                    voidReason TEXT NULL,
+                    UNIQUE KEY uq_school_year_sequence (schoolYear, sequenceNumber),
+                    INDEX idx_request_id (requestId),
+                    INDEX idx_voided_at (voidedAt),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE RESTRICT,
+                    FOREIGN KEY (paymentId) REFERENCES payments(id) ON DELETE SET NULL,
+                    FOREIGN KEY (issuedBy) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (voidedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createOfficialReceiptsTable);
+            console.log('✅ Official receipts table created');
+
+            // === REQUESTER OTPS TABLE ===
+            // One-time codes and magic-link tokens emailed to requesters (students/alumni)
+            // Only SHA-256 hashes are stored; rows are single use
+            const createRequesterOtpsTable = `
+                CREATE TABLE IF NOT EXISTS requester_otps (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    email VARCHAR(255) NOT NULL,
+                    purpose ENUM('login', 'cancel', 'preferences') NOT NULL DEFAULT 'login',
+                    referenceNumber VARCHAR(255) NULL, -- Request the code is scoped to, if any
+                    codeHash CHAR(64) NOT NULL,
+                    linkTokenHash CHAR(64) NULL,
+                    attempts INT NOT NULL DEFAULT 0, -- Wrong codes entered
+                    expiresAt DATETIME NOT NULL,
+                    consumedAt DATETIME NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_email_purpose (email, purpose),
+                    INDEX idx_link_token_hash (linkTokenHash),
+                    INDEX idx_expires_at (expiresAt)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createRequesterOtpsTable);
+            console.log('✅ Requester OTPs table created');
+
+            // === DEPARTMENT ASSIGNMENT SETTINGS TABLE ===
+            // How new requests of a department are assigned to its staff (see services/staffAssignment.js)
+            // Departments without a row use round_robin
+            const createAssignmentSettingsTable = `
+                CREATE TABLE IF NOT EXISTS department_assignment_settings (
+                    department_id INT PRIMARY KEY,
+                    strategy ENUM('round_robin', 'least_open', 'manual') NOT NULL DEFAULT 'round_robin',
+                    lastAssignedUserId INT NULL, -- Round-robin cursor
+                    updatedBy INT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (department_id) REFERENCES departments(department_id) ON DELETE CASCADE,
+                    FOREIGN KEY (lastAssignedUserId) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createAssignmentSettingsTable);
+            console.log('✅ Department assignment settings table created');
+
+            // === JOBS TABLE ===
+            // Recurring background jobs (see services/jobScheduler.js and jobs/)
+            // Holds the last run outcome, the pause flag and the lock that keeps a job on one instance
+            const createJobsTable = `
+                CREATE TABLE IF NOT EXISTS jobs (
+                    name VARCHAR(100) PRIMARY KEY,
+                    description VARCHAR(255) NULL,
+                    schedule VARCHAR(100) NOT NULL, -- Cron expression
+                    isPaused BOOLEAN NOT NULL DEFAULT FALSE,
+                    lastRunAt DATETIME NULL,
+                    lastFinishedAt DATETIME NULL,
+                    lastStatus ENUM('running', 'success', 'failed') NULL,
+                    lastResult TEXT NULL, -- Summary returned by the job, or the error message
+                    lastDurationMs INT NULL,
+                    lastTrigger ENUM('schedule', 'manual') NULL,
+                    lastTriggeredBy INT NULL, -- Admin who ran the job manually
+                    runCount INT NOT NULL DEFAULT 0,
+                    failureCount INT NOT NULL DEFAULT 0,
+                    lockedBy VARCHAR(255) NULL, -- Instance running the job
+                    lockedUntil DATETIME NULL, -- Lock expiry, so a crashed instance does not block the job forever
+                    pausedBy INT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (lastTriggeredBy) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (pausedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createJobsTable);
+            console.log('✅ Jobs table created');
+
+            // === REPORT SUBSCRIPTIONS TABLE ===
+            // Saved report definitions emailed on a schedule (see services/reportDelivery.js)
+            const createReportSubscriptionsTable = `
+                CREATE TABLE IF NOT EXISTS report_subscriptions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(150) NOT NULL,
+                    ownerId INT NOT NULL, -- Admin or staff member the report is generated for (their access applies)
+                    departmentId INT NULL, -- NULL = all departments (admins only)
+                    dateWindow ENUM('previous_day', 'previous_week', 'previous_month') NOT NULL DEFAULT 'previous_week',
+                    format ENUM('pdf', 'csv', 'xlsx') NOT NULL DEFAULT 'pdf',
+                    isActive BOOLEAN NOT NULL DEFAULT TRUE,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_owner_id (ownerId),
+                    INDEX idx_is_active (isActive),
+                    FOREIGN KEY (ownerId) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (departmentId) REFERENCES departments(department_id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createReportSubscriptionsTable);
+            console.log('✅ Report subscriptions table created');
+
+            // === REPORT SUBSCRIPTION RECIPIENTS TABLE ===
+            // Email addresses each subscription is sent to
+            const createReportRecipientsTable = `
+                CREATE TABLE IF NOT EXISTS report_subscription_recipients (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    subscriptionId INT NOT NULL,
+                    email VARCHAR(255) NOT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uq_subscription_email (subscriptionId, email),
+                    FOREIGN KEY (subscriptionId) REFERENCES report_subscriptions(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createReportRecipientsTable);
+            console.log('✅ Report subscription recipients table created');
+
+            // === REPORT DELIVERIES TABLE ===
+            // One row per attempt to email a subscription, successful or not
+            const createReportDeliveriesTable = `
+                CREATE TABLE IF NOT EXISTS report_deliveries (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    subscriptionId INT NOT NULL,
+                    periodFrom DATE NOT NULL, -- Report window that was sent
+                    periodTo DATE NOT NULL,
+                    recipients TEXT NOT NULL, -- Comma-separated addresses at the time of sending
+                    status ENUM('sent', 'failed') NOT NULL,
+                    error TEXT NULL, -- Why the delivery failed
+                    filename VARCHAR(255) NULL,
+                    sizeBytes INT NULL,
+                    source ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+                    triggeredBy INT NULL, -- User who sent it manually
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_subscription_period (subscriptionId, periodFrom, periodTo),
+                    FOREIGN KEY (subscriptionId) REFERENCES report_subscriptions(id) ON DELETE CASCADE,
+                    FOREIGN KEY (triggeredBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createReportDeliveriesTable);
+            console.log('✅ Report deliveries table created');
+
+            // === PICKUP TOKENS TABLE ===
+            // Signed single-use tokens emailed (as a QR code) when a request becomes READY
+            // Only the SHA-256 hash of the random part is stored; issuing a new token revokes the old one
+            const createPickupTokensTable = `
+                CREATE TABLE IF NOT EXISTS pickup_tokens (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NOT NULL,
+                    nonceHash CHAR(64) NOT NULL UNIQUE,
+                    expiresAt DATETIME NOT NULL,
+                    usedAt DATETIME NULL,
+                    usedBy INT NULL, -- Staff member who released the documents with it
+                    revokedAt DATETIME NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_request_id (requestId),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+                    FOREIGN KEY (usedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createPickupTokensTable);
+            console.log('✅ Pickup tokens table created');
+
+            // === REQUEST RELEASES TABLE ===
+            // Who released a request's documents, and to whom
+            const createRequestReleasesTable = `
+                CREATE TABLE IF NOT EXISTS request_releases (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NOT NULL UNIQUE,
+                    pickupTokenId INT NULL, -- Token scanned at the window, if any
+                    releasedBy INT NULL,
+                    releasedTo ENUM('self', 'representative') NOT NULL DEFAULT 'self',
+                    representativeName VARCHAR(150) NULL,
+                    idPresented VARCHAR(100) NULL, -- ID shown by whoever claimed the documents
+                    remarks TEXT NULL,
+                    releasedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_released_by (releasedBy),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+                    FOREIGN KEY (pickupTokenId) REFERENCES pickup_tokens(id) ON DELETE SET NULL,
+                    FOREIGN KEY (releasedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createRequestReleasesTable);
+            console.log('✅ Request releases table created');
+
+            // === PICKUP SLOTS TABLE ===
+            // Bookable time windows of a transaction day; bookedCount never exceeds capacity
+            const createPickupSlotsTable = `
+                CREATE TABLE IF NOT EXISTS pickup_slots (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    transactionDayId INT NOT NULL,
+                    startTime TIME NOT NULL,
+                    endTime TIME NOT NULL,
+                    capacity INT NOT NULL,
+                    bookedCount INT NOT NULL DEFAULT 0,
+                    createdBy INT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uq_day_start (transactionDayId, startTime),
+                    FOREIGN KEY (transactionDayId) REFERENCES transaction_days(id) ON DELETE CASCADE,
+                    FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createPickupSlotsTable);
+            console.log('✅ Pickup slots table created');
+
+            // === PICKUP BOOKINGS TABLE ===
+            // The slot a READY request is booked into (one booking per request)
+            const createPickupBookingsTable = `
+                CREATE TABLE IF NOT EXISTS pickup_bookings (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NOT NULL UNIQUE,
+                    slotId INT NOT NULL,
+                    bookedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_slot_id (slotId),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+                    FOREIGN KEY (slotId) REFERENCES pickup_slots(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createPickupBookingsTable);
+            console.log('✅ Pickup bookings table created');
+
+            // === EMAIL OUTBOX TABLE ===
+            // Every outgoing email, queued by MailService and sent by the email-outbox job with retries
+            const createEmailOutboxTable = `
+                CREATE TABLE IF NOT EXISTS email_outbox (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NULL, -- Request the email is about, if any
+                    referenceNumber VARCHAR(50) NULL,
+                    kind VARCHAR(50) NOT NULL, -- e.g. request_summary, ready_for_pickup
+                    toEmail TEXT NOT NULL,
+                    subject VARCHAR(255) NOT NULL,
+                    payload LONGTEXT NULL, -- Serialized message; cleared after sending one-time codes
+                    status ENUM('pending', 'sending', 'sent', 'failed', 'dead', 'cancelled') NOT NULL DEFAULT 'pending',
+                    attempts INT NOT NULL DEFAULT 0,
+                    maxAttempts INT NOT NULL DEFAULT 6,
+                    nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    lastError TEXT NULL,
+                    messageId VARCHAR(255) NULL, -- SMTP message ID once sent
+                    lockToken CHAR(36) NULL, -- Worker currently sending it
+                    lockedAt DATETIME NULL,
+                    sentAt DATETIME NULL,
+                    cancelledAt DATETIME NULL,
+                    cancelledBy INT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_status_next_attempt (status, nextAttemptAt),
+                    INDEX idx_reference_number (referenceNumber),
+                    INDEX idx_lock_token (lockToken),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE SET NULL,
+                    FOREIGN KEY (cancelledBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createEmailOutboxTable);
+            console.log('✅ Email outbox table created');
+
+            // === EMAIL OUTBOX ATTEMPTS TABLE ===
+            // Delivery log: one row per send attempt
+            const createEmailOutboxAttemptsTable = `
+                CREATE TABLE IF NOT EXISTS email_outbox_attempts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    outboxId INT NOT NULL,
+                    attemptNo INT NOT NULL,
+                    status ENUM('sent', 'failed') NOT NULL,
+                    error TEXT NULL,
+                    messageId VARCHAR(255) NULL,
+                    attemptedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_outbox_id (outboxId),
+                    FOREIGN KEY (outboxId) REFERENCES email_outbox(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createEmailOutboxAttemptsTable);
+            console.log('✅ Email outbox attempts table created');
+
+            // === EMAIL TEMPLATES TABLE ===
+            // Editable email bodies rendered by MailService; built-ins are seeded from config/emailTemplates.js
+            const createEmailTemplatesTable = `
+                CREATE TABLE IF NOT EXISTS email_templates (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    templateKey VARCHAR(50) NOT NULL UNIQUE, -- MailService message kind, e.g. ready_for_pickup
+                    name VARCHAR(100) NOT NULL,
+                    description VARCHAR(255) NULL,
+                    subject VARCHAR(255) NOT NULL,
+                    htmlBody MEDIUMTEXT NOT NULL,
+                    textBody MEDIUMTEXT NULL, -- Plain-text alternative, optional
+                    isSystem BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in: can be reset but not deleted
+                    updatedBy INT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createEmailTemplatesTable);
+            console.log('✅ Email templates table created');
+
+            // === SMS OPT-OUTS TABLE ===
+            // Numbers that must not receive SMS notifications (STOP replies or requester choice)
+            const createSmsOptOutsTable = `
+                CREATE TABLE IF NOT EXISTS sms_opt_outs (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    phoneNumber VARCHAR(20) NOT NULL UNIQUE, -- E.164, e.g. +639171234567
+                    source ENUM('keyword', 'requester', 'staff') NOT NULL DEFAULT 'keyword',
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createSmsOptOutsTable);
+            console.log('✅ SMS opt-outs table created');
+
+            // === SMS MESSAGES TABLE ===
+            // Delivery log of every SMS notification, including ones skipped for opt-out or a bad number
+            const createSmsMessagesTable = `
+                CREATE TABLE IF NOT EXISTS sms_messages (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requestId INT NULL,
+                    toNumber VARCHAR(20) NULL, -- E.164; NULL when contactNo could not be normalized
+                    event VARCHAR(30) NOT NULL, -- e.g. submitted, ready, declined
+                    message VARCHAR(480) NOT NULL,
+                    provider VARCHAR(20) NOT NULL,
+                    status ENUM('sent', 'failed', 'skipped') NOT NULL,
+                    providerMessageId VARCHAR(100) NULL,
+                    error VARCHAR(255) NULL, -- Failure or skip reason
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_request_id (requestId),
+                    INDEX idx_to_number (toNumber),
+                    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createSmsMessagesTable);
+            console.log('✅ SMS messages table created');
+
+            // === NOTIFICATION PREFERENCES TABLE ===
+            // Channels a student/alumni record wants per request event; a missing row means the defaults
+            const createNotificationPreferencesTable = `
+                CREATE TABLE IF NOT EXISTS notification_preferences (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    requesterType ENUM('student', 'alumni') NOT NULL,
+                    requesterId INT NOT NULL, -- students.id or alumni.id
+                    event ENUM('submitted', 'processing', 'ready', 'declined', 'reminder') NOT NULL,
+                    email BOOLEAN NOT NULL DEFAULT TRUE,
+                    sms BOOLEAN NOT NULL DEFAULT TRUE,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uq_requester_event (requesterType, requesterId, event)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            await this.executeQuery(createNotificationPreferencesTable);
+            console.log('✅ Notification preferences table created');
+
             // Insert default lookup data
             await this.insertDefaultLookupData();
 
@@ -641,15 +1160,13 @@ class DatabaseManager {
         try {
             console.log('📋 Inserting default lookup data...');
 
-            // Insert default request statuses with descriptions
-            await this.executeQuery(`
-                INSERT IGNORE INTO request_statuses (statusName, description) VALUES
-                ('PENDING', 'Request has been submitted and is waiting for processing'),
-                ('SET', 'Request has been scheduled for processing'),
-                ('READY', 'Request has been processed and is ready for pickup'),
-                ('RECEIVED', 'Request has been picked up by the student'),
-                ('FAILED', 'Request processing failed')
-            `);
+            // Insert the workflow statuses (config/requestWorkflow.js) in their canonical order
+            const workflowStatuses = Object.entries(requestWorkflow.statuses);
+            await this.executeQuery(
+                `INSERT IGNORE INTO request_statuses (statusName, description) VALUES
+                ${workflowStatuses.map(() => '(?, ?)').join(', ')}`,
+                workflowStatuses.flatMap(([name, def]) => [name, def.description])
+            );
 
             // Insert default pickup statuses with descriptions
             await this.executeQuery(`
@@ -659,6 +1176,14 @@ class DatabaseManager {
                 ('failed', 'Pickup failed or was cancelled')
             `);
 
+            // Insert the built-in email templates (config/emailTemplates.js); admin edits are kept
+            const templates = Object.entries(emailTemplates);
+            await this.executeQuery(
+                `INSERT IGNORE INTO email_templates (templateKey, name, description, subject, htmlBody, textBody, isSystem) VALUES
+                ${templates.map(() => '(?, ?, ?, ?, ?, ?, TRUE)').join(', ')}`,
+                templates.flatMap(([key, def]) => [key, def.name, def.description, def.subject, def.htmlBody, def.textBody])
+            );
+
             // Insert default announcements only if table is empty
             const existingAnnouncements = await this.executeQuery('SELECT COUNT(*) as count FROM announcements');
             if (existingAnnouncements[0].count === 0) {
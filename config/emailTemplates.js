@@ -0,0 +1,1176 @@
+/**
+ * @fileoverview Built-in email templates
+ *
+ * These are seeded into the email_templates table on startup (INSERT IGNORE, so
+ * edits made by admins are kept) and are used as-is whenever the database is
+ * unavailable. The key is the MailService message kind.
+ *
+ * Template syntax (see services/emailTemplates.js):
+ * - {{name}}            value, HTML-escaped in the HTML body
+ * - {{{name}}}          value inserted as-is
+ * - {{#if name}}...{{else}}...{{/if}}   shown when the value is set (non-empty)
+ * - {{#each name}}...{{/each}}          repeated for every item of a list; item
+ *                                       fields are available by name inside
+ *
+ * {{year}} (the current year) is available in every template.
+ *
+ * Entry options:
+ * - name, description: shown to admins
+ * - variables: placeholders the sender supplies, with what they contain
+ * - sample: values used by the preview endpoint
+ */
+
+const FOOTER = `
+        <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+            <p>© {{year}} San Pablo Colleges. All rights reserved.</p>
+        </div>`;
+
+const SIGNATURE = `
+            <p>Best regards,<br>
+            <strong>San Pablo Colleges</strong><br>
+            <strong>Registrar Office</strong></p>`;
+
+const TEXT_FOOTER = `
+Best regards,
+San Pablo Colleges
+Registrar Office
+
+This is an automated message. Please do not reply to this email.`;
+
+module.exports = {
+    password_reset: {
+        name: 'Password reset',
+        description: 'Sent to staff and admins who asked to reset their password',
+        variables: {
+            userName: 'Display name of the user',
+            resetUrl: 'Link to the reset page (expires in 15 minutes)'
+        },
+        sample: {
+            userName: 'Maria Santos',
+            resetUrl: 'https://registrar.example.edu/reset-password?token=sample-token'
+        },
+        subject: 'Password Reset - Registrar Document Request System',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Password Reset - Registrar System</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f8f9fa; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #eab308; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
+        .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Password Reset Request</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{userName}}</strong>,</p>
+
+            <p>You have requested to reset your password for the Registrar Document Request System.</p>
+
+            <p>Please click the button below to reset your password:</p>
+
+            <a href="{{resetUrl}}" class="button">Reset Password</a>
+
+            <p><strong>Important:</strong> This link will expire in 15 minutes for security reasons.</p>
+
+            <div class="warning">
+                <strong>Security Notice:</strong><br>
+                If you did not request this password reset, please ignore this email.<br>
+                Your account remains secure and no changes have been made.
+            </div>
+
+            <p>If the button above doesn't work, you can copy and paste this link into your browser:</p>
+            <p><small>{{resetUrl}}</small></p>
+
+            <p>Best regards,<br>
+            Registrar System Team</p>
+        </div>
+        <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+            <p>&copy; {{year}} Registrar Document Request System</p>
+        </div>
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{userName}},
+
+You have requested to reset your password for the Registrar Document Request System.
+
+Open this link to reset your password (it expires in 15 minutes):
+{{resetUrl}}
+
+If you did not request this password reset, please ignore this email. Your account remains secure and no changes have been made.
+
+Best regards,
+Registrar System Team`
+    },
+
+    password_changed: {
+        name: 'Password changed',
+        description: 'Confirms to a staff member or admin that their password was changed',
+        variables: {
+            userName: 'Display name of the user'
+        },
+        sample: {
+            userName: 'Maria Santos'
+        },
+        subject: 'Password Changed Successfully - Registrar System',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Password Changed - Registrar System</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f8f9fa; }
+        .success { background-color: #d1fae5; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0; }
+        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Password Successfully Changed</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{userName}}</strong>,</p>
+
+            <div class="success">
+                <strong>✓ Password Changed Successfully</strong><br>
+                Your password has been successfully updated in the Registrar Document Request System.
+            </div>
+
+            <p>You can now log in to your account using your new password.</p>
+
+            <p>If you did not make this change, please contact system administrator immediately.</p>
+
+            <p>For security reasons, we recommend:</p>
+            <ul>
+                <li>Using a strong, unique password</li>
+                <li>Enabling two-factor authentication if available</li>
+                <li>Not sharing your credentials with others</li>
+            </ul>
+
+            <p>Best regards,<br>
+            Registrar System Team</p>
+        </div>
+        <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+            <p>&copy; {{year}} Registrar Document Request System</p>
+        </div>
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{userName}},
+
+Your password has been successfully updated in the Registrar Document Request System. You can now log in using your new password.
+
+If you did not make this change, please contact the system administrator immediately.
+
+Best regards,
+Registrar System Team`
+    },
+
+    test: {
+        name: 'SMTP test',
+        description: 'Sent from the admin tools to check the SMTP configuration',
+        variables: {
+            sentAt: 'When the test was sent (ISO timestamp)'
+        },
+        sample: {
+            sentAt: '2026-10-19T08:00:00.000Z'
+        },
+        subject: 'SMTP Test - Registrar System',
+        htmlBody: `<h2>SMTP Configuration Test</h2>
+<p>This is a test email to verify SMTP configuration.</p>
+<p>Sent at: {{sentAt}}</p>`,
+        textBody: `SMTP Configuration Test
+
+This is a test email to verify SMTP configuration.
+Sent at: {{sentAt}}`
+    },
+
+    request_summary: {
+        name: 'Request submitted',
+        description: 'Summary sent to the requester right after a request is submitted',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            requestTypeLabel: 'Student or Alumni',
+            email: "Requester's email address",
+            contactNo: "Requester's contact number, or N/A",
+            course: 'Course/program, or N/A',
+            yearLevel: 'e.g. Year 3, or Alumni',
+            documents: 'List of { documentName, schoolYear, semester, quantity, price }',
+            totalAmount: 'Total amount, formatted with two decimals'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            requestTypeLabel: 'Student',
+            email: 'juan.delacruz@example.edu',
+            contactNo: '09171234567',
+            course: 'BS Information Technology',
+            yearLevel: 'Year 3',
+            documents: [
+                { documentName: 'Transcript of Records', schoolYear: '2025-2026', semester: '1st Semester', quantity: 1, price: '150.00' },
+                { documentName: 'Certificate of Enrollment', schoolYear: '2026-2027', semester: '1st Semester', quantity: 2, price: '50.00' }
+            ],
+            totalAmount: '250.00'
+        },
+        subject: 'Document Request Submitted - {{referenceNumber}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Document Request Submitted - Registrar System</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .info-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #f1f5f9; }
+        .info-row:last-child { border-bottom: none; }
+        .info-label { font-weight: bold; color: #475569; }
+        .info-value { color: #1e293b; }
+        .documents-table { width: 100%; border-collapse: collapse; margin: 20px 0; background-color: #ffffff; border-radius: 8px; overflow: hidden; }
+        .documents-table th { background-color: #16a34a; color: white; padding: 12px; text-align: left; }
+        .documents-table td { padding: 12px; border: 1px solid #e2e8f0; }
+        .total-row { background-color: #f1f5f9; font-weight: bold; }
+        .total-row td { padding: 15px 12px; }
+        .processing-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #16a34a; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+        .success-badge { background-color: #16a34a; color: white; padding: 8px 16px; border-radius: 20px; display: inline-block; margin-bottom: 15px; font-weight: bold; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Document Request Submitted</h1>
+        </div>
+        <div class="content">
+            <div class="success-badge">✓ Request Submitted Successfully</div>
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>Your document request has been successfully submitted to the Registrar Office. Below is a summary of your request for your reference.</p>
+
+            <div class="info-box">
+                <div class="info-row">
+                    <span class="info-label">Reference Number:</span>
+                    <span class="info-value" style="font-family: monospace; font-size: 16px; font-weight: bold;">{{referenceNumber}}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Status:</span>
+                    <span class="info-value"><span style="background-color: #fbbf24; color: #78350f; padding: 4px 12px; border-radius: 4px; font-weight: bold;">PENDING</span></span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Request Type:</span>
+                    <span class="info-value">{{requestTypeLabel}}</span>
+                </div>
+            </div>
+
+            <div class="info-box">
+                <div class="info-row">
+                    <span class="info-label">Email:</span>
+                    <span class="info-value">{{email}}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Contact Number:</span>
+                    <span class="info-value">{{contactNo}}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Course/Program:</span>
+                    <span class="info-value">{{course}}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Year Level:</span>
+                    <span class="info-value">{{yearLevel}}</span>
+                </div>
+            </div>
+
+            <h3 style="color: #16a34a; margin-top: 30px;">Requested Documents</h3>
+            <table class="documents-table">
+                <thead>
+                    <tr>
+                        <th>Document</th>
+                        <th>School Year</th>
+                        <th>Semester</th>
+                        <th style="text-align: center;">Quantity</th>
+                        <th style="text-align: right;">Price</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each documents}}
+                    <tr>
+                        <td style="padding: 12px; border: 1px solid #e2e8f0;">{{documentName}}</td>
+                        <td style="padding: 12px; border: 1px solid #e2e8f0;">{{schoolYear}}</td>
+                        <td style="padding: 12px; border: 1px solid #e2e8f0;">{{semester}}</td>
+                        <td style="padding: 12px; border: 1px solid #e2e8f0; text-align: center;">{{quantity}}</td>
+                        <td style="padding: 12px; border: 1px solid #e2e8f0; text-align: right;">₱{{price}}</td>
+                    </tr>
+                    {{/each}}
+                    <tr class="total-row">
+                        <td colspan="4" style="text-align: right; padding-right: 12px;"><strong>Total Amount:</strong></td>
+                        <td style="text-align: right;"><strong>₱{{totalAmount}}</strong></td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <div class="processing-notice">
+                <strong>⏳ Processing Time Notice</strong>
+                <p style="margin: 10px 0 0 0;">Your request will be processed within <strong>3–5 business days</strong>. You will receive another email notification once your documents are ready for pickup.</p>
+            </div>
+
+            <div class="info-box" style="background-color: #f0f9ff; border-color: #7dd3fc;">
+                <strong>📋 Important Reminders:</strong>
+                <ul style="margin: 10px 0 0 0; padding-left: 20px;">
+                    <li>Please bring a valid ID when picking up your documents.</li>
+                    <li>For Students and Alumni, documents will be released once payment is confirmed.</li>
+                    <li>You can track your request status online using your reference number.</li>
+                </ul>
+            </div>
+
+            <p style="margin-top: 30px;">If you have any questions or concerns, please contact the Registrar Office during office hours.</p>
+
+            <p>Best regards,<br>
+            <strong>San Pablo Colleges Registrar System</strong></p>
+        </div>
+        <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+            <p>&copy; {{year}} San Pablo Colleges. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+Your document request has been successfully submitted to the Registrar Office.
+
+Reference Number: {{referenceNumber}}
+Status: PENDING
+Request Type: {{requestTypeLabel}}
+Email: {{email}}
+Contact Number: {{contactNo}}
+Course/Program: {{course}}
+Year Level: {{yearLevel}}
+
+Requested Documents:
+{{#each documents}}- {{documentName}} ({{schoolYear}}, {{semester}}) x{{quantity}}: PHP {{price}}
+{{/each}}
+Total Amount: PHP {{totalAmount}}
+
+Your request will be processed within 3-5 business days. You will receive another email once your documents are ready for pickup. Please bring a valid ID when picking up your documents.
+
+Best regards,
+San Pablo Colleges Registrar System`
+    },
+
+    ready_for_pickup: {
+        name: 'Ready for pickup',
+        description: 'Sent when a request becomes READY, with the single-use pickup QR code',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            documentType: 'Requested document name(s)',
+            pickupDate: 'Scheduled pickup date, or "To be scheduled"',
+            hasPickupQr: 'Set when a QR code is attached (shown with <img src="cid:pickup-qr">)'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            documentType: 'Transcript of Records',
+            pickupDate: 'Friday, October 23, 2026',
+            hasPickupQr: true
+        },
+        subject: '📄 Your Documents are Ready for Pickup - {{referenceNumber}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Documents Ready for Pickup - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .header-subtitle { font-size: 14px; opacity: 0.9; margin-top: 5px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .info-row { display: flex; justify-content: space-between; padding: 12px 0; border-bottom: 1px solid #f1f5f9; }
+        .info-row:last-child { border-bottom: none; }
+        .info-label { font-weight: bold; color: #475569; }
+        .info-value { color: #1e293b; }
+        .pickup-date { background-color: #dbeafe; border: 2px solid #3b82f6; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center; }
+        .pickup-date-label { color: #1e40af; font-weight: bold; font-size: 14px; text-transform: uppercase; letter-spacing: 0.5px; }
+        .pickup-date-value { color: #1e3a8a; font-size: 24px; font-weight: bold; margin-top: 10px; }
+        .requirements-box { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 20px; margin: 20px 0; border-radius: 4px; }
+        .requirements-box h3 { margin-top: 0; color: #92400e; }
+        .requirements-box ul { margin: 10px 0 0 0; padding-left: 20px; color: #78350f; }
+        .requirements-box li { margin: 8px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+        .success-badge { background-color: #16a34a; color: white; padding: 8px 16px; border-radius: 20px; display: inline-block; margin-bottom: 15px; font-weight: bold; }
+        .document-info { background-color: #f0fdf4; border: 1px solid #22c55e; border-radius: 8px; padding: 15px; margin: 15px 0; }
+        .document-info strong { color: #166534; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>📄 Documents Ready for Pickup</h1>
+            <div class="header-subtitle">San Pablo Colleges - Registrar Office</div>
+        </div>
+        <div class="content">
+            <div class="success-badge">✓ Your Documents Are Ready!</div>
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>Great news! Your requested document(s) have been processed and are now ready for pickup at the Registrar Office.</p>
+
+            <div class="info-box">
+                <div class="info-row">
+                    <span class="info-label">Reference Number:</span>
+                    <span class="info-value" style="font-family: monospace; font-size: 16px; font-weight: bold;">{{referenceNumber}}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Status:</span>
+                    <span class="info-value"><span style="background-color: #22c55e; color: white; padding: 4px 12px; border-radius: 4px; font-weight: bold;">READY FOR PICKUP</span></span>
+                </div>
+            </div>
+
+            <div class="document-info">
+                <strong>Document:</strong> {{documentType}}
+            </div>
+
+            <div class="pickup-date">
+                <div class="pickup-date-label">📅 Scheduled Pickup Date</div>
+                <div class="pickup-date-value">{{pickupDate}}</div>
+            </div>
+            {{#if hasPickupQr}}
+            <div class="pickup-date">
+                <div class="pickup-date-label">Your Pickup QR Code</div>
+                <img src="cid:pickup-qr" alt="Pickup QR code" width="200" height="200" style="margin-top: 10px;">
+                <p style="margin: 10px 0 0 0; font-size: 13px; color: #1e3a8a;">Show this code at the Registrar window. It can be used only once, so do not share it with anyone other than your authorized representative.</p>
+            </div>
+            {{/if}}
+            <div class="requirements-box">
+                <h3>📋 Requirements for Pickup</h3>
+                <ul>
+                    <li>Bring a valid <strong>government-issued ID</strong> (e.g., Passport, Driver's License, School ID)</li>
+                    <li>If someone else will pick up the document, they need an <strong>authorization letter</strong> and their own valid ID</li>
+                    <li>Office hours: <strong>Monday - Friday, 8:00 AM - 5:00 PM</strong></li>
+                    <li>Please arrive at least <strong>30 minutes</strong> before closing time</li>
+                </ul>
+            </div>
+
+            <p><strong>Note:</strong> Please pick up your documents within <strong>30 days</strong> from the scheduled date. Unclaimed documents may require a new request.</p>
+
+            <p>If you have any questions or need to reschedule, please contact the Registrar Office during office hours.</p>
+
+            <p style="margin-top: 30px;">Best regards,<br>
+            <strong>San Pablo Colleges</strong><br>
+            <strong>Registrar Office</strong></p>
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+Great news! Your requested document(s) have been processed and are now ready for pickup at the Registrar Office.
+
+Reference Number: {{referenceNumber}}
+Status: READY FOR PICKUP
+Document: {{documentType}}
+Scheduled Pickup Date: {{pickupDate}}
+{{#if hasPickupQr}}
+Your pickup QR code is attached. Show it at the Registrar window. It can be used only once.
+{{/if}}
+Requirements for pickup:
+- Bring a valid government-issued ID (e.g., Passport, Driver's License, School ID)
+- If someone else will pick up the document, they need an authorization letter and their own valid ID
+- Office hours: Monday - Friday, 8:00 AM - 5:00 PM
+
+Please pick up your documents within 30 days from the scheduled date. Unclaimed documents may require a new request.
+${TEXT_FOOTER}`
+    },
+
+    request_processing: {
+        name: 'Request being processed',
+        description: 'Tells the requester that staff started working on their request',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            documentType: 'Requested documents, comma separated'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            documentType: 'Transcript of Records, Certificate of Enrollment'
+        },
+        subject: 'Your request {{referenceNumber}} is being processed',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Request Being Processed - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Request Being Processed</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>The Registrar Office has started processing your document request.</p>
+
+            <div class="info-box">
+                <p><strong>Reference Number:</strong> <span style="font-family: monospace;">{{referenceNumber}}</span></p>
+                {{#if documentType}}<p><strong>Documents:</strong> {{documentType}}</p>{{/if}}
+            </div>
+
+            <p>We will let you know as soon as your documents are ready for pickup.</p>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+The Registrar Office has started processing your document request.
+
+Reference Number: {{referenceNumber}}
+{{#if documentType}}Documents: {{documentType}}
+{{/if}}
+We will let you know as soon as your documents are ready for pickup.
+${TEXT_FOOTER}`
+    },
+
+    request_declined: {
+        name: 'Request declined',
+        description: 'Tells the requester that their request was declined, with the reason',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            documentType: 'Requested documents, comma separated',
+            reason: 'Reason given by staff (may be empty)'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            documentType: 'Transcript of Records',
+            reason: 'Outstanding balance with the Accounting Office'
+        },
+        subject: 'Your request {{referenceNumber}} was declined',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Request Declined - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #dc2626; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Request Declined</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>We are sorry, but your document request could not be processed.</p>
+
+            <div class="info-box">
+                <p><strong>Reference Number:</strong> <span style="font-family: monospace;">{{referenceNumber}}</span></p>
+                {{#if documentType}}<p><strong>Documents:</strong> {{documentType}}</p>{{/if}}
+                {{#if reason}}<p><strong>Reason:</strong> {{reason}}</p>{{/if}}
+            </div>
+
+            <p>If you have questions, please contact or visit the Registrar Office. You may submit a new request at any time.</p>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+We are sorry, but your document request could not be processed.
+
+Reference Number: {{referenceNumber}}
+{{#if documentType}}Documents: {{documentType}}
+{{/if}}{{#if reason}}Reason: {{reason}}
+{{/if}}
+If you have questions, please contact or visit the Registrar Office. You may submit a new request at any time.
+${TEXT_FOOTER}`
+    },
+
+    requester_login: {
+        name: 'Requester sign-in',
+        description: 'One-time code and magic link for the requester portal',
+        variables: {
+            loginUrl: 'Magic link that signs the requester in',
+            code: '6-digit one-time code',
+            expiresInMinutes: 'Minutes until the code and link expire'
+        },
+        sample: {
+            loginUrl: 'https://registrar.example.edu/my-requests/login?token=sample-token',
+            code: '482913',
+            expiresInMinutes: 15
+        },
+        subject: 'Your sign-in code - San Pablo Colleges Registrar',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Sign in to Track Your Requests - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .button { display: inline-block; background-color: #16a34a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .otp-code { font-size: 32px; font-weight: bold; color: #16a34a; text-align: center; margin: 20px 0; letter-spacing: 5px; }
+        .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Sign in to Your Requests</h1>
+        </div>
+        <div class="content">
+            <p>Hello,</p>
+
+            <p>Use the button below to view all document requests made with this email address:</p>
+
+            <div style="text-align: center;">
+                <a href="{{loginUrl}}" class="button">View My Requests</a>
+            </div>
+
+            <p>Or enter this sign-in code on the website:</p>
+
+            <div class="otp-code">{{code}}</div>
+
+            <p><strong>Important:</strong> The link and code expire in {{expiresInMinutes}} minutes and can only be used once.</p>
+
+            <div class="warning">
+                <strong>Security Notice:</strong><br>
+                If you did not try to sign in, please ignore this email.<br>
+                Do not share this code with anyone.
+            </div>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello,
+
+Open this link to view all document requests made with this email address:
+{{loginUrl}}
+
+Or enter this sign-in code on the website: {{code}}
+
+The link and code expire in {{expiresInMinutes}} minutes and can only be used once. If you did not try to sign in, please ignore this email. Do not share this code with anyone.
+${TEXT_FOOTER}`
+    },
+
+    cancellation_code: {
+        name: 'Cancellation code',
+        description: 'One-time code a requester enters to confirm cancelling a request',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            code: '6-digit one-time code',
+            expiresInMinutes: 'Minutes until the code expires'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            code: '730154',
+            expiresInMinutes: 15
+        },
+        subject: 'Confirm cancellation of request {{referenceNumber}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Confirm Request Cancellation - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .otp-code { font-size: 32px; font-weight: bold; color: #16a34a; text-align: center; margin: 20px 0; letter-spacing: 5px; }
+        .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Confirm Request Cancellation</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>We received a request to cancel your document request <strong style="font-family: monospace;">{{referenceNumber}}</strong>.</p>
+
+            <p>Enter this code to confirm the cancellation:</p>
+
+            <div class="otp-code">{{code}}</div>
+
+            <p><strong>Important:</strong> This code expires in {{expiresInMinutes}} minutes.</p>
+
+            <div class="warning">
+                <strong>Security Notice:</strong><br>
+                If you did not ask to cancel this request, ignore this email and your request will continue to be processed.<br>
+                Do not share this code with anyone.
+            </div>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+We received a request to cancel your document request {{referenceNumber}}.
+
+Enter this code to confirm the cancellation: {{code}}
+
+This code expires in {{expiresInMinutes}} minutes. If you did not ask to cancel this request, ignore this email and your request will continue to be processed. Do not share this code with anyone.
+${TEXT_FOOTER}`
+    },
+
+    cancellation_confirmation: {
+        name: 'Request cancelled',
+        description: 'Confirms to the requester that their request was cancelled',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            reason: 'Reason given by the requester'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            reason: 'Requested the wrong document'
+        },
+        subject: 'Request {{referenceNumber}} has been cancelled',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Request Cancelled - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Request Cancelled</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>Your document request has been cancelled as you asked.</p>
+
+            <div class="info-box">
+                <p><strong>Reference Number:</strong> <span style="font-family: monospace;">{{referenceNumber}}</span></p>
+                <p><strong>Reason:</strong> {{reason}}</p>
+            </div>
+
+            <p>If you paid online for this request, the Registrar Office will contact you about a refund.
+            You may submit a new request at any time.</p>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+Your document request has been cancelled as you asked.
+
+Reference Number: {{referenceNumber}}
+Reason: {{reason}}
+
+If you paid online for this request, the Registrar Office will contact you about a refund. You may submit a new request at any time.
+${TEXT_FOOTER}`
+    },
+
+    notification_preferences_code: {
+        name: 'Notification settings code',
+        description: 'One-time code a requester enters to change how they are notified about a request',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            code: '6-digit one-time code',
+            expiresInMinutes: 'Minutes until the code expires'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            code: '730154',
+            expiresInMinutes: 15
+        },
+        subject: 'Your code to change notification settings',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Notification Settings - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .otp-code { font-size: 32px; font-weight: bold; color: #16a34a; text-align: center; margin: 20px 0; letter-spacing: 5px; }
+        .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Notification Settings</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>We received a request to change how you are notified about your document requests
+            (reference <strong style="font-family: monospace;">{{referenceNumber}}</strong>).</p>
+
+            <p>Enter this code to save your new settings:</p>
+
+            <div class="otp-code">{{code}}</div>
+
+            <p><strong>Important:</strong> This code expires in {{expiresInMinutes}} minutes.</p>
+
+            <div class="warning">
+                <strong>Security Notice:</strong><br>
+                If you did not ask to change your notification settings, ignore this email; nothing will change.<br>
+                Do not share this code with anyone.
+            </div>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+We received a request to change how you are notified about your document requests (reference {{referenceNumber}}).
+
+Enter this code to save your new settings: {{code}}
+
+This code expires in {{expiresInMinutes}} minutes. If you did not ask to change your notification settings, ignore this email; nothing will change. Do not share this code with anyone.
+${TEXT_FOOTER}`
+    },
+
+    sla_escalation: {
+        name: 'Overdue requests',
+        description: 'SLA escalation sent to a department head listing overdue requests',
+        variables: {
+            departmentName: 'Department name',
+            requestCount: 'Number of overdue requests',
+            requests: 'List of { referenceNumber, status, dueDate, daysOverdue, assignee }'
+        },
+        sample: {
+            departmentName: 'College of Computer Studies',
+            requestCount: 2,
+            requests: [
+                { referenceNumber: 'REQ-20261001-0004', status: 'PROCESSING', dueDate: 'Oct 8, 2026', daysOverdue: 7, assignee: 'Maria Santos' },
+                { referenceNumber: 'REQ-20261005-0011', status: 'PENDING', dueDate: 'Oct 12, 2026', daysOverdue: 3, assignee: 'Unassigned' }
+            ]
+        },
+        subject: '{{requestCount}} overdue request(s) in {{departmentName}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Overdue Requests - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #dc2626; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        table { width: 100%; border-collapse: collapse; background-color: #ffffff; font-size: 14px; }
+        th { background-color: #1e293b; color: white; padding: 8px; text-align: left; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Overdue Document Requests</h1>
+        </div>
+        <div class="content">
+            <p>The following {{departmentName}} request(s) have passed their processing target and are still open:</p>
+
+            <table>
+                <thead>
+                    <tr>
+                        <th>Reference Number</th>
+                        <th>Status</th>
+                        <th>Due</th>
+                        <th>Days Overdue</th>
+                        <th>Assigned To</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each requests}}
+                    <tr>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0; font-family: monospace;">{{referenceNumber}}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">{{status}}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">{{dueDate}}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0; color: #dc2626; font-weight: bold;">{{daysOverdue}}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">{{assignee}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+
+            <p>Please follow up with the assigned staff so the requests can be completed.</p>
+
+            <p><strong>San Pablo Colleges</strong><br>
+            <strong>Registrar Office</strong></p>
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `The following {{departmentName}} request(s) have passed their processing target and are still open:
+
+{{#each requests}}- {{referenceNumber}} ({{status}}), due {{dueDate}}, {{daysOverdue}} day(s) overdue, assigned to {{assignee}}
+{{/each}}
+Please follow up with the assigned staff so the requests can be completed.
+
+San Pablo Colleges
+Registrar Office`
+    },
+
+    pickup_reminder: {
+        name: 'Pickup reminder',
+        description: 'Reminder sent the day before (or the morning of) a scheduled pickup',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            documentNames: 'Requested document names',
+            pickupDate: 'Scheduled pickup date'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            documentNames: 'Certificate of Enrollment, Transcript of Records',
+            pickupDate: 'Friday, October 23, 2026'
+        },
+        subject: 'Reminder: pickup of request {{referenceNumber}} on {{pickupDate}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Pickup Reminder - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #2563eb; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Pickup Reminder</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>This is a reminder that your requested document(s) are ready and scheduled for pickup.</p>
+
+            <div class="info-box">
+                <p><strong>Reference Number:</strong> <span style="font-family: monospace;">{{referenceNumber}}</span></p>
+                <p><strong>Document(s):</strong> {{documentNames}}</p>
+                <p><strong>Pickup Date:</strong> {{pickupDate}}</p>
+            </div>
+
+            <p>Please bring a valid ID and your reference number to the Registrar Office.</p>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+This is a reminder that your requested document(s) are ready and scheduled for pickup.
+
+Reference Number: {{referenceNumber}}
+Document(s): {{documentNames}}
+Pickup Date: {{pickupDate}}
+
+Please bring a valid ID and your reference number to the Registrar Office.
+${TEXT_FOOTER}`
+    },
+
+    unclaimed_documents: {
+        name: 'Unclaimed documents',
+        description: 'Sent when ready documents have not been claimed for a while',
+        variables: {
+            fullName: "Requester's full name",
+            referenceNumber: 'Public tracking number',
+            documentNames: 'Requested document names',
+            readyDate: 'Pickup date, or when the documents became ready'
+        },
+        sample: {
+            fullName: 'Juan Dela Cruz',
+            referenceNumber: 'REQ-20261019-0001',
+            documentNames: 'Transcript of Records',
+            readyDate: 'September 21, 2026'
+        },
+        subject: 'Your documents for request {{referenceNumber}} are waiting for pickup',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Unclaimed Documents - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #d97706; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Your Documents Are Still Waiting</h1>
+        </div>
+        <div class="content">
+            <p>Hello <strong>{{fullName}}</strong>,</p>
+
+            <p>Your requested document(s) have been ready for pickup since <strong>{{readyDate}}</strong> but have not been claimed yet.</p>
+
+            <div class="info-box">
+                <p><strong>Reference Number:</strong> <span style="font-family: monospace;">{{referenceNumber}}</span></p>
+                <p><strong>Document(s):</strong> {{documentNames}}</p>
+            </div>
+
+            <p>Please claim them at the Registrar Office during transaction days, bringing a valid ID and your reference number.</p>
+${SIGNATURE}
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `Hello {{fullName}},
+
+Your requested document(s) have been ready for pickup since {{readyDate}} but have not been claimed yet.
+
+Reference Number: {{referenceNumber}}
+Document(s): {{documentNames}}
+
+Please claim them at the Registrar Office during transaction days, bringing a valid ID and your reference number.
+${TEXT_FOOTER}`
+    },
+
+    scheduled_report: {
+        name: 'Scheduled report',
+        description: 'Delivers a report subscription with the report attached',
+        variables: {
+            subscriptionName: 'Name of the saved report',
+            departmentName: 'Department covered by the report',
+            period: 'Period covered, e.g. "October 1, 2026 to October 31, 2026"',
+            fileName: 'Name of the attached file'
+        },
+        sample: {
+            subscriptionName: 'Monthly revenue',
+            departmentName: 'All departments',
+            period: 'September 1, 2026 to September 30, 2026',
+            fileName: 'monthly-revenue-2026-09.xlsx'
+        },
+        subject: '{{subscriptionName}}: {{period}}',
+        htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>{{subscriptionName}} - San Pablo Colleges</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #1e40af; color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .content { padding: 30px 20px; background-color: #f8fafc; }
+        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>{{subscriptionName}}</h1>
+        </div>
+        <div class="content">
+            <p>The scheduled document request report is attached.</p>
+
+            <div class="info-box">
+                <p><strong>Department:</strong> {{departmentName}}</p>
+                <p><strong>Period:</strong> {{period}}</p>
+                <p><strong>File:</strong> {{fileName}}</p>
+            </div>
+
+            <p><strong>San Pablo Colleges</strong><br>
+            <strong>Registrar Office</strong></p>
+        </div>${FOOTER}
+    </div>
+</body>
+</html>`,
+        textBody: `The scheduled document request report "{{subscriptionName}}" is attached.
+
+Department: {{departmentName}}
+Period: {{period}}
+File: {{fileName}}
+
+San Pablo Colleges
+Registrar Office`
+    }
+};
@@ -22,7 +22,51 @@ const schema = Joi.object({
   SMTP_USER: Joi.string().allow('', null),
   SMTP_PASS: Joi.string().allow('', null),
   SMTP_FROM: Joi.string().allow('', null),
-  FRONTEND_URL: Joi.string().uri().required()
+  FRONTEND_URL: Joi.string().uri().required(),
+
+  // Payments: adapter used for new checkouts and webhook signing secrets
+  PAYMENT_GATEWAY: Joi.string().valid('mock', 'paymongo').default('mock'),
+  PAYMENT_WEBHOOK_SECRET: Joi.string().allow('', null),
+  PAYMONGO_SECRET_KEY: Joi.string().allow('', null),
+  PAYMONGO_WEBHOOK_SECRET: Joi.string().allow('', null),
+
+  // Official receipts: first month (1-12) of the school year used for OR numbering
+  RECEIPT_SCHOOL_YEAR_START_MONTH: Joi.number().integer().min(1).max(12).default(6),
+
+  // Requester portal: lifetime of the session issued after a magic-link/OTP login
+  REQUESTER_SESSION_MINUTES: Joi.number().integer().min(5).default(60),
+
+  // Days a deleted request stays in the trash before it is purged
+  TRASH_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+
+  // Open requests due within this many days are flagged as at risk of breaching their SLA
+  SLA_AT_RISK_DAYS: Joi.number().integer().min(0).default(1),
+
+  // Days documents can stay ready for pickup before the requester gets an unclaimed-documents alert
+  UNCLAIMED_ALERT_DAYS: Joi.number().integer().min(1).default(7),
+
+  // Pickup QR tokens: signing secret (defaults to JWT_SECRET) and days a token stays valid
+  PICKUP_TOKEN_SECRET: Joi.string().min(32).allow('', null),
+  PICKUP_TOKEN_TTL_DAYS: Joi.number().integer().min(1).default(30),
+
+  // Email outbox: send attempts before a message is dead, and the first retry delay (doubles per attempt)
+  EMAIL_OUTBOX_MAX_ATTEMPTS: Joi.number().integer().min(1).default(6),
+  EMAIL_OUTBOX_RETRY_SECONDS: Joi.number().integer().min(1).default(60),
+
+  // SMS: provider adapter (file writes messages to SMS_LOG_FILE instead of sending them; it is
+  // only the default outside production, where the provider must be named explicitly),
+  // seconds to wait for the provider, credentials and the secret signing inbound keyword
+  // callbacks to the file adapter
+  SMS_PROVIDER: Joi.string().valid('file', 'semaphore', 'twilio')
+    .when('NODE_ENV', { is: 'production', then: Joi.required(), otherwise: Joi.optional().default('file') }),
+  SMS_TIMEOUT_SECONDS: Joi.number().integer().min(1).default(5),
+  SMS_LOG_FILE: Joi.string().allow('', null),
+  SMS_WEBHOOK_SECRET: Joi.string().allow('', null),
+  SEMAPHORE_API_KEY: Joi.string().allow('', null),
+  SEMAPHORE_SENDER_NAME: Joi.string().max(11).allow('', null),
+  TWILIO_ACCOUNT_SID: Joi.string().allow('', null),
+  TWILIO_AUTH_TOKEN: Joi.string().allow('', null),
+  TWILIO_FROM_NUMBER: Joi.string().allow('', null)
 }).unknown(true);
 
 const { value, error } = schema.validate(process.env, { allowUnknown: true, abortEarly: false });
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Request status workflow definition
+ *
+ * Single source of truth for the statuses a document request can be in and
+ * the moves staff, admins and the system may make between them. Status names
+ * are the values stored in request_statuses.statusName; uiName is what the
+ * frontend sends and displays. Edit this file to change the workflow; every
+ * route that mutates a status goes through services/requestWorkflow.js.
+ *
+ * Transition options:
+ * - from: source status, or '*' for any non-terminal status
+ * - requiresReason: the caller must supply a non-empty reason
+ * - guards: named checks that must pass (see GUARDS in services/requestWorkflow.js)
+ * - actors: who may make the move ('staff' covers staff, admins and system jobs;
+ *   'requester' is the student/alumnus through the portal). Defaults to ['staff'].
+ * - via: only this dedicated endpoint may make the move (see DEDICATED_ROUTES in
+ *   services/requestWorkflow.js); generic status updates are refused with a 409
+ */
+
+module.exports = {
+    initialStatus: 'PENDING',
+
+    statuses: {
+        PENDING: {
+            uiName: 'PENDING',
+            description: 'Request has been submitted and is waiting for processing'
+        },
+        PROCESSING: {
+            uiName: 'PROCESSING',
+            description: 'Request is currently being processed'
+        },
+        READY: {
+            uiName: 'READY_FOR_PICKUP',
+            description: 'Request has been processed and is ready for pickup'
+        },
+        RELEASED: {
+            uiName: 'RELEASED',
+            description: 'Documents have been released to the requester',
+            terminal: true
+        },
+        DECLINE: {
+            uiName: 'DECLINED',
+            description: 'Request has been declined or rejected',
+            terminal: true
+        },
+        CANCELLED: {
+            uiName: 'CANCELLED',
+            description: 'Request was cancelled by the requester',
+            terminal: true
+        }
+    },
+
+    transitions: [
+        { from: 'PENDING', to: 'PROCESSING' },
+        { from: 'PROCESSING', to: 'READY', guards: ['paymentSettled'] },
+        // Release needs the single-use pickup token and, for representatives, a confirmed ID
+        { from: 'READY', to: 'RELEASED', via: 'pickupRelease' },
+        { from: '*', to: 'DECLINE', requiresReason: true },
+        // Requesters may withdraw a request until it is READY
+        { from: 'PENDING', to: 'CANCELLED', actors: ['requester'], requiresReason: true },
+        { from: 'PROCESSING', to: 'CANCELLED', actors: ['requester'], requiresReason: true }
+    ]
+};
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Where uploaded files are stored
+ *
+ * - uploads/ is served as-is by server.js under /uploads (alumni verification photos)
+ * - private_uploads/ is never served statically; authorization letters carry a
+ *   representative's ID and signature and are only read through the
+ *   staff-authenticated GET /api/staff/requests/:id/authorization-letter
+ *
+ * Letters uploaded before private_uploads/ existed are still in uploads/; server.js
+ * refuses to serve them there and the staff route falls back to that folder.
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+module.exports = {
+    PUBLIC_UPLOAD_DIR: path.join(ROOT, 'uploads'),
+    AUTHORIZATION_LETTER_DIR: path.join(ROOT, 'private_uploads', 'authorization-letters'),
+    AUTHORIZATION_LETTER_PREFIX: 'authorization-'
+};
@@ -1,16 +1,15 @@
 const Document = require('../models/Document');
 const DocumentRequest = require('../models/DocumentRequest');
+const PickupToken = require('../models/PickupToken');
+const PickupBooking = require('../services/pickupBooking');
 const Department = require('../models/Department');
 const MailService = require('../services/mailer');
-
-// DB to UI status mapping
-const DB_TO_UI_MAP = {
-    1: "PENDING",
-    2: "PROCESSING",
-    3: "READY_FOR_PICKUP",
-    4: "RELEASED",
-    5: "DECLINE"
-};
+const RequestWorkflow = require('../services/requestWorkflow');
+const { toUiName } = require('../services/requestWorkflow');
+const realtime = require('../services/realtime');
+const { slaStatusSql, SLA_STATUSES } = require('../services/slaCalculator');
+const TurnaroundAnalytics = require('../services/turnaroundAnalytics');
+const RequesterNotifier = require('../services/requesterNotifier');
 
 /**
  * Admin controller - handles admin-specific business logic
@@ -23,7 +22,11 @@ class AdminController {
         this.dbManager = dbManager;
         this.documentModel = new Document(dbManager);
         this.documentRequestModel = new DocumentRequest(dbManager);
+        this.pickupTokenModel = new PickupToken(dbManager);
         this.departmentModel = new Department(dbManager);
+        this.workflow = new RequestWorkflow(dbManager);
+        this.turnaroundAnalytics = new TurnaroundAnalytics(dbManager);
+        this.requesterNotifier = new RequesterNotifier(dbManager);
     }
 
     /**
@@ -55,7 +58,7 @@ class AdminController {
      */
     createDocument = async (req, res, next) => {
         try {
-            const { name, price, year_options = [], sem_options = [] } = req.body;
+            const { name, price, processing_days, year_options = [], sem_options = [] } = req.body;
 
             // Validate required fields
             if (!name || !price) {
@@ -74,6 +77,15 @@ class AdminController {
                 });
             }
 
+            // Validate processing target (working days)
+            const processingDays = processing_days === undefined ? undefined : Number(processing_days);
+            if (processingDays !== undefined && (!Number.isInteger(processingDays) || processingDays < 0)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Processing days must be a whole number of working days'
+                });
+            }
+
             // Check if document already exists
             const existingDoc = await this.documentModel.findByName(name);
             if (existingDoc) {
@@ -87,6 +99,7 @@ class AdminController {
             const documentData = {
                 documentName: name,
                 basePrice: numericPrice,
+                processingDays,
                 isActive: true
             };
 
@@ -113,7 +126,7 @@ class AdminController {
     updateDocument = async (req, res, next) => {
         try {
             const documentId = parseInt(req.params.id);
-            const { name, price, year_options = [], sem_options = [] } = req.body;
+            const { name, price, processing_days, year_options = [], sem_options = [] } = req.body;
 
             if (!documentId || isNaN(documentId)) {
                 return res.status(400).json({
@@ -139,6 +152,15 @@ class AdminController {
                 });
             }
 
+            // Validate processing target (working days)
+            const processingDays = processing_days === undefined ? undefined : Number(processing_days);
+            if (processingDays !== undefined && (!Number.isInteger(processingDays) || processingDays < 0)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Processing days must be a whole number of working days'
+                });
+            }
+
             // Check if document exists
             const existingDoc = await this.documentModel.findById(documentId);
             if (!existingDoc) {
@@ -162,7 +184,8 @@ class AdminController {
             // Update document
             const updateData = {
                 documentName: name,
-                basePrice: numericPrice
+                basePrice: numericPrice,
+                processingDays
             };
 
             const updatedDocument = await this.documentModel.update(documentId, updateData);
@@ -471,13 +494,14 @@ class AdminController {
                     END) as today_count
                 FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
+                WHERE dr.deletedAt IS NULL
                 GROUP BY rs.statusName, dr.statusId
                 ORDER BY dr.statusId
             `;
             const allStatuses = await this.dbManager.executeQuery(allStatusesQuery);
 
             // Total requests overall
-            const totalRequestsQuery = 'SELECT COUNT(*) as count FROM document_requests';
+            const totalRequestsQuery = 'SELECT COUNT(*) as count FROM document_requests WHERE deletedAt IS NULL';
             const totalRequests = await this.dbManager.executeQuery(totalRequestsQuery);
 
             // Calculate derived statistics
@@ -520,12 +544,12 @@ class AdminController {
             // Get requester statistics (student vs alumni requests)
             const studentRequests = await this.dbManager.executeQuery(`
                 SELECT COUNT(*) as count FROM document_requests dr
-                WHERE dr.requesterType = 'student'
+                WHERE dr.requesterType = 'student' AND dr.deletedAt IS NULL
             `);
 
             const alumniRequests = await this.dbManager.executeQuery(`
                 SELECT COUNT(*) as count FROM document_requests dr
-                WHERE dr.requesterType = 'alumni'
+                WHERE dr.requesterType = 'alumni' AND dr.deletedAt IS NULL
             `);
 
             // Get user statistics
@@ -538,6 +562,27 @@ class AdminController {
                 WHERE isActive = TRUE
             `);
 
+            // Pending/processing requests past or close to their SLA due date, per department
+            const slaByDepartment = await this.dbManager.executeQuery(`
+                SELECT
+                    d.department_id,
+                    d.department_name,
+                    SUM(sla.slaStatus = 'overdue') as overdue,
+                    SUM(sla.slaStatus = 'at_risk') as atRisk
+                FROM (
+                    SELECT dr.department_id, ${slaStatusSql('dr')} as slaStatus
+                    FROM document_requests dr
+                    JOIN request_statuses rs ON dr.statusId = rs.id
+                    WHERE dr.deletedAt IS NULL AND rs.statusName IN (${SLA_STATUSES.map(() => '?').join(',')})
+                ) sla
+                JOIN departments d ON sla.department_id = d.department_id
+                WHERE sla.slaStatus IN ('overdue', 'at_risk')
+                GROUP BY d.department_id, d.department_name
+                ORDER BY overdue DESC, atRisk DESC
+            `, SLA_STATUSES);
+            const totalOverdue = slaByDepartment.reduce((sum, row) => sum + Number(row.overdue), 0);
+            const totalAtRisk = slaByDepartment.reduce((sum, row) => sum + Number(row.atRisk), 0);
+
             const statistics = {
                 totalPending: totalPending,
                 totalProcessing: totalProcessing,
@@ -550,7 +595,15 @@ class AdminController {
                 totalAlumni: alumniRequests[0].count,
                 completionRate: totalRequests[0].count > 0
                     ? Math.round((totalReleased / totalRequests[0].count) * 100)
-                    : 0
+                    : 0,
+                totalOverdue,
+                totalAtRisk,
+                slaByDepartment: slaByDepartment.map(row => ({
+                    department_id: row.department_id,
+                    department_name: row.department_name,
+                    overdue: Number(row.overdue),
+                    atRisk: Number(row.atRisk)
+                }))
             };
 
             res.json({
@@ -564,6 +617,50 @@ class AdminController {
         }
     };
 
+    /**
+     * Get processing turnaround statistics (median/p90 hours from PENDING to READY
+     * and READY to RELEASED) per department, document type, staff member and week
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getTurnaroundStats = async (req, res, next) => {
+        try {
+            const { fromDate, toDate, departmentId } = req.query;
+
+            const periodError = this.turnaroundAnalytics.validatePeriod(fromDate, toDate);
+            if (periodError) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: periodError
+                });
+            }
+
+            let departmentIds;
+            if (departmentId) {
+                const deptIdInt = parseInt(departmentId, 10);
+                if (isNaN(deptIdInt) || deptIdInt <= 0) {
+                    return res.status(400).json({
+                        error: 'Validation error',
+                        message: 'Invalid department ID format'
+                    });
+                }
+                departmentIds = [deptIdInt];
+            }
+
+            const turnaround = await this.turnaroundAnalytics.build({ fromDate, toDate, departmentIds });
+
+            res.json({
+                success: true,
+                data: turnaround
+            });
+
+        } catch (error) {
+            console.error('Turnaround statistics error:', error);
+            next(error);
+        }
+    };
+
     /**
      * Get all document requests with pagination (admin function)
      * @param {Object} req - Express request object
@@ -634,7 +731,7 @@ class AdminController {
                 LEFT JOIN departments d ON c.department_id = d.department_id
                 LEFT JOIN request_documents rd ON dr.id = rd.requestId
                 LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
-                WHERE 1=1
+                WHERE dr.deletedAt IS NULL
             `;
             const params = [];
 
@@ -692,7 +789,7 @@ class AdminController {
                 SELECT COUNT(*) as total
                 FROM document_requests dr
                 LEFT JOIN courses c ON dr.courseId = c.id
-                WHERE 1=1
+                WHERE dr.deletedAt IS NULL
             `;
             const countParams = [];
 
@@ -767,7 +864,7 @@ class AdminController {
                 FROM document_requests dr
                 LEFT JOIN courses c ON dr.courseId = c.id
                 LEFT JOIN departments d ON c.department_id = d.department_id
-                WHERE dr.id = ?
+                WHERE dr.id = ? AND dr.deletedAt IS NULL
             `;
             const results = await this.dbManager.executeQuery(query, [requestId]);
             const request = results[0];
@@ -1316,6 +1413,9 @@ class AdminController {
                 );
             }
 
+            // Move the user's open sockets to their new rooms (or disconnect them if deactivated)
+            await realtime.refreshUser(userId);
+
             // Get updated user
             const updatedUser = await this.dbManager.executeQuery(`
                 SELECT
@@ -1402,6 +1502,9 @@ class AdminController {
                 [userId]
             );
 
+            // Drop the account's open sockets
+            await realtime.refreshUser(userId);
+
             res.json({
                 success: true,
                 message: `User "${existingUser[0].username}" deleted successfully`
@@ -1422,7 +1525,7 @@ class AdminController {
     updateRequestStatus = async (req, res, next) => {
         try {
             const requestId = parseInt(req.params.id);
-            const { statusId: providedStatusId, scheduledPickup } = req.body;
+            const { statusId: providedStatusId, status: providedStatus, scheduledPickup, reason } = req.body;
             const user = req.user;
             const { role, department_ids } = req.user;
 
@@ -1476,52 +1579,27 @@ class AdminController {
             let statusId = null;
             let dbStatusName = null;
 
-            // Handle status update if provided
-            if (providedStatusId !== undefined) {
-                statusId = parseInt(providedStatusId);
+            // Handle status update if provided (ID, DB name or UI name)
+            if (providedStatusId !== undefined || providedStatus !== undefined) {
+                const targetStatus = await this.workflow.resolveStatus(providedStatusId ?? providedStatus);
 
-                // Validate statusId is a valid number
-                if (isNaN(statusId)) {
+                if (!targetStatus) {
                     return res.status(400).json({
                         error: 'Invalid statusId',
-                        message: 'statusId must be a valid number'
+                        message: `Status '${providedStatusId ?? providedStatus}' is not recognized.`
                     });
                 }
 
-                // Get the database status name from the mapping
-                dbStatusName = DB_TO_UI_MAP[statusId];
-
-                // 2. ERROR CATCH: If statusId isn't in the map, it's invalid
-                if (!dbStatusName) {
-                    console.error(`❌ Invalid statusId: ${statusId} not found in DB_TO_UI_MAP.`);
-                    return res.status(400).json({
-                        error: 'Invalid statusId',
-                        message: `statusId '${statusId}' is not recognized.`
+                const transitionError = this.workflow.validateTransition(existingRequest, targetStatus.statusName, { reason });
+                if (transitionError) {
+                    return res.status(transitionError.statusCode).json({
+                        error: transitionError.error,
+                        message: transitionError.message
                     });
                 }
 
-                // 3. DATABASE CHECK: Verify the status actually exists in the lookup table
-                const [statusRow] = await this.dbManager.executeQuery(
-                    'SELECT id FROM request_statuses WHERE statusName = ? AND isActive = TRUE',
-                    [dbStatusName]
-                );
-
-                if (!statusRow) {
-                    console.error(`❌ DB Sync Issue: "${dbStatusName}" exists in code but not in 'request_statuses' table.`);
-                    return res.status(400).json({
-                        error: 'Database error',
-                        message: `Status '${dbStatusName}' is not configured in the database.`
-                    });
-                }
-
-                // Ensure the statusId matches
-                if (statusRow.id !== statusId) {
-                    console.error(`❌ Status ID mismatch: expected ${statusId}, got ${statusRow.id}`);
-                    return res.status(400).json({
-                        error: 'Database error',
-                        message: 'Status ID mismatch in database.'
-                    });
-                }
+                statusId = targetStatus.id;
+                dbStatusName = targetStatus.statusName;
             }
 
             // Handle scheduledPickup update if provided
@@ -1573,12 +1651,25 @@ class AdminController {
                 });
             }
 
-            // Handle dateCompleted for RELEASED status
-            if (dbStatusName === 'RELEASED') {
-                await this.dbManager.executeQuery(
-                    'UPDATE document_requests SET dateCompleted = NOW() WHERE id = ?',
-                    [requestId]
-                );
+            // A date set by staff replaces any slot the requester booked
+            if (scheduledPickup !== undefined) {
+                await new PickupBooking(this.dbManager).clear(requestId);
+            }
+
+            const statusChanged = statusId !== null && statusId !== existingRequest.statusId;
+
+            if (statusChanged) {
+                let trackingNotes = `Status changed from ${toUiName(existingRequest.status)} to ${toUiName(dbStatusName)} by ${user.role} (${user.firstName} ${user.lastName})`;
+                if (reason) {
+                    trackingNotes += `: ${String(reason).trim()}`;
+                }
+                await this.documentRequestModel.addTrackingEntry(requestId, statusId, trackingNotes, user.id);
+
+                realtime.requestStatusChanged(existingRequest, {
+                    previousStatus: existingRequest.status,
+                    status: dbStatusName,
+                    changedBy: user.id
+                });
             }
 
             console.log(`✅ Success: Request ${requestId} updated by ${user.email}`);
@@ -1586,10 +1677,15 @@ class AdminController {
             // =====================================================
             // EMAIL NOTIFICATION: Send email when status changes to READY_FOR_PICKUP
             // =====================================================
-            // Check if status changed TO READY_FOR_PICKUP (statusId = 3) from a different status
-            const READY_STATUS_ID = 3; // READY_FOR_PICKUP status ID
-            
-            if (statusId === READY_STATUS_ID && existingRequest.statusId !== READY_STATUS_ID) {
+            // Every move into READY issues a pickup QR token, whatever the notification
+            // preferences; requesters who get no email show it from the requester portal
+            let pickupToken = null;
+            if (dbStatusName === 'READY' && statusChanged) {
+                ({ token: pickupToken } = await this.pickupTokenModel.issue(requestId));
+            }
+
+            // Check if status changed TO READY from a different status
+            if (pickupToken && await this.requesterNotifier.allows(requestId, 'ready', 'email')) {
                 console.log(`📧 Triggering email notification for Request ${requestId} - Status changed to READY_FOR_PICKUP`);
                 
                 try {
@@ -1621,14 +1717,15 @@ class AdminController {
                     const studentData = studentResult[0];
                     
                     if (studentData && studentData.email) {
-                        const mailService = new MailService();
+                        const mailService = req.mailService || new MailService();
                         
                         const emailResult = await mailService.sendReadyForPickupEmail({
                             toEmail: studentData.email,
                             fullName: studentData.fullName,
                             referenceNumber: studentData.referenceNumber,
                             documentType: studentData.documentType || 'Requested Document',
-                            scheduledPickup: scheduledPickup || studentData.scheduledPickup
+                            scheduledPickup: scheduledPickup || studentData.scheduledPickup,
+                            pickupToken
                         });
                         
                         if (emailResult) {
@@ -1645,6 +1742,14 @@ class AdminController {
                 }
             }
 
+            // Processing / declined emails and status SMS, as the requester's preferences allow
+            if (statusChanged) {
+                await this.requesterNotifier.statusChanged(requestId, dbStatusName, {
+                    reason,
+                    mailService: req.mailService || new MailService()
+                });
+            }
+
             // 5. RETURN STANDARDIZED DATA
             const [updatedRow] = await this.dbManager.executeQuery(
                 `SELECT dr.id, dr.statusId, rs.statusName, dr.scheduledPickup, dr.updatedAt
@@ -1657,7 +1762,7 @@ class AdminController {
             console.log(`Updated row:`, updatedRow);
 
             // Map back to UI naming convention before sending to frontend
-            updatedRow.status = DB_TO_UI_MAP[updatedRow.statusId] || "UNKNOWN";
+            updatedRow.status = toUiName(updatedRow.statusName) || "UNKNOWN";
             updatedRow.scheduledPickup = updatedRow.scheduledPickup
                 ? new Date(updatedRow.scheduledPickup).toISOString().split('T')[0]
                 : null;
@@ -1675,6 +1780,118 @@ class AdminController {
         }
     };
 
+    /**
+     * Get the request status workflow graph (admin function)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getWorkflow = async (req, res, next) => {
+        try {
+            const graph = await this.workflow.getGraph();
+
+            res.json({
+                success: true,
+                data: graph
+            });
+
+        } catch (error) {
+            console.error('Get workflow error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * List requests in the trash with the date each will be purged (admin function)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getTrash = async (req, res, next) => {
+        try {
+            const { page = 1, limit = 10 } = req.query;
+            const limitNum = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitNum;
+            const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+            const [requests, total] = await Promise.all([
+                this.documentRequestModel.getDeleted({ limit: limitNum, offset }),
+                this.documentRequestModel.countDeleted()
+            ]);
+
+            res.json({
+                success: true,
+                requests: requests.map(request => ({
+                    ...request,
+                    status: toUiName(request.status),
+                    purgeAfter: new Date(new Date(request.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+                })),
+                retentionDays,
+                pagination: {
+                    currentPage: parseInt(page),
+                    limit: limitNum,
+                    offset: offset,
+                    total: total,
+                    pages: Math.ceil(total / limitNum),
+                    hasNext: offset + limitNum < total,
+                    hasPrev: offset > 0
+                }
+            });
+
+        } catch (error) {
+            console.error('Get trash error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Restore a request from the trash (admin function)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    restoreRequest = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const user = req.user;
+
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const deletedRequest = await this.documentRequestModel.findById(requestId, { includeDeleted: true });
+            if (!deletedRequest || !deletedRequest.deletedAt) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID is in the trash'
+                });
+            }
+
+            await this.documentRequestModel.restore(requestId);
+            await this.documentRequestModel.addTrackingEntry(
+                requestId,
+                deletedRequest.statusId,
+                `Request restored from trash by ${user.role} (${user.firstName} ${user.lastName})`,
+                user.id
+            );
+
+            console.log(`♻️ Request ${requestId} restored from trash by ${user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Request restored',
+                request: await this.documentRequestModel.findById(requestId)
+            });
+
+        } catch (error) {
+            console.error('Restore request error:', error);
+            next(error);
+        }
+    };
+
     /**
      * Generate temporary password for admin accounts
      * @returns {string} Temporary password
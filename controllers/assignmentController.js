@@ -0,0 +1,213 @@
+/**
+ * Assignment controller - configures and adjusts which staff member handles each request
+ */
+const DocumentRequest = require('../models/DocumentRequest');
+const StaffAssignment = require('../services/staffAssignment');
+const { STRATEGIES } = require('../services/staffAssignment');
+
+/**
+ * Assignment Controller Class
+ * Admin endpoints for per-department assignment strategies, single-request
+ * reassignment and bulk rebalancing of open requests
+ */
+class AssignmentController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+        this.staffAssignment = new StaffAssignment(dbManager);
+    }
+
+    /**
+     * List every department with its assignment strategy and eligible staff workload
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getSettings = async (req, res, next) => {
+        try {
+            const departments = await this.staffAssignment.getSettings();
+
+            res.json({
+                success: true,
+                strategies: STRATEGIES,
+                data: departments
+            });
+
+        } catch (error) {
+            console.error('Get assignment settings error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Set the assignment strategy of a department
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateStrategy = async (req, res, next) => {
+        try {
+            const departmentId = parseInt(req.params.departmentId);
+            const { strategy } = req.body;
+
+            if (!departmentId || isNaN(departmentId)) {
+                return res.status(400).json({
+                    error: 'Invalid department ID',
+                    message: 'Department ID must be a valid number'
+                });
+            }
+
+            if (!STRATEGIES.includes(strategy)) {
+                return res.status(400).json({
+                    error: 'Invalid strategy',
+                    message: `Strategy must be one of: ${STRATEGIES.join(', ')}`
+                });
+            }
+
+            const departments = await this.dbManager.executeQuery(
+                'SELECT department_id FROM departments WHERE department_id = ?',
+                [departmentId]
+            );
+            if (departments.length === 0) {
+                return res.status(404).json({
+                    error: 'Department not found',
+                    message: 'No department found with the provided ID'
+                });
+            }
+
+            await this.staffAssignment.setStrategy(departmentId, strategy, req.user.id);
+
+            console.log(`👥 Department ${departmentId} assignment strategy set to ${strategy} by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Assignment strategy updated',
+                data: { department_id: departmentId, strategy }
+            });
+
+        } catch (error) {
+            console.error('Update assignment strategy error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Reassign one request to another staff member (or unassign it)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    reassignRequest = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const { userId } = req.body;
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            const toUserId = userId === null ? null : parseInt(userId);
+
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            if (toUserId !== null && (!toUserId || isNaN(toUserId))) {
+                return res.status(400).json({
+                    error: 'Invalid user ID',
+                    message: 'userId must be a staff user ID, or null to unassign'
+                });
+            }
+
+            if (!reason) {
+                return res.status(400).json({
+                    error: 'Reason required',
+                    message: 'A reason must be provided when reassigning a request'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID'
+                });
+            }
+
+            if (toUserId !== null && !(await this.staffAssignment.isEligible(toUserId, request.department_id))) {
+                return res.status(400).json({
+                    error: 'Invalid assignee',
+                    message: 'The user must be active staff assigned to the request\'s department'
+                });
+            }
+
+            if (toUserId === request.processedBy) {
+                return res.status(409).json({
+                    error: 'No change',
+                    message: 'The request is already assigned to this user'
+                });
+            }
+
+            await this.staffAssignment.assign(request, toUserId, { user: req.user, reason });
+
+            res.json({
+                success: true,
+                message: toUserId ? 'Request reassigned' : 'Request unassigned',
+                request: await this.documentRequestModel.findById(requestId)
+            });
+
+        } catch (error) {
+            console.error('Reassign request error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Spread the open requests of a department evenly over its staff
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    rebalanceDepartment = async (req, res, next) => {
+        try {
+            const departmentId = parseInt(req.params.departmentId);
+            const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+            if (!departmentId || isNaN(departmentId)) {
+                return res.status(400).json({
+                    error: 'Invalid department ID',
+                    message: 'Department ID must be a valid number'
+                });
+            }
+
+            const staff = await this.staffAssignment.getEligibleStaff(departmentId);
+            if (staff.length === 0) {
+                return res.status(409).json({
+                    error: 'No eligible staff',
+                    message: 'The department has no active staff to assign requests to'
+                });
+            }
+
+            const moves = await this.staffAssignment.rebalance(departmentId, { user: req.user, reason });
+
+            console.log(`👥 Rebalanced department ${departmentId}: ${moves.length} request(s) moved by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: `${moves.length} request(s) reassigned`,
+                data: {
+                    moves,
+                    staff: await this.staffAssignment.getEligibleStaff(departmentId)
+                }
+            });
+
+        } catch (error) {
+            console.error('Rebalance department error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = AssignmentController;
@@ -539,7 +539,7 @@ class AuthController {
             await this.userModel.updateResetToken(user.id, hashedToken, resetTokenExpiry);
 
             // Initialize mail service and send password reset email
-            const mailService = new MailService();
+            const mailService = req.mailService || new MailService();
             const userName = `${user.firstName} ${user.lastName}`;
 
             try {
@@ -641,7 +641,7 @@ class AuthController {
             }
 
             // Send password change confirmation email
-            const mailService = new MailService();
+            const mailService = req.mailService || new MailService();
             const userName = `${user.firstName} ${user.lastName}`;
 
             try {
@@ -46,6 +46,76 @@ class DepartmentController {
             next(error);
         }
     };
+
+    /**
+     * Get all departments with their heads (admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function for error handling
+     */
+    getDepartmentHeads = async (req, res, next) => {
+        try {
+            const departments = await this.departmentModel.getAllWithHeads();
+
+            res.json({
+                success: true,
+                data: departments,
+                count: departments.length
+            });
+
+        } catch (error) {
+            console.error('❌ Error fetching department heads:', error.message);
+            next(error);
+        }
+    };
+
+    /**
+     * Set the head email of a department (admin)
+     * The head receives escalation emails for overdue requests.
+     *
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function for error handling
+     */
+    updateDepartmentHead = async (req, res, next) => {
+        try {
+            const departmentId = parseInt(req.params.id);
+            const headEmail = typeof req.body.head_email === 'string' ? req.body.head_email.trim().toLowerCase() : null;
+
+            if (!departmentId || isNaN(departmentId)) {
+                return res.status(400).json({
+                    error: 'Invalid department ID',
+                    message: 'Department ID must be a valid number'
+                });
+            }
+
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (headEmail && !emailRegex.test(headEmail)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'head_email must be a valid email address'
+                });
+            }
+
+            const updated = await this.departmentModel.updateHeadEmail(departmentId, headEmail || null);
+            if (!updated) {
+                return res.status(404).json({
+                    error: 'Department not found',
+                    message: 'No department found with the provided ID'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: headEmail ? 'Department head updated' : 'Department head cleared',
+                data: { department_id: departmentId, head_email: headEmail || null }
+            });
+
+        } catch (error) {
+            console.error('❌ Error updating department head:', error.message);
+            next(error);
+        }
+    };
 }
 
 module.exports = DepartmentController;
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Email outbox controller - lets admins inspect, resend and cancel outgoing emails
+ */
+const EmailOutbox = require('../services/emailOutbox');
+const { STATUSES } = require('../services/emailOutbox');
+
+/**
+ * Email Outbox Controller Class
+ * Uses the outbox MailService was given in server.js, so a resend is sent by the same worker.
+ */
+class EmailOutboxController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.outbox = mailService?.outbox || new EmailOutbox(dbManager, mailService);
+    }
+
+    /**
+     * Parse the message ID route parameter, answering 400 when invalid
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {number|null} Message ID, or null if a response was sent
+     */
+    parseMessageId = (req, res) => {
+        const id = parseInt(req.params.id);
+        if (!id || isNaN(id)) {
+            res.status(400).json({
+                error: 'Invalid message ID',
+                message: 'Message ID must be a valid number'
+            });
+            return null;
+        }
+        return id;
+    };
+
+    /**
+     * List outgoing emails, newest first, optionally for one request reference or status
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    listMessages = async (req, res, next) => {
+        try {
+            const { referenceNumber, status, page = 1, limit = 20 } = req.query;
+
+            if (status && !STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: `status must be one of: ${STATUSES.join(', ')}`
+                });
+            }
+
+            const limitNum = Math.min(parseInt(limit) || 20, 100);
+            const pageNum = Math.max(parseInt(page) || 1, 1);
+            const offset = (pageNum - 1) * limitNum;
+
+            const { messages, total } = await this.outbox.list({
+                referenceNumber: referenceNumber ? String(referenceNumber).trim() : null,
+                status,
+                limit: limitNum,
+                offset
+            });
+
+            res.json({
+                success: true,
+                data: messages,
+                pagination: {
+                    currentPage: pageNum,
+                    limit: limitNum,
+                    offset: offset,
+                    total: total,
+                    pages: Math.ceil(total / limitNum),
+                    hasNext: offset + limitNum < total,
+                    hasPrev: offset > 0
+                }
+            });
+
+        } catch (error) {
+            console.error('List email outbox error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Get one email with its delivery log
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getMessage = async (req, res, next) => {
+        try {
+            const id = this.parseMessageId(req, res);
+            if (!id) return;
+
+            const message = await this.outbox.findById(id);
+            if (!message) {
+                return res.status(404).json({
+                    error: 'Message not found',
+                    message: 'No queued email found with the provided ID'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: message
+            });
+
+        } catch (error) {
+            console.error('Get email outbox message error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Queue an email again (dead, failed, cancelled or already sent)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    resendMessage = async (req, res, next) => {
+        try {
+            const id = this.parseMessageId(req, res);
+            if (!id) return;
+
+            const result = await this.outbox.resend(id);
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            console.log(`📧 Email #${id} queued again by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Email queued for sending',
+                data: result.message
+            });
+
+        } catch (error) {
+            console.error('Resend email outbox message error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Cancel an email that has not been sent yet
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    cancelMessage = async (req, res, next) => {
+        try {
+            const id = this.parseMessageId(req, res);
+            if (!id) return;
+
+            const result = await this.outbox.cancel(id, req.user.id);
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            console.log(`📧 Email #${id} cancelled by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Email cancelled',
+                data: result.message
+            });
+
+        } catch (error) {
+            console.error('Cancel email outbox message error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = EmailOutboxController;
@@ -0,0 +1,327 @@
+/**
+ * Email template controller - lets admins edit, reset and preview outgoing email templates
+ */
+const EmailTemplates = require('../services/emailTemplates');
+const { parseTemplate, TemplateSyntaxError } = require('../services/emailTemplates');
+
+// Same shape as the built-in keys (the MailService message kinds)
+const TEMPLATE_KEY_REGEX = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Largest HTML or text body accepted (MEDIUMTEXT holds far more)
+const MAX_BODY_LENGTH = 200000;
+
+/**
+ * Email Template Controller Class
+ */
+class EmailTemplateController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.templates = mailService?.templates || new EmailTemplates(dbManager);
+        this.templateModel = this.templates.templateModel;
+    }
+
+    /**
+     * Validate template fields from a request body
+     * @param {Object} body - Template fields
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - Allow missing fields (updates)
+     * @returns {Object} { data } or { error } with a message for a 400 response
+     */
+    validateTemplateData(body = {}, { partial = false } = {}) {
+        const data = {};
+
+        for (const [field, maxLength] of [['name', 100], ['subject', 255]]) {
+            if (body[field] === undefined && partial) continue;
+            const value = typeof body[field] === 'string' ? body[field].trim() : '';
+            if (!value) return { error: `${field} is required` };
+            if (value.length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+            data[field] = value;
+        }
+
+        if (body.description !== undefined) {
+            const description = typeof body.description === 'string' ? body.description.trim() : '';
+            if (description.length > 255) return { error: 'description must be at most 255 characters' };
+            data.description = description || null;
+        }
+
+        if (body.htmlBody !== undefined || !partial) {
+            if (typeof body.htmlBody !== 'string' || !body.htmlBody.trim()) {
+                return { error: 'htmlBody is required' };
+            }
+            data.htmlBody = body.htmlBody;
+        }
+
+        if (body.textBody !== undefined) {
+            if (body.textBody !== null && typeof body.textBody !== 'string') {
+                return { error: 'textBody must be a string or null' };
+            }
+            data.textBody = body.textBody && body.textBody.trim() ? body.textBody : null;
+        }
+
+        for (const field of ['subject', 'htmlBody', 'textBody']) {
+            if (!data[field]) continue;
+            if (data[field].length > MAX_BODY_LENGTH) {
+                return { error: `${field} must be at most ${MAX_BODY_LENGTH} characters` };
+            }
+            try {
+                parseTemplate(data[field]);
+            } catch (error) {
+                if (!(error instanceof TemplateSyntaxError)) throw error;
+                return { error: `${field}: ${error.message}` };
+            }
+        }
+
+        return { data };
+    }
+
+    /**
+     * Load the template named in the route, answering 404 when missing
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object|null>} Template, or null if a response was sent
+     */
+    findTemplate = async (req, res) => {
+        const template = await this.templates.findByKey(req.params.key);
+        if (!template) {
+            res.status(404).json({
+                error: 'Template not found',
+                message: 'No email template found with the provided key'
+            });
+            return null;
+        }
+        return template;
+    };
+
+    /**
+     * List all email templates
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    listTemplates = async (req, res, next) => {
+        try {
+            const templates = await this.templates.list();
+
+            res.json({
+                success: true,
+                data: templates,
+                count: templates.length
+            });
+        } catch (error) {
+            console.error('List email templates error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Get one email template with its bodies, variables and sample values
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getTemplate = async (req, res, next) => {
+        try {
+            const template = await this.findTemplate(req, res);
+            if (!template) return;
+
+            res.json({
+                success: true,
+                data: template
+            });
+        } catch (error) {
+            console.error('Get email template error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Add a template (sent from code with MailService.sendTemplateEmail)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    createTemplate = async (req, res, next) => {
+        try {
+            const templateKey = typeof req.body.templateKey === 'string' ? req.body.templateKey.trim() : '';
+            if (!TEMPLATE_KEY_REGEX.test(templateKey)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'templateKey must be 2-50 lowercase letters, digits or underscores, starting with a letter'
+                });
+            }
+
+            const { data, error } = this.validateTemplateData(req.body);
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            if (await this.templateModel.findByKey(templateKey)) {
+                return res.status(409).json({
+                    error: 'Template already exists',
+                    message: `An email template with the key "${templateKey}" already exists`
+                });
+            }
+
+            const template = await this.templateModel.create({ ...data, templateKey, updatedBy: req.user.id });
+
+            console.log(`✉️  Email template "${templateKey}" created by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Email template created successfully',
+                data: template
+            });
+        } catch (error) {
+            console.error('Create email template error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Update an email template
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateTemplate = async (req, res, next) => {
+        try {
+            const existing = await this.findTemplate(req, res);
+            if (!existing) return;
+
+            const { data, error } = this.validateTemplateData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const template = await this.templateModel.update(existing.templateKey, { ...data, updatedBy: req.user.id });
+
+            console.log(`✉️  Email template "${existing.templateKey}" updated by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Email template updated successfully',
+                data: template
+            });
+        } catch (error) {
+            console.error('Update email template error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Delete a template added by an admin (built-in templates can only be reset)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    deleteTemplate = async (req, res, next) => {
+        try {
+            const existing = await this.findTemplate(req, res);
+            if (!existing) return;
+
+            if (existing.isSystem) {
+                return res.status(409).json({
+                    error: 'Built-in template',
+                    message: 'Built-in templates cannot be deleted; reset the template to restore its original text'
+                });
+            }
+
+            await this.templateModel.delete(existing.templateKey);
+
+            console.log(`✉️  Email template "${existing.templateKey}" deleted by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Email template deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete email template error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Restore a built-in template's original subject and bodies
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    resetTemplate = async (req, res, next) => {
+        try {
+            const result = await this.templates.reset(req.params.key, req.user.id);
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            console.log(`✉️  Email template "${req.params.key}" reset by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Email template reset to its original text',
+                data: result.template
+            });
+        } catch (error) {
+            console.error('Reset email template error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Render a template against its sample values or a real request
+     * Body (all optional): subject, htmlBody, textBody to preview unsaved changes,
+     * variables to override values, and requestId or referenceNumber of a request.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    previewTemplate = async (req, res, next) => {
+        try {
+            const template = await this.findTemplate(req, res);
+            if (!template) return;
+
+            const { subject, htmlBody, textBody, variables, requestId, referenceNumber } = req.body || {};
+
+            if (variables !== undefined && (variables === null || typeof variables !== 'object' || Array.isArray(variables))) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'variables must be an object'
+                });
+            }
+
+            const preview = await this.templates.preview(template, {
+                draft: { subject, htmlBody, textBody },
+                variables,
+                requestRef: requestId || (referenceNumber ? String(referenceNumber).trim() : null)
+            });
+            if (preview.error) {
+                return res.status(preview.statusCode).json({
+                    error: preview.error,
+                    message: preview.message
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    subject: preview.subject,
+                    html: preview.html,
+                    text: preview.text || null,
+                    variables: preview.variables,
+                    unknownVariables: preview.unknownVariables
+                }
+            });
+        } catch (error) {
+            console.error('Preview email template error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = EmailTemplateController;
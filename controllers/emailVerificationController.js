@@ -4,7 +4,11 @@
  */
 
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const DocumentRequest = require('../models/DocumentRequest');
+const RequesterOtp = require('../models/RequesterOtp');
 const TOKEN_EXPIRY = 15 * 60 * 1000; // 15 minutes
+const REQUESTER_LOGIN_PURPOSE = 'login';
 
 class EmailVerificationController {
     /**
@@ -127,7 +131,7 @@ class EmailVerificationController {
 
             console.log('📧 Sending email via MailService...');
             // Use the injected MailService instance
-            await this.mailService.sendMail(mailOptions);
+            await this.mailService.sendMail(mailOptions, { kind: 'email_verification' });
             console.log(`📧 Verification email sent successfully to ${email}`);
 
             res.json({
@@ -288,6 +292,116 @@ class EmailVerificationController {
             });
         }
     }
+
+    /**
+     * Send a requester portal sign-in code and magic link
+     * The response is the same whether or not the email has requests, so the
+     * endpoint cannot be used to find out who has filed requests.
+     *
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async sendRequesterLoginCode(req, res) {
+        try {
+            const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                return res.status(400).json({
+                    error: 'Invalid email',
+                    message: 'Please provide a valid email address'
+                });
+            }
+
+            const requests = await new DocumentRequest(this.dbManager).getByRequesterEmail(email);
+
+            if (requests.length > 0) {
+                const expiresInMinutes = TOKEN_EXPIRY / 60000;
+                const { code, linkToken } = await new RequesterOtp(this.dbManager).create({
+                    email,
+                    purpose: REQUESTER_LOGIN_PURPOSE,
+                    expiresInMinutes,
+                    withLink: true
+                });
+
+                await this.mailService.sendRequesterLoginEmail({
+                    toEmail: email,
+                    code,
+                    loginUrl: `${process.env.FRONTEND_URL}/portal/login?token=${linkToken}`,
+                    expiresInMinutes
+                });
+            } else {
+                console.log(`ℹ️ Requester login requested for email without requests: ${email}`);
+            }
+
+            res.json({
+                success: true,
+                message: 'If this email has document requests, a sign-in code has been sent to it'
+            });
+
+        } catch (error) {
+            console.error('Send requester login code error:', error);
+            res.status(500).json({
+                error: 'Failed to send email',
+                message: 'Unable to send sign-in code. Please try again.'
+            });
+        }
+    }
+
+    /**
+     * Exchange a sign-in code (email + code) or magic-link token for a requester session
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async verifyRequesterLogin(req, res) {
+        try {
+            const { email, code, token } = req.body;
+            const otpModel = new RequesterOtp(this.dbManager);
+
+            let otp = null;
+            if (token) {
+                otp = await otpModel.consumeLinkToken(String(token), REQUESTER_LOGIN_PURPOSE);
+            } else if (email && code) {
+                otp = await otpModel.consumeCode({ email, code, purpose: REQUESTER_LOGIN_PURPOSE });
+            } else {
+                return res.status(400).json({
+                    error: 'Code required',
+                    message: 'Provide either the sign-in link token or your email and sign-in code'
+                });
+            }
+
+            if (!otp) {
+                return res.status(400).json({
+                    error: 'Invalid or expired code',
+                    message: 'The sign-in code or link is invalid or has expired. Please request a new one.'
+                });
+            }
+
+            const sessionMinutes = parseInt(process.env.REQUESTER_SESSION_MINUTES) || 60;
+            const sessionToken = jwt.sign(
+                { type: 'requester', role: 'requester', email: otp.email },
+                process.env.JWT_SECRET,
+                { expiresIn: `${sessionMinutes}m`, audience: 'requester' }
+            );
+
+            console.log(`✅ Requester signed in: ${otp.email}`);
+
+            res.json({
+                success: true,
+                message: 'Signed in successfully',
+                token: sessionToken,
+                email: otp.email,
+                expiresIn: sessionMinutes * 60
+            });
+
+        } catch (error) {
+            console.error('Verify requester login error:', error);
+            res.status(500).json({
+                error: 'Verification failed',
+                message: 'Unable to sign in. Please try again.'
+            });
+        }
+    }
 }
 
 module.exports = EmailVerificationController;
@@ -0,0 +1,152 @@
+/**
+ * Job controller - lets admins inspect, trigger and pause background jobs
+ */
+
+/**
+ * Job Controller Class
+ * Wraps the JobScheduler created in server.js (req.app.locals.jobScheduler)
+ */
+class JobController {
+    /**
+     * @param {Object} jobScheduler - JobScheduler instance
+     */
+    constructor(jobScheduler) {
+        this.jobScheduler = jobScheduler;
+    }
+
+    /**
+     * Answer 503 when the scheduler is not available
+     * @param {Object} res - Express response object
+     * @returns {boolean} True if a response was sent
+     */
+    rejectIfUnavailable = (res) => {
+        if (this.jobScheduler) return false;
+
+        res.status(503).json({
+            error: 'Scheduler unavailable',
+            message: 'The background job scheduler is not running'
+        });
+        return true;
+    };
+
+    /**
+     * List jobs with their schedule, last outcome and next run
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    listJobs = async (req, res, next) => {
+        try {
+            if (this.rejectIfUnavailable(res)) return;
+
+            const jobs = await this.jobScheduler.list();
+
+            res.json({
+                success: true,
+                data: jobs,
+                count: jobs.length
+            });
+
+        } catch (error) {
+            console.error('List jobs error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Run a job immediately (also works while the job is paused)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    runJob = async (req, res, next) => {
+        try {
+            if (this.rejectIfUnavailable(res)) return;
+
+            const outcome = await this.jobScheduler.run(req.params.name, {
+                trigger: 'manual',
+                triggeredBy: req.user.id
+            });
+
+            if (!outcome) {
+                return res.status(404).json({
+                    error: 'Job not found',
+                    message: `No job named '${req.params.name}'`
+                });
+            }
+
+            if (outcome.status === 'skipped') {
+                return res.status(409).json({
+                    error: 'Job not run',
+                    message: outcome.result
+                });
+            }
+
+            console.log(`⚙️ Job ${req.params.name} run manually by ${req.user.username}: ${outcome.status}`);
+
+            res.json({
+                success: outcome.status === 'success',
+                message: outcome.status === 'success' ? 'Job completed' : 'Job failed',
+                data: outcome
+            });
+
+        } catch (error) {
+            console.error('Run job error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Pause a job so scheduled runs are skipped
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    pauseJob = async (req, res, next) => {
+        await this.setPaused(req, res, next, true);
+    };
+
+    /**
+     * Resume a paused job
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    resumeJob = async (req, res, next) => {
+        await this.setPaused(req, res, next, false);
+    };
+
+    /**
+     * Change the pause flag of a job
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     * @param {boolean} paused - New pause state
+     */
+    setPaused = async (req, res, next, paused) => {
+        try {
+            if (this.rejectIfUnavailable(res)) return;
+
+            const found = await this.jobScheduler.setPaused(req.params.name, paused, req.user.id);
+            if (!found) {
+                return res.status(404).json({
+                    error: 'Job not found',
+                    message: `No job named '${req.params.name}'`
+                });
+            }
+
+            console.log(`⚙️ Job ${req.params.name} ${paused ? 'paused' : 'resumed'} by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: paused ? 'Job paused' : 'Job resumed'
+            });
+
+        } catch (error) {
+            console.error(`${paused ? 'Pause' : 'Resume'} job error:`, error);
+            next(error);
+        }
+    };
+}
+
+module.exports = JobController;
@@ -0,0 +1,234 @@
+/**
+ * Out-of-office controller - leave periods and delegates for staff
+ */
+const OutOfOffice = require('../services/outOfOffice');
+
+/**
+ * Out-of-Office Controller Class
+ * Staff manage their own leave period; admins can set or clear it for any staff member
+ */
+class OutOfOfficeController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.outOfOffice = new OutOfOffice(dbManager);
+    }
+
+    /**
+     * Validate and save an out-of-office period for a staff member
+     * @param {number} userId - Staff member going on leave
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    saveOutOfOffice = async (userId, req, res) => {
+        const { start, end, delegateUserId } = req.body;
+
+        const validationError = await this.outOfOffice.validate(userId, { start, end, delegateUserId });
+        if (validationError) {
+            return res.status(validationError.statusCode).json({
+                error: validationError.error,
+                message: validationError.message
+            });
+        }
+
+        await this.outOfOffice.set(userId, { start, end, delegateUserId });
+
+        console.log(`🏖️ Out of office set for user ${userId} (${start} to ${end}, delegate ${delegateUserId}) by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Out-of-office period saved',
+            data: await this.outOfOffice.getStatus(userId)
+        });
+    };
+
+    /**
+     * Get the signed-in staff member's out-of-office settings and who they are covering for
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getMyOutOfOffice = async (req, res, next) => {
+        try {
+            const [status, coveringFor] = await Promise.all([
+                this.outOfOffice.getStatus(req.user.id),
+                this.outOfOffice.getAbsentOwners(req.user.id)
+            ]);
+
+            res.json({
+                success: true,
+                data: { ...status, coveringFor }
+            });
+
+        } catch (error) {
+            console.error('Get out-of-office error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * List the staff members the signed-in user can delegate to
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getDelegateOptions = async (req, res, next) => {
+        try {
+            const staff = await this.dbManager.executeQuery(
+                `SELECT id, firstName, lastName, email
+                 FROM users
+                 WHERE role = 'staff' AND isActive = TRUE AND id <> ?
+                 ORDER BY lastName, firstName`,
+                [req.user.id]
+            );
+
+            res.json({
+                success: true,
+                data: staff
+            });
+
+        } catch (error) {
+            console.error('Get delegate options error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Set the signed-in staff member's out-of-office period
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    setMyOutOfOffice = async (req, res, next) => {
+        try {
+            await this.saveOutOfOffice(req.user.id, req, res);
+
+        } catch (error) {
+            console.error('Set out-of-office error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Clear the signed-in staff member's out-of-office period
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    clearMyOutOfOffice = async (req, res, next) => {
+        try {
+            await this.outOfOffice.clear(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Out-of-office period cleared'
+            });
+
+        } catch (error) {
+            console.error('Clear out-of-office error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Load the staff member targeted by an admin route
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {Promise<number|null>} User ID, or null after sending an error response
+     */
+    findStaffUser = async (req, res) => {
+        const userId = parseInt(req.params.id);
+        if (!userId || isNaN(userId)) {
+            res.status(400).json({
+                error: 'Invalid user ID',
+                message: 'User ID must be a valid number'
+            });
+            return null;
+        }
+
+        const users = await this.dbManager.executeQuery(
+            "SELECT id FROM users WHERE id = ? AND role = 'staff'",
+            [userId]
+        );
+        if (users.length === 0) {
+            res.status(404).json({
+                error: 'User not found',
+                message: 'No staff member found with the provided ID'
+            });
+            return null;
+        }
+
+        return userId;
+    };
+
+    /**
+     * Get a staff member's out-of-office settings (admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getUserOutOfOffice = async (req, res, next) => {
+        try {
+            const userId = await this.findStaffUser(req, res);
+            if (!userId) return;
+
+            res.json({
+                success: true,
+                data: await this.outOfOffice.getStatus(userId)
+            });
+
+        } catch (error) {
+            console.error('Get user out-of-office error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Set a staff member's out-of-office period (admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    setUserOutOfOffice = async (req, res, next) => {
+        try {
+            const userId = await this.findStaffUser(req, res);
+            if (!userId) return;
+
+            await this.saveOutOfOffice(userId, req, res);
+
+        } catch (error) {
+            console.error('Set user out-of-office error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Clear a staff member's out-of-office period (admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    clearUserOutOfOffice = async (req, res, next) => {
+        try {
+            const userId = await this.findStaffUser(req, res);
+            if (!userId) return;
+
+            await this.outOfOffice.clear(userId);
+
+            console.log(`🏖️ Out of office cleared for user ${userId} by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Out-of-office period cleared'
+            });
+
+        } catch (error) {
+            console.error('Clear user out-of-office error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = OutOfOfficeController;
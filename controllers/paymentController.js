@@ -0,0 +1,445 @@
+/**
+ * Payment controller - handles online payments for document requests
+ */
+const DocumentRequest = require('../models/DocumentRequest');
+const Payment = require('../models/Payment');
+const OfficialReceipt = require('../models/OfficialReceipt');
+const RequestWorkflow = require('../services/requestWorkflow');
+const RequesterNotifier = require('../services/requesterNotifier');
+const { getGateway, isPaymentSettled } = require('../services/payments');
+const realtime = require('../services/realtime');
+
+/**
+ * Payment Controller Class
+ * Opens gateway checkouts, applies signed webhook callbacks, and lets staff
+ * waive or refund the fee of a request
+ */
+class PaymentController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+        this.paymentModel = new Payment(dbManager);
+        this.receiptModel = new OfficialReceipt(dbManager);
+        this.workflow = new RequestWorkflow(dbManager);
+        this.requesterNotifier = new RequesterNotifier(dbManager);
+    }
+
+    /**
+     * Resolve the current status ID of a request
+     * @param {number} requestId - Request ID
+     * @returns {Promise<number>} Status ID
+     */
+    getCurrentStatusId = async (requestId) => {
+        const rows = await this.dbManager.executeQuery(
+            'SELECT statusId FROM document_requests WHERE id = ?',
+            [requestId]
+        );
+        return rows[0]?.statusId || 1;
+    };
+
+    /**
+     * List payments of a request (staff and admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getPayments = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID'
+                });
+            }
+
+            const payments = await this.paymentModel.getByRequestId(requestId);
+
+            res.json({
+                success: true,
+                data: {
+                    requestId,
+                    referenceNumber: request.referenceNumber,
+                    totalAmount: request.totalAmount,
+                    paymentStatus: request.paymentStatus,
+                    settled: isPaymentSettled(request),
+                    payments
+                }
+            });
+
+        } catch (error) {
+            console.error('Get payments error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Start an online payment for a request (public)
+     * The caller must know the request's reference number.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    createPayment = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const { referenceNumber } = req.body;
+
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request || !referenceNumber || request.referenceNumber !== String(referenceNumber).trim()) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID and reference number'
+                });
+            }
+
+            if (request.status === 'DECLINE') {
+                return res.status(409).json({
+                    error: 'Request declined',
+                    message: 'Declined requests cannot be paid'
+                });
+            }
+
+            if (isPaymentSettled(request)) {
+                return res.status(409).json({
+                    error: 'Already settled',
+                    message: `This request does not require payment (status: ${request.paymentStatus})`
+                });
+            }
+
+            const gateway = getGateway();
+            if (!gateway) {
+                return res.status(500).json({
+                    error: 'Payment gateway unavailable',
+                    message: 'The configured payment gateway is not supported'
+                });
+            }
+
+            // Reuse an open checkout from the same gateway instead of opening a second one
+            const pending = await this.paymentModel.findPendingByRequestId(requestId);
+            if (pending && pending.provider === gateway.name && pending.checkoutUrl) {
+                return res.json({
+                    success: true,
+                    message: 'Checkout already in progress',
+                    data: pending
+                });
+            }
+
+            const payment = await this.paymentModel.create({
+                requestId,
+                provider: gateway.name,
+                amount: request.totalAmount
+            });
+
+            const documents = await this.documentRequestModel.getRequestDocuments(requestId);
+            const returnUrl = `${process.env.FRONTEND_URL}/track/${encodeURIComponent(request.referenceNumber)}`;
+
+            let checkout;
+            try {
+                checkout = await gateway.createCheckout({
+                    payment,
+                    request,
+                    documents,
+                    successUrl: `${returnUrl}?payment=success`,
+                    cancelUrl: `${returnUrl}?payment=cancelled`
+                });
+            } catch (gatewayError) {
+                await this.paymentModel.update(payment.id, { status: 'FAILED', notes: gatewayError.message });
+                console.error('❌ Checkout creation failed:', gatewayError.message);
+                return res.status(502).json({
+                    error: 'Payment gateway error',
+                    message: 'Unable to start the payment. Please try again later.'
+                });
+            }
+
+            const updatedPayment = await this.paymentModel.update(payment.id, {
+                providerReference: checkout.providerReference,
+                checkoutUrl: checkout.checkoutUrl
+            });
+
+            console.log(`💳 Checkout ${checkout.providerReference} opened for request ${requestId} via ${gateway.name}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Checkout created',
+                data: updatedPayment
+            });
+
+        } catch (error) {
+            console.error('Create payment error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Handle a signed payment gateway callback (public)
+     * Marks the payment and request as paid and moves a PENDING request to PROCESSING.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    handleWebhook = async (req, res, next) => {
+        try {
+            const gateway = getGateway(req.params.provider);
+            if (!gateway) {
+                return res.status(404).json({
+                    error: 'Unknown provider',
+                    message: `No payment gateway named '${req.params.provider}'`
+                });
+            }
+
+            if (!gateway.verifyWebhook(req)) {
+                console.warn(`⚠️ Rejected ${gateway.name} webhook with invalid signature`);
+                return res.status(401).json({
+                    error: 'Invalid signature',
+                    message: 'Webhook signature verification failed'
+                });
+            }
+
+            const outcome = gateway.parseWebhook(req.body);
+            if (!outcome) {
+                // Event types we do not act on are acknowledged so the provider stops retrying
+                return res.json({ success: true, received: true, ignored: true });
+            }
+
+            const payment = await this.paymentModel.findByProviderReference(gateway.name, outcome.providerReference);
+            if (!payment) {
+                return res.status(404).json({
+                    error: 'Payment not found',
+                    message: 'No payment matches the provider reference'
+                });
+            }
+
+            // Callbacks can be delivered more than once; only PENDING payments change
+            if (payment.status !== 'PENDING') {
+                return res.json({ success: true, received: true, status: payment.status });
+            }
+
+            if (outcome.status !== 'PAID') {
+                await this.paymentModel.updateIfPending(payment.id, { status: outcome.status });
+                return res.json({ success: true, received: true, status: outcome.status });
+            }
+
+            // The conditional update lets only one of several concurrent deliveries through
+            const settled = await this.paymentModel.updateIfPending(payment.id, {
+                status: 'PAID',
+                providerPaymentId: outcome.providerPaymentId,
+                paidAt: new Date()
+            });
+            if (!settled) {
+                const current = await this.paymentModel.findById(payment.id);
+                return res.json({ success: true, received: true, status: current?.status || payment.status });
+            }
+
+            const request = await this.documentRequestModel.findById(payment.requestId);
+            await this.documentRequestModel.update(payment.requestId, { paymentStatus: 'PAID' });
+            await this.documentRequestModel.addTrackingEntry(
+                payment.requestId,
+                await this.getCurrentStatusId(payment.requestId),
+                `Payment of PHP ${Number(payment.amount).toFixed(2)} received via ${gateway.name} (${outcome.providerReference})`
+            );
+
+            // A paid request no longer waits on the requester
+            if (request?.status === 'PENDING') {
+                const processing = await this.workflow.resolveStatus('PROCESSING');
+                if (processing && !this.workflow.validateTransition(request, processing.statusName)) {
+                    await this.documentRequestModel.update(payment.requestId, { statusId: processing.id });
+                    await this.documentRequestModel.addTrackingEntry(
+                        payment.requestId,
+                        processing.id,
+                        'Request moved to processing after payment'
+                    );
+                    realtime.requestStatusChanged(request, { previousStatus: request.status, status: processing.statusName });
+                    await this.requesterNotifier.statusChanged(payment.requestId, 'PROCESSING', { mailService: req.mailService });
+                }
+            }
+
+            console.log(`✅ Payment ${payment.id} for request ${payment.requestId} marked as PAID`);
+
+            res.json({ success: true, received: true, status: 'PAID' });
+
+        } catch (error) {
+            console.error('Payment webhook error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Waive the fee of a request (staff and admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    waivePayment = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            const user = req.user;
+
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            if (!reason) {
+                return res.status(400).json({
+                    error: 'Reason required',
+                    message: 'A reason must be provided when waiving a payment'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID'
+                });
+            }
+
+            if (request.paymentStatus === 'PAID' || request.paymentStatus === 'WAIVED') {
+                return res.status(409).json({
+                    error: 'Already settled',
+                    message: `Payment is already ${request.paymentStatus}`
+                });
+            }
+
+            const pending = await this.paymentModel.findPendingByRequestId(requestId);
+            if (pending) {
+                await this.paymentModel.update(pending.id, { status: 'CANCELLED', notes: 'Cancelled because the fee was waived' });
+            }
+
+            const updatedRequest = await this.documentRequestModel.update(requestId, { paymentStatus: 'WAIVED' });
+            await this.documentRequestModel.addTrackingEntry(
+                requestId,
+                await this.getCurrentStatusId(requestId),
+                `Payment waived by ${user.role} (${user.firstName} ${user.lastName}): ${reason}`,
+                user.id
+            );
+
+            res.json({
+                success: true,
+                message: 'Payment waived',
+                request: updatedRequest
+            });
+
+        } catch (error) {
+            console.error('Waive payment error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Refund a paid payment through its gateway (admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    refundPayment = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const paymentId = parseInt(req.params.paymentId);
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            const user = req.user;
+
+            if (!reason) {
+                return res.status(400).json({
+                    error: 'Reason required',
+                    message: 'A reason must be provided when refunding a payment'
+                });
+            }
+
+            const payment = await this.paymentModel.findById(paymentId);
+            if (!payment || payment.requestId !== requestId) {
+                return res.status(404).json({
+                    error: 'Payment not found',
+                    message: 'No payment found for this request with the provided ID'
+                });
+            }
+
+            if (payment.status !== 'PAID') {
+                return res.status(409).json({
+                    error: 'Not refundable',
+                    message: `Only PAID payments can be refunded (current: ${payment.status})`
+                });
+            }
+
+            const gateway = getGateway(payment.provider);
+            if (!gateway) {
+                return res.status(500).json({
+                    error: 'Payment gateway unavailable',
+                    message: `Gateway '${payment.provider}' is no longer supported`
+                });
+            }
+
+            try {
+                await gateway.refund({ payment, reason });
+            } catch (gatewayError) {
+                console.error('❌ Refund failed:', gatewayError.message);
+                return res.status(502).json({
+                    error: 'Payment gateway error',
+                    message: gatewayError.message
+                });
+            }
+
+            const updatedPayment = await this.paymentModel.update(paymentId, {
+                status: 'REFUNDED',
+                refundedAt: new Date(),
+                refundedBy: user.id,
+                notes: reason
+            });
+
+            await this.documentRequestModel.update(requestId, { paymentStatus: 'REFUNDED' });
+            const statusId = await this.getCurrentStatusId(requestId);
+            await this.documentRequestModel.addTrackingEntry(
+                requestId,
+                statusId,
+                `Payment of PHP ${Number(payment.amount).toFixed(2)} refunded by ${user.role} (${user.firstName} ${user.lastName}): ${reason}`,
+                user.id
+            );
+
+            // A refunded payment must not leave a reprintable proof of payment behind
+            const receipt = await this.receiptModel.findActiveByRequestId(requestId);
+            if (receipt) {
+                await this.receiptModel.void(receipt.id, user.id, `Payment refunded: ${reason}`);
+                await this.documentRequestModel.addTrackingEntry(
+                    requestId,
+                    statusId,
+                    `Official receipt ${receipt.orNumber} voided by ${user.role} (${user.firstName} ${user.lastName}) after the payment was refunded`,
+                    user.id
+                );
+            }
+
+            res.json({
+                success: true,
+                message: 'Payment refunded',
+                data: updatedPayment
+            });
+
+        } catch (error) {
+            console.error('Refund payment error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = PaymentController;
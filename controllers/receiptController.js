@@ -0,0 +1,225 @@
+/**
+ * Receipt controller - issues, reprints and voids official receipts
+ */
+const DocumentRequest = require('../models/DocumentRequest');
+const Payment = require('../models/Payment');
+const OfficialReceipt = require('../models/OfficialReceipt');
+const PDFGenerator = require('../services/pdfGenerator');
+
+/**
+ * Receipt Controller Class
+ * The first print of a paid request issues the next OR number; later prints
+ * of the same receipt are watermarked REPRINT until it is voided
+ */
+class ReceiptController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+        this.paymentModel = new Payment(dbManager);
+        this.receiptModel = new OfficialReceipt(dbManager);
+        this.pdfGenerator = new PDFGenerator();
+    }
+
+    /**
+     * Issue (or reprint) the receipt of a request and render it as PDF
+     * Shared by the staff route and the requester portal.
+     *
+     * @param {Object} request - Document request (from DocumentRequest.findById)
+     * @param {Object} options
+     * @param {number|null} options.issuedBy - User ID issuing a new receipt
+     * @param {string} options.generatedBy - Label printed in the footer
+     * @param {boolean} options.allowIssue - Whether a missing receipt may be issued now
+     * @returns {Promise<Object>} { receipt, pdfBuffer, reprint } or { error } when not printable
+     */
+    renderReceipt = async (request, { issuedBy = null, generatedBy, allowIssue = true }) => {
+        let receipt = await this.receiptModel.findActiveByRequestId(request.id);
+        const payments = await this.paymentModel.getByRequestId(request.id);
+        const paidPayment = payments.find(p => p.status === 'PAID');
+
+        if (!receipt) {
+            if (request.paymentStatus !== 'PAID') {
+                return { error: `Receipts are only issued for paid requests (payment status: ${request.paymentStatus})` };
+            }
+            if (!allowIssue) {
+                return { error: 'No official receipt has been issued for this request yet' };
+            }
+
+            // issue() re-checks under a lock, so a concurrent first print gets the same receipt
+            const issuedReceipt = await this.receiptModel.issue({
+                requestId: request.id,
+                paymentId: paidPayment?.id || null,
+                amount: paidPayment?.amount ?? request.totalAmount,
+                issuedBy
+            });
+            receipt = issuedReceipt.receipt;
+            if (issuedReceipt.issued) {
+                console.log(`🧾 Issued ${receipt.orNumber} for request ${request.id}`);
+            }
+        }
+
+        const reprint = receipt.printCount > 0;
+        receipt = await this.receiptModel.recordPrint(receipt.id);
+
+        const documents = await this.documentRequestModel.getRequestDocuments(request.id);
+        const pdfBuffer = await this.pdfGenerator.generateReceiptPDF({
+            receipt,
+            request,
+            documents,
+            paymentMethod: paidPayment ? `Online (${paidPayment.provider})` : 'Over the counter',
+            reprint,
+            generatedBy,
+            generatedAt: new Date()
+        });
+
+        return { receipt, pdfBuffer, reprint };
+    };
+
+    /**
+     * Send a rendered receipt as a PDF download
+     * @param {Object} res - Express response object
+     * @param {Object} receipt - Receipt row
+     * @param {Buffer} pdfBuffer - Rendered PDF
+     * @param {boolean} reprint - Whether this print is a reprint
+     */
+    sendReceipt = (res, receipt, pdfBuffer, reprint) => {
+        const filename = `${receipt.orNumber}${reprint ? '-REPRINT' : ''}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', pdfBuffer.length);
+        res.send(pdfBuffer);
+    };
+
+    /**
+     * Download the official receipt of a request (staff and admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getReceipt = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID'
+                });
+            }
+
+            const result = await this.renderReceipt(request, {
+                issuedBy: req.user.id,
+                generatedBy: req.user.email
+            });
+
+            if (result.error) {
+                return res.status(409).json({
+                    error: 'Receipt unavailable',
+                    message: result.error
+                });
+            }
+
+            this.sendReceipt(res, result.receipt, result.pdfBuffer, result.reprint);
+
+        } catch (error) {
+            console.error('Get receipt error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * List every receipt issued for a request, including voided ones (staff and admin)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getReceiptHistory = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const receipts = await this.receiptModel.getByRequestId(requestId);
+
+            res.json({
+                success: true,
+                data: receipts,
+                count: receipts.length
+            });
+
+        } catch (error) {
+            console.error('Get receipt history error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Void the active receipt of a request (admin)
+     * The next download issues a replacement with a new OR number.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    voidReceipt = async (req, res, next) => {
+        try {
+            const requestId = parseInt(req.params.id);
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            const user = req.user;
+
+            if (!reason) {
+                return res.status(400).json({
+                    error: 'Reason required',
+                    message: 'A reason must be provided when voiding a receipt'
+                });
+            }
+
+            const receipt = await this.receiptModel.findActiveByRequestId(requestId);
+            if (!receipt) {
+                return res.status(404).json({
+                    error: 'Receipt not found',
+                    message: 'This request has no active official receipt'
+                });
+            }
+
+            const voided = await this.receiptModel.void(receipt.id, user.id, reason);
+
+            const statusRows = await this.dbManager.executeQuery(
+                'SELECT statusId FROM document_requests WHERE id = ?',
+                [requestId]
+            );
+            await this.documentRequestModel.addTrackingEntry(
+                requestId,
+                statusRows[0]?.statusId || 1,
+                `Official receipt ${receipt.orNumber} voided by ${user.role} (${user.firstName} ${user.lastName}): ${reason}`,
+                user.id
+            );
+
+            console.log(`🧾 Voided ${receipt.orNumber} for request ${requestId}`);
+
+            res.json({
+                success: true,
+                message: 'Receipt voided',
+                data: voided
+            });
+
+        } catch (error) {
+            console.error('Void receipt error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = ReceiptController;
@@ -1,6 +1,19 @@
+const { PassThrough } = require('stream');
 const DocumentRequest = require('../models/DocumentRequest');
 const Department = require('../models/Department');
 const PDFGenerator = require('../services/pdfGenerator');
+const ReportExporter = require('../services/reportExporter');
+const RevenueReport = require('../services/revenueReport');
+const { INTERVALS } = require('../services/revenueReport');
+const { parseReportFilters, buildFilterSql, describeFilters } = require('../services/reportFilters');
+
+// Output formats accepted by generateReport (?format=) and their MIME types
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+const REPORT_FORMATS = Object.keys(CONTENT_TYPES);
 
 /**
  * Report Controller - handles secure document request report generation
@@ -27,6 +40,8 @@ class ReportController {
         this.documentRequestModel = new DocumentRequest(dbManager);
         this.departmentModel = new Department(dbManager);
         this.pdfGenerator = new PDFGenerator();
+        this.reportExporter = new ReportExporter();
+        this.revenueReport = new RevenueReport(dbManager);
     }
 
     /**
@@ -114,9 +129,10 @@ class ReportController {
      * @param {Date} fromDate - Start date
      * @param {Date} toDate - End date
      * @param {string} userRole - User role (admin or staff)
+     * @param {Object} [filters] - Optional report filters (see services/reportFilters)
      * @returns {Object} { query: string, params: array }
      */
-    buildReportQuery = (departmentId, fromDate, toDate, userRole) => {
+    buildReportQuery = (departmentId, fromDate, toDate, userRole, filters) => {
         // Format dates for MySQL YYYY-MM-DD HH:MM:SS
         const fromDateStr = new Date(fromDate).toISOString().slice(0, 10) + ' 00:00:00';
         const toDateStr = new Date(toDate).toISOString().slice(0, 10) + ' 23:59:59';
@@ -155,16 +171,22 @@ class ReportController {
             LEFT JOIN request_documents rd ON dr.id = rd.requestId
             LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
             WHERE dr.createdAt BETWEEN ? AND ?
+              AND dr.deletedAt IS NULL
         `;
 
         const params = [fromDateStr, toDateStr];
 
-        // Apply department filter
-        if (userRole === 'staff') {
+        // Apply department filter (always set for staff; optional for admin)
+        if (departmentId) {
             query += ` AND dr.department_id = ?`;
             params.push(departmentId);
         }
-        // If admin, no department filter - they see all
+        // If admin without a department, no filter - they see all
+
+        // Status, requester, document type, course, purpose, staff and term filters
+        const extra = buildFilterSql(filters);
+        query += extra.sql;
+        params.push(...extra.params);
 
         // Group by request ID and order by date (most recent first)
         query += ` GROUP BY dr.id ORDER BY dr.createdAt DESC`;
@@ -173,185 +195,438 @@ class ReportController {
     };
 
     /**
-     * Generate document request report (main endpoint)
-     * Enforces role-based and department-based access control
+     * Build the line-item query used by the CSV and XLSX exports
+     * Same filters as buildReportQuery, but one row per request_documents line
+     * with its unit price, line total and the request total.
      *
-     * @param {Object} req - Express request object with user data from JWT
+     * @param {number} departmentId - Department ID (validated), or undefined for all
+     * @param {Date} fromDate - Start date
+     * @param {Date} toDate - End date
+     * @param {Object} [filters] - Optional report filters (see services/reportFilters)
+     * @returns {Object} { query: string, params: array }
+     */
+    buildLineItemQuery = (departmentId, fromDate, toDate, filters) => {
+        const fromDateStr = new Date(fromDate).toISOString().slice(0, 10) + ' 00:00:00';
+        const toDateStr = new Date(toDate).toISOString().slice(0, 10) + ' 23:59:59';
+
+        let query = `
+            SELECT
+                dr.referenceNumber,
+                dr.createdAt as dateRequested,
+                dr.requesterType,
+                CASE
+                    WHEN dr.requesterType = 'student' THEN s.studentNumber
+                    ELSE CONCAT('ALU-', a.id)
+                END as studentId,
+                CASE
+                    WHEN dr.requesterType = 'student' THEN CONCAT(s.surname, ', ', s.firstName, ' ', COALESCE(s.middleInitial, ''))
+                    ELSE CONCAT(a.surname, ', ', a.firstName, ' ', COALESCE(a.middleInitial, ''))
+                END as studentName,
+                c.courseName as course,
+                d.department_name,
+                rs.statusName as status,
+                dr.paymentStatus,
+                dt.documentName as documentType,
+                rd.quantity,
+                rd.unitPrice,
+                rd.totalPrice as lineTotal,
+                dr.totalAmount as requestTotal,
+                COALESCE(CONCAT(u.firstName, ' ', u.lastName), 'N/A') as processedBy
+            FROM document_requests dr
+            JOIN request_documents rd ON dr.id = rd.requestId
+            JOIN document_types dt ON rd.documentTypeId = dt.id
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN courses c ON dr.courseId = c.id
+            LEFT JOIN departments d ON dr.department_id = d.department_id
+            LEFT JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN users u ON dr.processedBy = u.id
+            WHERE dr.createdAt BETWEEN ? AND ?
+              AND dr.deletedAt IS NULL
+        `;
+
+        const params = [fromDateStr, toDateStr];
+
+        if (departmentId) {
+            query += ` AND dr.department_id = ?`;
+            params.push(departmentId);
+        }
+
+        const extra = buildFilterSql(filters);
+        query += extra.sql;
+        params.push(...extra.params);
+
+        query += ` ORDER BY dr.createdAt DESC, dr.id, rd.id`;
+
+        return { query, params };
+    };
+
+    /**
+     * Write the line-item report as CSV or XLSX to a writable stream
+     * Rows are written as they arrive from the database.
+     *
+     * @param {import('stream').Writable} output - Destination (HTTP response or buffer sink)
+     * @param {Object} options
+     * @param {string} options.format - 'csv' or 'xlsx'
+     * @param {number} [options.departmentId] - Department filter
+     * @param {string} options.departmentName - Worksheet name
+     * @param {Date} options.fromDate - Validated start date
+     * @param {Date} options.toDate - Validated end date
+     * @param {Object} [options.filters] - Report filters
+     * @param {string} options.generatedBy - Email of the user the report is for
+     */
+    writeSpreadsheet = async (output, { format, departmentId, departmentName, fromDate, toDate, filters, generatedBy }) => {
+        const { query, params } = this.buildLineItemQuery(departmentId, fromDate, toDate, filters);
+        const rows = this.dbManager.streamQuery(query, params);
+
+        try {
+            if (format === 'csv') {
+                await this.reportExporter.writeCsv(rows, output);
+            } else {
+                await this.reportExporter.writeXlsx(rows, output, { sheetName: departmentName, generatedBy });
+            }
+        } catch (error) {
+            rows.destroy();
+            throw error;
+        }
+    };
+
+    /**
+     * Stream the report as a CSV or XLSX download
+     * Once streaming has started the status can no longer change, so a failure aborts the response.
+     *
+     * @param {Object} req - Express request object
      * @param {Object} res - Express response object
-     * @param {Function} next - Express next function
+     * @param {Object} scope - Result of resolveReportScope
+     * @param {string} format - 'csv' or 'xlsx'
      */
-    generateReport = async (req, res, next) => {
+    exportSpreadsheet = async (req, res, scope, format) => {
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${this.getFileBase(scope)}.${format}"`);
+
         try {
-            // =============== AUTHENTICATION & AUTHORIZATION ===============
-            // This is already handled by authMiddleware.verifyToken + requireRole
-            // req.user contains: id, email, role, and other JWT payload
+            await this.writeSpreadsheet(res, {
+                format,
+                departmentId: scope.departmentId,
+                departmentName: scope.departmentName,
+                fromDate: scope.fromDateValue,
+                toDate: scope.toDateValue,
+                filters: scope.filters,
+                generatedBy: req.user.email
+            });
+        } catch (error) {
+            if (!res.headersSent) throw error;
 
-            if (!req.user) {
-                return res.status(401).json({
-                    error: 'Authentication required',
-                    message: 'User not authenticated'
-                });
-            }
+            console.error('Report export aborted:', error.message);
+            res.destroy(error);
+        }
+    };
 
-            const userId = req.user.id;
-            const userRole = req.user.role;
+    /**
+     * Build the download file name (without extension) of a report
+     * @param {Object} scope - Result of resolveReportScope
+     * @returns {string} File name
+     */
+    getFileBase = (scope) => {
+        return `Document_Request_Report_${scope.departmentName.replace(/\s+/g, '_')}_${scope.fromDate}_to_${scope.toDate}`;
+    };
 
-            // Only admin and staff can generate reports
-            if (!['admin', 'staff'].includes(userRole)) {
-                return res.status(403).json({
-                    error: 'Access forbidden',
-                    message: 'Only admin and staff can generate reports'
-                });
-            }
+    /**
+     * Generate the PDF report
+     * @param {Object} scope - Result of resolveReportScope
+     * @param {string} generatedBy - Email printed in the footer
+     * @returns {Promise<Buffer>} PDF file buffer
+     */
+    buildReportPDF = async (scope, generatedBy) => {
+        const { userRole, fromDate, toDate, fromDateValue, toDateValue } = scope;
+
+        // =============== FETCH DATA ===============
+        const { query, params } = this.buildReportQuery(
+            scope.departmentId,
+            fromDateValue,
+            toDateValue,
+            userRole,
+            scope.filters
+        );
+
+        const [reportData, revenue, filterLines] = await Promise.all([
+            this.dbManager.executeQuery(query, params),
+            this.revenueReport.build({ fromDate, toDate, departmentId: scope.departmentId, filters: scope.filters }),
+            describeFilters(this.dbManager, scope.filters)
+        ]);
+
+        // =============== AGGREGATE STATISTICS ===============
+        const stats = {
+            total: reportData.length,
+            pending: reportData.filter(r => r.status === 'PENDING').length,
+            processing: reportData.filter(r => r.status === 'PROCESSING').length,
+            approved: reportData.filter(r => r.status === 'READY').length,
+            released: reportData.filter(r => r.status === 'RELEASED').length,
+            declined: reportData.filter(r => r.status === 'DECLINE').length
+        };
+
+        // =============== GENERATE PDF ===============
+        return await this.pdfGenerator.generateReportPDF({
+            title: `DOCUMENT REQUEST REPORT – ${scope.departmentName}`,
+            userRole,
+            departmentName: scope.departmentName,
+            dateRange: {
+                from: fromDate,
+                to: toDate
+            },
+            filters: filterLines,
+            statistics: stats,
+            revenue,
+            data: reportData,
+            generatedBy,
+            generatedAt: new Date()
+        });
+    };
 
-            // =============== INPUT VALIDATION ===============
-            const { fromDate, toDate, departmentId } = req.query;
+    /**
+     * Render a report into memory, e.g. to attach it to an email
+     * @param {Object} scope - Report scope (see resolveReportScope)
+     * @param {string} format - 'pdf', 'csv' or 'xlsx'
+     * @param {string} generatedBy - Email of the user the report is for
+     * @returns {Promise<Object>} { filename, contentType, content: Buffer }
+     */
+    renderReport = async (scope, format, generatedBy) => {
+        let content;
+        if (format === 'pdf') {
+            content = await this.buildReportPDF(scope, generatedBy);
+        } else {
+            const chunks = [];
+            const sink = new PassThrough();
+            sink.on('data', chunk => chunks.push(chunk));
+
+            await this.writeSpreadsheet(sink, {
+                format,
+                departmentId: scope.departmentId,
+                departmentName: scope.departmentName,
+                fromDate: scope.fromDateValue,
+                toDate: scope.toDateValue,
+                filters: scope.filters,
+                generatedBy
+            });
+            content = Buffer.concat(chunks);
+        }
 
-            // Validate dates exist
-            if (!fromDate || !toDate) {
-                return res.status(400).json({
-                    error: 'Validation error',
-                    message: 'Both fromDate and toDate are required'
-                });
-            }
+        return {
+            filename: `${this.getFileBase(scope)}.${format}`,
+            contentType: CONTENT_TYPES[format],
+            content
+        };
+    };
 
-            // Validate date formats
-            const fromDateValidation = this.validateDate(fromDate);
-            if (!fromDateValidation.isValid) {
-                return res.status(400).json({
-                    error: 'Validation error',
-                    message: `Invalid fromDate: ${fromDateValidation.error}`
-                });
-            }
+    /**
+     * Validate the report parameters and resolve which department may be reported on
+     * Shared by every report endpoint so they apply the same role-based access control.
+     * Sends the error response itself and returns null when the request is rejected.
+     *
+     * @param {Object} req - Express request object with user data from JWT
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object|null>} { userRole, fromDate, toDate, fromDateValue, toDateValue, departmentId, departmentName, filters }
+     */
+    resolveReportScope = async (req, res) => {
+        // =============== AUTHENTICATION & AUTHORIZATION ===============
+        // This is already handled by authMiddleware.verifyToken + requireRole
+        // req.user contains: id, email, role, and other JWT payload
+
+        if (!req.user) {
+            res.status(401).json({
+                error: 'Authentication required',
+                message: 'User not authenticated'
+            });
+            return null;
+        }
 
-            const toDateValidation = this.validateDate(toDate);
-            if (!toDateValidation.isValid) {
-                return res.status(400).json({
-                    error: 'Validation error',
-                    message: `Invalid toDate: ${toDateValidation.error}`
-                });
-            }
+        const userId = req.user.id;
+        const userRole = req.user.role;
 
-            // Validate date range
-            const dateRangeValidation = this.validateDateRange(
-                fromDateValidation.date,
-                toDateValidation.date
-            );
-            if (!dateRangeValidation.isValid) {
-                return res.status(400).json({
-                    error: 'Validation error',
-                    message: dateRangeValidation.error
-                });
-            }
+        // Only admin and staff can generate reports
+        if (!['admin', 'staff'].includes(userRole)) {
+            res.status(403).json({
+                error: 'Access forbidden',
+                message: 'Only admin and staff can generate reports'
+            });
+            return null;
+        }
 
-            // =============== ROLE-BASED ACCESS CONTROL ===============
-            let reportDepartmentId;
-            let reportDepartmentName = 'ALL DEPARTMENTS';
+        // =============== INPUT VALIDATION ===============
+        const { fromDate, toDate, departmentId } = req.query;
 
-            if (userRole === 'admin') {
-                // Admin can view all departments
-                // If departmentId is provided, filter to that department
-                // Otherwise, report on ALL departments
-                if (departmentId) {
-                    const deptIdInt = parseInt(departmentId, 10);
-                    if (isNaN(deptIdInt) || deptIdInt <= 0) {
-                        return res.status(400).json({
-                            error: 'Validation error',
-                            message: 'Invalid department ID format'
-                        });
-                    }
-
-                    // Verify department exists
-                    const dept = await this.departmentModel.findById(deptIdInt);
-                    if (!dept) {
-                        return res.status(404).json({
-                            error: 'Not found',
-                            message: 'Department not found'
-                        });
-                    }
-                    reportDepartmentId = deptIdInt;
-                    reportDepartmentName = dept.department_name;
-                }
-                // If no departmentId provided, stay null to fetch all
-            } else if (userRole === 'staff') {
-                // Staff MUST specify a department AND must have access to it
-                if (!departmentId) {
-                    return res.status(400).json({
-                        error: 'Validation error',
-                        message: 'Staff must specify a department ID'
-                    });
-                }
+        // Validate dates exist
+        if (!fromDate || !toDate) {
+            res.status(400).json({
+                error: 'Validation error',
+                message: 'Both fromDate and toDate are required'
+            });
+            return null;
+        }
+
+        // Validate date formats
+        const fromDateValidation = this.validateDate(fromDate);
+        if (!fromDateValidation.isValid) {
+            res.status(400).json({
+                error: 'Validation error',
+                message: `Invalid fromDate: ${fromDateValidation.error}`
+            });
+            return null;
+        }
+
+        const toDateValidation = this.validateDate(toDate);
+        if (!toDateValidation.isValid) {
+            res.status(400).json({
+                error: 'Validation error',
+                message: `Invalid toDate: ${toDateValidation.error}`
+            });
+            return null;
+        }
+
+        // Validate date range
+        const dateRangeValidation = this.validateDateRange(
+            fromDateValidation.date,
+            toDateValidation.date
+        );
+        if (!dateRangeValidation.isValid) {
+            res.status(400).json({
+                error: 'Validation error',
+                message: dateRangeValidation.error
+            });
+            return null;
+        }
+
+        // Optional filters: status, requesterType, documentTypeIds, courseId,
+        // purposeId, processedBy, schoolYear, semester
+        const filterResult = parseReportFilters(req.query);
+        if (filterResult.error) {
+            res.status(400).json({
+                error: 'Validation error',
+                message: filterResult.error
+            });
+            return null;
+        }
 
+        // =============== ROLE-BASED ACCESS CONTROL ===============
+        let reportDepartmentId;
+        let reportDepartmentName = 'ALL DEPARTMENTS';
+
+        if (userRole === 'admin') {
+            // Admin can view all departments
+            // If departmentId is provided, filter to that department
+            // Otherwise, report on ALL departments
+            if (departmentId) {
                 const deptIdInt = parseInt(departmentId, 10);
                 if (isNaN(deptIdInt) || deptIdInt <= 0) {
-                    return res.status(400).json({
+                    res.status(400).json({
                         error: 'Validation error',
                         message: 'Invalid department ID format'
                     });
+                    return null;
                 }
 
-                // =============== CRITICAL SECURITY CHECK ===============
-                // Verify staff is assigned to this department
-                // Prevents staff from manually manipulating departmentId parameter
-                const authorizedDepartment = await this.verifyStaffDepartmentAccess(
-                    userId,
-                    deptIdInt
-                );
-
-                if (!authorizedDepartment) {
-                    console.warn(
-                        `SECURITY: Staff user ${userId} attempted unauthorized access to department ${deptIdInt}`
-                    );
-                    return res.status(403).json({
-                        error: 'Access forbidden',
-                        message: 'You do not have access to this department'
+                // Verify department exists
+                const dept = await this.departmentModel.findById(deptIdInt);
+                if (!dept) {
+                    res.status(404).json({
+                        error: 'Not found',
+                        message: 'Department not found'
                     });
+                    return null;
                 }
-
                 reportDepartmentId = deptIdInt;
-                reportDepartmentName = authorizedDepartment.department_name;
+                reportDepartmentName = dept.department_name;
+            }
+            // If no departmentId provided, stay null to fetch all
+        } else if (userRole === 'staff') {
+            // Staff MUST specify a department AND must have access to it
+            if (!departmentId) {
+                res.status(400).json({
+                    error: 'Validation error',
+                    message: 'Staff must specify a department ID'
+                });
+                return null;
+            }
+
+            const deptIdInt = parseInt(departmentId, 10);
+            if (isNaN(deptIdInt) || deptIdInt <= 0) {
+                res.status(400).json({
+                    error: 'Validation error',
+                    message: 'Invalid department ID format'
+                });
+                return null;
             }
 
-            // =============== FETCH DATA ===============
-            const { query, params } = this.buildReportQuery(
-                reportDepartmentId,
-                fromDateValidation.date,
-                toDateValidation.date,
-                userRole
+            // =============== CRITICAL SECURITY CHECK ===============
+            // Verify staff is assigned to this department
+            // Prevents staff from manually manipulating departmentId parameter
+            const authorizedDepartment = await this.verifyStaffDepartmentAccess(
+                userId,
+                deptIdInt
             );
 
-            const reportData = await this.dbManager.executeQuery(query, params);
+            if (!authorizedDepartment) {
+                console.warn(
+                    `SECURITY: Staff user ${userId} attempted unauthorized access to department ${deptIdInt}`
+                );
+                res.status(403).json({
+                    error: 'Access forbidden',
+                    message: 'You do not have access to this department'
+                });
+                return null;
+            }
 
-            // =============== AGGREGATE STATISTICS ===============
-            const stats = {
-                total: reportData.length,
-                pending: reportData.filter(r => r.status === 'PENDING').length,
-                processing: reportData.filter(r => r.status === 'PROCESSING').length,
-                approved: reportData.filter(r => r.status === 'READY_FOR_PICKUP').length,
-                released: reportData.filter(r => r.status === 'RELEASED').length,
-                declined: reportData.filter(r => r.status === 'DECLINE').length
-            };
+            reportDepartmentId = deptIdInt;
+            reportDepartmentName = authorizedDepartment.department_name;
+        }
+
+        return {
+            userRole,
+            fromDate,
+            toDate,
+            fromDateValue: fromDateValidation.date,
+            toDateValue: toDateValidation.date,
+            departmentId: reportDepartmentId,
+            departmentName: reportDepartmentName,
+            filters: filterResult.filters
+        };
+    };
+
+    /**
+     * Generate document request report (main endpoint)
+     * Enforces role-based and department-based access control
+     *
+     * @param {Object} req - Express request object with user data from JWT
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    generateReport = async (req, res, next) => {
+        try {
+            const scope = await this.resolveReportScope(req, res);
+            if (!scope) return;
+
+            const format = (req.query.format || 'pdf').toLowerCase();
+            if (!REPORT_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: `format must be one of: ${REPORT_FORMATS.join(', ')}`
+                });
+            }
+
+            // =============== CSV / XLSX EXPORT ===============
+            if (format !== 'pdf') {
+                await this.exportSpreadsheet(req, res, scope, format);
+                return;
+            }
 
             // =============== GENERATE PDF ===============
-            const pdfBuffer = await this.pdfGenerator.generateReportPDF({
-                title: `DOCUMENT REQUEST REPORT – ${reportDepartmentName}`,
-                userRole,
-                departmentName: reportDepartmentName,
-                dateRange: {
-                    from: fromDate,
-                    to: toDate
-                },
-                statistics: stats,
-                data: reportData,
-                generatedBy: req.user.email,
-                generatedAt: new Date()
-            });
+            const pdfBuffer = await this.buildReportPDF(scope, req.user.email);
 
             // =============== SEND RESPONSE ===============
             // Set appropriate headers for PDF download
-            const filename = `Document_Request_Report_${reportDepartmentName.replace(/\s+/g, '_')}_${fromDate}_to_${toDate}.pdf`;
+            const filename = `${this.getFileBase(scope)}.pdf`;
 
-            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Type', CONTENT_TYPES.pdf);
             res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
             res.setHeader('Content-Length', pdfBuffer.length);
 
@@ -363,6 +638,48 @@ class ReportController {
         }
     };
 
+    /**
+     * Get the revenue and collection report as JSON (for dashboards)
+     * Same access control as generateReport. Optional ?interval=day|week|month
+     * groups the timeline (default: day).
+     *
+     * @param {Object} req - Express request object with user data from JWT
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getRevenueReport = async (req, res, next) => {
+        try {
+            const scope = await this.resolveReportScope(req, res);
+            if (!scope) return;
+
+            const interval = (req.query.interval || 'day').toLowerCase();
+            if (!INTERVALS[interval]) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`
+                });
+            }
+
+            const revenue = await this.revenueReport.build({
+                fromDate: scope.fromDate,
+                toDate: scope.toDate,
+                departmentId: scope.departmentId,
+                filters: scope.filters,
+                interval
+            });
+
+            res.json({
+                success: true,
+                departmentName: scope.departmentName,
+                data: revenue
+            });
+
+        } catch (error) {
+            console.error('Revenue report error:', error);
+            next(error);
+        }
+    };
+
     /**
      * Get available departments for current user (helper endpoint)
      * Useful for frontend to populate department filter dropdown
@@ -411,3 +728,4 @@ class ReportController {
 }
 
 module.exports = ReportController;
+module.exports.REPORT_FORMATS = REPORT_FORMATS;
@@ -0,0 +1,336 @@
+/**
+ * Report subscription controller - saved report definitions emailed on a schedule
+ */
+const ReportController = require('./reportController');
+const { REPORT_FORMATS } = require('./reportController');
+const ReportSubscription = require('../models/ReportSubscription');
+const { DATE_WINDOWS } = require('../models/ReportSubscription');
+const ReportDelivery = require('../services/reportDelivery');
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Upper bound on recipients per subscription
+const MAX_RECIPIENTS = 20;
+
+/**
+ * Report Subscription Controller Class
+ * Admins and staff manage their own subscriptions; admins can also manage everyone's.
+ * Staff subscriptions are limited to the departments they are assigned to.
+ */
+class ReportSubscriptionController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.subscriptionModel = new ReportSubscription(dbManager);
+        this.reportController = new ReportController(dbManager);
+        this.reportDelivery = new ReportDelivery(dbManager, mailService);
+    }
+
+    /**
+     * Reject users who cannot generate reports
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {boolean} True if a response was sent
+     */
+    rejectIfNotReporter = (req, res) => {
+        if (['admin', 'staff'].includes(req.user.role)) return false;
+
+        res.status(403).json({
+            error: 'Access forbidden',
+            message: 'Only admin and staff can manage report subscriptions'
+        });
+        return true;
+    };
+
+    /**
+     * Load the subscription targeted by a route, if the user may manage it
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object|null>} Subscription, or null after sending an error response
+     */
+    findOwnSubscription = async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (!id || isNaN(id)) {
+            res.status(400).json({
+                error: 'Invalid subscription ID',
+                message: 'Subscription ID must be a valid number'
+            });
+            return null;
+        }
+
+        const subscription = await this.subscriptionModel.findById(id);
+        if (!subscription || (req.user.role !== 'admin' && subscription.ownerId !== req.user.id)) {
+            res.status(404).json({
+                error: 'Subscription not found',
+                message: 'No report subscription found with the provided ID'
+            });
+            return null;
+        }
+
+        return subscription;
+    };
+
+    /**
+     * Validate subscription fields from the request body
+     * @param {Object} body - Request body
+     * @param {Object} user - Signed-in user (role decides department access)
+     * @param {boolean} partial - Only validate the fields present (updates)
+     * @returns {Promise<Object>} { values } or { statusCode, error, message }
+     */
+    validateSubscription = async (body, user, partial) => {
+        const values = {};
+        const invalid = (message, statusCode = 400) => ({ statusCode, error: 'Validation error', message });
+
+        if (!partial || body.name !== undefined) {
+            const name = typeof body.name === 'string' ? body.name.trim() : '';
+            if (!name || name.length > 150) return invalid('name is required (max 150 characters)');
+            values.name = name;
+        }
+
+        if (!partial || body.dateWindow !== undefined) {
+            const dateWindow = body.dateWindow || 'previous_week';
+            if (!DATE_WINDOWS.includes(dateWindow)) return invalid(`dateWindow must be one of: ${DATE_WINDOWS.join(', ')}`);
+            values.dateWindow = dateWindow;
+        }
+
+        if (!partial || body.format !== undefined) {
+            const format = (body.format || 'pdf').toLowerCase();
+            if (!REPORT_FORMATS.includes(format)) return invalid(`format must be one of: ${REPORT_FORMATS.join(', ')}`);
+            values.format = format;
+        }
+
+        if (!partial || body.recipients !== undefined) {
+            if (!Array.isArray(body.recipients) || body.recipients.length === 0) {
+                return invalid('recipients must be a non-empty array of email addresses');
+            }
+            const recipients = [...new Set(body.recipients.map(email => String(email).trim().toLowerCase()))];
+            if (recipients.length > MAX_RECIPIENTS) return invalid(`A subscription can have at most ${MAX_RECIPIENTS} recipients`);
+            const badEmail = recipients.find(email => !emailRegex.test(email));
+            if (badEmail) return invalid(`Invalid recipient email: ${badEmail}`);
+            values.recipients = recipients;
+        }
+
+        if (body.isActive !== undefined) {
+            values.isActive = Boolean(body.isActive);
+        }
+
+        if (!partial || body.departmentId !== undefined) {
+            if (body.departmentId === null || body.departmentId === undefined || body.departmentId === '') {
+                if (user.role === 'staff') return invalid('Staff must specify a department ID');
+                values.departmentId = null;
+            } else {
+                const departmentId = parseInt(body.departmentId, 10);
+                if (isNaN(departmentId) || departmentId <= 0) return invalid('Invalid department ID format');
+
+                const department = user.role === 'staff'
+                    ? await this.reportController.verifyStaffDepartmentAccess(user.id, departmentId)
+                    : await this.reportController.departmentModel.findById(departmentId);
+                if (!department) {
+                    return user.role === 'staff'
+                        ? { statusCode: 403, error: 'Access forbidden', message: 'You do not have access to this department' }
+                        : { statusCode: 404, error: 'Not found', message: 'Department not found' };
+                }
+                values.departmentId = departmentId;
+            }
+        }
+
+        return { values };
+    };
+
+    /**
+     * List report subscriptions (own for staff, all for admins)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    listSubscriptions = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const subscriptions = await this.subscriptionModel.findAll(
+                req.user.role === 'admin' ? undefined : req.user.id
+            );
+
+            res.json({
+                success: true,
+                data: subscriptions,
+                count: subscriptions.length
+            });
+
+        } catch (error) {
+            console.error('List report subscriptions error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Create a report subscription owned by the signed-in user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    createSubscription = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const result = await this.validateSubscription(req.body || {}, req.user, false);
+            if (!result.values) {
+                return res.status(result.statusCode).json({ error: result.error, message: result.message });
+            }
+
+            const subscription = await this.subscriptionModel.create({ ...result.values, ownerId: req.user.id });
+
+            console.log(`📊 Report subscription ${subscription.id} created by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Report subscription created',
+                data: subscription
+            });
+
+        } catch (error) {
+            console.error('Create report subscription error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Update a report subscription
+     * Department access is checked against the subscription owner, not the editing admin.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateSubscription = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const subscription = await this.findOwnSubscription(req, res);
+            if (!subscription) return;
+
+            const owner = { id: subscription.ownerId, role: subscription.ownerRole };
+            const result = await this.validateSubscription(req.body || {}, owner, true);
+            if (!result.values) {
+                return res.status(result.statusCode).json({ error: result.error, message: result.message });
+            }
+
+            const updated = await this.subscriptionModel.update(subscription.id, result.values);
+
+            res.json({
+                success: true,
+                message: 'Report subscription updated',
+                data: updated
+            });
+
+        } catch (error) {
+            console.error('Update report subscription error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Delete a report subscription and its delivery history
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    deleteSubscription = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const subscription = await this.findOwnSubscription(req, res);
+            if (!subscription) return;
+
+            await this.subscriptionModel.delete(subscription.id);
+
+            console.log(`📊 Report subscription ${subscription.id} deleted by ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Report subscription deleted'
+            });
+
+        } catch (error) {
+            console.error('Delete report subscription error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Send a subscription's latest report window now
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    sendSubscription = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const subscription = await this.findOwnSubscription(req, res);
+            if (!subscription) return;
+
+            if (subscription.recipients.length === 0) {
+                return res.status(400).json({
+                    error: 'No recipients',
+                    message: 'Add at least one recipient before sending'
+                });
+            }
+
+            const outcome = await this.reportDelivery.deliver(subscription, {
+                source: 'manual',
+                triggeredBy: req.user.id
+            });
+
+            if (outcome.status !== 'sent') {
+                return res.status(502).json({
+                    error: 'Delivery failed',
+                    message: outcome.error,
+                    data: outcome
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Report sent',
+                data: outcome
+            });
+
+        } catch (error) {
+            console.error('Send report subscription error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Get the delivery history of a subscription
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getDeliveries = async (req, res, next) => {
+        try {
+            if (this.rejectIfNotReporter(req, res)) return;
+
+            const subscription = await this.findOwnSubscription(req, res);
+            if (!subscription) return;
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const deliveries = await this.subscriptionModel.getDeliveries(subscription.id, limit);
+
+            res.json({
+                success: true,
+                data: deliveries,
+                count: deliveries.length
+            });
+
+        } catch (error) {
+            console.error('Get report deliveries error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = ReportSubscriptionController;
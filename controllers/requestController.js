@@ -1,4 +1,12 @@
 const DocumentRequest = require('../models/DocumentRequest');
+const PickupToken = require('../models/PickupToken');
+const RequestWorkflow = require('../services/requestWorkflow');
+const StaffAssignment = require('../services/staffAssignment');
+const SlaCalculator = require('../services/slaCalculator');
+const PickupBooking = require('../services/pickupBooking');
+const RequesterNotifier = require('../services/requesterNotifier');
+const { toUiName } = require('../services/requestWorkflow');
+const realtime = require('../services/realtime');
 
 /**
  * Utility function for input sanitization
@@ -32,6 +40,8 @@ const validateStudentRequest = (data) => {
     errors.push('At least one document must be requested');
   }
 
+  errors.push(...validateRepresentative(data));
+
   return errors;
 };
 
@@ -54,9 +64,48 @@ const validateAlumniRequest = (data) => {
     errors.push('At least one document must be requested');
   }
 
+  errors.push(...validateRepresentative(data));
+
+  return errors;
+};
+
+/**
+ * Validate the optional authorized representative of a request
+ * A representative ID or authorization letter needs the representative's name.
+ * @param {Object} data - Request data with representativeName, representativeIdNumber and authorizationLetter
+ * @returns {Array} Array of validation error messages
+ */
+const validateRepresentative = (data) => {
+  const errors = [];
+
+  if (!data.representativeName && !data.representativeIdNumber && !data.authorizationLetter) {
+    return errors;
+  }
+
+  if (!data.representativeName || typeof data.representativeName !== 'string') {
+    errors.push('Representative name is required when naming a representative');
+  } else if (data.representativeName.length > 150) {
+    errors.push('Representative name must be at most 150 characters');
+  }
+
+  if (data.representativeIdNumber && String(data.representativeIdNumber).length > 100) {
+    errors.push('Representative ID number must be at most 100 characters');
+  }
+
   return errors;
 };
 
+/**
+ * Pick the representative fields stored on a new request
+ * @param {Object} data - Validated request data
+ * @returns {Object} { representativeName, representativeIdNumber, authorizationLetter }
+ */
+const representativeFields = (data) => ({
+  representativeName: data.representativeName || null,
+  representativeIdNumber: data.representativeIdNumber ? String(data.representativeIdNumber).trim() : null,
+  authorizationLetter: data.authorizationLetter || null
+});
+
 /**
  * Document Request controller - handles document request-related business logic
  */
@@ -67,6 +116,11 @@ class RequestController {
     constructor(dbManager) {
         this.dbManager = dbManager;
         this.documentRequestModel = new DocumentRequest(dbManager);
+        this.pickupTokenModel = new PickupToken(dbManager);
+        this.workflow = new RequestWorkflow(dbManager);
+        this.staffAssignment = new StaffAssignment(dbManager);
+        this.slaCalculator = new SlaCalculator(dbManager);
+        this.requesterNotifier = new RequesterNotifier(dbManager);
 
         // Program to department mapping
         this.programToDepartment = {
@@ -325,6 +379,7 @@ class RequestController {
               AND dr.requesterId = ?
               AND dr.purposeId = (SELECT id FROM request_purposes WHERE purposeName = ?)
               AND dr.statusId = 1  -- Pending status
+              AND dr.deletedAt IS NULL
               AND dt.documentName IN (${placeholders})
         `;
 
@@ -401,6 +456,7 @@ class RequestController {
             WHERE requesterType = ?
               AND requesterId = ?
               AND statusId = 1  -- Pending status
+              AND deletedAt IS NULL
         `;
 
         try {
@@ -474,6 +530,9 @@ class RequestController {
                 }
             });
 
+            // Authorization letter uploaded with the form for a representative
+            requestData.authorizationLetter = req.files?.authorizationLetterFile?.[0]?.filename || null;
+
             // Validate input
             const validationErrors = validateStudentRequest(requestData);
             console.log('Student validation errors found:', validationErrors);
@@ -540,16 +599,9 @@ class RequestController {
                 console.error('❌ Error determining department:', err);
             }
 
-            // 4. Find available staff for this department
-            let processedBy = null;
-            if (departmentId) {
-                const staffQuery = 'SELECT id FROM users WHERE role = ? AND department_id = ? ORDER BY id ASC LIMIT 1';
-                const staffResult = await this.dbManager.executeQuery(staffQuery, ['staff', departmentId]);
-                if (staffResult.length > 0) {
-                    processedBy = staffResult[0].id;
-                    console.log('Assigned staff ID:', processedBy);
-                }
-            }
+            // 4. Assign staff using the department's assignment strategy
+            const processedBy = await this.staffAssignment.pickAssignee(departmentId);
+            console.log('Assigned staff ID:', processedBy);
 
             // 5. Insert or get purpose
             const purposeId = await this.getOrCreatePurpose(requestData);
@@ -559,6 +611,9 @@ class RequestController {
             const { documentTypeIds, totalAmount } = await this.processDocuments(requestData.documents);
             console.log('Documents processed:', documentTypeIds.length, 'Total amount:', totalAmount);
 
+            // Due date from the slowest document's processing target
+            const dueDate = await this.slaCalculator.computeDueDate(documentTypeIds.map(doc => doc.id));
+
             // 7. Insert main request (include school_year and request_semester)
             const newRequestData = {
                 requestId,
@@ -574,9 +629,11 @@ class RequestController {
                 totalAmount,
                 department_id: departmentId,
                 processedBy,
+                dueDate,
                 // Handle both camelCase and snake_case for schoolYear/school_year
                 schoolYear: requestData.schoolYear || requestData.school_year || null,
                 requestSemester: requestData.requestSemester || requestData.request_semester || null,
+                ...representativeFields(requestData),
                 documents: documentTypeIds.map(doc => ({
                     documentTypeId: doc.id,
                     quantity: doc.quantity,
@@ -608,7 +665,9 @@ class RequestController {
             }
             console.log('=== EMAIL DEBUG END ===');
             
-            if (mailService && typeof mailService.sendRequestSummaryEmail === 'function') {
+            if (!(await this.requesterNotifier.allows(request.id, 'submitted', 'email'))) {
+                console.log('📧 Requester turned off submission emails - skipping summary email');
+            } else if (mailService && typeof mailService.sendRequestSummaryEmail === 'function') {
                 try {
                     console.log('📧 Attempting to send student request summary email...');
                     
@@ -659,6 +718,12 @@ class RequestController {
                 console.warn('⚠️ mailService not available - skipping email sending');
             }
 
+            // Text the requester too if they want SMS; failures never fail the request
+            await this.requesterNotifier.requestSubmitted(request.id);
+
+            // Live update for the department's staff dashboards
+            realtime.requestCreated(request);
+
             console.log(`✅ Student request submitted successfully: ${requestId}`);
 
             res.status(201).json({
@@ -738,6 +803,9 @@ class RequestController {
                 }
             });
 
+            // Authorization letter uploaded with the form for a representative
+            requestData.authorizationLetter = req.files?.authorizationLetterFile?.[0]?.filename || null;
+
             // Validate input
             const validationErrors = validateAlumniRequest(requestData);
             console.log('Alumni validation errors found:', validationErrors);
@@ -760,7 +828,7 @@ class RequestController {
             }
 
             // Layer 1-3 Protections: Duplicate, Cooldown, and Max Pending Requests
-            const alumniId = await this.createAlumniRequester({...requestData, file: req.file});
+            const alumniId = await this.createAlumniRequester({...requestData, file: req.files?.alumniVerificationFile?.[0]});
             const protectionError = await this.checkRequestProtections(
                 'alumni',
                 alumniId,
@@ -803,16 +871,9 @@ class RequestController {
             }
             console.log('Alumni department ID:', departmentId);
 
-            // 3. Find available staff for this department
-            let processedBy = null;
-            if (departmentId) {
-                const staffQuery = 'SELECT id FROM users WHERE role = ? AND department_id = ? ORDER BY id ASC LIMIT 1';
-                const staffResult = await this.dbManager.executeQuery(staffQuery, ['staff', departmentId]);
-                if (staffResult.length > 0) {
-                    processedBy = staffResult[0].id;
-                    console.log('Assigned staff ID:', processedBy);
-                }
-            }
+            // 3. Assign staff using the department's assignment strategy
+            const processedBy = await this.staffAssignment.pickAssignee(departmentId);
+            console.log('Assigned staff ID:', processedBy);
 
             // 4. Insert or get course
             const courseId = await this.getOrCreateCourse(requestData);
@@ -826,6 +887,9 @@ class RequestController {
             const { documentTypeIds, totalAmount } = await this.processDocuments(requestData.documents);
             console.log('Documents processed:', documentTypeIds.length, 'Total amount:', totalAmount);
 
+            // Due date from the slowest document's processing target
+            const dueDate = await this.slaCalculator.computeDueDate(documentTypeIds.map(doc => doc.id));
+
             // 7. Insert main request
             // For alumni, school_year and request_semester come from document cards (Year* and Semester dropdowns)
             // Extract from first document that has these values
@@ -859,9 +923,11 @@ class RequestController {
                 totalAmount,
                 department_id: departmentId,
                 processedBy,
+                dueDate,
                 // School year and semester from document cards for alumni
                 schoolYear: alumniSchoolYear,
                 requestSemester: alumniRequestSemester,
+                ...representativeFields(requestData),
                 documents: documentTypeIds.map(doc => ({
                     documentTypeId: doc.id,
                     quantity: doc.quantity,
@@ -893,7 +959,9 @@ class RequestController {
             }
             console.log('=== ALUMNI EMAIL DEBUG END ===');
             
-            if (mailService && typeof mailService.sendRequestSummaryEmail === 'function') {
+            if (!(await this.requesterNotifier.allows(request.id, 'submitted', 'email'))) {
+                console.log('📧 Requester turned off submission emails - skipping summary email');
+            } else if (mailService && typeof mailService.sendRequestSummaryEmail === 'function') {
                 try {
                     console.log('📧 Attempting to send alumni request summary email...');
                     
@@ -944,6 +1012,12 @@ class RequestController {
                 console.warn('⚠️ mailService not available for alumni - skipping email sending');
             }
 
+            // Text the requester too if they want SMS; failures never fail the request
+            await this.requesterNotifier.requestSubmitted(request.id);
+
+            // Live update for the department's staff dashboards
+            realtime.requestCreated(request);
+
             console.log(`✅ Alumni request submitted successfully: ${requestId}`);
 
             res.status(201).json({
@@ -1347,7 +1421,7 @@ class RequestController {
                     LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
                     LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
                     LEFT JOIN request_statuses rs ON dr.statusId = rs.id
-                    WHERE dr.referenceNumber = ?
+                    WHERE dr.referenceNumber = ? AND dr.deletedAt IS NULL
                 `;
                 params = [referenceNumber];
             } else {
@@ -1374,7 +1448,7 @@ class RequestController {
                     LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
                     LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
                     LEFT JOIN request_statuses rs ON dr.statusId = rs.id
-                    WHERE dr.requestNo = ?
+                    WHERE dr.requestNo = ? AND dr.deletedAt IS NULL
                 `;
                 params = [referenceNumber];
             }
@@ -1476,7 +1550,7 @@ class RequestController {
                 LEFT JOIN request_statuses rs ON dr.statusId = rs.id
                 LEFT JOIN pickup_statuses ps ON dr.pickupStatusId = ps.id
                 LEFT JOIN request_purposes rp ON dr.purposeId = rp.id
-                WHERE dr.id = ?
+                WHERE dr.id = ? AND dr.deletedAt IS NULL
             `;
 
             const result = await this.dbManager.executeQuery(query, [id]);
@@ -1509,10 +1583,12 @@ class RequestController {
                     rt.notes as message,
                     rt.createdAt as timestamp,
                     rs.statusName as status,
-                    CONCAT(u.firstName, ' ', u.lastName) as changedBy
+                    CONCAT(u.firstName, ' ', u.lastName) as changedBy,
+                    CONCAT(owner.firstName, ' ', owner.lastName) as onBehalfOf
                 FROM request_tracking rt
                 JOIN request_statuses rs ON rt.statusId = rs.id
                 LEFT JOIN users u ON rt.changedBy = u.id
+                LEFT JOIN users owner ON rt.onBehalfOf = owner.id
                 WHERE rt.requestId = ?
                 ORDER BY rt.createdAt ASC
             `;
@@ -1537,30 +1613,32 @@ class RequestController {
     };
 
     /**
-     * Delete request
+     * Move a request to the trash
+     * The request keeps its documents and tracking history and can be restored
+     * from the admin trash until it is purged.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     deleteRequest = async (req, res) => {
         try {
             const { id } = req.params;
+            // The reason is optional so existing clients that send no body keep working
+            const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
 
-            // Check if request exists
-            const [result] = await this.dbManager.executeQuery(
-                'DELETE FROM document_requests WHERE id = ?',
-                [id]
-            );
+            const deleted = await this.documentRequestModel.softDelete(id, req.user.id, reason || null);
 
-            if (result.affectedRows === 0) {
+            if (!deleted) {
                 return res.status(404).json({
                     success: false,
                     message: 'Request not found'
                 });
             }
 
+            console.log(`🗑️ Request ${id} moved to trash by ${req.user.role} ${req.user.username}${reason ? `: ${reason}` : ''}`);
+
             return res.json({
                 success: true,
-                message: 'Request deleted successfully'
+                message: 'Request moved to trash'
             });
 
         } catch (error) {
@@ -1581,12 +1659,8 @@ class RequestController {
     updateRequest = async (req, res, next) => {
         try {
             const { id } = req.params;
-            const { status, statusId } = req.body;
-
-            console.log(`=== UPDATE REQUEST DEBUG ===`);
-            console.log(`Request ID: ${id}`);
-            console.log(`status: ${status}`);
-            console.log(`statusId: ${statusId}`);
+            const { status, statusId, reason } = req.body;
+            const user = req.user;
 
             if (!status && !statusId) {
                 return res.status(400).json({
@@ -1596,12 +1670,7 @@ class RequestController {
             }
 
             // Get the current (old) status before updating
-            const [currentRequest] = await this.dbManager.executeQuery(
-                'SELECT statusId FROM document_requests WHERE id = ?',
-                [id]
-            );
-
-            console.log(`Current request from DB:`, currentRequest);
+            const currentRequest = await this.documentRequestModel.findById(id);
 
             if (!currentRequest) {
                 return res.status(404).json({
@@ -1611,54 +1680,25 @@ class RequestController {
             }
 
             const oldStatusId = currentRequest.statusId;
-            console.log(`Old statusId: ${oldStatusId}`);
-
-            let finalStatusId;
 
-            // Handle both status (string) and statusId (number) inputs
-            if (statusId) {
-                // If statusId is provided, use it directly
-                finalStatusId = parseInt(statusId);
-                
-                // Validate that the statusId is within valid range (1-5)
-                if (finalStatusId < 1 || finalStatusId > 5) {
-                    return res.status(400).json({
-                        error: 'Validation error',
-                        message: 'Invalid statusId. Must be between 1 and 5.'
-                    });
-                }
-            } else {
-                // If status string is provided, convert to statusId
-                const normalizedStatus = status.toUpperCase().replace(/\s+/g, '_');
-
-                // Map frontend status values to database status names
-                const statusMapReverse = {
-                    'DECLINED': 'DECLINE',
-                    'READY_FOR_PICKUP': 'READY',
-                    'RELEASED': 'RELEASED',
-                    'PENDING': 'PENDING',
-                    'PROCESSING': 'PROCESSING'
-                };
-
-                const dbStatus = statusMapReverse[normalizedStatus] || normalizedStatus;
-
-                // Retrieve correct statusId from request_statuses
-                const [statusRow] = await this.dbManager.executeQuery(
-                    'SELECT id FROM request_statuses WHERE statusName = ?',
-                    [dbStatus]
-                );
-
-                if (!statusRow) {
-                    return res.status(400).json({
-                        error: 'Validation error',
-                        message: 'Invalid status'
-                    });
-                }
+            // Resolve status (string or ID) through the workflow
+            const targetStatus = await this.workflow.resolveStatus(statusId || status);
+            if (!targetStatus) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: 'Invalid status'
+                });
+            }
 
-                finalStatusId = statusRow.id;
+            const transitionError = this.workflow.validateTransition(currentRequest, targetStatus.statusName, { reason });
+            if (transitionError) {
+                return res.status(transitionError.statusCode).json({
+                    error: transitionError.error,
+                    message: transitionError.message
+                });
             }
 
-            console.log(`Final statusId to set: ${finalStatusId}`);
+            const finalStatusId = targetStatus.id;
 
             // Update document_requests using the final statusId
             await this.dbManager.executeQuery(
@@ -1666,27 +1706,32 @@ class RequestController {
                 [finalStatusId, id]
             );
 
-            // Handle optional dateCompleted logic
-            const [statusInfo] = await this.dbManager.executeQuery(
-                'SELECT statusName FROM request_statuses WHERE id = ?',
-                [finalStatusId]
-            );
+            if (finalStatusId !== oldStatusId) {
+                let trackingNotes = `Status changed from ${toUiName(currentRequest.status)} to ${toUiName(targetStatus.statusName)} by ${user.role} (${user.firstName} ${user.lastName})`;
+                if (reason) {
+                    trackingNotes += `: ${String(reason).trim()}`;
+                }
+                await this.documentRequestModel.addTrackingEntry(id, finalStatusId, trackingNotes, user.id);
 
-            if (statusInfo && statusInfo.statusName === 'RELEASED') {
-                await this.dbManager.executeQuery(
-                    'UPDATE document_requests SET dateCompleted = NOW() WHERE id = ?',
-                    [id]
-                );
+                realtime.requestStatusChanged(currentRequest, {
+                    previousStatus: currentRequest.status,
+                    status: targetStatus.statusName,
+                    changedBy: user.id
+                });
             }
 
             // ========================================
             // TRIGGER EMAIL NOTIFICATION FOR READY_FOR_PICKUP
             // ========================================
-            // Check if status changed to READY_FOR_PICKUP (statusId 3) and old status was NOT 3
-            // Note: Frontend uses statusId=3 for READY_FOR_PICKUP, statusId=4 for RELEASED
-            const READY_STATUS_ID = 3; 
-            
-            if (finalStatusId === READY_STATUS_ID && oldStatusId !== READY_STATUS_ID) {
+            // Every move into READY issues a pickup QR token, whatever the notification
+            // preferences; requesters who get no email show it from the requester portal
+            let pickupToken = null;
+            if (targetStatus.statusName === 'READY' && finalStatusId !== oldStatusId) {
+                ({ token: pickupToken } = await this.pickupTokenModel.issue(id));
+            }
+
+            // Only send when the request actually moves into READY
+            if (pickupToken && await this.requesterNotifier.allows(currentRequest.id, 'ready', 'email')) {
                 console.log(`📧 Status changed to READY_FOR_PICKUP for request ID ${id} - triggering email notification`);
                 console.log(`   Old status: ${oldStatusId}, New status: ${finalStatusId}`);
                 
@@ -1759,10 +1804,12 @@ class RequestController {
                                     fullName: fullName,
                                     referenceNumber: request.referenceNumber,
                                     documentType: documentType,
-                                    scheduledPickup: request.scheduledPickup
+                                    scheduledPickup: request.scheduledPickup,
+                                    pickupToken
                                 };
 
-                                console.log('📧 Sending ready for pickup email with data:', JSON.stringify(emailData, null, 2));
+                                // The pickup token is a credential, keep it out of the logs
+                                console.log('📧 Sending ready for pickup email with data:', JSON.stringify({ ...emailData, pickupToken: undefined }, null, 2));
                                 
                                 const emailResult = await mailService.sendReadyForPickupEmail(emailData);
                                 if (emailResult) {
@@ -1785,6 +1832,14 @@ class RequestController {
                 }
             }
 
+            // Processing / declined emails and status SMS, as the requester's preferences allow
+            if (finalStatusId !== oldStatusId) {
+                await this.requesterNotifier.statusChanged(currentRequest.id, targetStatus.statusName, {
+                    reason,
+                    mailService: req.mailService || req.app?.locals?.mailService
+                });
+            }
+
             // Return updated row with joined statusName for frontend consistency
             const [updatedRow] = await this.dbManager.executeQuery(
                 `SELECT dr.id, dr.statusId, rs.statusName, dr.updatedAt
@@ -1853,6 +1908,9 @@ class RequestController {
                 });
             }
 
+            // A date set by staff replaces any slot the requester booked
+            await new PickupBooking(this.dbManager).clear(id);
+
             res.json({
                 success: true,
                 message: 'Scheduled pickup date updated successfully'
@@ -1976,6 +2034,7 @@ const getAllRequests = async (db, req, res, next) => {
             LEFT JOIN users u ON dr.processedBy = u.id
             LEFT JOIN request_documents rd ON dr.id = rd.requestId
             LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE dr.deletedAt IS NULL
             GROUP BY dr.id
             ORDER BY dr.createdAt DESC
             LIMIT ? OFFSET ?
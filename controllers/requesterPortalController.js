@@ -0,0 +1,742 @@
+/**
+ * Requester portal controller - lets students and alumni manage their own requests
+ */
+const QRCode = require('qrcode');
+const DocumentRequest = require('../models/DocumentRequest');
+const Payment = require('../models/Payment');
+const OfficialReceipt = require('../models/OfficialReceipt');
+const RequesterOtp = require('../models/RequesterOtp');
+const RequestCancellation = require('../services/requestCancellation');
+const PickupBooking = require('../services/pickupBooking');
+const PickupSlot = require('../models/PickupSlot');
+const PickupToken = require('../models/PickupToken');
+const SmsNotifier = require('../services/smsNotifier');
+const NotificationPreferences = require('../services/notificationPreferences');
+const ReceiptController = require('./receiptController');
+const { toUiName } = require('../services/requestWorkflow');
+const { canRequesterCancel } = require('../services/requestCancellation');
+const { normalizeStatusName } = require('../services/requestWorkflow');
+const { maskPhoneNumber, normalizePhoneNumber } = require('../services/sms');
+const { toChannelLists, EVENTS, CHANNELS } = require('../services/notificationPreferences');
+
+const CANCEL_CODE_MINUTES = 15;
+const PREFERENCES_CODE_MINUTES = 15;
+
+/**
+ * Hide most of an email address for display (e.g. j***@gmail.com)
+ * @param {string} email - Email address
+ * @returns {string} Masked email
+ */
+const maskEmail = (email) => {
+    const [local, domain] = String(email).split('@');
+    return `${local.charAt(0)}***@${domain}`;
+};
+
+/**
+ * Requester Portal Controller Class
+ * Session routes run behind AuthMiddleware.verifyRequesterToken; a request is
+ * visible only when its student/alumni record carries the session's email.
+ * Cancellation and notification preferences are also reachable without a
+ * session, with the reference number and a code emailed to the requester.
+ */
+class RequesterPortalController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} [mailService] - Mail service instance
+     */
+    constructor(dbManager, mailService = null) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+        this.paymentModel = new Payment(dbManager);
+        this.receiptModel = new OfficialReceipt(dbManager);
+        this.otpModel = new RequesterOtp(dbManager);
+        this.cancellation = new RequestCancellation(dbManager, mailService);
+        this.pickupBooking = new PickupBooking(dbManager);
+        this.pickupSlotModel = new PickupSlot(dbManager);
+        this.pickupTokenModel = new PickupToken(dbManager);
+        this.receiptController = new ReceiptController(dbManager);
+        this.smsNotifier = new SmsNotifier(dbManager);
+        this.notificationPreferences = new NotificationPreferences(dbManager);
+    }
+
+    /**
+     * Load a request by ID if it belongs to the signed-in requester
+     * @param {Object} req - Express request object
+     * @returns {Promise<Object|null>} Request data or null if missing/not owned
+     */
+    findOwnedRequest = async (req) => {
+        const requestId = parseInt(req.params.id);
+        if (!requestId || isNaN(requestId)) return null;
+
+        const request = await this.documentRequestModel.findById(requestId);
+        if (!request || !request.email || request.email.trim().toLowerCase() !== req.requester.email) {
+            return null;
+        }
+        return request;
+    };
+
+    /**
+     * List all requests of the signed-in requester
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getMyRequests = async (req, res, next) => {
+        try {
+            const requests = await this.documentRequestModel.getByRequesterEmail(req.requester.email);
+
+            res.json({
+                success: true,
+                data: requests.map(request => ({
+                    ...request,
+                    status: toUiName(request.status),
+                    canCancel: canRequesterCancel(request.status)
+                })),
+                count: requests.length
+            });
+
+        } catch (error) {
+            console.error('Get requester requests error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Get one request with its documents, tracking history, payments and receipts
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getMyRequest = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            const [documents, history, payments, receipts, pickupBooking] = await Promise.all([
+                this.documentRequestModel.getRequestDocuments(request.id),
+                this.documentRequestModel.getTrackingHistory(request.id),
+                this.paymentModel.getByRequestId(request.id),
+                this.receiptModel.getByRequestId(request.id),
+                this.pickupSlotModel.findBookingByRequest(request.id)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    id: request.id,
+                    requestNo: request.requestNo,
+                    referenceNumber: request.referenceNumber,
+                    requesterType: request.requesterType,
+                    firstName: request.firstName,
+                    surname: request.surname,
+                    course: request.course,
+                    purposeOfRequest: request.purposeOfRequest,
+                    status: toUiName(request.status),
+                    scheduledPickup: request.scheduledPickup,
+                    pickupBooking,
+                    canBookPickup: normalizeStatusName(request.status) === 'READY',
+                    dateCompleted: request.dateCompleted,
+                    totalAmount: request.totalAmount,
+                    paymentStatus: request.paymentStatus,
+                    createdAt: request.createdAt,
+                    canCancel: canRequesterCancel(request.status),
+                    documents,
+                    history: history.map(entry => ({ ...entry, status: toUiName(entry.status) })),
+                    payments: payments.map(({ id, provider, amount, currency, status, paidAt, refundedAt, createdAt }) => ({
+                        id, provider, amount, currency, status, paidAt, refundedAt, createdAt
+                    })),
+                    receipts: receipts.map(({ id, orNumber, amount, issuedAt, voidedAt }) => ({
+                        id, orNumber, amount, issuedAt, voided: Boolean(voidedAt)
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Get requester request error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Download the official receipt of one of the requester's requests
+     * Requesters can reprint an issued receipt but never issue a new one.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    downloadReceipt = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            const result = await this.receiptController.renderReceipt(request, {
+                generatedBy: req.requester.email,
+                allowIssue: false
+            });
+
+            if (result.error) {
+                return res.status(409).json({
+                    error: 'Receipt unavailable',
+                    message: result.error
+                });
+            }
+
+            this.receiptController.sendReceipt(res, result.receipt, result.pdfBuffer, result.reprint);
+
+        } catch (error) {
+            console.error('Requester receipt download error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Cancel one of the requester's requests before it is READY
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    cancelMyRequest = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            const result = await this.cancellation.cancel(request, {
+                reason: req.body?.reason,
+                via: req.requester.email
+            });
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Request cancelled',
+                data: {
+                    id: request.id,
+                    referenceNumber: request.referenceNumber,
+                    status: toUiName(result.request.status)
+                }
+            });
+
+        } catch (error) {
+            console.error('Requester cancel request error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * List the pickup slots the requester can book for a READY request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getPickupSlots = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            if (normalizeStatusName(request.status) !== 'READY') {
+                return res.status(409).json({
+                    error: 'Request not ready',
+                    message: 'A pickup slot can only be booked once the request is ready for pickup'
+                });
+            }
+
+            const [slots, booking] = await Promise.all([
+                this.pickupSlotModel.getBookable(),
+                this.pickupSlotModel.findBookingByRequest(request.id)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    booking,
+                    slots: slots.map(({ id, date, startTime, endTime, remaining }) => ({
+                        id, date, startTime, endTime, remaining
+                    }))
+                },
+                count: slots.length
+            });
+
+        } catch (error) {
+            console.error('Requester pickup slots error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Book a pickup slot for one of the requester's READY requests, or move to another slot
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    bookPickupSlot = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            const slotId = parseInt(req.body?.slotId);
+            if (!slotId || isNaN(slotId)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'slotId must be a valid pickup slot ID'
+                });
+            }
+
+            const result = await this.pickupBooking.book(request, slotId, { via: `requester (${req.requester.email})` });
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Pickup slot booked',
+                data: result.booking
+            });
+
+        } catch (error) {
+            console.error('Requester book pickup slot error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Show the pickup QR code of one of the requester's READY requests (PNG)
+     * Only a hash of each token is stored, so this issues a fresh token and
+     * revokes the one sent by email. Requesters who chose no ready email use it.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    showPickupQr = async (req, res, next) => {
+        try {
+            const request = await this.findOwnedRequest(req);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request with this ID belongs to your account'
+                });
+            }
+
+            if (normalizeStatusName(request.status) !== 'READY') {
+                return res.status(409).json({
+                    error: 'Request not ready',
+                    message: 'A pickup QR code is only available once the request is ready for pickup'
+                });
+            }
+
+            const { token } = await this.pickupTokenModel.issue(request.id);
+            await this.documentRequestModel.addTrackingEntry(
+                request.id,
+                request.statusId,
+                `Pickup QR code re-issued to requester (${req.requester.email}); earlier codes no longer work`
+            );
+
+            const png = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 2, width: 400 });
+            res.set({
+                'Content-Type': 'image/png',
+                'Content-Disposition': `inline; filename="pickup-${request.referenceNumber}.png"`,
+                'Cache-Control': 'no-store'
+            });
+            res.send(png);
+
+        } catch (error) {
+            console.error('Requester pickup QR error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Show whether the requester's mobile numbers receive SMS notifications
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getSmsSettings = async (req, res, next) => {
+        try {
+            const numbers = await this.smsNotifier.getRequesterNumbers(req.requester.email);
+
+            res.json({
+                success: true,
+                data: {
+                    numbers: numbers.map(({ phoneNumber, optedOut }) => ({
+                        phoneNumber: maskPhoneNumber(phoneNumber),
+                        smsEnabled: !optedOut
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Requester get SMS settings error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Turn SMS notifications on or off for every mobile number on the requester's records
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateSmsSettings = async (req, res, next) => {
+        try {
+            const { smsEnabled } = req.body || {};
+            if (typeof smsEnabled !== 'boolean') {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'smsEnabled must be true or false'
+                });
+            }
+
+            const numbers = await this.smsNotifier.getRequesterNumbers(req.requester.email);
+            if (numbers.length === 0) {
+                return res.status(404).json({
+                    error: 'No mobile number',
+                    message: 'None of your records has a mobile number that can receive SMS'
+                });
+            }
+
+            for (const { phoneNumber } of numbers) {
+                if (smsEnabled) {
+                    await this.smsNotifier.optIn(phoneNumber);
+                } else {
+                    await this.smsNotifier.optOut(phoneNumber, 'requester');
+                }
+            }
+
+            console.log(`📱 SMS notifications ${smsEnabled ? 'enabled' : 'disabled'} by requester ${req.requester.email}`);
+
+            res.json({
+                success: true,
+                message: smsEnabled ? 'SMS notifications turned on' : 'SMS notifications turned off',
+                data: {
+                    numbers: numbers.map(({ phoneNumber }) => ({
+                        phoneNumber: maskPhoneNumber(phoneNumber),
+                        smsEnabled
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Requester update SMS settings error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Email a cancellation code to the requester of a request (public)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    sendCancellationCode = async (req, res, next) => {
+        try {
+            const request = await this.documentRequestModel.findByReferenceNumber(req.params.referenceNumber);
+            if (!request || !request.email) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided reference number'
+                });
+            }
+
+            if (!canRequesterCancel(request.status)) {
+                return res.status(409).json({
+                    error: 'Cannot cancel',
+                    message: `Requests that are ${toUiName(request.status)} can no longer be cancelled`
+                });
+            }
+
+            const { code } = await this.otpModel.create({
+                email: request.email,
+                purpose: 'cancel',
+                referenceNumber: request.referenceNumber,
+                expiresInMinutes: CANCEL_CODE_MINUTES
+            });
+
+            const sent = await this.mailService.sendCancellationCodeEmail({
+                toEmail: request.email,
+                fullName: `${request.firstName} ${request.surname}`,
+                referenceNumber: request.referenceNumber,
+                code,
+                expiresInMinutes: CANCEL_CODE_MINUTES
+            });
+            if (!sent) {
+                return res.status(500).json({
+                    error: 'Failed to send email',
+                    message: 'Unable to send the cancellation code. Please try again.'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `A cancellation code has been sent to ${maskEmail(request.email)}`
+            });
+
+        } catch (error) {
+            console.error('Send cancellation code error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Cancel a request with its reference number and the emailed code (public)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    cancelByReference = async (req, res, next) => {
+        try {
+            const { code, reason } = req.body;
+
+            if (!code) {
+                return res.status(400).json({
+                    error: 'Code required',
+                    message: 'The cancellation code sent to your email is required'
+                });
+            }
+
+            const request = await this.documentRequestModel.findByReferenceNumber(req.params.referenceNumber);
+            if (!request || !request.email) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided reference number'
+                });
+            }
+
+            // Check the reason before spending the code on a cancellation that would be refused
+            if (!(typeof reason === 'string' && reason.trim())) {
+                return res.status(400).json({
+                    error: 'Reason required',
+                    message: 'Please tell us why you are cancelling this request'
+                });
+            }
+
+            const otp = await this.otpModel.consumeCode({
+                email: request.email,
+                purpose: 'cancel',
+                code,
+                referenceNumber: request.referenceNumber
+            });
+            if (!otp) {
+                return res.status(400).json({
+                    error: 'Invalid or expired code',
+                    message: 'The cancellation code is invalid or has expired. Please request a new code.'
+                });
+            }
+
+            const result = await this.cancellation.cancel(request, { reason, via: 'email code' });
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    error: result.error,
+                    message: result.message
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Request cancelled',
+                data: {
+                    referenceNumber: request.referenceNumber,
+                    status: toUiName(result.request.status)
+                }
+            });
+
+        } catch (error) {
+            console.error('Cancel by reference error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Build the notification settings shown on the tracking page
+     * @param {Object} request - Request from findByReferenceNumber
+     * @param {Object} preferences - { event: { email, sms } }
+     * @returns {Promise<Object>} Settings with masked contact details
+     */
+    describeNotificationSettings = async (request, preferences) => {
+        const mobileNumber = normalizePhoneNumber(request.contactNo);
+
+        return {
+            referenceNumber: request.referenceNumber,
+            email: maskEmail(request.email),
+            mobileNumber: mobileNumber ? maskPhoneNumber(mobileNumber) : null,
+            // Replied STOP (or turned SMS off in the portal): no SMS whatever the preferences say
+            smsOptedOut: mobileNumber ? await this.smsNotifier.isOptedOut(mobileNumber) : false,
+            events: EVENTS,
+            channels: CHANNELS,
+            preferences: toChannelLists(preferences)
+        };
+    };
+
+    /**
+     * Show how the requester of a request is notified, per event (public)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getNotificationSettings = async (req, res, next) => {
+        try {
+            const request = await this.documentRequestModel.findByReferenceNumber(req.params.referenceNumber);
+            if (!request || !request.email) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided reference number'
+                });
+            }
+
+            const preferences = await this.notificationPreferences.getForRequester(request.requesterType, request.requesterId);
+
+            res.json({
+                success: true,
+                data: await this.describeNotificationSettings(request, preferences)
+            });
+
+        } catch (error) {
+            console.error('Get notification settings error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Email a code that confirms a change of notification preferences (public)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    sendNotificationSettingsCode = async (req, res, next) => {
+        try {
+            const request = await this.documentRequestModel.findByReferenceNumber(req.params.referenceNumber);
+            if (!request || !request.email) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided reference number'
+                });
+            }
+
+            const { code } = await this.otpModel.create({
+                email: request.email,
+                purpose: 'preferences',
+                referenceNumber: request.referenceNumber,
+                expiresInMinutes: PREFERENCES_CODE_MINUTES
+            });
+
+            const sent = await this.mailService.sendNotificationPreferencesCodeEmail({
+                toEmail: request.email,
+                fullName: `${request.firstName} ${request.surname}`,
+                referenceNumber: request.referenceNumber,
+                code,
+                expiresInMinutes: PREFERENCES_CODE_MINUTES
+            });
+            if (!sent) {
+                return res.status(500).json({
+                    error: 'Failed to send email',
+                    message: 'Unable to send the verification code. Please try again.'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `A verification code has been sent to ${maskEmail(request.email)}`
+            });
+
+        } catch (error) {
+            console.error('Send notification settings code error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Change how the requester of a request is notified, with the emailed code (public)
+     * Preferences belong to the student/alumni record, so they apply to all of its requests.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateNotificationSettings = async (req, res, next) => {
+        try {
+            const { code, preferences } = req.body || {};
+
+            if (!code) {
+                return res.status(400).json({
+                    error: 'Code required',
+                    message: 'The verification code sent to your email is required'
+                });
+            }
+
+            const request = await this.documentRequestModel.findByReferenceNumber(req.params.referenceNumber);
+            if (!request || !request.email) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided reference number'
+                });
+            }
+
+            // Check the preferences before spending the code on a change that would be refused
+            const { data, error } = this.notificationPreferences.validate(preferences);
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const otp = await this.otpModel.consumeCode({
+                email: request.email,
+                purpose: 'preferences',
+                code,
+                referenceNumber: request.referenceNumber
+            });
+            if (!otp) {
+                return res.status(400).json({
+                    error: 'Invalid or expired code',
+                    message: 'The verification code is invalid or has expired. Please request a new code.'
+                });
+            }
+
+            const updated = await this.notificationPreferences.update(request.requesterType, request.requesterId, data);
+
+            console.log(`🔔 Notification preferences of ${request.requesterType} ${request.requesterId} updated via ${request.referenceNumber}`);
+
+            res.json({
+                success: true,
+                message: 'Notification preferences saved',
+                data: await this.describeNotificationSettings(request, updated)
+            });
+
+        } catch (error) {
+            console.error('Update notification settings error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = RequesterPortalController;
@@ -0,0 +1,58 @@
+/**
+ * SMS controller - receives replies (STOP / START) from SMS provider callbacks
+ */
+const SmsNotifier = require('../services/smsNotifier');
+const { getProvider } = require('../services/sms');
+
+/**
+ * SMS Controller Class
+ */
+class SmsController {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Handle an inbound SMS callback from a provider
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    handleInbound = async (req, res, next) => {
+        try {
+            const provider = getProvider(req.params.provider);
+            if (!provider || !provider.acceptsReplies) {
+                return res.status(404).json({
+                    error: 'Unknown provider',
+                    message: `No SMS provider named '${req.params.provider}' accepts inbound messages`
+                });
+            }
+
+            if (!provider.verifyInbound(req)) {
+                console.warn(`⚠️ Rejected ${provider.name} inbound SMS with invalid signature`);
+                return res.status(401).json({
+                    error: 'Invalid signature',
+                    message: 'Inbound SMS signature verification failed'
+                });
+            }
+
+            const inbound = provider.parseInbound(req.body);
+            if (!inbound) {
+                return provider.acknowledgeInbound(res, { success: true, received: true, ignored: true });
+            }
+
+            const notifier = new SmsNotifier(this.dbManager, provider);
+            const action = await notifier.handleInbound(inbound);
+
+            provider.acknowledgeInbound(res, { success: true, received: true, action });
+        } catch (error) {
+            console.error('Inbound SMS error:', error);
+            next(error);
+        }
+    };
+}
+
+module.exports = SmsController;
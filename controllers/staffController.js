@@ -1,16 +1,29 @@
+const fs = require('fs');
+const path = require('path');
 const DocumentRequest = require('../models/DocumentRequest');
+const PickupToken = require('../models/PickupToken');
+const PickupBooking = require('../services/pickupBooking');
+const RequestWorkflow = require('../services/requestWorkflow');
+const OutOfOffice = require('../services/outOfOffice');
+const { slaStatusSql, SLA_STATUSES } = require('../services/slaCalculator');
+const TurnaroundAnalytics = require('../services/turnaroundAnalytics');
+const PDFGenerator = require('../services/pdfGenerator');
+const TransactionDay = require('../models/TransactionDay');
+const RequesterNotifier = require('../services/requesterNotifier');
+const { toUiName, OPEN_STATUSES } = require('../services/requestWorkflow');
+const realtime = require('../services/realtime');
+const { AUTHORIZATION_LETTER_DIR, PUBLIC_UPLOAD_DIR, AUTHORIZATION_LETTER_PREFIX } = require('../config/uploads');
 
-// DB to UI status mapping
-const DB_TO_UI_MAP = {
-    'PENDING': 'PENDING',
-    'PROCESSING': 'PROCESSING',
-    'READY': 'READY_FOR_PICKUP',
-    'RELEASED': 'RELEASED',
-    'DECLINE': 'DECLINED'
-};
-
-// Export the mapping for use in other modules
-module.exports.DB_TO_UI_MAP = DB_TO_UI_MAP;
+/**
+ * Thrown inside the release transaction when the request changed status
+ * after it was read, so the token use is rolled back
+ */
+class ReleaseConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReleaseConflictError';
+    }
+}
 
 /**
  * Staff controller - handles staff-specific business logic
@@ -22,6 +35,13 @@ class StaffController {
     constructor(dbManager) {
         this.dbManager = dbManager;
         this.documentRequestModel = new DocumentRequest(dbManager);
+        this.pickupTokenModel = new PickupToken(dbManager);
+        this.workflow = new RequestWorkflow(dbManager);
+        this.outOfOffice = new OutOfOffice(dbManager);
+        this.turnaroundAnalytics = new TurnaroundAnalytics(dbManager);
+        this.pdfGenerator = new PDFGenerator();
+        this.transactionDayModel = new TransactionDay(dbManager);
+        this.requesterNotifier = new RequesterNotifier(dbManager);
     }
 
     /**
@@ -33,7 +53,7 @@ class StaffController {
     updateRequest = async (req, res, next) => {
         try {
             const requestId = parseInt(req.params.id);
-            const { status, statusId, pickupStatusId, scheduledPickup, adminNotes } = req.body;
+            const { status, statusId, pickupStatusId, scheduledPickup, adminNotes, reason } = req.body;
             const user = req.user;
 
             if (!requestId || isNaN(requestId)) {
@@ -43,59 +63,20 @@ class StaffController {
                 });
             }
 
-            // Handle status conversion from name to ID
-            let actualStatusId = statusId;
+            // Resolve the target status (name, UI name or ID) through the workflow
+            let actualStatusId;
             let normalizedStatus = null;
-            
-            if (status) {
-                // Map frontend status values to database status names
-                const statusMapping = {
-                    'PENDING': 'PENDING',
-                    'PROCESSING': 'PROCESSING',
-                    'READY_FOR_PICKUP': 'READY',
-                    'RELEASED': 'RELEASED',
-                    'DECLINED': 'DECLINE'
-                };
-
-                const dbStatusName = statusMapping[status.toUpperCase()] || status.toUpperCase().replace(/\s+/g, '_');
 
-                // Convert status name to status ID
-                const statusQuery = 'SELECT id FROM request_statuses WHERE statusName = ? AND isActive = TRUE';
-                const statusResult = await this.dbManager.executeQuery(statusQuery, [dbStatusName]);
-                if (statusResult.length === 0) {
+            if (status || statusId) {
+                const targetStatus = await this.workflow.resolveStatus(status || statusId);
+                if (!targetStatus) {
                     return res.status(400).json({
                         error: 'Invalid status',
-                        message: `Status '${status}' could not be resolved in the database.`
-                    });
-                }
-                actualStatusId = statusResult[0].id;
-                normalizedStatus = dbStatusName; // For later use
-            } else if (statusId) {
-                // If statusId is provided, get the status name from database
-                const statusQuery = 'SELECT statusName FROM request_statuses WHERE id = ? AND isActive = TRUE';
-                const statusResult = await this.dbManager.executeQuery(statusQuery, [statusId]);
-                if (statusResult.length === 0) {
-                    return res.status(400).json({
-                        error: 'Invalid status ID',
-                        message: `Status ID '${statusId}' could not be resolved in the database.`
-                    });
-                }
-                actualStatusId = statusId;
-                normalizedStatus = statusResult[0].statusName;
-            }
-
-            // Validate status IDs if provided
-            if (actualStatusId !== undefined) {
-                const validStatuses = await this.dbManager.executeQuery(
-                    'SELECT id FROM request_statuses WHERE id = ?',
-                    [actualStatusId]
-                );
-                if (validStatuses.length === 0) {
-                    return res.status(400).json({
-                        error: 'Invalid status ID',
-                        message: 'The provided status ID does not exist'
+                        message: `Status '${status || statusId}' could not be resolved in the database.`
                     });
                 }
+                actualStatusId = targetStatus.id;
+                normalizedStatus = targetStatus.statusName;
             }
 
             if (pickupStatusId !== undefined) {
@@ -146,14 +127,22 @@ class StaffController {
                 });
             }
 
-            // Update processedBy field if this is a staff member updating the request
-            if (user.role === 'staff' && actualStatusId) {
-                updateData.processedBy = user.id;
+            // Enforce the status workflow (illegal moves answer 409)
+            if (normalizedStatus) {
+                const transitionError = this.workflow.validateTransition(existingRequest, normalizedStatus, { reason });
+                if (transitionError) {
+                    return res.status(transitionError.statusCode).json({
+                        error: transitionError.error,
+                        message: transitionError.message
+                    });
+                }
             }
 
-            // Handle optional dateCompleted logic for RELEASED status
-            if (status && normalizedStatus === 'RELEASED') {
-                updateData.dateCompleted = new Date();
+            // Update processedBy field if this is a staff member updating the request,
+            // unless they are covering for the out-of-office owner
+            if (user.role === 'staff' && actualStatusId &&
+                !(await this.outOfOffice.getDelegatingOwner(existingRequest, user.id))) {
+                updateData.processedBy = user.id;
             }
 
             // Update the request
@@ -166,33 +155,50 @@ class StaffController {
                 });
             }
 
-            // Map database status name back to UI status name if present
-            if (updatedRequest.statusName) {
-                updatedRequest.statusName = DB_TO_UI_MAP[updatedRequest.statusName];
-                if (!updatedRequest.statusName) {
-                    return res.status(400).json({
-                        error: 'Status mapping error',
-                        message: 'Unable to map database status to UI status'
-                    });
-                }
+            // A date set by staff replaces any slot the requester booked
+            if (updateData.scheduledPickup !== undefined) {
+                await new PickupBooking(this.dbManager).clear(requestId);
+            }
+
+            // Map database status name back to UI status name
+            if (updatedRequest.status) {
+                updatedRequest.statusName = toUiName(updatedRequest.status);
             }
 
             // Add tracking entry for the update
-            const trackingNotes = `Request updated by ${user.role} (${user.firstName} ${user.lastName})`;
+            const statusChanged = normalizedStatus && normalizedStatus !== existingRequest.status;
+            let trackingNotes = statusChanged
+                ? `Status changed from ${toUiName(existingRequest.status)} to ${toUiName(normalizedStatus)} by ${user.role} (${user.firstName} ${user.lastName})`
+                : `Request updated by ${user.role} (${user.firstName} ${user.lastName})`;
+            if (statusChanged && reason) {
+                trackingNotes += `: ${String(reason).trim()}`;
+            }
             await this.documentRequestModel.addTrackingEntry(
                 requestId,
-                actualStatusId || 1, // Default to PENDING if no status provided
+                updatedRequest.statusId,
                 trackingNotes,
                 user.id
             );
 
+            if (statusChanged) {
+                realtime.requestStatusChanged(updatedRequest, {
+                    previousStatus: existingRequest.status,
+                    status: normalizedStatus,
+                    changedBy: user.id
+                });
+            }
+
+            // Every move into READY issues a pickup QR token, whatever the notification
+            // preferences; requesters who get no email show it from the requester portal
+            let pickupToken = null;
+            if (statusChanged && normalizedStatus === 'READY') {
+                ({ token: pickupToken } = await this.pickupTokenModel.issue(requestId));
+            }
+
             // === Send ready-for-pickup email if status is READY ===
             try {
-                const dbStatusNameCandidate = normalizedStatus || updatedRequest.status || updatedRequest.statusName;
-                const dbStatusNameUpper = String(dbStatusNameCandidate || '').toUpperCase();
-                const isReady = dbStatusNameUpper === 'READY' || dbStatusNameUpper === 'READY_FOR_PICKUP';
-
-                console.log('StaffController: READY detection', { normalizedStatus, status_from_model: updatedRequest.status, status_ui: updatedRequest.statusName, candidate: dbStatusNameCandidate, isReady });
+                const isReady = pickupToken &&
+                    await this.requesterNotifier.allows(requestId, 'ready', 'email');
 
                 if (isReady) {
                     const mailService = req.mailService || req.app?.locals?.mailService;
@@ -211,7 +217,8 @@ class StaffController {
                                 fullName,
                                 referenceNumber: fullRequest.referenceNumber,
                                 documentType,
-                                scheduledPickup: fullRequest.scheduledPickup
+                                scheduledPickup: fullRequest.scheduledPickup,
+                                pickupToken
                             };
 
                             try {
@@ -231,6 +238,14 @@ class StaffController {
                 console.error('Error while attempting to send ready-for-pickup email in staffController:', err);
             }
 
+            // Processing / declined emails and status SMS, as the requester's preferences allow
+            if (statusChanged) {
+                await this.requesterNotifier.statusChanged(requestId, normalizedStatus, {
+                    reason,
+                    mailService: req.mailService || req.app?.locals?.mailService
+                });
+            }
+
             res.json({
                 success: true,
                 message: 'Request updated successfully',
@@ -305,8 +320,8 @@ class StaffController {
                 scheduledPickup: scheduled_pickup
             };
 
-            // Update processedBy field if this is a staff member
-            if (user.role === 'staff') {
+            // Update processedBy field if this is a staff member not covering for the out-of-office owner
+            if (user.role === 'staff' && !(await this.outOfOffice.getDelegatingOwner(existingRequest, user.id))) {
                 updateData.processedBy = user.id;
             }
 
@@ -393,7 +408,7 @@ class StaffController {
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'PENDING' AND rs.isActive = TRUE AND c.department_id IN (${deptPlaceholders})
+                WHERE rs.statusName = 'PENDING' AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
             `;
             const myPending = await this.dbManager.executeQuery(myPendingQuery, deptParams);
 
@@ -402,7 +417,7 @@ class StaffController {
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'RELEASED' AND rs.isActive = TRUE AND c.department_id IN (${deptPlaceholders})
+                WHERE rs.statusName = 'RELEASED' AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
             `;
             const myReleased = await this.dbManager.executeQuery(myReleasedQuery, deptParams);
 
@@ -411,7 +426,7 @@ class StaffController {
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'PROCESSING' AND rs.isActive = TRUE AND c.department_id IN (${deptPlaceholders})
+                WHERE rs.statusName = 'PROCESSING' AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
             `;
             const myProcessing = await this.dbManager.executeQuery(myProcessingQuery, deptParams);
 
@@ -420,7 +435,7 @@ class StaffController {
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'READY' AND rs.isActive = TRUE AND c.department_id IN (${deptPlaceholders})
+                WHERE rs.statusName = 'READY' AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
             `;
             const myReadyForPickup = await this.dbManager.executeQuery(myReadyForPickupQuery, deptParams);
 
@@ -430,7 +445,7 @@ class StaffController {
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
                 WHERE rs.statusName IN ('PROCESSING', 'READY', 'RELEASED', 'DECLINE')
-                  AND rs.isActive = TRUE AND c.department_id IN (${deptPlaceholders})
+                  AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
             `;
             const myTotalProcessed = await this.dbManager.executeQuery(myTotalProcessedQuery, deptParams);
 
@@ -459,6 +474,517 @@ class StaffController {
         }
     };
 
+    /**
+     * Get processing turnaround statistics for the staff member's departments
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getTurnaroundStats = async (req, res, next) => {
+        try {
+            const user = req.user;
+            const { fromDate, toDate, departmentId } = req.query;
+
+            if (!user || user.role !== 'staff') {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Only staff can access staff statistics'
+                });
+            }
+
+            const periodError = this.turnaroundAnalytics.validatePeriod(fromDate, toDate);
+            if (periodError) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: periodError
+                });
+            }
+
+            const deptResults = await this.dbManager.executeQuery(
+                'SELECT department_id FROM user_departments WHERE user_id = ?',
+                [user.id]
+            );
+            let departmentIds = deptResults.map(d => d.department_id);
+
+            if (departmentId) {
+                const deptIdInt = parseInt(departmentId, 10);
+                if (!departmentIds.includes(deptIdInt)) {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: 'You do not have access to this department'
+                    });
+                }
+                departmentIds = [deptIdInt];
+            }
+
+            if (departmentIds.length === 0) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'You are not assigned to any department'
+                });
+            }
+
+            const turnaround = await this.turnaroundAnalytics.build({ fromDate, toDate, departmentIds });
+
+            res.json({
+                success: true,
+                data: turnaround
+            });
+
+        } catch (error) {
+            console.error('Staff turnaround statistics error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Print claim stubs for the READY requests scheduled for pickup on a transaction day
+     * Covers the staff member's departments, or one of them with ?departmentId=.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getClaimStubs = async (req, res, next) => {
+        try {
+            const user = req.user;
+            const { date, departmentId } = req.query;
+
+            if (!user || user.role !== 'staff') {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Only staff can print claim stubs'
+                });
+            }
+
+            if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: 'date is required in YYYY-MM-DD format'
+                });
+            }
+
+            // Explicit days, imported holidays and weekly rules all count
+            const availability = await this.transactionDayModel.checkAvailability(date);
+            if (!availability.available) {
+                return res.status(400).json({
+                    error: 'No transactions',
+                    message: `The office has no transactions on ${date}`
+                });
+            }
+
+            const departments = await this.dbManager.executeQuery(
+                `SELECT d.department_id, d.department_name
+                 FROM user_departments ud
+                 JOIN departments d ON ud.department_id = d.department_id
+                 WHERE ud.user_id = ?`,
+                [user.id]
+            );
+            let selected = departments;
+
+            if (departmentId) {
+                const deptIdInt = parseInt(departmentId, 10);
+                selected = departments.filter(d => d.department_id === deptIdInt);
+                if (selected.length === 0) {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: 'You do not have access to this department'
+                    });
+                }
+            }
+
+            if (selected.length === 0) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'You are not assigned to any department'
+                });
+            }
+
+            const stubs = await this.documentRequestModel.getReadyForPickup(
+                date,
+                selected.map(d => d.department_id)
+            );
+
+            if (stubs.length === 0) {
+                return res.status(404).json({
+                    error: 'No claim stubs',
+                    message: `No ready requests are scheduled for pickup on ${date}`
+                });
+            }
+
+            const departmentName = selected.length === 1 ? selected[0].department_name : 'ALL ASSIGNED DEPARTMENTS';
+            const pdfBuffer = await this.pdfGenerator.generateClaimStubsPDF({
+                date,
+                departmentName,
+                stubs,
+                generatedBy: user.email,
+                generatedAt: new Date()
+            });
+
+            console.log(`🎫 ${stubs.length} claim stub(s) for ${date} printed by ${user.username}`);
+
+            const filename = `Claim_Stubs_${departmentName.replace(/\s+/g, '_')}_${date}.pdf`;
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.setHeader('Content-Length', pdfBuffer.length);
+            res.send(pdfBuffer);
+
+        } catch (error) {
+            console.error('Claim stub printing error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Resolve the pickup token in the request body to its request
+     * Sends the error response itself and returns null when the token cannot be used.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object|null>} { pickupToken, request }
+     */
+    resolvePickupToken = async (req, res) => {
+        const { token } = req.body || {};
+        if (!token || typeof token !== 'string') {
+            res.status(400).json({
+                error: 'Validation error',
+                message: 'token is required'
+            });
+            return null;
+        }
+
+        const pickupToken = await this.pickupTokenModel.findByToken(token);
+        if (!pickupToken || pickupToken.state === 'revoked') {
+            res.status(400).json({
+                error: 'Invalid pickup token',
+                message: 'This QR code is not valid. It may have been replaced by a newer one.'
+            });
+            return null;
+        }
+        if (pickupToken.state === 'used') {
+            res.status(409).json({
+                error: 'Pickup token already used',
+                message: `These documents were already released${pickupToken.usedByName ? ` by ${pickupToken.usedByName}` : ''}`,
+                usedAt: pickupToken.usedAt
+            });
+            return null;
+        }
+        if (pickupToken.state === 'expired') {
+            res.status(410).json({
+                error: 'Pickup token expired',
+                message: 'This QR code has expired. Look the request up by its reference number instead.'
+            });
+            return null;
+        }
+
+        const request = await this.documentRequestModel.findById(pickupToken.requestId);
+        if (!request) {
+            res.status(404).json({
+                error: 'Request not found',
+                message: 'The request for this QR code no longer exists'
+            });
+            return null;
+        }
+
+        const assigned = await this.dbManager.executeQuery(
+            'SELECT 1 FROM user_departments WHERE user_id = ? AND department_id = ?',
+            [req.user.id, request.department_id]
+        );
+        if (assigned.length === 0) {
+            res.status(403).json({
+                error: 'Forbidden',
+                message: 'You do not have access to this department'
+            });
+            return null;
+        }
+
+        return { pickupToken, request };
+    };
+
+    /**
+     * Verify a scanned pickup QR code and show who may claim the documents
+     * Does not use up the token.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    verifyPickupToken = async (req, res, next) => {
+        try {
+            const resolved = await this.resolvePickupToken(req, res);
+            if (!resolved) return;
+
+            const { pickupToken, request } = resolved;
+            const documents = await this.documentRequestModel.getRequestDocuments(request.id);
+
+            res.json({
+                success: true,
+                data: {
+                    request: {
+                        id: request.id,
+                        referenceNumber: request.referenceNumber,
+                        status: toUiName(request.status),
+                        canRelease: !this.workflow.validateTransition(request, 'RELEASED', { via: 'pickupRelease' }) &&
+                            request.status !== 'RELEASED',
+                        scheduledPickup: request.scheduledPickup,
+                        paymentStatus: request.paymentStatus,
+                        documents
+                    },
+                    requester: {
+                        requesterType: request.requesterType,
+                        firstName: request.firstName,
+                        middleInitial: request.middleInitial,
+                        surname: request.surname,
+                        studentNumber: request.studentNumber,
+                        course: request.course,
+                        email: request.email,
+                        contactNo: request.contactNo,
+                        verificationPhoto: request.verification_photo
+                    },
+                    representative: request.representativeName ? {
+                        name: request.representativeName,
+                        idNumber: request.representativeIdNumber,
+                        authorizationLetter: request.authorizationLetter
+                            ? `/api/staff/requests/${request.id}/authorization-letter`
+                            : null
+                    } : null,
+                    token: {
+                        issuedAt: pickupToken.createdAt,
+                        expiresAt: pickupToken.expiresAt
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Pickup token verification error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Send the authorization letter uploaded for a representative
+     * Letters hold the representative's ID and signature, so they are never served
+     * statically; staff must belong to the request's department (admins see all).
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    downloadAuthorizationLetter = async (req, res, next) => {
+        try {
+            const user = req.user;
+            const requestId = parseInt(req.params.id);
+
+            if (!requestId || isNaN(requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request ID',
+                    message: 'Request ID must be a valid number'
+                });
+            }
+
+            const request = await this.documentRequestModel.findById(requestId);
+            if (!request) {
+                return res.status(404).json({
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID'
+                });
+            }
+
+            if (user.role !== 'admin') {
+                const assigned = await this.dbManager.executeQuery(
+                    'SELECT 1 FROM user_departments WHERE user_id = ? AND department_id = ?',
+                    [user.id, request.department_id]
+                );
+                if (assigned.length === 0) {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: 'You do not have access to this department'
+                    });
+                }
+            }
+
+            const fileName = request.authorizationLetter ? path.basename(request.authorizationLetter) : null;
+            // Letters from before private storage are still in the public upload folder
+            const filePath = fileName && fileName.startsWith(AUTHORIZATION_LETTER_PREFIX) &&
+                [AUTHORIZATION_LETTER_DIR, PUBLIC_UPLOAD_DIR]
+                    .map(dir => path.join(dir, fileName))
+                    .find(candidate => fs.existsSync(candidate));
+
+            if (!filePath) {
+                return res.status(404).json({
+                    error: 'Letter not found',
+                    message: 'No authorization letter is on file for this request'
+                });
+            }
+
+            console.log(`📄 Authorization letter of request ${request.referenceNumber} viewed by ${user.role} ${user.username}`);
+
+            res.set('Cache-Control', 'private, no-store');
+            res.sendFile(filePath);
+
+        } catch (error) {
+            console.error('Authorization letter download error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Release a READY request with its pickup QR code
+     * Uses up the token, records who released the documents and to whom, moves the
+     * request to RELEASED with dateCompleted and a completed pickup status, and
+     * writes a tracking entry, all in one transaction.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    releaseWithPickupToken = async (req, res, next) => {
+        try {
+            const user = req.user;
+            const {
+                releasedTo = 'self', representativeName, idPresented, representativeIdConfirmed, remarks
+            } = req.body || {};
+
+            if (!['self', 'representative'].includes(releasedTo)) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: 'releasedTo must be self or representative'
+                });
+            }
+
+            let representative = typeof representativeName === 'string' ? representativeName.trim() : '';
+            if (representative.length > 150) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: 'representativeName must be at most 150 characters'
+                });
+            }
+
+            let presentedId = typeof idPresented === 'string' ? idPresented.trim() : '';
+            if (presentedId.length > 100) {
+                return res.status(400).json({
+                    error: 'Validation error',
+                    message: 'idPresented must be at most 100 characters'
+                });
+            }
+
+            const resolved = await this.resolvePickupToken(req, res);
+            if (!resolved) return;
+            const { pickupToken, request } = resolved;
+
+            // A representative named on the request may be confirmed without retyping their details
+            if (releasedTo === 'representative') {
+                representative = representative || request.representativeName || '';
+                presentedId = presentedId || request.representativeIdNumber || '';
+
+                if (!representative || !presentedId) {
+                    return res.status(400).json({
+                        error: 'Validation error',
+                        message: 'representativeName and idPresented are required to release to a representative'
+                    });
+                }
+                if (representativeIdConfirmed !== true) {
+                    return res.status(400).json({
+                        error: 'Representative ID not confirmed',
+                        message: "Check the representative's ID against the authorization letter and set representativeIdConfirmed"
+                    });
+                }
+            }
+
+            const transitionError = request.status === 'RELEASED'
+                ? { statusCode: 409, error: 'Invalid status transition', message: 'These documents were already released' }
+                : this.workflow.validateTransition(request, 'RELEASED', { via: 'pickupRelease' });
+            if (transitionError) {
+                return res.status(transitionError.statusCode).json({
+                    error: transitionError.error,
+                    message: transitionError.message
+                });
+            }
+
+            const releasedStatus = await this.workflow.resolveStatus('RELEASED');
+            const [completedPickup] = await this.dbManager.executeQuery(
+                "SELECT id FROM pickup_statuses WHERE statusName = 'completed'"
+            );
+
+            const claimant = releasedTo === 'self'
+                ? 'the requester'
+                : `authorized representative ${representative} (ID ${presentedId} confirmed` +
+                  `${request.authorizationLetter ? ', authorization letter on file' : ''})`;
+            const trackingNotes = `Documents released to ${claimant} by ${user.role} (${user.firstName} ${user.lastName}) after pickup QR verification`;
+
+            let released;
+            try {
+                released = await this.dbManager.withTransaction(async (connection) => {
+                    if (!(await this.pickupTokenModel.markUsed(connection, pickupToken.id, user.id))) return false;
+
+                    const [update] = await connection.execute(
+                        `UPDATE document_requests
+                         SET statusId = ?, pickupStatusId = COALESCE(?, pickupStatusId), dateCompleted = NOW()
+                         WHERE id = ? AND statusId = ?`,
+                        [releasedStatus.id, completedPickup?.id ?? null, request.id, request.statusId]
+                    );
+                    if (update.affectedRows === 0) throw new ReleaseConflictError('Request changed while it was being released');
+
+                    if (releasedTo === 'representative') {
+                        await connection.execute(
+                            `UPDATE document_requests
+                             SET representativeName = ?, representativeIdNumber = ?,
+                                 representativeIdConfirmedAt = NOW(), representativeIdConfirmedBy = ?
+                             WHERE id = ?`,
+                            [representative, presentedId, user.id, request.id]
+                        );
+                    }
+
+                    await connection.execute(
+                        `INSERT INTO request_releases
+                         (requestId, pickupTokenId, releasedBy, releasedTo, representativeName, idPresented, remarks)
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [request.id, pickupToken.id, user.id, releasedTo,
+                            releasedTo === 'representative' ? representative : null, presentedId || null,
+                            typeof remarks === 'string' && remarks.trim() ? remarks.trim() : null]
+                    );
+
+                    await connection.execute(
+                        'INSERT INTO request_tracking (requestId, statusId, changedBy, notes) VALUES (?, ?, ?, ?)',
+                        [request.id, releasedStatus.id, user.id, trackingNotes]
+                    );
+                    return true;
+                });
+            } catch (error) {
+                if (!(error instanceof ReleaseConflictError)) throw error;
+                return res.status(409).json({
+                    error: 'Request changed',
+                    message: 'The request was updated by someone else while it was being released. Reload it and try again.'
+                });
+            }
+
+            if (!released) {
+                return res.status(409).json({
+                    error: 'Pickup token already used',
+                    message: 'This QR code was used at the same time by another release'
+                });
+            }
+
+            console.log(`📦 Request ${request.id} released to ${claimant} by ${user.username}`);
+
+            realtime.requestStatusChanged(request, {
+                previousStatus: request.status,
+                status: 'RELEASED',
+                changedBy: user.id
+            });
+
+            const updatedRequest = await this.documentRequestModel.findById(request.id);
+            if (updatedRequest?.status) {
+                updatedRequest.statusName = toUiName(updatedRequest.status);
+            }
+
+            res.json({
+                success: true,
+                message: 'Documents released',
+                request: updatedRequest
+            });
+
+        } catch (error) {
+            console.error('Pickup release error:', error);
+            next(error);
+        }
+    };
+
     /**
      * Get staff's assigned requests (filtered by department)
      * @param {Object} req - Express request object
@@ -484,11 +1010,16 @@ class StaffController {
             const assignedDeptIds = deptResults.map(d => d.department_id);
             console.log('getMyRequests - Assigned departments:', assignedDeptIds);
 
-            if (assignedDeptIds.length === 0) {
+            // Staff who are out of office and have delegated their queue to this user
+            const absentOwners = await this.outOfOffice.getAbsentOwners(user.id);
+            const absentOwnerIds = absentOwners.map(owner => owner.id);
+
+            if (assignedDeptIds.length === 0 && absentOwnerIds.length === 0) {
                 console.log('No departments assigned to staff user');
                 return res.json({
                     success: true,
                     requests: [],
+                    delegations: [],
                     pagination: {
                         limit: parseInt(limit),
                         offset: parseInt(offset),
@@ -497,7 +1028,17 @@ class StaffController {
                 });
             }
 
-            const deptPlaceholders = assignedDeptIds.map(() => '?').join(',');
+            // Requests of the staff's departments, plus the open requests of absent owners they cover
+            const scopes = [];
+            const params = [];
+            if (assignedDeptIds.length > 0) {
+                scopes.push(`c.department_id IN (${assignedDeptIds.map(() => '?').join(',')})`);
+                params.push(...assignedDeptIds);
+            }
+            if (absentOwnerIds.length > 0) {
+                scopes.push(`(dr.processedBy IN (${absentOwnerIds.map(() => '?').join(',')}) AND rs.statusName IN (${OPEN_STATUSES.map(() => '?').join(',')}))`);
+                params.push(...absentOwnerIds, ...OPEN_STATUSES);
+            }
 
             // Build query to get requests filtered by staff's department programs
             // Include school_year, request_semester, quantity, and document_type
@@ -519,6 +1060,9 @@ class StaffController {
                     dr.school_year,
                     dr.request_semester,
                     dr.requesterType,
+                    dr.processedBy,
+                    dr.dueDate,
+                    ${slaStatusSql('dr', 'rs')} as slaStatus,
                     c.courseName as course,
                     c.educationalLevel,
                     d.department_name,
@@ -553,18 +1097,15 @@ class StaffController {
                 LEFT JOIN departments d ON c.department_id = d.department_id
                 LEFT JOIN request_documents rd ON dr.id = rd.requestId
                 LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
-                WHERE c.department_id IN (${deptPlaceholders})
-                GROUP BY dr.id
+                WHERE dr.deletedAt IS NULL AND (${scopes.join(' OR ')})
             `;
 
-            const params = [...assignedDeptIds];
-
             if (status) {
                 query += ' AND dr.statusId = ?';
                 params.push(parseInt(status));
             }
 
-            query += ' ORDER BY dr.createdAt DESC LIMIT ? OFFSET ?';
+            query += ' GROUP BY dr.id ORDER BY dr.createdAt DESC LIMIT ? OFFSET ?';
             params.push(parseInt(limit), parseInt(offset));
 
             const requests = await this.dbManager.executeQuery(query, params);
@@ -585,9 +1126,11 @@ class StaffController {
                         }
                     }
                 }
+                const owner = absentOwners.find(absent => absent.id === request.processedBy);
                 return {
                     ...request,
-                    scheduledPickup: formattedDate
+                    scheduledPickup: formattedDate,
+                    delegatedFrom: owner ? { id: owner.id, name: `${owner.firstName} ${owner.lastName}` } : null
                 };
             });
 
@@ -605,6 +1148,7 @@ class StaffController {
             res.json({
                 success: true,
                 requests: requestsWithDocuments,
+                delegations: absentOwners,
                 pagination: {
                     limit: parseInt(limit),
                     offset: parseInt(offset),
@@ -646,6 +1190,10 @@ class StaffController {
             const assignedDeptIds = deptResults.map(d => d.department_id);
             const departmentNames = deptResults.map(d => d.department_name).join(', ') || 'Not Assigned';
 
+            // Open requests of staff who are out of office and have delegated to this user
+            const delegations = await this.outOfOffice.getAbsentOwners(user.id);
+            const delegatedRequests = await this.getDelegatedRequests(delegations);
+
             // Guard: if no departments assigned, return empty dashboard
             if (assignedDeptIds.length === 0) {
                 return res.json({
@@ -660,9 +1208,16 @@ class StaffController {
                         stats: {
                             pendingRequests: 0,
                             completedToday: 0,
-                            recentRequests: 0
+                            recentRequests: 0,
+                            delegatedRequests: delegatedRequests.length,
+                            overdueRequests: 0,
+                            atRiskRequests: 0
                         },
-                        recentRequests: []
+                        recentRequests: [],
+                        overdueRequests: [],
+                        atRiskRequests: [],
+                        delegations,
+                        delegatedRequests
                     }
                 });
             }
@@ -678,23 +1233,47 @@ class StaffController {
                     dr.createdAt,
                     rs.statusName,
                     c.courseName as course,
-                    d.department_name
+                    d.department_name,
+                    dr.dueDate,
+                    ${slaStatusSql('dr', 'rs')} as slaStatus
                 FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
                 JOIN departments d ON c.department_id = d.department_id
-                WHERE c.department_id IN (${placeholders})
+                WHERE dr.deletedAt IS NULL AND c.department_id IN (${placeholders})
                 ORDER BY dr.createdAt DESC
                 LIMIT 10
             `;
             const recentRequests = await this.dbManager.executeQuery(recentRequestsQuery, assignedDeptIds);
 
+            // Pending/processing requests past or close to their SLA due date
+            const slaRequests = await this.dbManager.executeQuery(`
+                SELECT
+                    dr.id,
+                    dr.referenceNumber,
+                    dr.dueDate,
+                    dr.createdAt,
+                    rs.statusName,
+                    d.department_name,
+                    ${slaStatusSql('dr')} as slaStatus
+                FROM document_requests dr
+                JOIN request_statuses rs ON dr.statusId = rs.id
+                JOIN courses c ON dr.courseId = c.id
+                JOIN departments d ON c.department_id = d.department_id
+                WHERE dr.deletedAt IS NULL AND c.department_id IN (${placeholders})
+                  AND rs.statusName IN (${SLA_STATUSES.map(() => '?').join(',')})
+                HAVING slaStatus IN ('overdue', 'at_risk')
+                ORDER BY dr.dueDate ASC
+            `, [...assignedDeptIds, ...SLA_STATUSES]);
+            const overdueRequests = slaRequests.filter(request => request.slaStatus === 'overdue');
+            const atRiskRequests = slaRequests.filter(request => request.slaStatus === 'at_risk');
+
             // Get pending requests count from staff's assigned departments
             const pendingCount = await this.dbManager.executeQuery(`
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'PENDING' AND rs.isActive = TRUE AND c.department_id IN (${placeholders})
+                WHERE rs.statusName = 'PENDING' AND rs.isActive = TRUE AND dr.deletedAt IS NULL AND c.department_id IN (${placeholders})
             `, assignedDeptIds);
 
             // Get today's released requests from staff's assigned departments
@@ -702,7 +1281,7 @@ class StaffController {
                 SELECT COUNT(*) as count FROM document_requests dr
                 JOIN request_statuses rs ON dr.statusId = rs.id
                 JOIN courses c ON dr.courseId = c.id
-                WHERE rs.statusName = 'RELEASED' AND rs.isActive = TRUE AND DATE(dr.updatedAt) = CURDATE() AND c.department_id IN (${placeholders})
+                WHERE rs.statusName = 'RELEASED' AND rs.isActive = TRUE AND DATE(dr.updatedAt) = CURDATE() AND dr.deletedAt IS NULL AND c.department_id IN (${placeholders})
             `, assignedDeptIds);
 
             res.json({
@@ -717,9 +1296,16 @@ class StaffController {
                     stats: {
                         pendingRequests: pendingCount[0].count,
                         completedToday: todayCompleted[0].count,
-                        recentRequests: recentRequests.length
+                        recentRequests: recentRequests.length,
+                        delegatedRequests: delegatedRequests.length,
+                        overdueRequests: overdueRequests.length,
+                        atRiskRequests: atRiskRequests.length
                     },
-                    recentRequests: recentRequests.slice(0, 5) // Last 5 requests
+                    recentRequests: recentRequests.slice(0, 5), // Last 5 requests
+                    overdueRequests: overdueRequests.slice(0, 10),
+                    atRiskRequests: atRiskRequests.slice(0, 10),
+                    delegations,
+                    delegatedRequests
                 }
             });
 
@@ -730,7 +1316,42 @@ class StaffController {
     };
 
     /**
-     * Delete request (staff can only delete requests from their assigned departments)
+     * Get the open requests of out-of-office staff covered by a delegate
+     * @param {Array} absentOwners - Users from OutOfOffice.getAbsentOwners
+     * @returns {Promise<Array>} Requests, oldest first, with the owner's name
+     */
+    getDelegatedRequests = async (absentOwners) => {
+        if (absentOwners.length === 0) return [];
+
+        const ownerPlaceholders = absentOwners.map(() => '?').join(',');
+        const statusPlaceholders = OPEN_STATUSES.map(() => '?').join(',');
+        return await this.dbManager.executeQuery(`
+            SELECT
+                dr.id,
+                dr.referenceNumber,
+                dr.scheduledPickup,
+                dr.createdAt,
+                rs.statusName,
+                c.courseName as course,
+                d.department_name,
+                dr.dueDate,
+                ${slaStatusSql('dr', 'rs')} as slaStatus,
+                dr.processedBy as ownerId,
+                CONCAT(owner.firstName, ' ', owner.lastName) as ownerName
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            JOIN users owner ON dr.processedBy = owner.id
+            LEFT JOIN courses c ON dr.courseId = c.id
+            LEFT JOIN departments d ON c.department_id = d.department_id
+            WHERE dr.deletedAt IS NULL AND dr.processedBy IN (${ownerPlaceholders})
+              AND rs.statusName IN (${statusPlaceholders})
+            ORDER BY dr.createdAt ASC
+        `, [...absentOwners.map(owner => owner.id), ...OPEN_STATUSES]);
+    };
+
+    /**
+     * Move a request to the trash (staff can only delete requests from their assigned departments)
+     * Admins can restore it until it is purged after the retention window.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
@@ -739,6 +1360,7 @@ class StaffController {
         try {
             const user = req.user;
             const requestId = parseInt(req.params.id);
+            const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
 
             if (!user || user.role !== 'staff') {
                 return res.status(403).json({
@@ -773,7 +1395,7 @@ class StaffController {
                 SELECT dr.id 
                 FROM document_requests dr
                 JOIN courses c ON dr.courseId = c.id
-                WHERE dr.id = ? AND c.department_id IN (${deptPlaceholders})
+                WHERE dr.id = ? AND dr.deletedAt IS NULL AND c.department_id IN (${deptPlaceholders})
                 LIMIT 1
             `;
             const checkParams = [requestId, ...assignedDeptIds];
@@ -786,22 +1408,19 @@ class StaffController {
                 });
             }
 
-            // Delete the request
-            const [result] = await this.dbManager.executeQuery(
-                'DELETE FROM document_requests WHERE id = ?',
-                [requestId]
-            );
-
-            if (result.affectedRows === 0) {
+            const deleted = await this.documentRequestModel.softDelete(requestId, user.id, reason || null);
+            if (!deleted) {
                 return res.status(404).json({
                     success: false,
                     message: 'Request not found'
                 });
             }
 
+            console.log(`🗑️ Request ${requestId} moved to trash by staff ${user.username}${reason ? `: ${reason}` : ''}`);
+
             return res.json({
                 success: true,
-                message: 'Request deleted successfully'
+                message: 'Request moved to trash'
             });
 
         } catch (error) {
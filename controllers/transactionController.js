@@ -1,4 +1,33 @@
 const TransactionDay = require('../models/TransactionDay');
+const PickupSlot = require('../models/PickupSlot');
+const TransactionDayRule = require('../models/TransactionDayRule');
+const TransactionCalendar = require('../services/transactionCalendar');
+const { WEEKDAYS } = require('../models/TransactionDayRule');
+const { parseIcs, expandHolidays, MAX_IMPORT_DATES } = require('../services/transactionCalendar');
+
+// Most requesters one pickup slot may hold
+const MAX_SLOT_CAPACITY = 500;
+
+const DAY_STATUSES = ['no transaction', 'limited', 'available'];
+
+/**
+ * Format a DATE column value as YYYY-MM-DD in local time
+ * @param {Date|string} date - Date from the database
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    if (typeof date === 'string') return date.slice(0, 10);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Pad a HH:mm or HH:mm:ss time to HH:mm:ss so times compare as strings
+ * @param {string} time - Time string
+ * @returns {string} HH:mm:ss
+ */
+const toFullTime = (time) => (String(time).length === 5 ? `${time}:00` : String(time));
 
 /**
  * Transaction controller - handles transaction day-related business logic
@@ -10,6 +39,9 @@ class TransactionController {
     constructor(dbManager) {
         this.dbManager = dbManager;
         this.transactionDayModel = new TransactionDay(dbManager);
+        this.pickupSlotModel = new PickupSlot(dbManager);
+        this.ruleModel = new TransactionDayRule(dbManager);
+        this.calendar = new TransactionCalendar(dbManager);
     }
 
     /**
@@ -496,6 +528,16 @@ class TransactionController {
                 });
             }
 
+            // Deleting the day would silently drop requesters' pickup bookings
+            const slots = await this.pickupSlotModel.getByTransactionDay(transactionId);
+            const booked = slots.reduce((sum, slot) => sum + slot.bookedCount, 0);
+            if (booked > 0) {
+                return res.status(409).json({
+                    error: 'Day has bookings',
+                    message: `${booked} pickup bookings exist on this day; mark it as no transaction instead`
+                });
+            }
+
             // Delete transaction day
             await this.transactionDayModel.delete(transactionId);
 
@@ -614,6 +656,643 @@ class TransactionController {
             next(error);
         }
     };
+
+    /**
+     * Validate pickup slot fields from a request body
+     * @param {Object} body - { startTime, endTime, capacity }
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - Allow missing fields (updates)
+     * @returns {Object} { data } or { error } with a message for a 400 response
+     */
+    validateSlotData(body = {}, { partial = false } = {}) {
+        const { startTime, endTime, capacity } = body;
+        const timeRegex = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+        const data = {};
+
+        for (const [field, value] of [['startTime', startTime], ['endTime', endTime]]) {
+            if (value === undefined && partial) continue;
+            if (!value || !timeRegex.test(value)) {
+                return { error: `${field} must be in HH:mm or HH:mm:ss format` };
+            }
+            data[field] = toFullTime(value);
+        }
+
+        if (capacity !== undefined || !partial) {
+            const parsed = Number(capacity);
+            if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_SLOT_CAPACITY) {
+                return { error: `capacity must be a whole number from 1 to ${MAX_SLOT_CAPACITY}` };
+            }
+            data.capacity = parsed;
+        }
+
+        return { data };
+    }
+
+    /**
+     * Check that a slot fits its transaction day
+     * @param {Object} transactionDay - Transaction day row
+     * @param {string} startTime - HH:mm:ss
+     * @param {string} endTime - HH:mm:ss
+     * @returns {Promise<Object|null>} { statusCode, error, message } or null when it fits
+     */
+    checkSlotFitsDay = async (transactionDay, startTime, endTime) => {
+        if (startTime >= endTime) {
+            return { statusCode: 400, error: 'Validation failed', message: 'startTime must be before endTime' };
+        }
+
+        const date = toDateString(transactionDay.date);
+        const availability = await this.transactionDayModel.checkAvailability(date);
+        if (!availability.available) {
+            return { statusCode: 409, error: 'Day unavailable', message: `${date} is marked as no transaction` };
+        }
+
+        const { time_start, time_end } = transactionDay;
+        if ((time_start && startTime < toFullTime(time_start)) || (time_end && endTime > toFullTime(time_end))) {
+            return {
+                statusCode: 400,
+                error: 'Validation failed',
+                message: `Slots on ${date} must fall between ${time_start || 'opening'} and ${time_end || 'closing'}`
+            };
+        }
+        return null;
+    };
+
+    /**
+     * Get the pickup slots of a transaction day
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getPickupSlots = async (req, res, next) => {
+        try {
+            const transactionId = parseInt(req.params.id);
+            if (!transactionId || isNaN(transactionId)) {
+                return res.status(400).json({
+                    error: 'Invalid transaction day ID',
+                    message: 'Transaction day ID must be a valid number'
+                });
+            }
+
+            const slots = await this.pickupSlotModel.getByTransactionDay(transactionId);
+
+            res.json({
+                success: true,
+                slots: slots,
+                count: slots.length
+            });
+        } catch (error) {
+            console.error('Get pickup slots error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Add a pickup slot to a transaction day
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    createPickupSlot = async (req, res, next) => {
+        try {
+            const transactionId = parseInt(req.params.id);
+            if (!transactionId || isNaN(transactionId)) {
+                return res.status(400).json({
+                    error: 'Invalid transaction day ID',
+                    message: 'Transaction day ID must be a valid number'
+                });
+            }
+
+            const { data, error } = this.validateSlotData(req.body);
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const transactionDay = await this.transactionDayModel.findById(transactionId);
+            if (!transactionDay) {
+                return res.status(404).json({
+                    error: 'Transaction day not found',
+                    message: 'No transaction day found with the provided ID'
+                });
+            }
+
+            if (toDateString(transactionDay.date) < toDateString(new Date())) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Pickup slots cannot be added to past days'
+                });
+            }
+
+            const fitError = await this.checkSlotFitsDay(transactionDay, data.startTime, data.endTime);
+            if (fitError) {
+                return res.status(fitError.statusCode).json({ error: fitError.error, message: fitError.message });
+            }
+
+            const slot = await this.pickupSlotModel.create({
+                transactionDayId: transactionId,
+                ...data,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Pickup slot created successfully',
+                slot: slot
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    error: 'Duplicate entry',
+                    message: 'A pickup slot with this start time already exists on this day'
+                });
+            }
+            console.error('Create pickup slot error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Update a pickup slot
+     * Times of a slot with bookings are fixed; its capacity can change but not below the bookings.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updatePickupSlot = async (req, res, next) => {
+        try {
+            const slotId = parseInt(req.params.slotId);
+            if (!slotId || isNaN(slotId)) {
+                return res.status(400).json({
+                    error: 'Invalid slot ID',
+                    message: 'Slot ID must be a valid number'
+                });
+            }
+
+            const { data, error } = this.validateSlotData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const slot = await this.pickupSlotModel.findById(slotId);
+            if (!slot) {
+                return res.status(404).json({
+                    error: 'Slot not found',
+                    message: 'No pickup slot found with the provided ID'
+                });
+            }
+
+            if (data.startTime || data.endTime) {
+                if (slot.bookedCount > 0) {
+                    return res.status(409).json({
+                        error: 'Slot has bookings',
+                        message: 'The times of a slot cannot change once requesters have booked it'
+                    });
+                }
+
+                const transactionDay = await this.transactionDayModel.findById(slot.transactionDayId);
+                const fitError = await this.checkSlotFitsDay(
+                    transactionDay,
+                    data.startTime || toFullTime(slot.startTime),
+                    data.endTime || toFullTime(slot.endTime)
+                );
+                if (fitError) {
+                    return res.status(fitError.statusCode).json({ error: fitError.error, message: fitError.message });
+                }
+            }
+
+            const updated = await this.pickupSlotModel.update(slotId, data);
+            if (!updated) {
+                return res.status(409).json({
+                    error: 'Capacity too low',
+                    message: `${slot.bookedCount} requesters have already booked this slot`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Pickup slot updated successfully',
+                slot: await this.pickupSlotModel.findById(slotId)
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    error: 'Duplicate entry',
+                    message: 'A pickup slot with this start time already exists on this day'
+                });
+            }
+            console.error('Update pickup slot error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Delete a pickup slot nobody has booked
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    deletePickupSlot = async (req, res, next) => {
+        try {
+            const slotId = parseInt(req.params.slotId);
+            if (!slotId || isNaN(slotId)) {
+                return res.status(400).json({
+                    error: 'Invalid slot ID',
+                    message: 'Slot ID must be a valid number'
+                });
+            }
+
+            const slot = await this.pickupSlotModel.findById(slotId);
+            if (!slot) {
+                return res.status(404).json({
+                    error: 'Slot not found',
+                    message: 'No pickup slot found with the provided ID'
+                });
+            }
+
+            if (!await this.pickupSlotModel.delete(slotId)) {
+                return res.status(409).json({
+                    error: 'Slot has bookings',
+                    message: 'A pickup slot cannot be deleted once requesters have booked it'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Pickup slot deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete pickup slot error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Validate weekly rule fields from a request body
+     * @param {Object} body - Rule fields
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - Allow missing fields (updates)
+     * @returns {Object} { data } or { error } with a message for a 400 response
+     */
+    validateRuleData(body = {}, { partial = false } = {}) {
+        const data = {};
+        const timeRegex = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (body.weekday !== undefined || !partial) {
+            const name = String(body.weekday ?? '').trim().toLowerCase();
+            const weekday = WEEKDAYS.includes(name) ? WEEKDAYS.indexOf(name) : Number(body.weekday);
+            if (body.weekday === undefined || body.weekday === '' || !Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+                return { error: 'weekday must be 0 (Sunday) to 6 (Saturday) or a day name' };
+            }
+            data.weekday = weekday;
+        }
+
+        if (body.status !== undefined || !partial) {
+            if (!DAY_STATUSES.includes(body.status)) {
+                return { error: `status must be one of: ${DAY_STATUSES.join(', ')}` };
+            }
+            data.status = body.status;
+        }
+
+        if (body.name !== undefined || !partial) {
+            const name = typeof body.name === 'string' ? body.name.trim() : '';
+            if (!name && partial) return { error: 'name cannot be empty' };
+            const dayName = WEEKDAYS[data.weekday] || 'week';
+            data.name = name || `Every ${dayName.charAt(0).toUpperCase()}${dayName.slice(1)}: ${data.status}`;
+            if (data.name.length > 100) return { error: 'name must be at most 100 characters' };
+        }
+
+        for (const field of ['time_start', 'time_end']) {
+            if (body[field] === undefined) continue;
+            if (body[field] !== null && body[field] !== '' && !timeRegex.test(body[field])) {
+                return { error: `${field} must be in HH:mm or HH:mm:ss format` };
+            }
+            data[field] = body[field] ? toFullTime(body[field]) : null;
+        }
+        if (data.time_start && data.time_end && data.time_start >= data.time_end) {
+            return { error: 'time_start must be before time_end' };
+        }
+
+        for (const field of ['startsOn', 'endsOn']) {
+            if (body[field] === undefined) continue;
+            if (body[field] !== null && body[field] !== '' && !dateRegex.test(body[field])) {
+                return { error: `${field} must be in YYYY-MM-DD format` };
+            }
+            data[field] = body[field] || null;
+        }
+        if (data.startsOn && data.endsOn && data.startsOn > data.endsOn) {
+            return { error: 'startsOn cannot be after endsOn' };
+        }
+
+        if (body.message !== undefined) {
+            data.message = typeof body.message === 'string' && body.message.trim() ? body.message.trim() : null;
+        }
+        if (body.is_active !== undefined) {
+            data.is_active = Boolean(body.is_active) && body.is_active !== 'false';
+        }
+
+        return { data };
+    }
+
+    /**
+     * Read holidays from an uploaded .ics file (icsFile) or an ics text field
+     * @param {Object} req - Express request object
+     * @param {string} fromDate - First date to keep (YYYY-MM-DD)
+     * @param {string} toDate - Last date to keep (YYYY-MM-DD)
+     * @returns {Object} { holidays } or { error } with a message for a 400 response
+     */
+    readHolidays(req, fromDate, toDate) {
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body?.ics;
+        if (!text) return { holidays: [] };
+        if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+            return { error: 'ics must be an iCalendar (.ics) file' };
+        }
+
+        const holidays = expandHolidays(parseIcs(text), fromDate, toDate);
+        if (holidays.length > MAX_IMPORT_DATES) {
+            return { error: `The calendar has more than ${MAX_IMPORT_DATES} dates in the period; import a shorter period` };
+        }
+        return { holidays };
+    }
+
+    /**
+     * Get all weekly transaction-day rules
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getRules = async (req, res, next) => {
+        try {
+            const rules = await this.ruleModel.getAll();
+
+            res.json({
+                success: true,
+                rules: rules,
+                count: rules.length
+            });
+        } catch (error) {
+            console.error('Get transaction day rules error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Create a weekly transaction-day rule
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    createRule = async (req, res, next) => {
+        try {
+            const { data, error } = this.validateRuleData(req.body);
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const rule = await this.ruleModel.create({ ...data, createdBy: req.user.id });
+
+            if (global.io) {
+                global.io.emit('transactionDayUpdated');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Transaction day rule created successfully',
+                rule: rule
+            });
+        } catch (error) {
+            console.error('Create transaction day rule error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Update a weekly transaction-day rule
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    updateRule = async (req, res, next) => {
+        try {
+            const ruleId = parseInt(req.params.ruleId);
+            if (!ruleId || isNaN(ruleId)) {
+                return res.status(400).json({
+                    error: 'Invalid rule ID',
+                    message: 'Rule ID must be a valid number'
+                });
+            }
+
+            const existing = await this.ruleModel.findById(ruleId);
+            if (!existing) {
+                return res.status(404).json({
+                    error: 'Rule not found',
+                    message: 'No transaction day rule found with the provided ID'
+                });
+            }
+
+            const { data, error } = this.validateRuleData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            // Check the combined times and dates, not just the changed ones
+            const merged = { ...existing, ...data };
+            if (merged.time_start && merged.time_end && toFullTime(merged.time_start) >= toFullTime(merged.time_end)) {
+                return res.status(400).json({ error: 'Validation failed', message: 'time_start must be before time_end' });
+            }
+            if (merged.startsOn && merged.endsOn && merged.startsOn > merged.endsOn) {
+                return res.status(400).json({ error: 'Validation failed', message: 'startsOn cannot be after endsOn' });
+            }
+
+            const rule = await this.ruleModel.update(ruleId, data);
+
+            if (global.io) {
+                global.io.emit('transactionDayUpdated');
+            }
+
+            res.json({
+                success: true,
+                message: 'Transaction day rule updated successfully',
+                rule: rule
+            });
+        } catch (error) {
+            console.error('Update transaction day rule error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Delete a weekly transaction-day rule
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    deleteRule = async (req, res, next) => {
+        try {
+            const ruleId = parseInt(req.params.ruleId);
+            if (!ruleId || isNaN(ruleId)) {
+                return res.status(400).json({
+                    error: 'Invalid rule ID',
+                    message: 'Rule ID must be a valid number'
+                });
+            }
+
+            if (!await this.ruleModel.delete(ruleId)) {
+                return res.status(404).json({
+                    error: 'Rule not found',
+                    message: 'No transaction day rule found with the provided ID'
+                });
+            }
+
+            if (global.io) {
+                global.io.emit('transactionDayUpdated');
+            }
+
+            res.json({
+                success: true,
+                message: 'Transaction day rule deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete transaction day rule error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Show the calendar of a month, optionally with proposed rules and holidays applied
+     * GET shows the saved calendar; POST (preview) also applies body.rules and an .ics file without saving.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    getMonthCalendar = async (req, res, next) => {
+        try {
+            const month = req.query.month || req.body?.month;
+            if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'month must be in YYYY-MM format'
+                });
+            }
+
+            const proposed = {};
+            if (req.method === 'POST') {
+                let rules = req.body?.rules || [];
+                if (typeof rules === 'string') {
+                    try {
+                        rules = JSON.parse(rules);
+                    } catch (parseError) {
+                        rules = null;
+                    }
+                }
+                if (!Array.isArray(rules)) {
+                    return res.status(400).json({ error: 'Validation failed', message: 'rules must be an array' });
+                }
+
+                proposed.rules = [];
+                for (const [index, input] of rules.entries()) {
+                    const { data, error } = this.validateRuleData(input);
+                    if (error) {
+                        return res.status(400).json({ error: 'Validation failed', message: `rules[${index}]: ${error}` });
+                    }
+                    proposed.rules.push(data);
+                }
+
+                const holidayStatus = req.body?.holidayStatus || 'no transaction';
+                if (!DAY_STATUSES.includes(holidayStatus)) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        message: `holidayStatus must be one of: ${DAY_STATUSES.join(', ')}`
+                    });
+                }
+
+                const [year, monthNumber] = month.split('-').map(Number);
+                const { holidays, error } = this.readHolidays(req, `${month}-01`, toDateString(new Date(year, monthNumber, 0)));
+                if (error) {
+                    return res.status(400).json({ error: 'Validation failed', message: error });
+                }
+
+                Object.assign(proposed, {
+                    holidays,
+                    holidayStatus,
+                    overwrite: req.body?.overwrite === true || req.body?.overwrite === 'true'
+                });
+            }
+
+            const days = await this.calendar.buildMonth(month, proposed);
+
+            res.json({
+                success: true,
+                month: month,
+                preview: req.method === 'POST',
+                days: days
+            });
+        } catch (error) {
+            console.error('Get month calendar error:', error);
+            next(error);
+        }
+    };
+
+    /**
+     * Import holidays from an iCalendar (.ics) file as transaction days
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    importHolidays = async (req, res, next) => {
+        try {
+            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+            const today = toDateString(new Date());
+            const fromDate = req.body?.fromDate || today;
+            const toDate = req.body?.toDate || `${Number(today.slice(0, 4)) + 1}-12-31`;
+
+            if (!dateRegex.test(fromDate) || !dateRegex.test(toDate)) {
+                return res.status(400).json({ error: 'Validation failed', message: 'Dates must be in YYYY-MM-DD format' });
+            }
+            if (fromDate > toDate) {
+                return res.status(400).json({ error: 'Validation failed', message: 'fromDate cannot be after toDate' });
+            }
+
+            const status = req.body?.status || 'no transaction';
+            if (!DAY_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: `status must be one of: ${DAY_STATUSES.join(', ')}`
+                });
+            }
+
+            if (!req.file && !req.body?.ics) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Upload an .ics file as icsFile or send its contents as ics'
+                });
+            }
+
+            const { holidays, error } = this.readHolidays(req, fromDate, toDate);
+            if (error) {
+                return res.status(400).json({ error: 'Validation failed', message: error });
+            }
+
+            const overwrite = req.body?.overwrite === true || req.body?.overwrite === 'true';
+            const summary = await this.calendar.importHolidays(holidays, { status, overwrite });
+
+            console.log(`📅 Holiday import by user ${req.user.id}: ${summary.created.length} created, ${summary.updated.length} updated, ${summary.skipped.length} skipped`);
+
+            if (global.io && (summary.created.length > 0 || summary.updated.length > 0)) {
+                global.io.emit('transactionDayUpdated');
+            }
+
+            res.json({
+                success: true,
+                message: `Holiday import completed. ${summary.created.length} created, ${summary.updated.length} updated, ${summary.skipped.length + summary.booked.length} skipped.`,
+                range: { fromDate, toDate },
+                holidays: holidays,
+                ...summary
+            });
+        } catch (error) {
+            console.error('Import holidays error:', error);
+            next(error);
+        }
+    };
 }
 
 module.exports = TransactionController;
@@ -0,0 +1,18 @@
+/**
+ * Send queued emails that are due, retrying failed ones with backoff
+ */
+const EmailOutbox = require('../services/emailOutbox');
+
+module.exports = {
+    name: 'email-outbox',
+    description: 'Send queued emails and retry failed ones; messages that keep failing are marked dead',
+    schedule: '* * * * *', // every minute
+    lockSeconds: 5 * 60,
+
+    async run({ dbManager, mailService }) {
+        const outbox = mailService.outbox || new EmailOutbox(dbManager, mailService);
+        const { sent, failed, dead, skipped } = await outbox.processDue();
+
+        return `${sent} sent, ${failed} failed, ${dead} dead${skipped ? `, ${skipped} skipped` : ''}`;
+    }
+};
@@ -0,0 +1,12 @@
+/**
+ * Background job definitions run by services/jobScheduler.js
+ */
+module.exports = [
+    require('./purgeExpiredTokens'),
+    require('./pickupReminders'),
+    require('./unclaimedDocumentAlerts'),
+    require('./trashPurge'),
+    require('./slaEscalation'),
+    require('./reportDeliveries'),
+    require('./emailOutbox')
+];
@@ -0,0 +1,66 @@
+/**
+ * Remind requesters the day before (or the morning of) their scheduled pickup
+ */
+const RequesterNotifier = require('../services/requesterNotifier');
+const { formatLongDate } = require('../services/emailTemplates');
+
+module.exports = {
+    name: 'pickup-reminders',
+    description: 'Remind requesters (email and/or SMS, as they chose) whose documents are ready and scheduled for pickup today or tomorrow',
+    schedule: '0 7 * * *', // daily at 07:00
+
+    async run({ dbManager, mailService }) {
+        // A reminder sent before the reminder window belongs to an earlier (rescheduled) pickup date
+        const requests = await dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber, dr.scheduledPickup,
+                COALESCE(s.email, a.email) as email,
+                CONCAT(COALESCE(s.firstName, a.firstName), ' ', COALESCE(s.surname, a.surname)) as fullName,
+                GROUP_CONCAT(DISTINCT dt.documentName ORDER BY dt.documentName SEPARATOR ', ') as documents
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_documents rd ON rd.requestId = dr.id
+            LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE rs.statusName = 'READY'
+              AND dr.deletedAt IS NULL
+              AND DATE(dr.scheduledPickup) BETWEEN CURDATE() AND CURDATE() + INTERVAL 1 DAY
+              AND (dr.pickupReminderSentAt IS NULL OR dr.pickupReminderSentAt < DATE(dr.scheduledPickup) - INTERVAL 1 DAY)
+            GROUP BY dr.id
+        `);
+
+        const notifier = new RequesterNotifier(dbManager);
+
+        let sent = 0;
+        for (const request of requests) {
+            // Each channel follows the requester's 'reminder' preference (SmsNotifier checks its own)
+            const smsResult = await notifier.sms.notifyRequest(request.id, 'reminder', {
+                pickupDate: formatLongDate(request.scheduledPickup)
+            });
+
+            let emailResult = null;
+            if (request.email && await notifier.allows(request.id, 'reminder', 'email')) {
+                emailResult = await mailService.sendPickupReminderEmail({
+                    toEmail: request.email,
+                    fullName: request.fullName,
+                    referenceNumber: request.referenceNumber,
+                    documents: request.documents,
+                    scheduledPickup: request.scheduledPickup
+                }) ? 'sent' : 'failed';
+            }
+
+            // Retry on the next run only when nothing got through and a channel failed
+            const results = [emailResult, smsResult];
+            if (!results.includes('sent') && results.includes('failed')) continue;
+
+            await dbManager.executeQuery(
+                'UPDATE document_requests SET pickupReminderSentAt = NOW() WHERE id = ?',
+                [request.id]
+            );
+            if (results.includes('sent')) sent++;
+        }
+
+        return `${sent} of ${requests.length} reminder(s) sent`;
+    }
+};
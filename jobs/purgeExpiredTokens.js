@@ -0,0 +1,26 @@
+/**
+ * Purge expired email verification links, password reset tokens and requester codes
+ */
+module.exports = {
+    name: 'purge-expired-tokens',
+    description: 'Delete expired email verifications and requester codes; clear expired password reset tokens',
+    schedule: '15 * * * *', // hourly
+
+    async run({ dbManager }) {
+        const verifications = await dbManager.executeQuery(
+            'DELETE FROM email_verifications WHERE expires_at < NOW()'
+        );
+
+        const resetTokens = await dbManager.executeQuery(
+            'UPDATE users SET reset_token = NULL, reset_token_expiry = NULL WHERE reset_token IS NOT NULL AND reset_token_expiry < NOW()'
+        );
+
+        // Keep a day of history so attempt counts still show up when investigating abuse
+        const requesterCodes = await dbManager.executeQuery(
+            'DELETE FROM requester_otps WHERE expiresAt < NOW() - INTERVAL 1 DAY'
+        );
+
+        return `${verifications.affectedRows} verification(s), ${resetTokens.affectedRows} reset token(s), ` +
+            `${requesterCodes.affectedRows} requester code(s) removed`;
+    }
+};
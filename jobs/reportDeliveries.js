@@ -0,0 +1,16 @@
+const ReportDelivery = require('../services/reportDelivery');
+
+/**
+ * Email saved reports to their subscribers once each report window has closed
+ */
+module.exports = {
+    name: 'report-deliveries',
+    description: 'Email scheduled reports (previous day, week or month) to their recipients',
+    schedule: '0 6 * * *', // daily at 06:00
+    lockSeconds: 30 * 60,
+
+    async run({ dbManager, mailService }) {
+        const { sent, failed } = await new ReportDelivery(dbManager, mailService).run();
+        return `${sent} report(s) sent, ${failed} failed`;
+    }
+};
@@ -0,0 +1,15 @@
+const SlaEscalation = require('../services/slaEscalation');
+
+/**
+ * Email department heads about open requests past their SLA due date
+ */
+module.exports = {
+    name: 'sla-escalation',
+    description: 'Escalate open requests past their due date to the department head (once per request)',
+    schedule: '0 * * * *', // hourly
+
+    async run({ dbManager, mailService }) {
+        const count = await new SlaEscalation(dbManager, mailService).run();
+        return `${count} request(s) escalated`;
+    }
+};
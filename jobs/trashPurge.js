@@ -0,0 +1,16 @@
+const DocumentRequest = require('../models/DocumentRequest');
+
+/**
+ * Purge requests that have been in the trash longer than the retention window
+ */
+module.exports = {
+    name: 'trash-purge',
+    description: 'Permanently delete requests kept in the trash longer than TRASH_RETENTION_DAYS',
+    schedule: '30 2 * * *', // daily at 02:30
+
+    async run({ dbManager }) {
+        const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+        const count = await new DocumentRequest(dbManager).purgeDeleted(retentionDays);
+        return `${count} request(s) purged`;
+    }
+};
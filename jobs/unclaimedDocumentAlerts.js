@@ -0,0 +1,66 @@
+/**
+ * Alert requesters whose ready documents have not been claimed
+ */
+const RequesterNotifier = require('../services/requesterNotifier');
+
+module.exports = {
+    name: 'unclaimed-document-alerts',
+    description: 'Alert requesters (email and/or SMS, as they chose) whose documents have been ready for pickup longer than UNCLAIMED_ALERT_DAYS',
+    schedule: '0 8 * * *', // daily at 08:00
+
+    async run({ dbManager, mailService }) {
+        const alertDays = parseInt(process.env.UNCLAIMED_ALERT_DAYS) || 7;
+
+        // Requests without a pickup date count from when they were last updated (marked ready)
+        const requests = await dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber,
+                COALESCE(dr.scheduledPickup, dr.updatedAt) as readySince,
+                COALESCE(s.email, a.email) as email,
+                CONCAT(COALESCE(s.firstName, a.firstName), ' ', COALESCE(s.surname, a.surname)) as fullName,
+                GROUP_CONCAT(DISTINCT dt.documentName ORDER BY dt.documentName SEPARATOR ', ') as documents
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_documents rd ON rd.requestId = dr.id
+            LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE rs.statusName = 'READY'
+              AND dr.deletedAt IS NULL
+              AND dr.unclaimedAlertAt IS NULL
+              AND COALESCE(dr.scheduledPickup, dr.updatedAt) < CURDATE() - INTERVAL ? DAY
+            GROUP BY dr.id
+        `, [alertDays]);
+
+        const notifier = new RequesterNotifier(dbManager);
+
+        let sent = 0;
+        for (const request of requests) {
+            // Each channel follows the requester's 'reminder' preference (SmsNotifier checks its own)
+            const smsResult = await notifier.sms.notifyRequest(request.id, 'reminder');
+
+            let emailResult = null;
+            if (request.email && await notifier.allows(request.id, 'reminder', 'email')) {
+                emailResult = await mailService.sendUnclaimedDocumentsEmail({
+                    toEmail: request.email,
+                    fullName: request.fullName,
+                    referenceNumber: request.referenceNumber,
+                    documents: request.documents,
+                    readySince: request.readySince
+                }) ? 'sent' : 'failed';
+            }
+
+            // Retry on the next run only when nothing got through and a channel failed
+            const results = [emailResult, smsResult];
+            if (!results.includes('sent') && results.includes('failed')) continue;
+
+            await dbManager.executeQuery(
+                'UPDATE document_requests SET unclaimedAlertAt = NOW() WHERE id = ?',
+                [request.id]
+            );
+            if (results.includes('sent')) sent++;
+        }
+
+        return `${sent} of ${requests.length} alert(s) sent`;
+    }
+};
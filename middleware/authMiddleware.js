@@ -66,6 +66,14 @@ class AuthMiddleware {
 
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Requester portal sessions share the signing secret but never grant staff access
+            if (decoded.type === 'requester') {
+                return res.status(403).json({
+                    error: 'Access forbidden',
+                    message: 'Requester sessions cannot access staff routes'
+                });
+            }
+
             req.user = decoded;
             next();
 
@@ -93,6 +101,88 @@ class AuthMiddleware {
         }
     };
 
+    /**
+     * Verify a requester portal session token
+     * Accepts only tokens issued by the magic-link/OTP login and exposes the
+     * requester's email as req.requester.
+     *
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    verifyRequesterToken = (req, res, next) => {
+        try {
+            const authHeader = req.headers.authorization;
+
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return res.status(401).json({
+                    error: 'Access denied',
+                    message: 'No token provided or invalid format'
+                });
+            }
+
+            const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET, {
+                audience: 'requester'
+            });
+
+            if (decoded.type !== 'requester' || !decoded.email) {
+                return res.status(401).json({
+                    error: 'Invalid token',
+                    message: 'Not a requester session'
+                });
+            }
+
+            req.requester = { email: decoded.email };
+            next();
+
+        } catch (error) {
+            console.error('Requester token verification failed:', error.message);
+
+            if (error.name === 'TokenExpiredError') {
+                return res.status(401).json({
+                    error: 'Token expired',
+                    message: 'Your session has expired. Please sign in again.'
+                });
+            }
+
+            return res.status(401).json({
+                error: 'Invalid token',
+                message: 'Authentication token is invalid'
+            });
+        }
+    };
+
+    /**
+     * Verify the JWT of a Socket.IO connection (io.use middleware)
+     * The token is read from the handshake auth payload ({ auth: { token } }) or a
+     * Bearer Authorization header. Connections without a token are allowed as
+     * public sockets; staff/admin tokens expose the user as socket.data.user.
+     * Requester portal sessions stay public: they carry no staff rooms.
+     *
+     * @param {Object} socket - Socket.IO socket
+     * @param {Function} next - Socket.IO next function (an Error rejects the connection)
+     */
+    verifySocket = (socket, next) => {
+        const authHeader = socket.handshake.headers?.authorization || '';
+        const token = socket.handshake.auth?.token ||
+            (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+        socket.data.user = null;
+        if (!token) return next();
+
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.type !== 'requester') {
+                socket.data.user = decoded;
+            }
+            next();
+
+        } catch (error) {
+            console.error('Socket token verification failed:', error.message);
+            next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+        }
+    };
+
     /**
      * Check if user has required role(s)
      * Higher-order function that returns middleware for role-based access control
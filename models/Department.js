@@ -92,6 +92,37 @@ class Department {
         }
     }
 
+    /**
+     * Get all departments with their heads (admin view)
+     * @returns {Promise<Array>} Array of departments
+     */
+    async getAllWithHeads() {
+        try {
+            const query = 'SELECT department_id, department_name, head_email FROM departments ORDER BY department_name';
+            return await this.dbManager.executeQuery(query);
+        } catch (error) {
+            console.error('❌ Error fetching department heads:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the email of a department's head
+     * @param {number} id - Department ID
+     * @param {string|null} headEmail - Head's email, or null to clear
+     * @returns {Promise<boolean>} True if the department exists
+     */
+    async updateHeadEmail(id, headEmail) {
+        try {
+            const query = 'UPDATE departments SET head_email = ? WHERE department_id = ?';
+            const result = await this.dbManager.executeQuery(query, [headEmail, id]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Error updating department head:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get or create department by name
      * @param {string} name - Department name
@@ -1,3 +1,6 @@
+// SLA target in working days for document types created without one
+const DEFAULT_PROCESSING_DAYS = 3;
+
 /**
  * Document model - handles document type-related database operations
  */
@@ -15,7 +18,7 @@ class Document {
      * @returns {Promise<Array>} Array of documents
      */
     async getAll(activeOnly = true) {
-        let query = 'SELECT id, documentName, basePrice, isActive, createdAt, updatedAt FROM document_types';
+        let query = 'SELECT id, documentName, basePrice, processingDays, isActive, createdAt, updatedAt FROM document_types';
         const params = [];
 
         if (activeOnly) {
@@ -33,7 +36,7 @@ class Document {
      * @returns {Promise<Object>} Document data
      */
     async findById(id) {
-        const query = 'SELECT id, documentName, basePrice, isActive, createdAt, updatedAt FROM document_types WHERE id = ?';
+        const query = 'SELECT id, documentName, basePrice, processingDays, isActive, createdAt, updatedAt FROM document_types WHERE id = ?';
         const results = await this.dbManager.executeQuery(query, [id]);
         return results[0] || null;
     }
@@ -44,7 +47,7 @@ class Document {
      * @returns {Promise<Object>} Document data
      */
     async findByName(name) {
-        const query = 'SELECT id, documentName, basePrice, isActive, createdAt, updatedAt FROM document_types WHERE documentName = ?';
+        const query = 'SELECT id, documentName, basePrice, processingDays, isActive, createdAt, updatedAt FROM document_types WHERE documentName = ?';
         const results = await this.dbManager.executeQuery(query, [name]);
         return results[0] || null;
     }
@@ -55,10 +58,10 @@ class Document {
      * @returns {Promise<Object>} Created document data
      */
     async create(documentData) {
-        const { documentName, basePrice, isActive = true } = documentData;
+        const { documentName, basePrice, processingDays = DEFAULT_PROCESSING_DAYS, isActive = true } = documentData;
 
-        const query = 'INSERT INTO document_types (documentName, basePrice, isActive) VALUES (?, ?, ?)';
-        const result = await this.dbManager.executeQuery(query, [documentName, basePrice, isActive]);
+        const query = 'INSERT INTO document_types (documentName, basePrice, processingDays, isActive) VALUES (?, ?, ?, ?)';
+        const result = await this.dbManager.executeQuery(query, [documentName, basePrice, processingDays, isActive]);
 
         return await this.findById(result.insertId);
     }
@@ -70,7 +73,7 @@ class Document {
      * @returns {Promise<Object>} Updated document data
      */
     async update(id, documentData) {
-        const allowedFields = ['documentName', 'basePrice', 'isActive'];
+        const allowedFields = ['documentName', 'basePrice', 'processingDays', 'isActive'];
         const updates = [];
         const values = [];
 
@@ -189,7 +192,7 @@ class Document {
      * @returns {Promise<Array>} Array of documents
      */
     async getPaginated({ limit = 50, offset = 0, activeOnly = true } = {}) {
-        let query = 'SELECT id, documentName, basePrice, isActive, createdAt, updatedAt FROM document_types';
+        let query = 'SELECT id, documentName, basePrice, processingDays, isActive, createdAt, updatedAt FROM document_types';
         const params = [];
 
         if (activeOnly) {
@@ -209,7 +212,7 @@ class Document {
      * @returns {Promise<Array>} Array of matching documents
      */
     async searchByName(searchTerm, activeOnly = true) {
-        let query = 'SELECT id, documentName, basePrice, isActive, createdAt, updatedAt FROM document_types WHERE documentName LIKE ?';
+        let query = 'SELECT id, documentName, basePrice, processingDays, isActive, createdAt, updatedAt FROM document_types WHERE documentName LIKE ?';
         const params = [`%${searchTerm}%`];
 
         if (activeOnly) {
@@ -222,4 +225,5 @@ class Document {
     }
 }
 
-module.exports = Document;
\ No newline at end of file
+module.exports = Document;
+module.exports.DEFAULT_PROCESSING_DAYS = DEFAULT_PROCESSING_DAYS;
\ No newline at end of file
@@ -1,3 +1,5 @@
+const { outOfOfficeCondition } = require('./User');
+
 /**
  * Document Request model - handles document request-related database operations
  */
@@ -18,7 +20,8 @@ class DocumentRequest {
         const {
             requestId, requestNo, referenceNumber, requesterId, requesterType, courseId,
             purposeId, statusId = 1, pickupStatusId = 1, otherPurpose,
-            totalAmount, documents, department_id, schoolYear, requestSemester
+            totalAmount, documents, department_id, processedBy = null, dueDate = null, schoolYear, requestSemester,
+            representativeName = null, representativeIdNumber = null, authorizationLetter = null
         } = requestData;
 
         if (!purposeId) {
@@ -29,17 +32,19 @@ class DocumentRequest {
             throw new Error('At least one document must be requested');
         }
 
-        // Insert main request (include school_year and request_semester)
+        // Insert main request (include school_year, request_semester and the optional representative)
         const requestQuery = `
             INSERT INTO document_requests
             (requestId, requestNo, referenceNumber, requesterId, requesterType, courseId, purposeId,
-             statusId, pickupStatusId, otherPurpose, totalAmount, department_id, school_year, request_semester)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             statusId, pickupStatusId, otherPurpose, totalAmount, department_id, processedBy, dueDate, school_year, request_semester,
+             representativeName, representativeIdNumber, authorizationLetter)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const requestResult = await this.dbManager.executeQuery(requestQuery, [
             requestId, requestNo, referenceNumber, requesterId, requesterType, courseId, purposeId,
-            statusId, pickupStatusId, otherPurpose, totalAmount, department_id, schoolYear, requestSemester
+            statusId, pickupStatusId, otherPurpose, totalAmount, department_id, processedBy, dueDate, schoolYear, requestSemester,
+            representativeName, representativeIdNumber, authorizationLetter
         ]);
 
         const newRequestId = requestResult.insertId;
@@ -52,7 +57,11 @@ class DocumentRequest {
         }
 
         // Add initial tracking entry
-        await this.addTrackingEntry(newRequestId, statusId, 'Request submitted and pending review');
+        const submittedNotes = representativeName
+            ? `Request submitted and pending review (authorized representative: ${representativeName}` +
+              `${representativeIdNumber ? `, ID ${representativeIdNumber}` : ''}${authorizationLetter ? ', authorization letter uploaded' : ''})`
+            : 'Request submitted and pending review';
+        await this.addTrackingEntry(newRequestId, statusId, submittedNotes);
 
         return await this.findById(newRequestId);
     }
@@ -60,14 +69,19 @@ class DocumentRequest {
     /**
      * Find request by ID with full details
      * @param {number} id - Request ID
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeleted] - Also find requests in the trash
      * @returns {Promise<Object>} Request data with joined information
      */
-    async findById(id) {
+    async findById(id, { includeDeleted = false } = {}) {
         const query = `
             SELECT
                 dr.id, dr.requestId, dr.requestNo, dr.referenceNumber,
                 dr.scheduledPickup, dr.dateProcessed, dr.dateCompleted,
-                dr.totalAmount, dr.adminNotes, dr.createdAt, dr.updatedAt, dr.department_id,
+                dr.totalAmount, dr.paymentStatus, dr.adminNotes, dr.createdAt, dr.updatedAt, dr.department_id,
+                dr.statusId, dr.processedBy, dr.dueDate, dr.escalatedAt, dr.deletedAt,
+                dr.representativeName, dr.representativeIdNumber, dr.authorizationLetter,
+                dr.representativeIdConfirmedAt, dr.representativeIdConfirmedBy,
                 CASE
                     WHEN dr.requesterType = 'student' THEN s.studentNumber
                     ELSE NULL
@@ -109,7 +123,7 @@ class DocumentRequest {
             LEFT JOIN request_purposes rp ON dr.purposeId = rp.id
             LEFT JOIN request_statuses rs ON dr.statusId = rs.id
             LEFT JOIN pickup_statuses ps ON dr.pickupStatusId = ps.id
-            WHERE dr.id = ?
+            WHERE dr.id = ?${includeDeleted ? '' : ' AND dr.deletedAt IS NULL'}
         `;
 
         const results = await this.dbManager.executeQuery(query, [id]);
@@ -126,7 +140,8 @@ class DocumentRequest {
             SELECT
                 dr.id, dr.requestId, dr.requestNo, dr.referenceNumber,
                 dr.scheduledPickup, dr.dateProcessed, dr.dateCompleted,
-                dr.totalAmount, dr.adminNotes, dr.createdAt, dr.updatedAt, dr.department_id,
+                dr.totalAmount, dr.paymentStatus, dr.adminNotes, dr.createdAt, dr.updatedAt, dr.department_id,
+                dr.statusId, dr.processedBy, dr.deletedAt,
                 CASE
                     WHEN dr.requesterType = 'student' THEN s.studentNumber
                     ELSE NULL
@@ -155,7 +170,7 @@ class DocumentRequest {
                     WHEN dr.requesterType = 'alumni' THEN a.verification_photo
                     ELSE NULL
                 END as verification_photo,
-                dr.requesterType,
+                dr.requesterType, dr.requesterId,
                 c.courseName as course, c.educationalLevel as year,
                 COALESCE(rp.purposeName, 'N/A') as purposeOfRequest,
                 dr.otherPurpose,
@@ -168,7 +183,7 @@ class DocumentRequest {
             LEFT JOIN request_purposes rp ON dr.purposeId = rp.id
             LEFT JOIN request_statuses rs ON dr.statusId = rs.id
             LEFT JOIN pickup_statuses ps ON dr.pickupStatusId = ps.id
-            WHERE dr.referenceNumber = ?
+            WHERE dr.referenceNumber = ? AND dr.deletedAt IS NULL
         `;
 
         const results = await this.dbManager.executeQuery(query, [referenceNumber]);
@@ -233,29 +248,28 @@ class DocumentRequest {
             LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
         `;
 
+        // Requests in the trash are never listed
+        query += ' WHERE dr.deletedAt IS NULL';
         const params = [];
 
         if (status) {
-            query += ' WHERE rs.statusName = ?';
+            query += ' AND rs.statusName = ?';
             params.push(status);
         }
 
         if (processedBy) {
-            const whereClause = status ? ' AND' : ' WHERE';
-            query += `${whereClause} dr.processedBy = ?`;
+            query += ' AND dr.processedBy = ?';
             params.push(processedBy);
         }
 
         if (department_id) {
-            const whereClause = (status || processedBy) ? ' AND' : ' WHERE';
-            query += `${whereClause} dr.department_id = ?`;
+            query += ' AND dr.department_id = ?';
             params.push(department_id);
         }
 
         if (programs) {
-            const whereClause = (status || processedBy || department_id) ? ' AND' : ' WHERE';
             const placeholders = programs.map(() => '?').join(',');
-            query += `${whereClause} c.courseName IN (${placeholders})`;
+            query += ` AND c.courseName IN (${placeholders})`;
             params.push(...programs);
         }
 
@@ -279,7 +293,8 @@ class DocumentRequest {
             'adminNotes',
             'processedBy',
             'dateCompleted',
-            'department_id'
+            'department_id',
+            'paymentStatus'
         ];
 
         const updates = [];
@@ -356,12 +371,44 @@ class DocumentRequest {
      * @returns {Promise<void>}
      */
     async addTrackingEntry(requestId, statusId, notes, changedBy = null) {
+        // When changedBy is covering for the request's out-of-office owner, record the owner too
         const query = `
-            INSERT INTO request_tracking (requestId, statusId, changedBy, notes)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO request_tracking (requestId, statusId, changedBy, onBehalfOf, notes)
+            SELECT ?, ?, ?, (
+                SELECT owner.id
+                FROM document_requests dr
+                JOIN users owner ON dr.processedBy = owner.id
+                WHERE dr.id = ? AND owner.id <> ? AND owner.delegateUserId = ? AND ${outOfOfficeCondition('owner')}
+            ), ?
         `;
 
-        await this.dbManager.executeQuery(query, [requestId, statusId, changedBy, notes]);
+        await this.dbManager.executeQuery(query, [requestId, statusId, changedBy, requestId, changedBy, changedBy, notes]);
+    }
+
+    /**
+     * Get every request made with an email address, across student and alumni records
+     * @param {string} email - Requester email
+     * @returns {Promise<Array>} Array of requests, newest first
+     */
+    async getByRequesterEmail(email) {
+        const query = `
+            SELECT
+                dr.id, dr.requestNo, dr.referenceNumber, dr.requesterType,
+                dr.scheduledPickup, dr.dateCompleted, dr.totalAmount, dr.paymentStatus, dr.createdAt,
+                rs.statusName as status,
+                GROUP_CONCAT(DISTINCT dt.documentName ORDER BY dt.documentName SEPARATOR ', ') as documents
+            FROM document_requests dr
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN request_documents rd ON rd.requestId = dr.id
+            LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE (LOWER(s.email) = ? OR LOWER(a.email) = ?) AND dr.deletedAt IS NULL
+            GROUP BY dr.id
+            ORDER BY dr.createdAt DESC
+        `;
+        const normalizedEmail = String(email).trim().toLowerCase();
+        return await this.dbManager.executeQuery(query, [normalizedEmail, normalizedEmail]);
     }
 
     /**
@@ -375,10 +422,12 @@ class DocumentRequest {
                 rt.notes as message,
                 rt.createdAt as timestamp,
                 rs.statusName as status,
-                CONCAT(u.firstName, ' ', u.lastName) as changedBy
+                CONCAT(u.firstName, ' ', u.lastName) as changedBy,
+                CONCAT(owner.firstName, ' ', owner.lastName) as onBehalfOf
             FROM request_tracking rt
             JOIN request_statuses rs ON rt.statusId = rs.id
             LEFT JOIN users u ON rt.changedBy = u.id
+            LEFT JOIN users owner ON rt.onBehalfOf = owner.id
             WHERE rt.requestId = ?
             ORDER BY rt.createdAt ASC
         `;
@@ -395,7 +444,7 @@ class DocumentRequest {
         let query = 'SELECT COUNT(*) as count FROM document_requests dr';
         const params = [];
         let joins = [];
-        let whereConditions = [];
+        let whereConditions = ['dr.deletedAt IS NULL'];
 
         if (programs) {
             joins.push('LEFT JOIN courses c ON dr.courseId = c.id');
@@ -426,39 +475,151 @@ class DocumentRequest {
             query += ' ' + joins.join(' ');
         }
 
-        if (whereConditions.length > 0) {
-            query += ' WHERE ' + whereConditions.join(' AND ');
-        }
+        query += ' WHERE ' + whereConditions.join(' AND ');
 
         const result = await this.dbManager.executeQuery(query, params);
         return result[0].count;
     }
 
     /**
-     * Delete request
+     * Move a request to the trash
+     * Documents, tracking history, payments and receipts are kept.
+     * @param {number} id - Request ID
+     * @param {number} deletedBy - User ID deleting the request
+     * @param {string|null} reason - Why the request was deleted (optional)
+     * @returns {Promise<boolean>} True if a request was moved to the trash
+     */
+    async softDelete(id, deletedBy, reason) {
+        const result = await this.dbManager.executeQuery(
+            `UPDATE document_requests
+             SET deletedAt = CURRENT_TIMESTAMP, deletedBy = ?, deleteReason = ?
+             WHERE id = ? AND deletedAt IS NULL`,
+            [deletedBy, reason, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Take a request out of the trash
      * @param {number} id - Request ID
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} True if a request was restored
+     */
+    async restore(id) {
+        const result = await this.dbManager.executeQuery(
+            `UPDATE document_requests
+             SET deletedAt = NULL, deletedBy = NULL, deleteReason = NULL
+             WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Get requests in the trash
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Array of deleted requests, most recently deleted first
+     */
+    async getDeleted({ limit = 50, offset = 0, department_id = null } = {}) {
+        let query = `
+            SELECT
+                dr.id, dr.requestNo, dr.referenceNumber, dr.requesterType, dr.totalAmount,
+                dr.paymentStatus, dr.createdAt, dr.department_id,
+                dr.deletedAt, dr.deleteReason,
+                CONCAT(u.firstName, ' ', u.lastName) as deletedByName,
+                CASE
+                    WHEN dr.requesterType = 'student' THEN CONCAT(s.firstName, ' ', s.surname)
+                    WHEN dr.requesterType = 'alumni' THEN CONCAT(a.firstName, ' ', a.surname)
+                END as requesterName,
+                rs.statusName as status
+            FROM document_requests dr
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN users u ON dr.deletedBy = u.id
+            WHERE dr.deletedAt IS NOT NULL
+        `;
+        const params = [];
+
+        if (department_id) {
+            query += ' AND dr.department_id = ?';
+            params.push(department_id);
+        }
+
+        query += ' ORDER BY dr.deletedAt DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        return await this.dbManager.executeQuery(query, params);
+    }
+
+    /**
+     * Count requests in the trash
+     * @param {Object} filters - Filter options
+     * @returns {Promise<number>} Deleted request count
      */
-    async delete(id) {
-        // Check if request exists using a simple query (avoid JOIN issues)
-        const checkQuery = 'SELECT id FROM document_requests WHERE id = ?';
-        const existingRequest = await this.dbManager.executeQuery(checkQuery, [id]);
+    async countDeleted({ department_id = null } = {}) {
+        let query = 'SELECT COUNT(*) as count FROM document_requests dr WHERE dr.deletedAt IS NOT NULL';
+        const params = [];
 
-        if (existingRequest.length === 0) {
-            return false;
+        if (department_id) {
+            query += ' AND dr.department_id = ?';
+            params.push(department_id);
         }
 
-        // Delete related records first (cascade delete should handle this, but being explicit)
-        // Delete tracking history
-        await this.dbManager.executeQuery('DELETE FROM request_tracking WHERE requestId = ?', [id]);
+        const result = await this.dbManager.executeQuery(query, params);
+        return result[0].count;
+    }
 
-        // Delete request documents
-        await this.dbManager.executeQuery('DELETE FROM request_documents WHERE requestId = ?', [id]);
+    /**
+     * Permanently remove requests that have been in the trash longer than the retention window
+     * Requests with an official receipt are kept: OR numbers must stay traceable.
+     * @param {number} retentionDays - Days a request stays in the trash
+     * @returns {Promise<number>} Number of requests purged
+     */
+    async purgeDeleted(retentionDays) {
+        const result = await this.dbManager.executeQuery(
+            `DELETE dr FROM document_requests dr
+             WHERE dr.deletedAt IS NOT NULL
+               AND dr.deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)
+               AND NOT EXISTS (SELECT 1 FROM official_receipts r WHERE r.requestId = dr.id)`,
+            [retentionDays]
+        );
+        return result.affectedRows;
+    }
 
-        // Finally delete the main request
-        const query = 'DELETE FROM document_requests WHERE id = ?';
-        const result = await this.dbManager.executeQuery(query, [id]);
-        return result.affectedRows > 0;
+    /**
+     * Get READY requests scheduled for pickup on a day, for printing claim stubs
+     * @param {string} date - Pickup day (YYYY-MM-DD)
+     * @param {Array<number>} departmentIds - Departments to include
+     * @returns {Promise<Array>} Requests ordered by department and requester surname
+     */
+    async getReadyForPickup(date, departmentIds) {
+        return await this.dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber, dr.requesterType, dr.scheduledPickup,
+                d.department_name,
+                CASE
+                    WHEN dr.requesterType = 'student' THEN CONCAT(s.surname, ', ', s.firstName, ' ', COALESCE(s.middleInitial, ''))
+                    ELSE CONCAT(a.surname, ', ', a.firstName, ' ', COALESCE(a.middleInitial, ''))
+                END as requesterName,
+                CASE WHEN dr.requesterType = 'student' THEN s.studentNumber ELSE NULL END as studentNumber,
+                GROUP_CONCAT(
+                    CASE WHEN rd.quantity > 1 THEN CONCAT(dt.documentName, ' (x', rd.quantity, ')') ELSE dt.documentName END
+                    ORDER BY dt.documentName SEPARATOR ', '
+                ) as documents
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN departments d ON dr.department_id = d.department_id
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_documents rd ON rd.requestId = dr.id
+            LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE rs.statusName = 'READY'
+              AND dr.deletedAt IS NULL
+              AND DATE(dr.scheduledPickup) = ?
+              AND dr.department_id IN (${departmentIds.map(() => '?').join(',')})
+            GROUP BY dr.id
+            ORDER BY d.department_name, requesterName, dr.referenceNumber
+        `, [date, ...departmentIds]);
     }
 }
 
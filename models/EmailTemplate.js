@@ -0,0 +1,105 @@
+/**
+ * EmailTemplate model - editable subject/HTML/text bodies of outgoing emails
+ *
+ * Built-in templates (isSystem) are seeded from config/emailTemplates.js and can
+ * be edited or reset but not deleted. Admins may add templates of their own.
+ */
+
+const TEMPLATE_COLUMNS = `
+    id, templateKey, name, description, subject, htmlBody, textBody,
+    isSystem, updatedBy, createdAt, updatedAt
+`;
+
+class EmailTemplate {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Get all templates
+     * @returns {Promise<Array>} Templates ordered by key, without their bodies
+     */
+    async getAll() {
+        return await this.dbManager.executeQuery(`
+            SELECT id, templateKey, name, description, subject, isSystem, updatedBy, createdAt, updatedAt
+            FROM email_templates
+            ORDER BY isSystem DESC, templateKey ASC
+        `);
+    }
+
+    /**
+     * Get a template by its key
+     * @param {string} templateKey - e.g. ready_for_pickup
+     * @returns {Promise<Object|null>} Template
+     */
+    async findByKey(templateKey) {
+        const rows = await this.dbManager.executeQuery(
+            `SELECT ${TEMPLATE_COLUMNS} FROM email_templates WHERE templateKey = ?`,
+            [templateKey]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a template
+     * @param {Object} data - Validated template fields
+     * @returns {Promise<Object>} Created template
+     */
+    async create(data) {
+        const { templateKey, name, description = null, subject, htmlBody, textBody = null,
+            isSystem = false, updatedBy = null } = data;
+
+        await this.dbManager.executeQuery(
+            `INSERT INTO email_templates
+             (templateKey, name, description, subject, htmlBody, textBody, isSystem, updatedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [templateKey, name, description, subject, htmlBody, textBody, isSystem, updatedBy]
+        );
+        return await this.findByKey(templateKey);
+    }
+
+    /**
+     * Update a template
+     * @param {string} templateKey - Template key
+     * @param {Object} data - Validated template fields to change
+     * @returns {Promise<Object|null>} Updated template
+     */
+    async update(templateKey, data) {
+        const fields = ['name', 'description', 'subject', 'htmlBody', 'textBody', 'updatedBy'];
+        const updates = [];
+        const values = [];
+
+        for (const field of fields) {
+            if (data[field] === undefined) continue;
+            updates.push(`${field} = ?`);
+            values.push(data[field]);
+        }
+
+        if (updates.length > 0) {
+            values.push(templateKey);
+            await this.dbManager.executeQuery(
+                `UPDATE email_templates SET ${updates.join(', ')} WHERE templateKey = ?`,
+                values
+            );
+        }
+        return await this.findByKey(templateKey);
+    }
+
+    /**
+     * Delete a template added by an admin
+     * @param {string} templateKey - Template key
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async delete(templateKey) {
+        const result = await this.dbManager.executeQuery(
+            'DELETE FROM email_templates WHERE templateKey = ? AND isSystem = 0',
+            [templateKey]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = EmailTemplate;
@@ -0,0 +1,177 @@
+/**
+ * Official Receipt model - handles OR numbering and receipt history
+ */
+
+// First month (1-12) of the school year used for OR numbering; June by default
+const SCHOOL_YEAR_START_MONTH = parseInt(process.env.RECEIPT_SCHOOL_YEAR_START_MONTH) || 6;
+
+class OfficialReceipt {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Get the school year a date falls in (e.g. 2026-2027)
+     * @param {Date} date - Reference date
+     * @returns {string} School year label
+     */
+    static getSchoolYear(date = new Date()) {
+        const year = date.getFullYear();
+        const startYear = date.getMonth() + 1 >= SCHOOL_YEAR_START_MONTH ? year : year - 1;
+        return `${startYear}-${startYear + 1}`;
+    }
+
+    /**
+     * Format an OR number from its school year and sequence
+     * @param {string} schoolYear - School year label
+     * @param {number} sequenceNumber - Sequence within the school year
+     * @returns {string} OR number (e.g. OR-2026-2027-000042)
+     */
+    static formatNumber(schoolYear, sequenceNumber) {
+        return `OR-${schoolYear}-${String(sequenceNumber).padStart(6, '0')}`;
+    }
+
+    /**
+     * Issue a new receipt with the next OR number of the current school year
+     * The request row and the sequence row are locked for the whole transaction,
+     * so concurrent first prints of one request get a single receipt, and
+     * concurrent issues wait for each other so no number is skipped or reused.
+     *
+     * @param {Object} receiptData - Receipt data
+     * @returns {Promise<Object>} { receipt, issued } - issued is false when the
+     *   request already had an active receipt, which is returned instead
+     */
+    async issue({ requestId, paymentId = null, amount, issuedBy = null }) {
+        const issuedAt = new Date();
+        const schoolYear = OfficialReceipt.getSchoolYear(issuedAt);
+
+        const { receiptId, issued } = await this.dbManager.withTransaction(async (connection) => {
+            await connection.execute('SELECT id FROM document_requests WHERE id = ? FOR UPDATE', [requestId]);
+
+            const [active] = await connection.execute(
+                'SELECT id FROM official_receipts WHERE requestId = ? AND voidedAt IS NULL ORDER BY id DESC LIMIT 1',
+                [requestId]
+            );
+            if (active.length > 0) {
+                return { receiptId: active[0].id, issued: false };
+            }
+
+            await connection.execute(
+                'INSERT IGNORE INTO receipt_sequences (schoolYear, lastNumber) VALUES (?, 0)',
+                [schoolYear]
+            );
+
+            const [rows] = await connection.execute(
+                'SELECT lastNumber FROM receipt_sequences WHERE schoolYear = ? FOR UPDATE',
+                [schoolYear]
+            );
+            const sequenceNumber = rows[0].lastNumber + 1;
+
+            await connection.execute(
+                'UPDATE receipt_sequences SET lastNumber = ? WHERE schoolYear = ?',
+                [sequenceNumber, schoolYear]
+            );
+
+            const [result] = await connection.execute(
+                `INSERT INTO official_receipts
+                 (orNumber, schoolYear, sequenceNumber, requestId, paymentId, amount, issuedBy, issuedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    OfficialReceipt.formatNumber(schoolYear, sequenceNumber), schoolYear, sequenceNumber,
+                    requestId, paymentId, amount, issuedBy, issuedAt
+                ]
+            );
+
+            return { receiptId: result.insertId, issued: true };
+        });
+
+        return { receipt: await this.findById(receiptId), issued };
+    }
+
+    /**
+     * Find receipt by ID
+     * @param {number} id - Receipt ID
+     * @returns {Promise<Object>} Receipt data
+     */
+    async findById(id) {
+        const query = `
+            SELECT
+                r.*,
+                CONCAT(iu.firstName, ' ', iu.lastName) as issuedByName,
+                CONCAT(vu.firstName, ' ', vu.lastName) as voidedByName
+            FROM official_receipts r
+            LEFT JOIN users iu ON r.issuedBy = iu.id
+            LEFT JOIN users vu ON r.voidedBy = vu.id
+            WHERE r.id = ?
+        `;
+        const results = await this.dbManager.executeQuery(query, [id]);
+        return results[0] || null;
+    }
+
+    /**
+     * Find the receipt currently in force (not voided) for a request
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Object>} Receipt data
+     */
+    async findActiveByRequestId(requestId) {
+        const results = await this.dbManager.executeQuery(
+            'SELECT id FROM official_receipts WHERE requestId = ? AND voidedAt IS NULL ORDER BY id DESC LIMIT 1',
+            [requestId]
+        );
+        return results[0] ? await this.findById(results[0].id) : null;
+    }
+
+    /**
+     * Get every receipt issued for a request, including voided ones
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Array>} Array of receipts
+     */
+    async getByRequestId(requestId) {
+        const query = `
+            SELECT
+                r.id, r.orNumber, r.schoolYear, r.amount, r.issuedAt, r.printCount, r.lastPrintedAt,
+                r.voidedAt, r.voidReason,
+                CONCAT(iu.firstName, ' ', iu.lastName) as issuedByName,
+                CONCAT(vu.firstName, ' ', vu.lastName) as voidedByName
+            FROM official_receipts r
+            LEFT JOIN users iu ON r.issuedBy = iu.id
+            LEFT JOIN users vu ON r.voidedBy = vu.id
+            WHERE r.requestId = ?
+            ORDER BY r.id DESC
+        `;
+        return await this.dbManager.executeQuery(query, [requestId]);
+    }
+
+    /**
+     * Record that a receipt was printed
+     * @param {number} id - Receipt ID
+     * @returns {Promise<Object>} Updated receipt
+     */
+    async recordPrint(id) {
+        await this.dbManager.executeQuery(
+            'UPDATE official_receipts SET printCount = printCount + 1, lastPrintedAt = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+        return await this.findById(id);
+    }
+
+    /**
+     * Void a receipt; its OR number stays consumed
+     * @param {number} id - Receipt ID
+     * @param {number} voidedBy - User ID voiding the receipt
+     * @param {string} reason - Why the receipt was voided
+     * @returns {Promise<Object>} Updated receipt
+     */
+    async void(id, voidedBy, reason) {
+        await this.dbManager.executeQuery(
+            'UPDATE official_receipts SET voidedAt = CURRENT_TIMESTAMP, voidedBy = ?, voidReason = ? WHERE id = ? AND voidedAt IS NULL',
+            [voidedBy, reason, id]
+        );
+        return await this.findById(id);
+    }
+}
+
+module.exports = OfficialReceipt;
@@ -0,0 +1,162 @@
+/**
+ * Payment model - handles payment-related database operations
+ */
+class Payment {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Create a new payment attempt
+     * @param {Object} paymentData - Payment data
+     * @returns {Promise<Object>} Created payment data
+     */
+    async create(paymentData) {
+        const {
+            requestId, provider, providerReference = null, amount,
+            currency = 'PHP', status = 'PENDING', checkoutUrl = null, notes = null
+        } = paymentData;
+
+        const query = `
+            INSERT INTO payments
+            (requestId, provider, providerReference, amount, currency, status, checkoutUrl, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const result = await this.dbManager.executeQuery(query, [
+            requestId, provider, providerReference, amount, currency, status, checkoutUrl, notes
+        ]);
+
+        return await this.findById(result.insertId);
+    }
+
+    /**
+     * Find payment by ID
+     * @param {number} id - Payment ID
+     * @returns {Promise<Object>} Payment data
+     */
+    async findById(id) {
+        const results = await this.dbManager.executeQuery('SELECT * FROM payments WHERE id = ?', [id]);
+        return results[0] || null;
+    }
+
+    /**
+     * Find payment by the reference issued by a gateway
+     * @param {string} provider - Gateway name
+     * @param {string} providerReference - Gateway checkout reference
+     * @returns {Promise<Object>} Payment data
+     */
+    async findByProviderReference(provider, providerReference) {
+        const query = 'SELECT * FROM payments WHERE provider = ? AND providerReference = ?';
+        const results = await this.dbManager.executeQuery(query, [provider, providerReference]);
+        return results[0] || null;
+    }
+
+    /**
+     * Get all payments for a request, newest first
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Array>} Array of payments
+     */
+    async getByRequestId(requestId) {
+        const query = `
+            SELECT
+                p.id, p.requestId, p.provider, p.providerReference, p.amount, p.currency,
+                p.status, p.checkoutUrl, p.paidAt, p.refundedAt, p.notes, p.createdAt, p.updatedAt,
+                CONCAT(u.firstName, ' ', u.lastName) as refundedBy
+            FROM payments p
+            LEFT JOIN users u ON p.refundedBy = u.id
+            WHERE p.requestId = ?
+            ORDER BY p.createdAt DESC, p.id DESC
+        `;
+
+        return await this.dbManager.executeQuery(query, [requestId]);
+    }
+
+    /**
+     * Get the open (PENDING) checkout for a request, if any
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Object>} Payment data
+     */
+    async findPendingByRequestId(requestId) {
+        const query = `
+            SELECT * FROM payments
+            WHERE requestId = ? AND status = 'PENDING'
+            ORDER BY createdAt DESC, id DESC
+            LIMIT 1
+        `;
+        const results = await this.dbManager.executeQuery(query, [requestId]);
+        return results[0] || null;
+    }
+
+    /**
+     * Build the SET clause for an update from the allowed payment fields
+     * @param {Object} updateData - Data to update
+     * @returns {Object} { updates, values }
+     */
+    buildUpdate(updateData) {
+        const allowedFields = [
+            'providerReference',
+            'providerPaymentId',
+            'status',
+            'checkoutUrl',
+            'paidAt',
+            'refundedAt',
+            'refundedBy',
+            'notes'
+        ];
+
+        const updates = [];
+        const values = [];
+
+        Object.keys(updateData).forEach(key => {
+            if (allowedFields.includes(key) && updateData[key] !== undefined) {
+                updates.push(`${key} = ?`);
+                values.push(updateData[key]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        return { updates, values };
+    }
+
+    /**
+     * Update payment
+     * @param {number} id - Payment ID
+     * @param {Object} updateData - Data to update
+     * @returns {Promise<Object>} Updated payment data
+     */
+    async update(id, updateData) {
+        const { updates, values } = this.buildUpdate(updateData);
+        values.push(id);
+
+        const query = `UPDATE payments SET ${updates.join(', ')} WHERE id = ?`;
+        await this.dbManager.executeQuery(query, values);
+
+        return await this.findById(id);
+    }
+
+    /**
+     * Update a payment only while it is still PENDING, so that duplicate
+     * gateway callbacks arriving together settle it exactly once
+     * @param {number} id - Payment ID
+     * @param {Object} updateData - Data to update
+     * @returns {Promise<boolean>} True if this call changed the payment
+     */
+    async updateIfPending(id, updateData) {
+        const { updates, values } = this.buildUpdate(updateData);
+        values.push(id);
+
+        const query = `UPDATE payments SET ${updates.join(', ')} WHERE id = ? AND status = 'PENDING'`;
+        const result = await this.dbManager.executeQuery(query, values);
+
+        return result.affectedRows === 1;
+    }
+}
+
+module.exports = Payment;
@@ -0,0 +1,178 @@
+/**
+ * PickupSlot model - bookable pickup time slots of a transaction day
+ *
+ * bookedCount is only changed through reserve/release, whose conditional
+ * updates keep it between 0 and capacity even when requesters book at once.
+ */
+
+const SLOT_COLUMNS = `
+    ps.id, ps.transactionDayId, DATE_FORMAT(td.date, '%Y-%m-%d') as date, td.status as dayStatus,
+    TIME_FORMAT(ps.startTime, '%H:%i') as startTime, TIME_FORMAT(ps.endTime, '%H:%i') as endTime,
+    ps.capacity, ps.bookedCount, ps.capacity - ps.bookedCount as remaining,
+    ps.createdAt, ps.updatedAt
+`;
+
+class PickupSlot {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Get the slots of a transaction day
+     * @param {number} transactionDayId - Transaction day ID
+     * @returns {Promise<Array>} Slots ordered by start time
+     */
+    async getByTransactionDay(transactionDayId) {
+        return await this.dbManager.executeQuery(`
+            SELECT ${SLOT_COLUMNS}
+            FROM pickup_slots ps
+            JOIN transaction_days td ON ps.transactionDayId = td.id
+            WHERE ps.transactionDayId = ?
+            ORDER BY ps.startTime ASC
+        `, [transactionDayId]);
+    }
+
+    /**
+     * Get upcoming slots that still have room, on days open for transactions
+     * @param {number} [limit] - Maximum number of slots
+     * @returns {Promise<Array>} Slots ordered by date and start time
+     */
+    async getBookable(limit = 100) {
+        return await this.dbManager.executeQuery(`
+            SELECT ${SLOT_COLUMNS}
+            FROM pickup_slots ps
+            JOIN transaction_days td ON ps.transactionDayId = td.id
+            WHERE td.status != 'no transaction'
+              AND ps.bookedCount < ps.capacity
+              AND (td.date > CURDATE() OR (td.date = CURDATE() AND ps.startTime > CURTIME()))
+            ORDER BY td.date ASC, ps.startTime ASC
+            LIMIT ?
+        `, [parseInt(limit, 10) || 100]);
+    }
+
+    /**
+     * Get a slot by ID
+     * @param {number} id - Slot ID
+     * @returns {Promise<Object|null>} Slot with its day's date and status
+     */
+    async findById(id) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT ${SLOT_COLUMNS}
+            FROM pickup_slots ps
+            JOIN transaction_days td ON ps.transactionDayId = td.id
+            WHERE ps.id = ?
+        `, [id]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a slot
+     * @param {Object} data - { transactionDayId, startTime, endTime, capacity, createdBy }
+     * @returns {Promise<Object>} Created slot
+     */
+    async create({ transactionDayId, startTime, endTime, capacity, createdBy = null }) {
+        const result = await this.dbManager.executeQuery(
+            'INSERT INTO pickup_slots (transactionDayId, startTime, endTime, capacity, createdBy) VALUES (?, ?, ?, ?, ?)',
+            [transactionDayId, startTime, endTime, capacity, createdBy]
+        );
+        return await this.findById(result.insertId);
+    }
+
+    /**
+     * Update a slot's times or capacity
+     * Capacity cannot drop below the number of bookings already taken.
+     * @param {number} id - Slot ID
+     * @param {Object} data - { startTime?, endTime?, capacity? }
+     * @returns {Promise<boolean>} False if the new capacity is below bookedCount
+     */
+    async update(id, { startTime, endTime, capacity }) {
+        const updates = [];
+        const values = [];
+
+        if (startTime !== undefined) {
+            updates.push('startTime = ?');
+            values.push(startTime);
+        }
+        if (endTime !== undefined) {
+            updates.push('endTime = ?');
+            values.push(endTime);
+        }
+        if (capacity !== undefined) {
+            updates.push('capacity = ?');
+            values.push(capacity);
+        }
+        if (updates.length === 0) return true;
+
+        let query = `UPDATE pickup_slots SET ${updates.join(', ')} WHERE id = ?`;
+        values.push(id);
+        if (capacity !== undefined) {
+            query += ' AND bookedCount <= ?';
+            values.push(capacity);
+        }
+
+        const result = await this.dbManager.executeQuery(query, values);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Delete a slot nobody has booked
+     * @param {number} id - Slot ID
+     * @returns {Promise<boolean>} False if the slot has bookings
+     */
+    async delete(id) {
+        const result = await this.dbManager.executeQuery(
+            'DELETE FROM pickup_slots WHERE id = ? AND bookedCount = 0',
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Get the booking of a request
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Object|null>} Booking with the slot's date and times
+     */
+    async findBookingByRequest(requestId) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT pb.id, pb.requestId, pb.slotId, pb.bookedAt,
+                   DATE_FORMAT(td.date, '%Y-%m-%d') as date,
+                   TIME_FORMAT(ps.startTime, '%H:%i') as startTime, TIME_FORMAT(ps.endTime, '%H:%i') as endTime
+            FROM pickup_bookings pb
+            JOIN pickup_slots ps ON pb.slotId = ps.id
+            JOIN transaction_days td ON ps.transactionDayId = td.id
+            WHERE pb.requestId = ?
+        `, [requestId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Take one place in a slot
+     * @param {Object} connection - Transaction connection
+     * @param {number} id - Slot ID
+     * @returns {Promise<boolean>} False if the slot is full
+     */
+    async reserve(connection, id) {
+        const [result] = await connection.execute(
+            'UPDATE pickup_slots SET bookedCount = bookedCount + 1 WHERE id = ? AND bookedCount < capacity',
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Give back one place in a slot
+     * @param {Object} connection - Transaction connection
+     * @param {number} id - Slot ID
+     */
+    async release(connection, id) {
+        await connection.execute(
+            'UPDATE pickup_slots SET bookedCount = bookedCount - 1 WHERE id = ? AND bookedCount > 0',
+            [id]
+        );
+    }
+}
+
+module.exports = PickupSlot;
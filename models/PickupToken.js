@@ -0,0 +1,128 @@
+/**
+ * PickupToken model - signed single-use tokens requesters show (as a QR code) to claim documents
+ *
+ * A token reads "<requestId>.<nonce>.<signature>". The HMAC signature lets staff
+ * screens reject typos and forgeries without a lookup; the stored nonce hash makes
+ * the token single use and lets a newer token revoke an older one.
+ */
+const crypto = require('crypto');
+
+/**
+ * Hash a nonce for storage
+ * @param {string} value - Plain nonce
+ * @returns {string} Hex SHA-256 digest
+ */
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Sign the public part of a token
+ * @param {string} payload - "<requestId>.<nonce>"
+ * @returns {string} base64url HMAC-SHA256
+ */
+const sign = (payload) => crypto
+    .createHmac('sha256', process.env.PICKUP_TOKEN_SECRET || process.env.JWT_SECRET)
+    .update(payload)
+    .digest('base64url');
+
+class PickupToken {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Issue a new token for a request, revoking any unused one
+     * @param {number} requestId - Request ID
+     * @param {Object} [options]
+     * @param {number} [options.expiresInDays] - Lifetime of the token
+     * @returns {Promise<Object>} { token, expiresAt } with the token in plain text for emailing
+     */
+    async issue(requestId, { expiresInDays = parseInt(process.env.PICKUP_TOKEN_TTL_DAYS) || 30 } = {}) {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const token = `${requestId}.${nonce}.${sign(`${requestId}.${nonce}`)}`;
+        const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+        await this.dbManager.executeQuery(
+            `UPDATE pickup_tokens SET revokedAt = CURRENT_TIMESTAMP
+             WHERE requestId = ? AND usedAt IS NULL AND revokedAt IS NULL`,
+            [requestId]
+        );
+
+        await this.dbManager.executeQuery(
+            'INSERT INTO pickup_tokens (requestId, nonceHash, expiresAt) VALUES (?, ?, ?)',
+            [requestId, hash(nonce), expiresAt]
+        );
+
+        return { token, expiresAt };
+    }
+
+    /**
+     * Check a token's signature
+     * @param {string} token - Token from the QR code
+     * @returns {Object|null} { requestId, nonce }, or null if malformed or forged
+     */
+    parse(token) {
+        const parts = String(token || '').trim().split('.');
+        if (parts.length !== 3) return null;
+
+        const [requestIdPart, nonce, signature] = parts;
+        const requestId = Number(requestIdPart);
+        if (!Number.isInteger(requestId) || requestId <= 0 || !nonce) return null;
+
+        const expected = Buffer.from(sign(`${requestIdPart}.${nonce}`));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        return { requestId, nonce };
+    }
+
+    /**
+     * Look up a token and describe whether it can still be used
+     * @param {string} token - Token from the QR code
+     * @returns {Promise<Object|null>} Token row with state 'valid', 'used', 'revoked' or 'expired'; null if unknown
+     */
+    async findByToken(token) {
+        const parsed = this.parse(token);
+        if (!parsed) return null;
+
+        const rows = await this.dbManager.executeQuery(
+            `SELECT pt.id, pt.requestId, pt.expiresAt, pt.usedAt, pt.revokedAt, pt.createdAt,
+                    CONCAT(u.firstName, ' ', u.lastName) as usedByName
+             FROM pickup_tokens pt
+             LEFT JOIN users u ON pt.usedBy = u.id
+             WHERE pt.nonceHash = ? AND pt.requestId = ?`,
+            [hash(parsed.nonce), parsed.requestId]
+        );
+        const row = rows[0];
+        if (!row) return null;
+
+        let state = 'valid';
+        if (row.usedAt) state = 'used';
+        else if (row.revokedAt) state = 'revoked';
+        else if (new Date(row.expiresAt) <= new Date()) state = 'expired';
+
+        return { ...row, state };
+    }
+
+    /**
+     * Mark a token as used; guards against two staff releasing with the same token
+     * @param {Object} connection - Transaction connection
+     * @param {number} id - Token ID
+     * @param {number} usedBy - Staff member releasing the documents
+     * @returns {Promise<boolean>} True if this call used it
+     */
+    async markUsed(connection, id, usedBy) {
+        const [result] = await connection.execute(
+            `UPDATE pickup_tokens SET usedAt = CURRENT_TIMESTAMP, usedBy = ?
+             WHERE id = ? AND usedAt IS NULL AND revokedAt IS NULL AND expiresAt > NOW()`,
+            [usedBy, id]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = PickupToken;
@@ -0,0 +1,232 @@
+/**
+ * ReportSubscription model - saved report definitions, their recipients and delivery history
+ */
+
+// Report windows a subscription can cover, relative to the day it is sent
+const DATE_WINDOWS = ['previous_day', 'previous_week', 'previous_month'];
+
+class ReportSubscription {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Base SELECT with owner and department names
+     * @returns {string} SQL fragment
+     */
+    baseSelect() {
+        return `
+            SELECT
+                rsub.id, rsub.name, rsub.ownerId, rsub.departmentId, rsub.dateWindow, rsub.format,
+                rsub.isActive, rsub.createdAt, rsub.updatedAt,
+                u.email as ownerEmail, u.role as ownerRole, u.isActive as ownerIsActive,
+                CONCAT(u.firstName, ' ', u.lastName) as ownerName,
+                d.department_name as departmentName,
+                (SELECT GROUP_CONCAT(r.email ORDER BY r.email SEPARATOR ',')
+                 FROM report_subscription_recipients r WHERE r.subscriptionId = rsub.id) as recipients
+            FROM report_subscriptions rsub
+            JOIN users u ON rsub.ownerId = u.id
+            LEFT JOIN departments d ON rsub.departmentId = d.department_id
+        `;
+    }
+
+    /**
+     * Turn a database row into the API shape
+     * @param {Object} row - Row from baseSelect
+     * @returns {Object} Subscription with recipients as an array
+     */
+    mapRow(row) {
+        return {
+            ...row,
+            isActive: Boolean(row.isActive),
+            ownerIsActive: Boolean(row.ownerIsActive),
+            recipients: row.recipients ? row.recipients.split(',') : []
+        };
+    }
+
+    /**
+     * Find subscription by ID
+     * @param {number} id - Subscription ID
+     * @returns {Promise<Object|null>} Subscription data
+     */
+    async findById(id) {
+        const results = await this.dbManager.executeQuery(`${this.baseSelect()} WHERE rsub.id = ?`, [id]);
+        return results[0] ? this.mapRow(results[0]) : null;
+    }
+
+    /**
+     * List subscriptions, optionally only those of one owner
+     * @param {number} [ownerId] - Owner filter
+     * @returns {Promise<Array>} Subscriptions
+     */
+    async findAll(ownerId) {
+        const where = ownerId ? 'WHERE rsub.ownerId = ?' : '';
+        const results = await this.dbManager.executeQuery(
+            `${this.baseSelect()} ${where} ORDER BY rsub.name, rsub.id`,
+            ownerId ? [ownerId] : []
+        );
+        return results.map(row => this.mapRow(row));
+    }
+
+    /**
+     * Get active subscriptions with at least one recipient
+     * @returns {Promise<Array>} Subscriptions
+     */
+    async findActive() {
+        const results = await this.dbManager.executeQuery(`
+            ${this.baseSelect()}
+            WHERE rsub.isActive = TRUE
+              AND EXISTS (SELECT 1 FROM report_subscription_recipients r WHERE r.subscriptionId = rsub.id)
+            ORDER BY rsub.id
+        `);
+        return results.map(row => this.mapRow(row));
+    }
+
+    /**
+     * Create a subscription with its recipients
+     * @param {Object} data - { name, ownerId, departmentId, dateWindow, format, recipients }
+     * @returns {Promise<Object>} Created subscription
+     */
+    async create(data) {
+        const { name, ownerId, departmentId = null, dateWindow, format, recipients } = data;
+
+        const id = await this.dbManager.withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                `INSERT INTO report_subscriptions (name, ownerId, departmentId, dateWindow, format)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [name, ownerId, departmentId, dateWindow, format]
+            );
+            await this.replaceRecipients(connection, result.insertId, recipients);
+            return result.insertId;
+        });
+
+        return await this.findById(id);
+    }
+
+    /**
+     * Update a subscription; recipients are replaced when given
+     * @param {number} id - Subscription ID
+     * @param {Object} updateData - Fields to change
+     * @returns {Promise<Object>} Updated subscription
+     */
+    async update(id, updateData) {
+        const allowedFields = ['name', 'departmentId', 'dateWindow', 'format', 'isActive'];
+
+        const updates = [];
+        const values = [];
+        Object.keys(updateData).forEach(key => {
+            if (allowedFields.includes(key) && updateData[key] !== undefined) {
+                updates.push(`${key} = ?`);
+                values.push(updateData[key]);
+            }
+        });
+
+        await this.dbManager.withTransaction(async (connection) => {
+            if (updates.length > 0) {
+                await connection.execute(
+                    `UPDATE report_subscriptions SET ${updates.join(', ')} WHERE id = ?`,
+                    [...values, id]
+                );
+            }
+            if (updateData.recipients !== undefined) {
+                await this.replaceRecipients(connection, id, updateData.recipients);
+            }
+        });
+
+        return await this.findById(id);
+    }
+
+    /**
+     * Replace the recipients of a subscription
+     * @param {Object} connection - Transaction connection
+     * @param {number} subscriptionId - Subscription ID
+     * @param {Array<string>} recipients - Email addresses
+     */
+    async replaceRecipients(connection, subscriptionId, recipients) {
+        await connection.execute('DELETE FROM report_subscription_recipients WHERE subscriptionId = ?', [subscriptionId]);
+        for (const email of recipients) {
+            await connection.execute(
+                'INSERT IGNORE INTO report_subscription_recipients (subscriptionId, email) VALUES (?, ?)',
+                [subscriptionId, email]
+            );
+        }
+    }
+
+    /**
+     * Delete a subscription (recipients and history cascade)
+     * @param {number} id - Subscription ID
+     * @returns {Promise<boolean>} True if a row was deleted
+     */
+    async delete(id) {
+        const result = await this.dbManager.executeQuery('DELETE FROM report_subscriptions WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Record a delivery attempt
+     * @param {Object} delivery - { subscriptionId, periodFrom, periodTo, recipients, status, error, filename, sizeBytes, source, triggeredBy }
+     * @returns {Promise<number>} Delivery ID
+     */
+    async logDelivery(delivery) {
+        const {
+            subscriptionId, periodFrom, periodTo, recipients, status, error = null,
+            filename = null, sizeBytes = null, source = 'schedule', triggeredBy = null
+        } = delivery;
+
+        const result = await this.dbManager.executeQuery(`
+            INSERT INTO report_deliveries
+            (subscriptionId, periodFrom, periodTo, recipients, status, error, filename, sizeBytes, source, triggeredBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [subscriptionId, periodFrom, periodTo, recipients.join(','), status, error, filename, sizeBytes, source, triggeredBy]);
+
+        return result.insertId;
+    }
+
+    /**
+     * Count successful and failed deliveries of one report window
+     * @param {number} subscriptionId - Subscription ID
+     * @param {string} periodFrom - Window start (YYYY-MM-DD)
+     * @param {string} periodTo - Window end (YYYY-MM-DD)
+     * @returns {Promise<Object>} { sent, failed }
+     */
+    async countDeliveries(subscriptionId, periodFrom, periodTo) {
+        const results = await this.dbManager.executeQuery(`
+            SELECT
+                COALESCE(SUM(status = 'sent'), 0) as sent,
+                COALESCE(SUM(status = 'failed'), 0) as failed
+            FROM report_deliveries
+            WHERE subscriptionId = ? AND periodFrom = ? AND periodTo = ?
+        `, [subscriptionId, periodFrom, periodTo]);
+
+        return { sent: Number(results[0].sent), failed: Number(results[0].failed) };
+    }
+
+    /**
+     * Get the delivery history of a subscription, newest first
+     * @param {number} subscriptionId - Subscription ID
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array>} Deliveries
+     */
+    async getDeliveries(subscriptionId, limit = 50) {
+        const results = await this.dbManager.executeQuery(`
+            SELECT
+                rd.id, DATE_FORMAT(rd.periodFrom, '%Y-%m-%d') as periodFrom,
+                DATE_FORMAT(rd.periodTo, '%Y-%m-%d') as periodTo,
+                rd.recipients, rd.status, rd.error, rd.filename, rd.sizeBytes, rd.source, rd.createdAt,
+                CONCAT(u.firstName, ' ', u.lastName) as triggeredBy
+            FROM report_deliveries rd
+            LEFT JOIN users u ON rd.triggeredBy = u.id
+            WHERE rd.subscriptionId = ?
+            ORDER BY rd.createdAt DESC, rd.id DESC
+            LIMIT ${parseInt(limit) || 50}
+        `, [subscriptionId]);
+
+        return results.map(row => ({ ...row, recipients: row.recipients ? row.recipients.split(',') : [] }));
+    }
+}
+
+module.exports = ReportSubscription;
+module.exports.DATE_WINDOWS = DATE_WINDOWS;
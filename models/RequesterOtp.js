@@ -0,0 +1,127 @@
+/**
+ * Requester OTP model - one-time codes and magic-link tokens for requesters
+ */
+const crypto = require('crypto');
+
+const MAX_ATTEMPTS = 5; // Wrong codes allowed before a code is burned
+
+/**
+ * Hash a code or token for storage
+ * @param {string} value - Plain code or token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+class RequesterOtp {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Create a new one-time code, replacing any unused one for the same email and purpose
+     * @param {Object} options
+     * @param {string} options.email - Requester email (stored lowercase)
+     * @param {string} options.purpose - What the code unlocks
+     * @param {string} [options.referenceNumber] - Request the code is scoped to
+     * @param {number} [options.expiresInMinutes] - Lifetime of the code
+     * @param {boolean} [options.withLink] - Also create a magic-link token
+     * @returns {Promise<Object>} { code, linkToken, expiresAt } in plain text for emailing
+     */
+    async create({ email, purpose, referenceNumber = null, expiresInMinutes = 15, withLink = false }) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const code = crypto.randomInt(100000, 1000000).toString();
+        const linkToken = withLink ? crypto.randomBytes(32).toString('hex') : null;
+        const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+        await this.dbManager.executeQuery(
+            `UPDATE requester_otps SET consumedAt = CURRENT_TIMESTAMP
+             WHERE email = ? AND purpose = ? AND consumedAt IS NULL AND (referenceNumber <=> ?)`,
+            [normalizedEmail, purpose, referenceNumber]
+        );
+
+        await this.dbManager.executeQuery(
+            `INSERT INTO requester_otps (email, purpose, referenceNumber, codeHash, linkTokenHash, expiresAt)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [normalizedEmail, purpose, referenceNumber, hash(code), linkToken ? hash(linkToken) : null, expiresAt]
+        );
+
+        return { code, linkToken, expiresAt };
+    }
+
+    /**
+     * Consume a code entered by the requester
+     * Wrong codes count against the latest open code; it is burned after MAX_ATTEMPTS.
+     *
+     * @param {Object} options
+     * @param {string} options.email - Requester email
+     * @param {string} options.purpose - What the code unlocks
+     * @param {string} options.code - Code entered by the requester
+     * @param {string} [options.referenceNumber] - Request the code must be scoped to
+     * @returns {Promise<Object|null>} Consumed OTP row or null if invalid
+     */
+    async consumeCode({ email, purpose, code, referenceNumber = null }) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+
+        const rows = await this.dbManager.executeQuery(
+            `SELECT id, email, codeHash, attempts FROM requester_otps
+             WHERE email = ? AND purpose = ? AND (referenceNumber <=> ?)
+               AND consumedAt IS NULL AND expiresAt > NOW()
+             ORDER BY id DESC LIMIT 1`,
+            [normalizedEmail, purpose, referenceNumber]
+        );
+        const otp = rows[0];
+        if (!otp) return null;
+
+        const expected = Buffer.from(otp.codeHash, 'hex');
+        const received = Buffer.from(hash(String(code).trim()), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, received)) {
+            await this.dbManager.executeQuery(
+                `UPDATE requester_otps
+                 SET attempts = attempts + 1,
+                     consumedAt = IF(attempts + 1 >= ?, CURRENT_TIMESTAMP, consumedAt)
+                 WHERE id = ?`,
+                [MAX_ATTEMPTS, otp.id]
+            );
+            return null;
+        }
+
+        return await this.markConsumed(otp.id) ? otp : null;
+    }
+
+    /**
+     * Consume a magic-link token
+     * @param {string} linkToken - Token from the emailed link
+     * @param {string} purpose - What the token unlocks
+     * @returns {Promise<Object|null>} Consumed OTP row or null if invalid
+     */
+    async consumeLinkToken(linkToken, purpose) {
+        const rows = await this.dbManager.executeQuery(
+            `SELECT id, email, referenceNumber FROM requester_otps
+             WHERE linkTokenHash = ? AND purpose = ? AND consumedAt IS NULL AND expiresAt > NOW()`,
+            [hash(linkToken), purpose]
+        );
+        const otp = rows[0];
+        if (!otp) return null;
+
+        return await this.markConsumed(otp.id) ? otp : null;
+    }
+
+    /**
+     * Mark an OTP as used; guards against two requests consuming the same code
+     * @param {number} id - OTP ID
+     * @returns {Promise<boolean>} True if this call consumed it
+     */
+    async markConsumed(id) {
+        const result = await this.dbManager.executeQuery(
+            'UPDATE requester_otps SET consumedAt = CURRENT_TIMESTAMP WHERE id = ? AND consumedAt IS NULL',
+            [id]
+        );
+        return result.affectedRows === 1;
+    }
+}
+
+module.exports = RequesterOtp;
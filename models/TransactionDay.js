@@ -1,4 +1,5 @@
 const db = require('../config/db');
+const TransactionCalendar = require('../services/transactionCalendar');
 
 /**
  * TransactionDay model - handles database operations for transaction days
@@ -6,6 +7,7 @@ const db = require('../config/db');
 class TransactionDay {
     constructor(dbManager) {
         this.dbManager = dbManager;
+        this.calendar = new TransactionCalendar(dbManager);
     }
 
     /**
@@ -284,14 +286,15 @@ class TransactionDay {
 
     /**
      * Check if transactions are available on a specific date
+     * Resolved by TransactionCalendar: a transaction_days row wins over the weekly rules.
      * @param {string} date - Date to check (YYYY-MM-DD format)
      * @returns {Promise<Object>} Status and transaction info
      */
     async checkAvailability(date) {
         try {
-            const transactionDay = await this.findByDate(date);
+            const day = await this.calendar.resolveDate(date);
 
-            if (!transactionDay) {
+            if (day.source === 'default') {
                 return {
                     available: true,
                     status: 'available',
@@ -300,11 +303,12 @@ class TransactionDay {
             }
 
             return {
-                available: transactionDay.status !== 'no transaction',
-                status: transactionDay.status,
-                time_start: transactionDay.time_start,
-                time_end: transactionDay.time_end,
-                message: transactionDay.message || null
+                available: day.available,
+                status: day.status,
+                time_start: day.time_start,
+                time_end: day.time_end,
+                message: day.message || null,
+                ...(day.rule ? { rule: day.rule } : {})
             };
         } catch (error) {
             console.error('Error checking transaction availability:', error);
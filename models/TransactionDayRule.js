@@ -0,0 +1,141 @@
+/**
+ * TransactionDayRule model - weekly rules for days without a transaction_days row
+ *
+ * A rule applies to one weekday (0 = Sunday ... 6 = Saturday), optionally only
+ * between startsOn and endsOn. A transaction_days row for a date always wins
+ * over the rules; when several rules match, the most restrictive status wins
+ * (no transaction, then limited, then available), then the newest rule.
+ */
+
+const STATUS_PRECEDENCE = ['no transaction', 'limited', 'available'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Pick the rule that applies to a date
+ * @param {Array<Object>} rules - Active rules (startsOn/endsOn as YYYY-MM-DD or null)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Matching rule
+ */
+const matchRule = (rules, date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+
+    return rules
+        .filter(rule => Number(rule.weekday) === weekday
+            && (!rule.startsOn || rule.startsOn <= date)
+            && (!rule.endsOn || rule.endsOn >= date))
+        .sort((a, b) => STATUS_PRECEDENCE.indexOf(a.status) - STATUS_PRECEDENCE.indexOf(b.status)
+            || (b.id || 0) - (a.id || 0))[0] || null;
+};
+
+const RULE_COLUMNS = `
+    id, name, weekday, status, time_start, time_end, message,
+    DATE_FORMAT(startsOn, '%Y-%m-%d') as startsOn, DATE_FORMAT(endsOn, '%Y-%m-%d') as endsOn,
+    is_active, createdBy, created_at, updated_at
+`;
+
+class TransactionDayRule {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Get all rules
+     * @param {Object} [filters]
+     * @param {boolean} [filters.activeOnly] - Only rules that are switched on
+     * @returns {Promise<Array>} Rules ordered by weekday
+     */
+    async getAll({ activeOnly = false } = {}) {
+        return await this.dbManager.executeQuery(`
+            SELECT ${RULE_COLUMNS}
+            FROM transaction_day_rules
+            ${activeOnly ? 'WHERE is_active = 1' : ''}
+            ORDER BY weekday ASC, id ASC
+        `);
+    }
+
+    /**
+     * Get a rule by ID
+     * @param {number} id - Rule ID
+     * @returns {Promise<Object|null>} Rule
+     */
+    async findById(id) {
+        const rows = await this.dbManager.executeQuery(
+            `SELECT ${RULE_COLUMNS} FROM transaction_day_rules WHERE id = ?`,
+            [id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Get the rule that applies to a date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Matching active rule
+     */
+    async findForDate(date) {
+        return matchRule(await this.getAll({ activeOnly: true }), date);
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} data - Validated rule fields
+     * @returns {Promise<Object>} Created rule
+     */
+    async create(data) {
+        const { name, weekday, status, time_start = null, time_end = null, message = null,
+            startsOn = null, endsOn = null, is_active = true, createdBy = null } = data;
+
+        const result = await this.dbManager.executeQuery(
+            `INSERT INTO transaction_day_rules
+             (name, weekday, status, time_start, time_end, message, startsOn, endsOn, is_active, createdBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, weekday, status, time_start, time_end, message, startsOn, endsOn, is_active, createdBy]
+        );
+        return await this.findById(result.insertId);
+    }
+
+    /**
+     * Update a rule
+     * @param {number} id - Rule ID
+     * @param {Object} data - Validated rule fields to change
+     * @returns {Promise<Object|null>} Updated rule
+     */
+    async update(id, data) {
+        const fields = ['name', 'weekday', 'status', 'time_start', 'time_end', 'message', 'startsOn', 'endsOn', 'is_active'];
+        const updates = [];
+        const values = [];
+
+        for (const field of fields) {
+            if (data[field] === undefined) continue;
+            updates.push(`${field} = ?`);
+            values.push(data[field]);
+        }
+
+        if (updates.length > 0) {
+            values.push(id);
+            await this.dbManager.executeQuery(
+                `UPDATE transaction_day_rules SET ${updates.join(', ')} WHERE id = ?`,
+                values
+            );
+        }
+        return await this.findById(id);
+    }
+
+    /**
+     * Delete a rule
+     * @param {number} id - Rule ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async delete(id) {
+        const result = await this.dbManager.executeQuery('DELETE FROM transaction_day_rules WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = TransactionDayRule;
+module.exports.matchRule = matchRule;
+module.exports.WEEKDAYS = WEEKDAYS;
@@ -1,3 +1,11 @@
+/**
+ * SQL condition that is true while a user's out-of-office period is active
+ * @param {string} alias - Table alias of the users table
+ * @returns {string} SQL fragment
+ */
+const outOfOfficeCondition = (alias) =>
+    `(${alias}.outOfOfficeStart <= NOW() AND ${alias}.outOfOfficeEnd > NOW())`;
+
 /**
  * User model - handles user-related database operations
  */
@@ -301,3 +309,4 @@ class User {
 }
 
 module.exports = User;
+module.exports.outOfOfficeCondition = outOfOfficeCondition;
@@ -1,5 +1,11 @@
 const express = require('express');
 const AdminController = require('../controllers/adminController');
+const AssignmentController = require('../controllers/assignmentController');
+const OutOfOfficeController = require('../controllers/outOfOfficeController');
+const DepartmentController = require('../controllers/departmentController');
+const JobController = require('../controllers/jobController');
+const EmailOutboxController = require('../controllers/emailOutboxController');
+const EmailTemplateController = require('../controllers/emailTemplateController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -23,6 +29,22 @@ router.get('/stats', authMiddleware.verifyToken, authMiddleware.requireAdmin, as
     await controller.getAdminStats(req, res, next);
 }));
 
+/**
+ * @route GET /api/admin/stats/turnaround
+ * @desc Median and 90th percentile hours from PENDING to READY and READY to RELEASED,
+ *       per department, document type and staff member, with a weekly trend
+ * @access Private (Admin only)
+ * @query {
+ *   fromDate?: string (YYYY-MM-DD, submission date; default: last 12 weeks),
+ *   toDate?: string (YYYY-MM-DD),
+ *   departmentId?: number
+ * }
+ */
+router.get('/stats/turnaround', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AdminController(req.dbManager);
+    await controller.getTurnaroundStats(req, res, next);
+}));
+
 /**
  * @route GET /api/admin/users
  * @desc Get all users (admin only)
@@ -133,6 +155,7 @@ router.get('/documents', authMiddleware.verifyToken, authMiddleware.requireAdmin
  * @body {
  *   name: string,
  *   price: number,
+ *   processing_days?: number (SLA target in working days),
  *   year_options?: Array,
  *   sem_options?: Array
  * }
@@ -150,6 +173,7 @@ router.post('/documents', authMiddleware.verifyToken, authMiddleware.requireAdmi
  * @body {
  *   name?: string,
  *   price?: number,
+ *   processing_days?: number (SLA target in working days),
  *   year_options?: Array,
  *   sem_options?: Array
  * }
@@ -273,10 +297,14 @@ router.delete('/documents-purposes/:id', authMiddleware.verifyToken, authMiddlew
 /**
  * @route PUT /api/admin/requests/:id/status
  * @desc Update request status (admin only)
+ *       Moves must follow the status workflow; illegal moves return 409
  * @access Private (Admin only)
  * @param {number} id - Request ID
  * @body {
- *   statusId: number (1=PENDING, 2=PROCESSING, 3=READY_FOR_PICKUP, 4=RELEASED, 5=DECLINE)
+ *   statusId?: number,
+ *   status?: string (PENDING, PROCESSING, READY_FOR_PICKUP, DECLINED; release through POST /api/staff/pickup/release),
+ *   reason?: string (required when declining),
+ *   scheduledPickup?: string (YYYY-MM-DD)
  * }
  */
 router.put('/requests/:id/status', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
@@ -284,4 +312,334 @@ router.put('/requests/:id/status', authMiddleware.verifyToken, authMiddleware.re
     await controller.updateRequestStatus(req, res, next);
 }));
 
+/**
+ * @route GET /api/admin/workflow
+ * @desc Get the request status workflow (statuses and allowed transitions)
+ * @access Private (Admin only)
+ */
+router.get('/workflow', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AdminController(req.dbManager);
+    await controller.getWorkflow(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/trash
+ * @desc List deleted requests awaiting purge (admin only)
+ * @access Private (Admin only)
+ * @query {
+ *   page?: number,
+ *   limit?: number
+ * }
+ */
+router.get('/trash', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AdminController(req.dbManager);
+    await controller.getTrash(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/trash/:id/restore
+ * @desc Restore a deleted request (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Request ID
+ */
+router.post('/trash/:id/restore', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AdminController(req.dbManager);
+    await controller.restoreRequest(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/assignment
+ * @desc List each department's assignment strategy and staff workload (admin only)
+ * @access Private (Admin only)
+ */
+router.get('/assignment', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AssignmentController(req.dbManager);
+    await controller.getSettings(req, res, next);
+}));
+
+/**
+ * @route PUT /api/admin/assignment/departments/:departmentId
+ * @desc Set how new requests of a department are assigned to staff (admin only)
+ * @access Private (Admin only)
+ * @param {number} departmentId - Department ID
+ * @body {
+ *   strategy: string (required: round_robin, least_open or manual)
+ * }
+ */
+router.put('/assignment/departments/:departmentId', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AssignmentController(req.dbManager);
+    await controller.updateStrategy(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/assignment/departments/:departmentId/rebalance
+ * @desc Spread a department's open requests evenly over its active staff (admin only)
+ * @access Private (Admin only)
+ * @param {number} departmentId - Department ID
+ * @body {
+ *   reason?: string
+ * }
+ */
+router.post('/assignment/departments/:departmentId/rebalance', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AssignmentController(req.dbManager);
+    await controller.rebalanceDepartment(req, res, next);
+}));
+
+/**
+ * @route PUT /api/admin/requests/:id/assignee
+ * @desc Reassign a request to another staff member, or unassign it (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Request ID
+ * @body {
+ *   userId: number|null (required),
+ *   reason: string (required)
+ * }
+ */
+router.put('/requests/:id/assignee', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new AssignmentController(req.dbManager);
+    await controller.reassignRequest(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/users/:id/out-of-office
+ * @desc Get a staff member's out-of-office period (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Staff user ID
+ */
+router.get('/users/:id/out-of-office', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new OutOfOfficeController(req.dbManager);
+    await controller.getUserOutOfOffice(req, res, next);
+}));
+
+/**
+ * @route PUT /api/admin/users/:id/out-of-office
+ * @desc Set a staff member's out-of-office period and delegate (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Staff user ID
+ * @body {
+ *   start: string (required, date/time),
+ *   end: string (required, date/time),
+ *   delegateUserId: number (required)
+ * }
+ */
+router.put('/users/:id/out-of-office', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new OutOfOfficeController(req.dbManager);
+    await controller.setUserOutOfOffice(req, res, next);
+}));
+
+/**
+ * @route DELETE /api/admin/users/:id/out-of-office
+ * @desc Clear a staff member's out-of-office period (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Staff user ID
+ */
+router.delete('/users/:id/out-of-office', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new OutOfOfficeController(req.dbManager);
+    await controller.clearUserOutOfOffice(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/departments
+ * @desc List departments with the heads who receive SLA escalations (admin only)
+ * @access Private (Admin only)
+ */
+router.get('/departments', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new DepartmentController(req.dbManager);
+    await controller.getDepartmentHeads(req, res, next);
+}));
+
+/**
+ * @route PUT /api/admin/departments/:id/head
+ * @desc Set the department head who receives SLA escalation emails (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Department ID
+ * @body {
+ *   head_email: string|null (null clears the head)
+ * }
+ */
+router.put('/departments/:id/head', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new DepartmentController(req.dbManager);
+    await controller.updateDepartmentHead(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc List background jobs with their schedule, last run and next run (admin only)
+ * @access Private (Admin only)
+ */
+router.get('/jobs', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new JobController(req.app.locals.jobScheduler);
+    await controller.listJobs(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/jobs/:name/run
+ * @desc Run a background job now (admin only)
+ * @access Private (Admin only)
+ * @param {string} name - Job name
+ */
+router.post('/jobs/:name/run', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new JobController(req.app.locals.jobScheduler);
+    await controller.runJob(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/jobs/:name/pause
+ * @desc Pause a background job; scheduled runs are skipped (admin only)
+ * @access Private (Admin only)
+ * @param {string} name - Job name
+ */
+router.post('/jobs/:name/pause', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new JobController(req.app.locals.jobScheduler);
+    await controller.pauseJob(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/jobs/:name/resume
+ * @desc Resume a paused background job (admin only)
+ * @access Private (Admin only)
+ * @param {string} name - Job name
+ */
+router.post('/jobs/:name/resume', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new JobController(req.app.locals.jobScheduler);
+    await controller.resumeJob(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/email-outbox
+ * @desc List outgoing emails with their delivery status, newest first (admin only)
+ * @access Private (Admin only)
+ * @query {
+ *   referenceNumber?: string (emails about one request),
+ *   status?: string ('pending' | 'sending' | 'sent' | 'failed' | 'dead' | 'cancelled'),
+ *   page?: number,
+ *   limit?: number (max 100)
+ * }
+ */
+router.get('/email-outbox', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailOutboxController(req.dbManager, req.mailService);
+    await controller.listMessages(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/email-outbox/:id
+ * @desc Get an outgoing email with every send attempt (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Outbox message ID
+ */
+router.get('/email-outbox/:id', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailOutboxController(req.dbManager, req.mailService);
+    await controller.getMessage(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/email-outbox/:id/resend
+ * @desc Queue an email again with a fresh set of attempts (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Outbox message ID
+ */
+router.post('/email-outbox/:id/resend', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailOutboxController(req.dbManager, req.mailService);
+    await controller.resendMessage(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/email-outbox/:id/cancel
+ * @desc Cancel an email that is still queued, retrying or dead (admin only)
+ * @access Private (Admin only)
+ * @param {number} id - Outbox message ID
+ */
+router.post('/email-outbox/:id/cancel', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailOutboxController(req.dbManager, req.mailService);
+    await controller.cancelMessage(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/email-templates
+ * @desc List email templates (admin only)
+ * @access Private (Admin only)
+ */
+router.get('/email-templates', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.listTemplates(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/email-templates
+ * @desc Add an email template (admin only)
+ * @access Private (Admin only)
+ * @body {
+ *   templateKey: string (lowercase letters, digits and underscores),
+ *   name: string,
+ *   description?: string,
+ *   subject: string,
+ *   htmlBody: string,
+ *   textBody?: string
+ * }
+ */
+router.post('/email-templates', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.createTemplate(req, res, next);
+}));
+
+/**
+ * @route GET /api/admin/email-templates/:key
+ * @desc Get an email template with its variables and sample values (admin only)
+ * @access Private (Admin only)
+ * @param {string} key - Template key, e.g. ready_for_pickup
+ */
+router.get('/email-templates/:key', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.getTemplate(req, res, next);
+}));
+
+/**
+ * @route PUT /api/admin/email-templates/:key
+ * @desc Update an email template's name, description, subject or bodies (admin only)
+ * @access Private (Admin only)
+ * @param {string} key - Template key
+ */
+router.put('/email-templates/:key', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.updateTemplate(req, res, next);
+}));
+
+/**
+ * @route DELETE /api/admin/email-templates/:key
+ * @desc Delete an email template added by an admin (admin only)
+ * @access Private (Admin only)
+ * @param {string} key - Template key
+ */
+router.delete('/email-templates/:key', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.deleteTemplate(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/email-templates/:key/reset
+ * @desc Restore a built-in email template's original text (admin only)
+ * @access Private (Admin only)
+ * @param {string} key - Template key
+ */
+router.post('/email-templates/:key/reset', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.resetTemplate(req, res, next);
+}));
+
+/**
+ * @route POST /api/admin/email-templates/:key/preview
+ * @desc Render an email template against sample values or a real request (admin only)
+ * @access Private (Admin only)
+ * @param {string} key - Template key
+ * @body {
+ *   subject?: string, htmlBody?: string, textBody?: string (unsaved changes to preview),
+ *   variables?: object (values to override),
+ *   requestId?: number, referenceNumber?: string (request to take values from)
+ * }
+ */
+router.post('/email-templates/:key/preview', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new EmailTemplateController(req.dbManager, req.mailService);
+    await controller.previewTemplate(req, res, next);
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -7,18 +7,22 @@ const announcementRoutes = require('./announcementRoutes');
 const transactionRoutes = require('./transactionRoutes');
 const emailVerificationRoutes = require('./emailVerificationRoutes');
 const reportRoutes = require('./reportRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const requesterRoutes = require('./requesterRoutes');
+const smsRoutes = require('./smsRoutes');
 const { asyncHandler } = require('../middleware/errorHandler');
 const DepartmentController = require('../controllers/departmentController');
 const AnnouncementController = require('../controllers/announcementController');
 const TransactionController = require('../controllers/transactionController');
 const multer = require('multer');
+const { PUBLIC_UPLOAD_DIR, AUTHORIZATION_LETTER_DIR, AUTHORIZATION_LETTER_PREFIX } = require('../config/uploads');
 
-// File upload configuration for alumni verification
+// File upload configuration for alumni verification and authorization letters
+// (letters go to the private folder, see config/uploads.js)
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        const path = require('path');
-        const uploadPath = path.join(__dirname, '../uploads');
-        // Create uploads directory if it doesn't exist
+        const uploadPath = file.fieldname === 'authorizationLetterFile' ? AUTHORIZATION_LETTER_DIR : PUBLIC_UPLOAD_DIR;
+        // Create the upload directory if it doesn't exist
         const fs = require('fs');
         if (!fs.existsSync(uploadPath)) {
             fs.mkdirSync(uploadPath, { recursive: true });
@@ -29,7 +33,8 @@ const storage = multer.diskStorage({
         // Generate unique filename with timestamp
         const path = require('path');
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'alumni-' + uniqueSuffix + path.extname(file.originalname));
+        const prefix = file.fieldname === 'authorizationLetterFile' ? AUTHORIZATION_LETTER_PREFIX : 'alumni-';
+        cb(null, prefix + uniqueSuffix + path.extname(file.originalname));
     }
 });
 
@@ -88,6 +93,9 @@ router.use('/admin', adminRoutes);
 router.use('/reports', reportRoutes);
 router.use('/announcements', announcementRoutes);
 router.use('/transactions', transactionRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/requester', requesterRoutes);
+router.use('/sms', smsRoutes);
 router.use('/', emailVerificationRoutes); // Email verification routes are mounted at root level
 
 // Public API endpoints for frontend
@@ -124,12 +132,8 @@ router.get('/public/transaction-days', asyncHandler(async (req, res, next) => {
 
 // Direct routes for student and alumni requests
 const { RequestController } = require('../controllers/requestController');
-router.post('/students', asyncHandler(async (req, res, next) => {
-    const controller = new RequestController(req.dbManager);
-    await controller.createStudentRequest(req, res, next);
-}));
-// Alumni request with file upload
-const alumniUpload = multer({
+// Request uploads: alumni verification photo and the authorization letter of a representative
+const requestUpload = multer({
     storage: storage,
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
@@ -142,10 +146,13 @@ const alumniUpload = multer({
             cb(new Error('Invalid file type. Only JPEG, PNG, and PDF files are allowed.'), false);
         }
     }
-}).single('alumniVerificationFile');
+}).fields([
+    { name: 'alumniVerificationFile', maxCount: 1 },
+    { name: 'authorizationLetterFile', maxCount: 1 }
+]);
 
-router.post('/alumni', (req, res, next) => {
-    alumniUpload(req, res, (err) => {
+const handleRequestUpload = (req, res, next) => {
+    requestUpload(req, res, (err) => {
         if (err) {
             return res.status(400).json({
                 error: 'File upload error',
@@ -153,8 +160,8 @@ router.post('/alumni', (req, res, next) => {
             });
         }
 
-        // Parse JSON fields after multer processing
-        if (req.body && typeof req.body === 'object') {
+        // Parse JSON fields after multer processing (JSON bodies are already parsed)
+        if (req.is('multipart/form-data') && req.body && typeof req.body === 'object') {
             Object.keys(req.body).forEach(key => {
                 if (typeof req.body[key] === 'string') {
                     try {
@@ -168,7 +175,14 @@ router.post('/alumni', (req, res, next) => {
 
         next();
     });
-}, asyncHandler(async (req, res, next) => {
+};
+
+router.post('/students', handleRequestUpload, asyncHandler(async (req, res, next) => {
+    const controller = new RequestController(req.dbManager);
+    await controller.createStudentRequest(req, res, next);
+}));
+
+router.post('/alumni', handleRequestUpload, asyncHandler(async (req, res, next) => {
     const controller = new RequestController(req.dbManager);
     await controller.createAlumniRequest(req, res, next);
 }));
@@ -0,0 +1,23 @@
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Payment routes
+ * Gateway callbacks; request-scoped payment routes live under /api/requests/:id/payments
+ */
+
+/**
+ * @route POST /api/payments/webhooks/:provider
+ * @desc Receive a signed payment callback from a gateway
+ * @access Public (signature verified by the gateway adapter)
+ * @param {string} provider - Gateway name (mock, paymongo)
+ */
+router.post('/webhooks/:provider', asyncHandler(async (req, res, next) => {
+    const controller = new PaymentController(req.dbManager);
+    await controller.handleWebhook(req, res, next);
+}));
+
+module.exports = router;
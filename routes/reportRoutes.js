@@ -1,5 +1,6 @@
 const express = require('express');
 const ReportController = require('../controllers/reportController');
+const ReportSubscriptionController = require('../controllers/reportSubscriptionController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -21,13 +22,31 @@ const router = express.Router();
  *
  * Routes:
  * 1. POST /api/reports/document-requests
- *    - Generate document request report PDF
- *    - Query params: fromDate, toDate, departmentId (optional for admin)
- *    - Returns: PDF file binary
+ *    - Generate document request report as PDF, CSV or XLSX
+ *    - Query params: fromDate, toDate, departmentId (optional for admin), format,
+ *      plus the optional report filters below
+ *    - Returns: PDF file binary, or a streamed CSV/XLSX file
  *
- * 2. GET /api/reports/departments
+ * 2. GET /api/reports/revenue
+ *    - Revenue and collections by document type, department, requester type and period
+ *    - Query params: fromDate, toDate, departmentId (optional for admin), interval,
+ *      plus the optional report filters below
+ *    - Returns: JSON
+ *
+ * 3. GET /api/reports/departments
  *    - Get available departments for current user
  *    - Returns: JSON with departments array
+ *
+ * 4. /api/reports/subscriptions
+ *    - Saved report definitions emailed on a schedule, and their delivery history
+ *
+ * Optional report filters (routes 1 and 2), combined with AND; invalid values return 400:
+ * - status: status names, comma-separated or repeated (e.g. PENDING,READY)
+ * - requesterType: student or alumni
+ * - documentTypeIds: document type IDs; matches requests containing any of them
+ * - courseId, purposeId: course and request purpose IDs
+ * - processedBy: user ID of the staff member who processed the request
+ * - schoolYear, semester: school year and semester as stored on the request
  */
 
 /**
@@ -40,6 +59,13 @@ const router = express.Router();
  * - fromDate (required): Start date in YYYY-MM-DD format
  * - toDate (required): End date in YYYY-MM-DD format
  * - departmentId (optional for admin, required for staff): Department ID to filter by
+ * - format (optional): pdf (default), csv or xlsx
+ *   The PDF has the summary statistics, a revenue and collections section
+ *   (see GET /api/reports/revenue) and the request table
+ *   CSV and XLSX have one row per requested document with quantity, unit price,
+ *   line total and request total, and are streamed as rows are read
+ * - status, requesterType, documentTypeIds, courseId, purposeId, processedBy,
+ *   schoolYear, semester (optional): report filters, listed in the PDF header
  *
  * Security:
  * - Requires valid JWT token (Bearer <token>)
@@ -56,13 +82,20 @@ const router = express.Router();
  * Example Request (Staff - their assigned department):
  * POST /api/reports/document-requests?fromDate=2026-01-01&toDate=2026-02-16&departmentId=2
  *
+ * Example Request (Accounting export):
+ * POST /api/reports/document-requests?fromDate=2024-01-01&toDate=2026-02-16&format=xlsx
+ *
+ * Example Request (Released alumni transcripts):
+ * POST /api/reports/document-requests?fromDate=2026-01-01&toDate=2026-02-16&status=RELEASED&requesterType=alumni&documentTypeIds=1
+ *
  * Success Response (200):
- * - Content-Type: application/pdf
- * - Body: PDF file binary
+ * - Content-Type: application/pdf, text/csv or
+ *   application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+ * - Body: file binary
  * - Header: Content-Disposition: attachment; filename="..."
  *
  * Error Responses:
- * - 400: Missing/invalid parameters
+ * - 400: Missing/invalid parameters (including an unknown format)
  * - 401: Missing/invalid JWT token
  * - 403: User lacks required role or department access
  * - 404: Department not found
@@ -77,6 +110,59 @@ router.post(
     })
 );
 
+/**
+ * GET /api/reports/revenue
+ *
+ * Revenue and collection report for dashboards, with the same role-based and
+ * department-based access control as the document request report.
+ * Billed = request_documents.totalPrice of requests not declined or cancelled;
+ * collected = the part of that on requests with payment status PAID.
+ * Every total is compared with the previous period of the same length.
+ *
+ * Query Parameters:
+ * - fromDate (required): Start date in YYYY-MM-DD format
+ * - toDate (required): End date in YYYY-MM-DD format
+ * - departmentId (optional for admin, required for staff): Department ID to filter by
+ * - interval (optional): day (default), week or month - grouping of the timeline
+ * - status, requesterType, documentTypeIds, courseId, purposeId, processedBy,
+ *   schoolYear, semester (optional): report filters
+ *
+ * Example Request:
+ * GET /api/reports/revenue?fromDate=2026-09-01&toDate=2026-09-30&interval=week
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "departmentName": "ALL DEPARTMENTS",
+ *   "data": {
+ *     "period": { "from": "2026-09-01", "to": "2026-09-30" },
+ *     "previousPeriod": { "from": "2026-08-02", "to": "2026-08-31" },
+ *     "interval": "week",
+ *     "totals": { "requests": 120, "quantity": 180, "billed": 25400, "collected": 21000,
+ *                 "previousBilled": 23000, "previousCollected": 20500,
+ *                 "change": { "billed": { "amount": 2400, "percent": 10.4 }, "collected": { ... } } },
+ *     "byDocumentType": [{ "key": 1, "label": "Transcript of Records", ...same fields as totals }],
+ *     "byDepartment": [...],
+ *     "byRequesterType": [...],
+ *     "timeline": [{ "periodStart": "2026-08-31", "requests": 30, "quantity": 41, "billed": 6100, "collected": 5200 }]
+ *   }
+ * }
+ *
+ * Error Responses:
+ * - 400: Missing/invalid parameters
+ * - 401: Missing/invalid JWT token
+ * - 403: User lacks required role or department access
+ * - 404: Department not found
+ */
+router.get(
+    '/revenue',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportController(req.dbManager);
+        await controller.getRevenueReport(req, res, next);
+    })
+);
+
 /**
  * GET /api/reports/departments
  *
@@ -113,4 +199,113 @@ router.get(
     })
 );
 
+/**
+ * Report subscriptions
+ *
+ * A subscription saves a report definition (department, date window, format)
+ * and a list of recipients. The daily 'report-deliveries' job emails each
+ * subscription once its window has closed:
+ * - previous_day: yesterday, sent daily
+ * - previous_week: Monday to Sunday, sent on Monday
+ * - previous_month: the whole previous month, sent on the 1st
+ *
+ * The report is generated with the owner's access: staff can only subscribe to
+ * their assigned departments. Staff see and manage their own subscriptions;
+ * admins see and manage all of them.
+ */
+
+/**
+ * @route GET /api/reports/subscriptions
+ * @desc List report subscriptions
+ * @access Private (Admin, Staff)
+ */
+router.get(
+    '/subscriptions',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.listSubscriptions(req, res, next);
+    })
+);
+
+/**
+ * @route POST /api/reports/subscriptions
+ * @desc Create a report subscription
+ * @access Private (Admin, Staff)
+ * @body {string} name - Shown in the email subject
+ * @body {number|null} departmentId - Department (required for staff; null = all departments for admins)
+ * @body {string} dateWindow - previous_day, previous_week (default) or previous_month
+ * @body {string} format - pdf (default), csv or xlsx
+ * @body {Array<string>} recipients - Email addresses (1-20)
+ */
+router.post(
+    '/subscriptions',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.createSubscription(req, res, next);
+    })
+);
+
+/**
+ * @route PUT /api/reports/subscriptions/:id
+ * @desc Update a report subscription (any of the create fields, plus isActive)
+ * @access Private (Admin, Staff - own subscriptions)
+ * @param {number} id - Subscription ID
+ */
+router.put(
+    '/subscriptions/:id',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.updateSubscription(req, res, next);
+    })
+);
+
+/**
+ * @route DELETE /api/reports/subscriptions/:id
+ * @desc Delete a report subscription and its delivery history
+ * @access Private (Admin, Staff - own subscriptions)
+ * @param {number} id - Subscription ID
+ */
+router.delete(
+    '/subscriptions/:id',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.deleteSubscription(req, res, next);
+    })
+);
+
+/**
+ * @route POST /api/reports/subscriptions/:id/send
+ * @desc Email the subscription's latest report window now (recorded as a manual delivery)
+ * @access Private (Admin, Staff - own subscriptions)
+ * @param {number} id - Subscription ID
+ */
+router.post(
+    '/subscriptions/:id/send',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.sendSubscription(req, res, next);
+    })
+);
+
+/**
+ * @route GET /api/reports/subscriptions/:id/deliveries
+ * @desc Delivery history (sent and failed), newest first
+ * @access Private (Admin, Staff - own subscriptions)
+ * @param {number} id - Subscription ID
+ * @query {number} limit - Maximum rows (default 50, max 200)
+ */
+router.get(
+    '/subscriptions/:id/deliveries',
+    authMiddleware.verifyToken,
+    asyncHandler(async (req, res, next) => {
+        const controller = new ReportSubscriptionController(req.dbManager, req.app.locals.mailService);
+        await controller.getDeliveries(req, res, next);
+    })
+);
+
 module.exports = router;
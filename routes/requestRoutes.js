@@ -1,6 +1,9 @@
 const express = require('express');
 const { RequestController, getAllRequests } = require('../controllers/requestController');
 const StaffController = require('../controllers/staffController');
+const PaymentController = require('../controllers/paymentController');
+const ReceiptController = require('../controllers/receiptController');
+const RequesterPortalController = require('../controllers/requesterPortalController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -128,6 +131,70 @@ router.get('/track/:referenceNumber', asyncHandler(async (req, res, next) => {
     await controller.trackRequest(req, res, next);
 }));
 
+/**
+ * @route POST /api/requests/track/:referenceNumber/cancel-code
+ * @desc Email a cancellation code to the requester of a request
+ * @access Public
+ * @param {string} referenceNumber - Request reference number
+ */
+router.post('/track/:referenceNumber/cancel-code', asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager, req.mailService);
+    await controller.sendCancellationCode(req, res, next);
+}));
+
+/**
+ * @route POST /api/requests/track/:referenceNumber/cancel
+ * @desc Cancel a request that is not yet ready for pickup using the emailed code
+ * @access Public (reference number + emailed code)
+ * @param {string} referenceNumber - Request reference number
+ * @body {
+ *   code: string (required),
+ *   reason: string (required)
+ * }
+ */
+router.post('/track/:referenceNumber/cancel', asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager, req.mailService);
+    await controller.cancelByReference(req, res, next);
+}));
+
+/**
+ * @route GET /api/requests/track/:referenceNumber/notifications
+ * @desc Show which channels (email, sms) the requester is notified on per event
+ * @access Public
+ * @param {string} referenceNumber - Request reference number
+ */
+router.get('/track/:referenceNumber/notifications', asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.getNotificationSettings(req, res, next);
+}));
+
+/**
+ * @route POST /api/requests/track/:referenceNumber/notifications/code
+ * @desc Email a code that confirms a change of notification preferences
+ * @access Public
+ * @param {string} referenceNumber - Request reference number
+ */
+router.post('/track/:referenceNumber/notifications/code', asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager, req.mailService);
+    await controller.sendNotificationSettingsCode(req, res, next);
+}));
+
+/**
+ * @route PUT /api/requests/track/:referenceNumber/notifications
+ * @desc Change the requester's notification channels per event using the emailed code
+ * @access Public (reference number + emailed code)
+ * @param {string} referenceNumber - Request reference number
+ * @body {
+ *   code: string (required),
+ *   preferences: object (required) - channels per event, e.g.
+ *     { submitted: ['email', 'sms'], processing: ['none'], ready: ['sms'], declined: ['email'], reminder: [] }
+ * }
+ */
+router.put('/track/:referenceNumber/notifications', asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.updateNotificationSettings(req, res, next);
+}));
+
 /**
  * @route GET /api/requests/:id
  * @desc Get request by ID (admin and staff only)
@@ -169,6 +236,7 @@ router.get('/', asyncHandler(async (req, res, next) => {
  * @body {
  *   status?: string,
  *   statusId?: number,
+ *   reason?: string (required when declining),
  *   pickupStatusId?: number,
  *   scheduledPickup?: string,
  *   adminNotes?: string
@@ -185,9 +253,12 @@ router.put('/:id', asyncHandler(async (req, res, next) => {
 
 /**
  * @route DELETE /api/requests/:id
- * @desc Delete request (admin only)
+ * @desc Move a request to the trash (admin only)
  * @access Private (Admin)
  * @param {number} id - Request ID
+ * @body {
+ *   reason?: string (shown in the trash)
+ * }
  */
 router.delete('/:id', asyncHandler(async (req, res, next) => {
     await authMiddleware.verifyToken(req, res, async () => {
@@ -223,10 +294,13 @@ router.put('/:id/schedule', asyncHandler(async (req, res, next) => {
 /**
  * @route PUT /api/requests/:id/status
  * @desc Update request status only (staff and admin only)
+ *       Moves must follow the status workflow; illegal moves return 409.
+ *       Releases go through POST /api/staff/pickup/release instead.
  * @access Private (Staff/Admin)
  * @param {number} id - Request ID
  * @body {
- *   status: string
+ *   status: string,
+ *   reason?: string (required when declining)
  * }
  */
 router.put('/:id/status', asyncHandler(async (req, res, next) => {
@@ -239,4 +313,120 @@ router.put('/:id/status', asyncHandler(async (req, res, next) => {
 }));
 
 
+/**
+ * @route GET /api/requests/:id/payments
+ * @desc List payment attempts and settlement state of a request
+ * @access Private (Staff/Admin)
+ * @param {number} id - Request ID
+ */
+router.get('/:id/payments', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaffOrAdmin(req, res, async () => {
+            const controller = new PaymentController(req.dbManager);
+            await controller.getPayments(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route POST /api/requests/:id/payments
+ * @desc Open an online checkout for a request
+ * @access Public (requires the request's reference number)
+ * @param {number} id - Request ID
+ * @body {
+ *   referenceNumber: string
+ * }
+ */
+router.post('/:id/payments', asyncHandler(async (req, res, next) => {
+    const controller = new PaymentController(req.dbManager);
+    await controller.createPayment(req, res, next);
+}));
+
+/**
+ * @route POST /api/requests/:id/payments/waive
+ * @desc Waive the fee of a request so it can be released without payment
+ * @access Private (Staff/Admin)
+ * @param {number} id - Request ID
+ * @body {
+ *   reason: string
+ * }
+ */
+router.post('/:id/payments/waive', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaffOrAdmin(req, res, async () => {
+            const controller = new PaymentController(req.dbManager);
+            await controller.waivePayment(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route POST /api/requests/:id/payments/:paymentId/refund
+ * @desc Refund a paid payment through its gateway and void the active official receipt
+ * @access Private (Admin)
+ * @param {number} id - Request ID
+ * @param {number} paymentId - Payment ID
+ * @body {
+ *   reason: string
+ * }
+ */
+router.post('/:id/payments/:paymentId/refund', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireAdmin(req, res, async () => {
+            const controller = new PaymentController(req.dbManager);
+            await controller.refundPayment(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route GET /api/requests/:id/receipt
+ * @desc Download the official receipt of a paid request as PDF
+ *       The first download issues the next OR number; later downloads are watermarked REPRINT
+ * @access Private (Staff/Admin)
+ * @param {number} id - Request ID
+ */
+router.get('/:id/receipt', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaffOrAdmin(req, res, async () => {
+            const controller = new ReceiptController(req.dbManager);
+            await controller.getReceipt(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route GET /api/requests/:id/receipts
+ * @desc List all official receipts issued for a request, including voided ones
+ * @access Private (Staff/Admin)
+ * @param {number} id - Request ID
+ */
+router.get('/:id/receipts', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaffOrAdmin(req, res, async () => {
+            const controller = new ReceiptController(req.dbManager);
+            await controller.getReceiptHistory(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route POST /api/requests/:id/receipt/void
+ * @desc Void the active official receipt of a request
+ * @access Private (Admin)
+ * @param {number} id - Request ID
+ * @body {
+ *   reason: string
+ * }
+ */
+router.post('/:id/receipt/void', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireAdmin(req, res, async () => {
+            const controller = new ReceiptController(req.dbManager);
+            await controller.voidReceipt(req, res, next);
+        });
+    });
+}));
+
+
 module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const EmailVerificationController = require('../controllers/emailVerificationController');
+const RequesterPortalController = require('../controllers/requesterPortalController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Create middleware instances
+const authMiddleware = new AuthMiddleware();
+
+const router = express.Router();
+
+/**
+ * Requester portal routes
+ * Students and alumni sign in with an emailed code or magic link and manage
+ * every request filed under their email address
+ */
+
+/**
+ * @route POST /api/requester/login
+ * @desc Email a sign-in code and magic link to a requester
+ * @access Public
+ * @body {
+ *   email: string (required)
+ * }
+ */
+router.post('/login', asyncHandler(async (req, res, next) => {
+    const dbManager = req.app.locals.dbManager;
+    const mailService = req.app.locals.mailService;
+
+    if (!dbManager || !mailService) {
+        console.error('❌ Missing dependencies: dbManager or mailService not injected');
+        return res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Email service not available'
+        });
+    }
+
+    const controller = new EmailVerificationController(dbManager, mailService);
+    await controller.sendRequesterLoginCode(req, res);
+}));
+
+/**
+ * @route POST /api/requester/verify
+ * @desc Exchange a sign-in code or magic-link token for a requester session token
+ * @access Public
+ * @body {
+ *   token: string (magic-link token) OR
+ *   email: string, code: string
+ * }
+ */
+router.post('/verify', asyncHandler(async (req, res, next) => {
+    const controller = new EmailVerificationController(req.dbManager, null); // mailService not needed for verification
+    await controller.verifyRequesterLogin(req, res);
+}));
+
+/**
+ * @route GET /api/requester/requests
+ * @desc List all requests of the signed-in requester
+ * @access Requester session
+ */
+router.get('/requests', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.getMyRequests(req, res, next);
+}));
+
+/**
+ * @route GET /api/requester/requests/:id
+ * @desc Get a request with its documents, tracking history, payments and receipts
+ * @access Requester session
+ * @param {number} id - Request ID
+ */
+router.get('/requests/:id', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.getMyRequest(req, res, next);
+}));
+
+/**
+ * @route GET /api/requester/requests/:id/receipt
+ * @desc Download the official receipt of a request (PDF)
+ * @access Requester session
+ * @param {number} id - Request ID
+ */
+router.get('/requests/:id/receipt', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.downloadReceipt(req, res, next);
+}));
+
+/**
+ * @route POST /api/requester/requests/:id/cancel
+ * @desc Cancel a request that is not yet ready for pickup
+ * @access Requester session
+ * @param {number} id - Request ID
+ * @body {
+ *   reason: string (required)
+ * }
+ */
+router.post('/requests/:id/cancel', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager, req.mailService);
+    await controller.cancelMyRequest(req, res, next);
+}));
+
+/**
+ * @route GET /api/requester/requests/:id/pickup-slots
+ * @desc List upcoming pickup slots with room left, for a READY request
+ * @access Requester session
+ * @param {number} id - Request ID
+ */
+router.get('/requests/:id/pickup-slots', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.getPickupSlots(req, res, next);
+}));
+
+/**
+ * @route POST /api/requester/requests/:id/pickup-slot
+ * @desc Book a pickup slot for a READY request (booking again moves the appointment)
+ * @access Requester session
+ * @param {number} id - Request ID
+ * @body {
+ *   slotId: number (required)
+ * }
+ */
+router.post('/requests/:id/pickup-slot', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.bookPickupSlot(req, res, next);
+}));
+
+/**
+ * @route POST /api/requester/requests/:id/pickup-qr
+ * @desc Issue a new pickup QR code (PNG) for a READY request; earlier codes stop working
+ * @access Requester session
+ * @param {number} id - Request ID
+ */
+router.post('/requests/:id/pickup-qr', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.showPickupQr(req, res, next);
+}));
+
+/**
+ * @route GET /api/requester/sms
+ * @desc Show whether the requester's mobile numbers receive SMS notifications
+ * @access Requester session
+ */
+router.get('/sms', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.getSmsSettings(req, res, next);
+}));
+
+/**
+ * @route PUT /api/requester/sms
+ * @desc Turn SMS notifications on or off for the requester's mobile numbers
+ * @access Requester session
+ * @body {
+ *   smsEnabled: boolean (required)
+ * }
+ */
+router.put('/sms', authMiddleware.verifyRequesterToken, asyncHandler(async (req, res, next) => {
+    const controller = new RequesterPortalController(req.dbManager);
+    await controller.updateSmsSettings(req, res, next);
+}));
+
+module.exports = router;
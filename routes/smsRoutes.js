@@ -0,0 +1,23 @@
+const express = require('express');
+const SmsController = require('../controllers/smsController');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * SMS routes
+ * Provider callbacks for replies to SMS notifications (opt-out keywords)
+ */
+
+/**
+ * @route POST /api/sms/inbound/:provider
+ * @desc Receive a reply (STOP, START, ...) from an SMS provider
+ * @access Public (signature verified by the provider adapter)
+ * @param {string} provider - Provider name (file, twilio)
+ */
+router.post('/inbound/:provider', asyncHandler(async (req, res, next) => {
+    const controller = new SmsController(req.dbManager);
+    await controller.handleInbound(req, res, next);
+}));
+
+module.exports = router;
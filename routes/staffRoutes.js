@@ -1,5 +1,6 @@
 const express = require('express');
 const StaffController = require('../controllers/staffController');
+const OutOfOfficeController = require('../controllers/outOfOfficeController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -27,6 +28,100 @@ router.get('/stats', asyncHandler(async (req, res, next) => {
     });
 }));
 
+/**
+ * @route GET /api/staff/stats/turnaround
+ * @desc Median and 90th percentile hours from PENDING to READY and READY to RELEASED
+ *       for the staff member's departments, with a weekly trend
+ * @access Private (Staff only)
+ * @query {
+ *   fromDate?: string (YYYY-MM-DD, submission date; default: last 12 weeks),
+ *   toDate?: string (YYYY-MM-DD),
+ *   departmentId?: number (one of the staff member's departments)
+ * }
+ */
+router.get('/stats/turnaround', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new StaffController(req.dbManager);
+            await controller.getTurnaroundStats(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route GET /api/staff/claim-stubs
+ * @desc Printable PDF of claim stubs (reference number, requester, documents and a
+ *       QR code of the reference) for READY requests scheduled for pickup on a transaction day
+ * @access Private (Staff only)
+ * @query {
+ *   date: string (YYYY-MM-DD, a transaction day),
+ *   departmentId?: number (one of the staff member's departments; default: all of them)
+ * }
+ */
+router.get('/claim-stubs', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new StaffController(req.dbManager);
+            await controller.getClaimStubs(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route GET /api/staff/requests/:id/authorization-letter
+ * @desc Download the authorization letter a requester uploaded for their representative
+ * @access Private (Staff of the request's department, or admin)
+ * @param {number} id - Request ID
+ */
+router.get('/requests/:id/authorization-letter', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaffOrAdmin(req, res, async () => {
+            const controller = new StaffController(req.dbManager);
+            await controller.downloadAuthorizationLetter(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route POST /api/staff/pickup/verify
+ * @desc Check a scanned pickup QR code and show the requester's identity, any authorized
+ *       representative with their authorization letter, and the documents (does not use up the code)
+ * @access Private (Staff only, request in one of the staff member's departments)
+ * @body {
+ *   token: string (content of the pickup QR code)
+ * }
+ */
+router.post('/pickup/verify', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new StaffController(req.dbManager);
+            await controller.verifyPickupToken(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route POST /api/staff/pickup/release
+ * @desc Release a READY request with its pickup QR code; the code can be used once
+ * @access Private (Staff only, request in one of the staff member's departments)
+ * @body {
+ *   token: string (content of the pickup QR code),
+ *   releasedTo?: 'self' | 'representative' (default: self),
+ *   representativeName?: string (representative; defaults to the one named on the request),
+ *   idPresented?: string (ID shown by the claimant; defaults to the representative ID on the request),
+ *   representativeIdConfirmed?: boolean (must be true to release to a representative),
+ *   remarks?: string
+ * }
+ */
+router.post('/pickup/release', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new StaffController(req.dbManager);
+            await controller.releaseWithPickupToken(req, res, next);
+        });
+    });
+}));
+
 /**
  * @route GET /api/staff/requests
  * @desc Get staff's assigned requests
@@ -48,8 +143,11 @@ router.get('/requests', asyncHandler(async (req, res, next) => {
 
 /**
  * @route DELETE /api/staff/requests/:id
- * @desc Delete request (staff can only delete requests from their assigned departments)
+ * @desc Move a request to the trash (staff can only delete requests from their assigned departments)
  * @access Private (Staff only)
+ * @body {
+ *   reason?: string (shown in the trash)
+ * }
  */
 router.delete('/requests/:id', asyncHandler(async (req, res, next) => {
     await authMiddleware.verifyToken(req, res, async () => {
@@ -74,4 +172,65 @@ router.get('/dashboard', asyncHandler(async (req, res, next) => {
     });
 }));
 
+/**
+ * @route GET /api/staff/out-of-office
+ * @desc Get your out-of-office period and the staff you are covering for
+ * @access Private (Staff only)
+ */
+router.get('/out-of-office', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new OutOfOfficeController(req.dbManager);
+            await controller.getMyOutOfOffice(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route GET /api/staff/out-of-office/delegates
+ * @desc List staff members you can delegate your requests to
+ * @access Private (Staff only)
+ */
+router.get('/out-of-office/delegates', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new OutOfOfficeController(req.dbManager);
+            await controller.getDelegateOptions(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route PUT /api/staff/out-of-office
+ * @desc Set your out-of-office period and delegate
+ * @access Private (Staff only)
+ * @body {
+ *   start: string (required, date/time),
+ *   end: string (required, date/time),
+ *   delegateUserId: number (required)
+ * }
+ */
+router.put('/out-of-office', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new OutOfOfficeController(req.dbManager);
+            await controller.setMyOutOfOffice(req, res, next);
+        });
+    });
+}));
+
+/**
+ * @route DELETE /api/staff/out-of-office
+ * @desc Clear your out-of-office period
+ * @access Private (Staff only)
+ */
+router.delete('/out-of-office', asyncHandler(async (req, res, next) => {
+    await authMiddleware.verifyToken(req, res, async () => {
+        await authMiddleware.requireStaff(req, res, async () => {
+            const controller = new OutOfOfficeController(req.dbManager);
+            await controller.clearMyOutOfOffice(req, res, next);
+        });
+    });
+}));
+
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const TransactionController = require('../controllers/transactionController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -8,6 +9,21 @@ const authMiddleware = new AuthMiddleware();
 
 const router = express.Router();
 
+// iCalendar uploads are parsed in memory and never stored
+const icsUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024 // 1MB limit
+    },
+    fileFilter: function (req, file, cb) {
+        if (/\.ics$/i.test(file.originalname) || file.mimetype === 'text/calendar') {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only iCalendar (.ics) files are allowed.'), false);
+        }
+    }
+}).single('icsFile');
+
 /**
  * Transaction routes
  * Handles transaction day management operations
@@ -75,6 +91,107 @@ router.get('/check-availability', asyncHandler(async (req, res, next) => {
     await controller.checkAvailability(req, res, next);
 }));
 
+/**
+ * @route GET /api/transactions/rules
+ * @desc Get the weekly transaction-day rules
+ * @access Private (Admin + Staff)
+ */
+router.get('/rules', authMiddleware.verifyToken, authMiddleware.requireStaffOrAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.getRules(req, res, next);
+}));
+
+/**
+ * @route POST /api/transactions/rules
+ * @desc Create a weekly rule for dates without a transaction day (e.g. every Saturday: no transaction)
+ * @access Private (Admin only)
+ * @body {
+ *   weekday: number (0 = Sunday ... 6 = Saturday) or day name,
+ *   status: string ('no transaction' | 'limited' | 'available'),
+ *   name?: string,
+ *   time_start?: string (HH:mm),
+ *   time_end?: string (HH:mm),
+ *   message?: string,
+ *   startsOn?: string (YYYY-MM-DD),
+ *   endsOn?: string (YYYY-MM-DD),
+ *   is_active?: boolean
+ * }
+ */
+router.post('/rules', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.createRule(req, res, next);
+}));
+
+/**
+ * @route PUT /api/transactions/rules/:ruleId
+ * @desc Update a weekly transaction-day rule
+ * @access Private (Admin only)
+ * @param {number} ruleId - Rule ID
+ * @body Same fields as POST /api/transactions/rules, all optional
+ */
+router.put('/rules/:ruleId', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.updateRule(req, res, next);
+}));
+
+/**
+ * @route DELETE /api/transactions/rules/:ruleId
+ * @desc Delete a weekly transaction-day rule
+ * @access Private (Admin only)
+ * @param {number} ruleId - Rule ID
+ */
+router.delete('/rules/:ruleId', authMiddleware.verifyToken, authMiddleware.requireAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.deleteRule(req, res, next);
+}));
+
+/**
+ * @route GET /api/transactions/calendar
+ * @desc Get every date of a month with its status and where it comes from (day, rule or default)
+ * @access Public
+ * @query {
+ *   month: string (YYYY-MM)
+ * }
+ */
+router.get('/calendar', asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.getMonthCalendar(req, res, next);
+}));
+
+/**
+ * @route POST /api/transactions/calendar/preview
+ * @desc Preview a month with proposed rules and/or an .ics holiday file applied, without saving
+ * @access Private (Admin only)
+ * @body {
+ *   month: string (YYYY-MM),
+ *   rules?: Array<rule> (same fields as POST /api/transactions/rules),
+ *   icsFile?: file (multipart) OR ics?: string,
+ *   holidayStatus?: string (default 'no transaction'),
+ *   overwrite?: boolean (holidays replace existing transaction days)
+ * }
+ */
+router.post('/calendar/preview', authMiddleware.verifyToken, authMiddleware.requireAdmin, icsUpload, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.getMonthCalendar(req, res, next);
+}));
+
+/**
+ * @route POST /api/transactions/holidays/import
+ * @desc Import holidays from an iCalendar (.ics) file as unpublished transaction days
+ * @access Private (Admin only)
+ * @body {
+ *   icsFile?: file (multipart) OR ics?: string,
+ *   fromDate?: string (YYYY-MM-DD, default today),
+ *   toDate?: string (YYYY-MM-DD, default end of next year),
+ *   status?: string (default 'no transaction'),
+ *   overwrite?: boolean (replace existing transaction days; days with pickup bookings are kept)
+ * }
+ */
+router.post('/holidays/import', authMiddleware.verifyToken, authMiddleware.requireAdmin, icsUpload, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.importHolidays(req, res, next);
+}));
+
 /**
  * @route GET /api/transactions/:id
  * @desc Get transaction day by ID
@@ -177,4 +294,58 @@ router.patch('/:id/toggle-publish', authMiddleware.verifyToken, authMiddleware.r
     await controller.togglePublishStatus(req, res, next);
 }));
 
+/**
+ * @route GET /api/transactions/:id/slots
+ * @desc Get the pickup slots of a transaction day with their bookings
+ * @access Private (Admin + Staff)
+ * @param {number} id - Transaction day ID
+ */
+router.get('/:id/slots', authMiddleware.verifyToken, authMiddleware.requireStaffOrAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.getPickupSlots(req, res, next);
+}));
+
+/**
+ * @route POST /api/transactions/:id/slots
+ * @desc Add a bookable pickup slot to a transaction day (not on "no transaction" days)
+ * @access Private (Admin + Staff)
+ * @param {number} id - Transaction day ID
+ * @body {
+ *   startTime: string (HH:mm),
+ *   endTime: string (HH:mm),
+ *   capacity: number (requesters who can book the slot)
+ * }
+ */
+router.post('/:id/slots', authMiddleware.verifyToken, authMiddleware.requireStaffOrAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.createPickupSlot(req, res, next);
+}));
+
+/**
+ * @route PUT /api/transactions/slots/:slotId
+ * @desc Update a pickup slot; times are fixed once booked and capacity cannot drop below the bookings
+ * @access Private (Admin + Staff)
+ * @param {number} slotId - Slot ID
+ * @body {
+ *   startTime?: string (HH:mm),
+ *   endTime?: string (HH:mm),
+ *   capacity?: number
+ * }
+ */
+router.put('/slots/:slotId', authMiddleware.verifyToken, authMiddleware.requireStaffOrAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.updatePickupSlot(req, res, next);
+}));
+
+/**
+ * @route DELETE /api/transactions/slots/:slotId
+ * @desc Delete a pickup slot nobody has booked
+ * @access Private (Admin + Staff)
+ * @param {number} slotId - Slot ID
+ */
+router.delete('/slots/:slotId', authMiddleware.verifyToken, authMiddleware.requireStaffOrAdmin, asyncHandler(async (req, res, next) => {
+    const controller = new TransactionController(req.dbManager);
+    await controller.deletePickupSlot(req, res, next);
+}));
+
 module.exports = router;
@@ -25,8 +25,14 @@ const multer = require('multer');
 
 const DatabaseManager = require('./config/db');
 const MailService = require('./services/mailer');
+const JobScheduler = require('./services/jobScheduler');
+const EmailOutbox = require('./services/emailOutbox');
+const EmailTemplates = require('./services/emailTemplates');
+const realtime = require('./services/realtime');
+const AuthMiddleware = require('./middleware/authMiddleware');
 const routes = require('./routes');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { PUBLIC_UPLOAD_DIR, AUTHORIZATION_LETTER_PREFIX } = require('./config/uploads');
 const secureMiddleware = require('./middleware/secureMiddleware');
 const logger = require('./utils/logger');
 
@@ -44,6 +50,13 @@ const httpServer = http.createServer(app);
 // Initialize services
 const dbManager = new DatabaseManager();
 const mailService = new MailService();
+const jobScheduler = new JobScheduler(dbManager, mailService);
+
+// Queue every email in the database so failed sends are retried (SMTP directly while the DB is down)
+mailService.useOutbox(new EmailOutbox(dbManager, mailService));
+
+// Render emails from the admin-editable templates (built-in ones while the DB is down)
+mailService.useTemplates(new EmailTemplates(dbManager));
 
 // verify optional SMTP connection (non-blocking)
 mailService.verifyConnection().catch(err => {
@@ -57,10 +70,19 @@ app.use(secure.cors);
 app.use(secure.limiter);
 
 // Body parsing and static
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the unparsed body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Authorization letters left in uploads/ by older versions are only served through the staff route
+app.use('/uploads', (req, res, next) => (
+  path.basename(req.path).startsWith(AUTHORIZATION_LETTER_PREFIX) ? notFound(req, res, next) : next()
+), express.static(PUBLIC_UPLOAD_DIR));
 
 // Simple request logger (kept minimal; use centralized logger)
 app.use((req, res, next) => {
@@ -74,18 +96,17 @@ app.use((req, res, next) => {
   req.mailService = mailService;
   req.app.locals.dbManager = dbManager;
   req.app.locals.mailService = mailService;
+  req.app.locals.jobScheduler = jobScheduler;
   next();
 });
 
 // Mount API routes
 app.use('/api', routes);
 
-// Socket.IO (optional)
+// Socket.IO: staff sockets authenticate with their JWT and join their user/department rooms;
+// the public tracking page follows request:<referenceNumber> rooms (see services/realtime.js)
 const io = new Server(httpServer, { cors: { origin: env.FRONTEND_URL || '*' } });
-io.on('connection', socket => {
-  logger.info('Socket connected: %s', socket.id);
-  socket.on('disconnect', () => logger.info('Socket disconnected: %s', socket.id));
-});
+realtime.setupSocketServer(io, new AuthMiddleware(), dbManager);
 global.io = io;
 
 // Health check
@@ -114,6 +135,8 @@ async function initializeApp() {
     dbManager.connectWithRetry()
       .then(() => dbManager.initializeDatabase())
       .then(() => logger.info('Application initialized'))
+      // Background jobs need the jobs table, so they start once the schema exists
+      .then(() => jobScheduler.start())
       .catch(err => logger.error('Database background init failed: %s', err.message));
 
   } catch (err) {
@@ -130,6 +153,7 @@ httpServer.listen(port, () => {
 // Graceful shutdown
 const shutdown = async () => {
   logger.info('Shutting down server...');
+  jobScheduler.stop();
   httpServer.close(() => {
     try {
       if (typeof dbManager.close === 'function') dbManager.close();
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Durable outbound email queue
+ *
+ * MailService enqueues every message into email_outbox instead of talking to
+ * SMTP directly. The email-outbox job (and a kick right after each enqueue)
+ * claims due messages and sends them. A failed send is retried with
+ * exponential backoff (EMAIL_OUTBOX_RETRY_SECONDS, doubling per attempt, at most
+ * MAX_RETRY_DELAY_SECONDS); after EMAIL_OUTBOX_MAX_ATTEMPTS failures the
+ * message is dead and waits for an admin to resend or cancel it. Every attempt
+ * is written to email_outbox_attempts.
+ *
+ * Messages carrying one-time codes or reset links are not kept once sent or
+ * cancelled: their body is cleared so the outbox never holds a usable secret.
+ *
+ * A worker only records the outcome of a message while it still holds the
+ * claim (lockToken); if a stale claim was taken over by another worker, the
+ * late result is dropped instead of overwriting the newer one.
+ */
+
+const crypto = require('crypto');
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// A message left in 'sending' this long belongs to a crashed worker and is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+// Messages sent per worker run
+const BATCH_SIZE = 20;
+
+// Kinds whose body holds a one-time secret (ready_for_pickup carries the pickup token QR)
+const SENSITIVE_KINDS = [
+    'password_reset', 'email_verification', 'requester_login', 'cancellation_code',
+    'notification_preferences_code', 'ready_for_pickup'
+];
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead', 'cancelled'];
+
+/**
+ * Serialize mail options for storage; Buffer attachments become base64 strings
+ * @param {Object} mailOptions - Nodemailer message
+ * @returns {string} JSON
+ */
+const serialize = (mailOptions) => JSON.stringify({
+    ...mailOptions,
+    attachments: (mailOptions.attachments || []).map(attachment => (Buffer.isBuffer(attachment.content)
+        ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+        : attachment))
+});
+
+class EmailOutbox {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - MailService used to talk to SMTP (sendNow)
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.maxAttempts = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6;
+        this.retrySeconds = parseInt(process.env.EMAIL_OUTBOX_RETRY_SECONDS) || 60;
+    }
+
+    /**
+     * Seconds to wait before the next attempt
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in seconds
+     */
+    retryDelay(attempts) {
+        return Math.min(this.retrySeconds * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+    }
+
+    /**
+     * Queue a message and try to send it straight away
+     * @param {Object} mailOptions - Nodemailer message (from, to, subject, html, attachments)
+     * @param {Object} [meta]
+     * @param {string} [meta.kind] - Kind of message, e.g. 'request_summary'
+     * @param {string} [meta.referenceNumber] - Request the message is about
+     * @returns {Promise<number>} Outbox ID
+     */
+    async enqueue(mailOptions, { kind = 'generic', referenceNumber = null } = {}) {
+        const to = Array.isArray(mailOptions.to) ? mailOptions.to.join(', ') : String(mailOptions.to || '');
+
+        const result = await this.dbManager.executeQuery(
+            `INSERT INTO email_outbox (requestId, referenceNumber, kind, toEmail, subject, payload, maxAttempts)
+             VALUES ((SELECT id FROM document_requests WHERE referenceNumber = ? LIMIT 1), ?, ?, ?, ?, ?, ?)`,
+            [referenceNumber, referenceNumber, kind, to, String(mailOptions.subject || '').slice(0, 255), serialize(mailOptions), this.maxAttempts]
+        );
+
+        // Do not make the caller wait for SMTP; the job retries whatever this misses
+        setImmediate(() => {
+            this.processDue({ limit: 5 }).catch(error => console.error('❌ Email outbox kick failed:', error.message));
+        });
+
+        return result.insertId;
+    }
+
+    /**
+     * Claim due messages for this worker
+     * @param {number} limit - Most messages to claim
+     * @returns {Promise<Array>} Claimed rows
+     */
+    async claimDue(limit) {
+        const lockToken = crypto.randomUUID();
+
+        await this.dbManager.executeQuery(
+            `UPDATE email_outbox
+             SET status = 'sending', lockToken = ?, lockedAt = NOW()
+             WHERE (status IN ('pending', 'failed') AND nextAttemptAt <= NOW())
+                OR (status = 'sending' AND lockedAt < NOW() - INTERVAL ${STALE_SENDING_MINUTES} MINUTE)
+             ORDER BY nextAttemptAt ASC
+             LIMIT ${parseInt(limit, 10) || BATCH_SIZE}`,
+            [lockToken]
+        );
+
+        return await this.dbManager.executeQuery(
+            'SELECT * FROM email_outbox WHERE lockToken = ? AND status = \'sending\'',
+            [lockToken]
+        );
+    }
+
+    /**
+     * Send one claimed message and record the attempt
+     * @param {Object} row - Claimed email_outbox row
+     * @returns {Promise<string>} New status, or 'skipped' when the claim was lost to another worker
+     */
+    async attempt(row) {
+        const attemptNo = row.attempts + 1;
+
+        try {
+            const info = await this.mailService.sendNow(JSON.parse(row.payload));
+
+            const result = await this.dbManager.executeQuery(
+                `UPDATE email_outbox
+                 SET status = 'sent', attempts = ?, sentAt = NOW(), messageId = ?, lastError = NULL,
+                     lockToken = NULL, lockedAt = NULL${SENSITIVE_KINDS.includes(row.kind) ? ', payload = NULL' : ''}
+                 WHERE id = ? AND lockToken = ?`,
+                [attemptNo, info?.messageId || null, row.id, row.lockToken]
+            );
+            if (result.affectedRows === 0) return this.lostClaim(row);
+
+            await this.logAttempt(row.id, attemptNo, 'sent', null, info?.messageId);
+            return 'sent';
+
+        } catch (error) {
+            const message = String(error.cause?.message || error.message).slice(0, 1000);
+            const dead = attemptNo >= row.maxAttempts;
+
+            const result = await this.dbManager.executeQuery(
+                `UPDATE email_outbox
+                 SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = NOW() + INTERVAL ? SECOND,
+                     lockToken = NULL, lockedAt = NULL
+                 WHERE id = ? AND lockToken = ?`,
+                [dead ? 'dead' : 'failed', attemptNo, message, dead ? 0 : this.retryDelay(attemptNo), row.id, row.lockToken]
+            );
+            if (result.affectedRows === 0) return this.lostClaim(row);
+
+            await this.logAttempt(row.id, attemptNo, 'failed', message, null);
+
+            if (dead) {
+                console.error(`❌ Email #${row.id} (${row.kind} to ${row.toEmail}) gave up after ${attemptNo} attempts: ${message}`);
+            }
+            return dead ? 'dead' : 'failed';
+        }
+    }
+
+    /**
+     * Note a result that arrived after another worker took over the message
+     * @param {Object} row - Claimed email_outbox row
+     * @returns {string} 'skipped'
+     */
+    lostClaim(row) {
+        console.warn(`⚠️ Email #${row.id} (${row.kind}) was reclaimed by another worker; result not recorded`);
+        return 'skipped';
+    }
+
+    /**
+     * Write an entry to the delivery log
+     * @param {number} outboxId - Outbox ID
+     * @param {number} attemptNo - Attempt number (1-based)
+     * @param {string} status - 'sent' or 'failed'
+     * @param {string|null} error - SMTP error message
+     * @param {string|null} messageId - SMTP message ID
+     */
+    async logAttempt(outboxId, attemptNo, status, error, messageId) {
+        await this.dbManager.executeQuery(
+            'INSERT INTO email_outbox_attempts (outboxId, attemptNo, status, error, messageId) VALUES (?, ?, ?, ?, ?)',
+            [outboxId, attemptNo, status, error, messageId || null]
+        );
+    }
+
+    /**
+     * Send every due message (one batch)
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most messages to send
+     * @returns {Promise<Object>} Counts per outcome { sent, failed, dead, skipped }
+     */
+    async processDue({ limit = BATCH_SIZE } = {}) {
+        const counts = { sent: 0, failed: 0, dead: 0, skipped: 0 };
+        if (!this.dbManager.isConnected) return counts;
+
+        const rows = await this.claimDue(limit);
+        for (const row of rows) {
+            counts[await this.attempt(row)]++;
+        }
+        return counts;
+    }
+
+    /**
+     * List queued and sent messages without their bodies
+     * @param {Object} [filters]
+     * @param {string} [filters.referenceNumber] - Request reference number
+     * @param {string} [filters.status] - Outbox status
+     * @param {number} [filters.limit] - Page size
+     * @param {number} [filters.offset] - Rows to skip
+     * @returns {Promise<Object>} { messages, total }
+     */
+    async list({ referenceNumber, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const values = [];
+        if (referenceNumber) {
+            conditions.push('referenceNumber = ?');
+            values.push(referenceNumber);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            values.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [messages, totals] = await Promise.all([
+            this.dbManager.executeQuery(`
+                SELECT id, requestId, referenceNumber, kind, toEmail, subject, status, attempts, maxAttempts,
+                       nextAttemptAt, lastError, messageId, sentAt, cancelledAt, createdAt, updatedAt
+                FROM email_outbox
+                ${where}
+                ORDER BY createdAt DESC, id DESC
+                LIMIT ${parseInt(limit, 10) || 50} OFFSET ${parseInt(offset, 10) || 0}
+            `, values),
+            this.dbManager.executeQuery(`SELECT COUNT(*) as total FROM email_outbox ${where}`, values)
+        ]);
+
+        return { messages, total: totals[0].total };
+    }
+
+    /**
+     * Get a message with its delivery log
+     * @param {number} id - Outbox ID
+     * @returns {Promise<Object|null>} Message (attachment names only) with attempts
+     */
+    async findById(id) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT o.*, CONCAT(u.firstName, ' ', u.lastName) as cancelledByName
+            FROM email_outbox o
+            LEFT JOIN users u ON o.cancelledBy = u.id
+            WHERE o.id = ?
+        `, [id]);
+        if (!rows[0]) return null;
+
+        const { payload, lockToken, ...message } = rows[0];
+        const attempts = await this.dbManager.executeQuery(
+            'SELECT attemptNo, status, error, messageId, attemptedAt FROM email_outbox_attempts WHERE outboxId = ? ORDER BY id ASC',
+            [id]
+        );
+
+        const parsed = payload ? JSON.parse(payload) : null;
+        return {
+            ...message,
+            bodyAvailable: Boolean(parsed),
+            attachments: (parsed?.attachments || []).map(attachment => attachment.filename || 'attachment'),
+            attempts
+        };
+    }
+
+    /**
+     * Queue a message again with a fresh set of attempts
+     * @param {number} id - Outbox ID
+     * @returns {Promise<Object>} { message } or { statusCode, error, message }
+     */
+    async resend(id) {
+        const current = await this.findById(id);
+        if (!current) {
+            return { statusCode: 404, error: 'Message not found', message: 'No queued email found with the provided ID' };
+        }
+        if (current.status === 'sending' || current.status === 'pending') {
+            return { statusCode: 409, error: 'Already queued', message: 'This email is already waiting to be sent' };
+        }
+        if (!current.bodyAvailable) {
+            return {
+                statusCode: 409,
+                error: 'Body not kept',
+                message: 'This email held a one-time code or link; ask the recipient to request a new one'
+            };
+        }
+
+        await this.dbManager.executeQuery(
+            `UPDATE email_outbox
+             SET status = 'pending', attempts = 0, nextAttemptAt = NOW(), lastError = NULL,
+                 cancelledAt = NULL, cancelledBy = NULL
+             WHERE id = ?`,
+            [id]
+        );
+
+        setImmediate(() => {
+            this.processDue({ limit: 5 }).catch(error => console.error('❌ Email outbox kick failed:', error.message));
+        });
+
+        return { message: await this.findById(id) };
+    }
+
+    /**
+     * Stop a message that has not been sent yet
+     * @param {number} id - Outbox ID
+     * @param {number} cancelledBy - Admin cancelling it
+     * @returns {Promise<Object>} { message } or { statusCode, error, message }
+     */
+    async cancel(id, cancelledBy) {
+        const result = await this.dbManager.executeQuery(
+            `UPDATE email_outbox
+             SET status = 'cancelled', cancelledAt = NOW(), cancelledBy = ?,
+                 payload = IF(kind IN (${SENSITIVE_KINDS.map(() => '?').join(',')}), NULL, payload)
+             WHERE id = ? AND status IN ('pending', 'failed', 'dead')`,
+            [cancelledBy, ...SENSITIVE_KINDS, id]
+        );
+
+        const message = await this.findById(id);
+        if (!message) {
+            return { statusCode: 404, error: 'Message not found', message: 'No queued email found with the provided ID' };
+        }
+        if (result.affectedRows === 0) {
+            return { statusCode: 409, error: 'Cannot cancel', message: `This email is ${message.status} and can no longer be cancelled` };
+        }
+        return { message };
+    }
+}
+
+module.exports = EmailOutbox;
+module.exports.STATUSES = STATUSES;
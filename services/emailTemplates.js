@@ -0,0 +1,424 @@
+/**
+ * @fileoverview Email template engine
+ *
+ * MailService renders every message through here: the template is read from
+ * the email_templates table and falls back to the built-in one in
+ * config/emailTemplates.js (also used while the database is down).
+ *
+ * Syntax: {{name}} (HTML-escaped in the HTML body), {{{name}}} (as-is),
+ * {{#if name}}...{{else}}...{{/if}} and {{#each name}}...{{/each}}.
+ * Values are inserted once and never parsed again, so text typed by a
+ * requester cannot add placeholders of its own.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const EMAIL_TEMPLATES = require('../config/emailTemplates');
+
+// {{{raw}}}, or {{name}}, {{#if name}}, {{#each name}}, {{else}}, {{/if}}, {{/each}}
+const TOKEN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if\b|#each\b|\/if\b|\/each\b|else\b)?\s*([\w.]*)\s*\}\}/g;
+
+/**
+ * Error in a template's syntax, reported to admins when they save or preview
+ */
+class TemplateSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateSyntaxError';
+    }
+}
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Parse a template into a tree of text, value, if and each nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Nodes
+ * @throws {TemplateSyntaxError} When blocks are not closed or placeholders are empty
+ */
+const parseTemplate = (source) => {
+    const text = String(source ?? '');
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(TOKEN)) {
+        const top = stack[stack.length - 1];
+        const target = top.inElse ? top.otherwise : top.children;
+        if (match.index > lastIndex) target.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        lastIndex = match.index + match[0].length;
+
+        const [, rawName, keyword, name] = match;
+        if (rawName) {
+            target.push({ type: 'value', name: rawName, raw: true });
+        } else if (!keyword) {
+            if (!name) throw new TemplateSyntaxError('Empty placeholder {{}}');
+            target.push({ type: 'value', name, raw: false });
+        } else if (keyword === '#if' || keyword === '#each') {
+            if (!name) throw new TemplateSyntaxError(`{{${keyword}}} needs a variable name`);
+            const block = { type: keyword.slice(1), name, children: [], otherwise: [] };
+            target.push(block);
+            stack.push(block);
+        } else if (keyword === 'else') {
+            if (top.type !== 'if' || top.inElse) throw new TemplateSyntaxError('{{else}} must be inside an {{#if}} block');
+            top.inElse = true;
+        } else {
+            const type = keyword.slice(1);
+            if (top.type !== type) throw new TemplateSyntaxError(`{{/${type}}} has no matching {{#${type}}}`);
+            delete top.inElse;
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateSyntaxError(`{{#${open.type} ${open.name}}} is not closed with {{/${open.type}}}`);
+    }
+    if (lastIndex < text.length) root.children.push({ type: 'text', value: text.slice(lastIndex) });
+
+    return root.children;
+};
+
+/**
+ * Read a (dotted) variable
+ * @param {Object} values - Variables
+ * @param {string} name - e.g. referenceNumber or request.referenceNumber
+ * @returns {*} Value
+ */
+const lookup = (values, name) => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), values);
+
+/**
+ * Whether a value counts as set for {{#if}}
+ * @param {*} value - Value
+ * @returns {boolean} False for null, undefined, false, '' and empty lists
+ */
+const isSet = (value) => value != null && value !== false && value !== ''
+    && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Result of parseTemplate
+ * @param {Object} values - Variables
+ * @param {boolean} escape - HTML-escape {{name}} values
+ * @returns {string} Output
+ */
+const renderNodes = (nodes, values, escape) => nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'value') {
+        const value = lookup(values, node.name);
+        if (value == null) return '';
+        return escape && !node.raw ? escapeHtml(value) : String(value);
+    }
+
+    if (node.type === 'if') {
+        return renderNodes(isSet(lookup(values, node.name)) ? node.children : node.otherwise, values, escape);
+    }
+
+    // each: item fields shadow the outer variables; plain items are available as {{this}}
+    const items = lookup(values, node.name);
+    if (!Array.isArray(items)) return '';
+    return items.map(item => renderNodes(
+        node.children,
+        item !== null && typeof item === 'object' ? { ...values, ...item } : { ...values, this: item },
+        escape
+    )).join('');
+}).join('');
+
+/**
+ * Render one template string
+ * @param {string} source - Template source
+ * @param {Object} values - Variables
+ * @param {Object} [options]
+ * @param {boolean} [options.escape] - HTML-escape {{name}} values (for HTML bodies)
+ * @returns {string} Output
+ */
+const renderString = (source, values, { escape = false } = {}) => renderNodes(parseTemplate(source), values, escape);
+
+/**
+ * Render a template's subject and bodies
+ * @param {Object} template - { subject, htmlBody, textBody }
+ * @param {Object} variables - Values for the placeholders ({{year}} is always set)
+ * @returns {Object} { subject, html, text } ready to spread into mail options (no text without a text body)
+ */
+const renderTemplate = (template, variables = {}) => {
+    const values = { year: new Date().getFullYear(), ...variables };
+    return {
+        // Subjects are a single header line
+        subject: renderString(template.subject, values).replace(/\s*[\r\n]+\s*/g, ' ').trim(),
+        html: renderString(template.htmlBody, values, { escape: true }),
+        ...(template.textBody ? { text: renderString(template.textBody, values) } : {})
+    };
+};
+
+/**
+ * List the variables a template uses outside {{#each}} blocks
+ * @param {Array<string>} sources - Subject and bodies
+ * @returns {Array<string>} Top-level variable names (first part of dotted names)
+ */
+const findVariables = (sources) => {
+    const names = new Set();
+    const visit = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') continue;
+            names.add(node.name.split('.')[0]);
+            if (node.type === 'if') {
+                visit(node.children);
+                visit(node.otherwise);
+            }
+        }
+    };
+    sources.filter(Boolean).forEach(source => visit(parseTemplate(source)));
+    return [...names];
+};
+
+/**
+ * Format a date like "Friday, October 23, 2026"
+ * @param {Date|string} date - Date
+ * @param {Object} [options]
+ * @param {boolean} [options.weekday] - Include the day of the week
+ * @returns {string} Formatted date
+ */
+const formatLongDate = (date, { weekday = true } = {}) => new Date(date).toLocaleDateString('en-US', {
+    ...(weekday ? { weekday: 'long' } : {}),
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+
+class EmailTemplates {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.templateModel = new EmailTemplate(dbManager);
+    }
+
+    /**
+     * Built-in template as stored in the table
+     * @param {string} templateKey - Template key
+     * @returns {Object|null} Template
+     */
+    static builtIn(templateKey) {
+        const def = EMAIL_TEMPLATES[templateKey];
+        if (!def) return null;
+        return {
+            templateKey,
+            name: def.name,
+            description: def.description,
+            subject: def.subject,
+            htmlBody: def.htmlBody,
+            textBody: def.textBody,
+            isSystem: 1
+        };
+    }
+
+    /**
+     * Get the template to send, falling back to the built-in one
+     * @param {string} templateKey - Template key
+     * @returns {Promise<Object|null>} Template
+     */
+    async get(templateKey) {
+        if (this.dbManager?.isConnected) {
+            try {
+                const template = await this.templateModel.findByKey(templateKey);
+                if (template) return template;
+            } catch (error) {
+                console.error(`❌ Failed to load email template "${templateKey}", using the built-in one:`, error.message);
+            }
+        }
+        return EmailTemplates.builtIn(templateKey);
+    }
+
+    /**
+     * Render a template for sending
+     * @param {string} templateKey - Template key
+     * @param {Object} variables - Values for the placeholders
+     * @returns {Promise<Object>} { subject, html, text }
+     */
+    async render(templateKey, variables) {
+        const template = await this.get(templateKey);
+        if (!template) throw new Error(`Unknown email template: ${templateKey}`);
+
+        try {
+            return renderTemplate(template, variables);
+        } catch (error) {
+            // Saved templates are checked on save; this only guards rows edited by hand
+            const builtIn = EmailTemplates.builtIn(templateKey);
+            if (!(error instanceof TemplateSyntaxError) || !builtIn) throw error;
+            console.error(`❌ Email template "${templateKey}" is invalid, using the built-in one:`, error.message);
+            return renderTemplate(builtIn, variables);
+        }
+    }
+
+    /**
+     * Get all templates with their documented variables
+     * @returns {Promise<Array>} Templates (without bodies)
+     */
+    async list() {
+        const templates = await this.templateModel.getAll();
+        return templates.map(template => ({
+            ...template,
+            variables: EMAIL_TEMPLATES[template.templateKey]?.variables || null
+        }));
+    }
+
+    /**
+     * Get one template with its documented variables and sample values
+     * @param {string} templateKey - Template key
+     * @returns {Promise<Object|null>} Template
+     */
+    async findByKey(templateKey) {
+        const template = await this.templateModel.findByKey(templateKey);
+        if (!template) return null;
+        const def = EMAIL_TEMPLATES[templateKey];
+        return {
+            ...template,
+            variables: def?.variables || null,
+            sample: def?.sample || null
+        };
+    }
+
+    /**
+     * Put a built-in template back to its original text
+     * @param {string} templateKey - Template key
+     * @param {number} userId - Admin resetting it
+     * @returns {Promise<Object>} Template, or { statusCode, error, message }
+     */
+    async reset(templateKey, userId) {
+        const builtIn = EmailTemplates.builtIn(templateKey);
+        if (!builtIn) {
+            return {
+                statusCode: 400,
+                error: 'Not a built-in template',
+                message: 'Only built-in templates can be reset; delete this template instead'
+            };
+        }
+
+        const { name, description, subject, htmlBody, textBody } = builtIn;
+        const template = await this.templateModel.findByKey(templateKey)
+            ? await this.templateModel.update(templateKey, { name, description, subject, htmlBody, textBody, updatedBy: userId })
+            : await this.templateModel.create({ ...builtIn, isSystem: true, updatedBy: userId });
+        return { template };
+    }
+
+    /**
+     * Values a real request supplies to the request-related templates
+     * @param {number|string} requestRef - Request ID or reference number
+     * @returns {Promise<Object|null>} Variables, or null when the request is not found
+     */
+    async requestVariables(requestRef) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber, dr.requesterType, dr.totalAmount,
+                dr.scheduledPickup, dr.dateProcessed,
+                COALESCE(s.email, a.email) as email,
+                COALESCE(s.contactNo, a.contactNo) as contactNo,
+                CONCAT(COALESCE(s.firstName, a.firstName), ' ', COALESCE(s.surname, a.surname)) as fullName,
+                c.courseName as course
+            FROM document_requests dr
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN courses c ON dr.courseId = c.id
+            WHERE dr.id = ? OR dr.referenceNumber = ?
+            LIMIT 1
+        `, [parseInt(requestRef) || 0, String(requestRef)]);
+
+        const request = rows[0];
+        if (!request) return null;
+
+        const documents = await this.dbManager.executeQuery(`
+            SELECT dt.documentName, rd.quantity, rd.unitPrice
+            FROM request_documents rd
+            JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE rd.requestId = ?
+            ORDER BY dt.documentName
+        `, [request.id]);
+
+        const documentNames = documents.map(doc => doc.documentName).join(', ') || 'Document';
+        const readySince = request.scheduledPickup || request.dateProcessed;
+
+        return {
+            fullName: request.fullName,
+            referenceNumber: request.referenceNumber,
+            requestTypeLabel: request.requesterType === 'student' ? 'Student' : 'Alumni',
+            email: request.email,
+            contactNo: request.contactNo || 'N/A',
+            course: request.course || 'N/A',
+            documents: documents.map(doc => ({
+                documentName: doc.documentName,
+                schoolYear: 'N/A',
+                semester: 'N/A',
+                quantity: doc.quantity,
+                price: (parseFloat(doc.unitPrice) || 0).toFixed(2)
+            })),
+            totalAmount: (parseFloat(request.totalAmount) || 0).toFixed(2),
+            documentType: documentNames,
+            documentNames,
+            pickupDate: request.scheduledPickup ? formatLongDate(request.scheduledPickup) : 'To be scheduled',
+            ...(readySince ? { readyDate: formatLongDate(readySince, { weekday: false }) } : {})
+        };
+    }
+
+    /**
+     * Render a template (optionally with unsaved changes) against sample or real data
+     * @param {Object} template - Stored template
+     * @param {Object} [options]
+     * @param {Object} [options.draft] - { subject, htmlBody, textBody } overriding the stored text
+     * @param {Object} [options.variables] - Values overriding the sample (and request) values
+     * @param {number|string} [options.requestRef] - Request ID or reference number to take values from
+     * @returns {Promise<Object>} { subject, html, text, variables, unknownVariables } or { statusCode, error, message }
+     */
+    async preview(template, { draft = {}, variables = {}, requestRef = null } = {}) {
+        const source = {
+            subject: draft.subject ?? template.subject,
+            htmlBody: draft.htmlBody ?? template.htmlBody,
+            textBody: draft.textBody !== undefined ? draft.textBody : template.textBody
+        };
+
+        let requestValues = {};
+        if (requestRef) {
+            requestValues = await this.requestVariables(requestRef);
+            if (!requestValues) {
+                return {
+                    statusCode: 404,
+                    error: 'Request not found',
+                    message: 'No request found with the provided ID or reference number'
+                };
+            }
+        }
+
+        const def = EMAIL_TEMPLATES[template.templateKey];
+        const values = { ...(def?.sample || {}), ...requestValues, ...variables };
+
+        try {
+            const rendered = renderTemplate(source, values);
+            const known = new Set(['year', ...Object.keys(def?.variables || {}), ...Object.keys(values)]);
+            return {
+                ...rendered,
+                variables: values,
+                unknownVariables: findVariables([source.subject, source.htmlBody, source.textBody])
+                    .filter(name => !known.has(name))
+            };
+        } catch (error) {
+            if (!(error instanceof TemplateSyntaxError)) throw error;
+            return { statusCode: 400, error: 'Invalid template', message: error.message };
+        }
+    }
+}
+
+module.exports = EmailTemplates;
+module.exports.renderTemplate = renderTemplate;
+module.exports.parseTemplate = parseTemplate;
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
+module.exports.formatLongDate = formatLongDate;
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview In-process background job scheduler
+ *
+ * Jobs are modules in jobs/ exporting:
+ * - name: unique job name (jobs.name)
+ * - description: shown to admins
+ * - schedule: cron expression (minute hour day-of-month month day-of-week)
+ * - lockSeconds (optional): how long a run may hold the lock, default 10 minutes
+ * - run({ dbManager, mailService, logger }): async; returns a short summary
+ *
+ * Every instance of the API schedules every job, but a run first takes the
+ * lock row in the jobs table, so only one instance executes it. The lock
+ * expires after lockSeconds so a crashed instance does not block the job.
+ * Paused jobs are skipped on schedule but can still be run manually.
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const jobDefinitions = require('../jobs');
+
+const DEFAULT_LOCK_SECONDS = 10 * 60;
+
+class JobScheduler {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     * @param {Array<Object>} [jobs] - Job definitions (defaults to jobs/)
+     */
+    constructor(dbManager, mailService, jobs = jobDefinitions) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.jobs = new Map(jobs.map(job => [job.name, job]));
+        this.tasks = new Map();
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Register the jobs in the jobs table and start their cron tasks
+     * @returns {Promise<void>}
+     */
+    async start() {
+        for (const job of this.jobs.values()) {
+            if (!cron.validate(job.schedule)) {
+                logger.error('Job %s has an invalid schedule "%s"; not scheduled', job.name, job.schedule);
+                continue;
+            }
+
+            await this.dbManager.executeQuery(
+                `INSERT INTO jobs (name, description, schedule) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE description = VALUES(description), schedule = VALUES(schedule)`,
+                [job.name, job.description, job.schedule]
+            );
+
+            const task = cron.schedule(job.schedule, () => {
+                this.run(job.name, { trigger: 'schedule' })
+                    .catch(err => logger.error('Job %s could not run: %s', job.name, err.message));
+            }, { name: job.name, noOverlap: true });
+            this.tasks.set(job.name, task);
+        }
+
+        logger.info('Job scheduler started with %d job(s)', this.tasks.size);
+    }
+
+    /**
+     * Stop all cron tasks
+     */
+    stop() {
+        for (const task of this.tasks.values()) {
+            task.stop();
+        }
+        this.tasks.clear();
+    }
+
+    /**
+     * Take the lock of a job
+     * @param {Object} job - Job definition
+     * @param {boolean} honourPause - Refuse the lock while the job is paused
+     * @returns {Promise<boolean>} True if this instance now holds the lock
+     */
+    async acquireLock(job, honourPause) {
+        const result = await this.dbManager.executeQuery(
+            `UPDATE jobs
+             SET lockedBy = ?, lockedUntil = NOW() + INTERVAL ? SECOND
+             WHERE name = ? AND (lockedUntil IS NULL OR lockedUntil < NOW())
+               ${honourPause ? 'AND isPaused = FALSE' : ''}`,
+            [this.instanceId, job.lockSeconds || DEFAULT_LOCK_SECONDS, job.name]
+        );
+        return result.affectedRows === 1;
+    }
+
+    /**
+     * Run a job now if its lock is free
+     * @param {string} name - Job name
+     * @param {Object} [options]
+     * @param {string} [options.trigger] - 'schedule' or 'manual'
+     * @param {number} [options.triggeredBy] - Admin user ID for manual runs
+     * @returns {Promise<Object|null>} { status, result, durationMs }, or null if the job is unknown
+     */
+    async run(name, { trigger = 'manual', triggeredBy = null } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) return null;
+
+        if (!this.dbManager.isConnected) {
+            return { status: 'skipped', result: 'Database not connected', durationMs: 0 };
+        }
+
+        const locked = await this.acquireLock(job, trigger === 'schedule');
+        if (!locked) {
+            return { status: 'skipped', result: 'Job is paused or already running', durationMs: 0 };
+        }
+
+        await this.dbManager.executeQuery(
+            `UPDATE jobs SET lastRunAt = NOW(), lastStatus = 'running', lastTrigger = ?, lastTriggeredBy = ?
+             WHERE name = ?`,
+            [trigger, triggeredBy, name]
+        );
+
+        const startedAt = Date.now();
+        let status = 'success';
+        let result;
+        try {
+            const summary = await job.run({ dbManager: this.dbManager, mailService: this.mailService, logger });
+            result = typeof summary === 'string' ? summary : JSON.stringify(summary ?? null);
+        } catch (error) {
+            status = 'failed';
+            result = error.message;
+            logger.error('Job %s failed: %s', name, error.message);
+        }
+        const durationMs = Date.now() - startedAt;
+
+        await this.dbManager.executeQuery(
+            `UPDATE jobs
+             SET lastFinishedAt = NOW(), lastStatus = ?, lastResult = ?, lastDurationMs = ?,
+                 runCount = runCount + 1, failureCount = failureCount + ?,
+                 lockedBy = NULL, lockedUntil = NULL
+             WHERE name = ? AND lockedBy = ?`,
+            [status, result, durationMs, status === 'failed' ? 1 : 0, name, this.instanceId]
+        );
+
+        if (status === 'success') {
+            logger.info('Job %s finished in %dms: %s', name, durationMs, result);
+        }
+        return { status, result, durationMs };
+    }
+
+    /**
+     * List jobs with their last outcome and next scheduled run
+     * @returns {Promise<Array>} Jobs
+     */
+    async list() {
+        const rows = await this.dbManager.executeQuery('SELECT * FROM jobs ORDER BY name');
+
+        return rows
+            .filter(row => this.jobs.has(row.name))
+            .map(row => {
+                const task = this.tasks.get(row.name);
+                return {
+                    ...row,
+                    isPaused: Boolean(row.isPaused),
+                    nextRunAt: task && !row.isPaused ? task.getNextRun() : null
+                };
+            });
+    }
+
+    /**
+     * Pause or resume a job on every instance
+     * @param {string} name - Job name
+     * @param {boolean} paused - New pause state
+     * @param {number} userId - Admin making the change
+     * @returns {Promise<boolean>} False if the job is unknown
+     */
+    async setPaused(name, paused, userId) {
+        if (!this.jobs.has(name)) return false;
+
+        await this.dbManager.executeQuery(
+            'UPDATE jobs SET isPaused = ?, pausedBy = ? WHERE name = ?',
+            [paused, paused ? userId : null, name]
+        );
+        return true;
+    }
+}
+
+module.exports = JobScheduler;
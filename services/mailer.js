@@ -3,7 +3,7 @@
  *
  * This module provides secure email functionality using Nodemailer:
  * - SMTP configuration with environment variables
- * - HTML email templates for password reset
+ * - Editable email templates (subject, HTML and text) rendered per message
  * - Secure credential handling
  * - Error handling and logging
  *
@@ -15,6 +15,16 @@
  */
 
 const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
+const EmailTemplates = require('./emailTemplates');
+const { renderTemplate } = require('./emailTemplates');
+
+/**
+ * Describe where a message went, for the logs
+ * @param {Object} info - Result of MailService.deliver
+ * @returns {string} "queued as #12" or "Message ID: <id>"
+ */
+const describeDelivery = (info) => (info.queued ? `queued as #${info.outboxId}` : `Message ID: ${info.messageId}`);
 
 /**
  * Mail Service Class
@@ -22,7 +32,8 @@ const nodemailer = require('nodemailer');
  *
  * Key Features:
  * - SMTP transporter configuration
- * - Password reset email templates
+ * - Durable outbox: messages are queued and retried (see useOutbox)
+ * - Editable templates for every message (see useTemplates)
  * - Password change confirmation emails
  * - Secure credential management
  * - Comprehensive error handling
@@ -95,72 +106,19 @@ class MailService {
             // Generate reset URL
             const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
-            // HTML email template
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <title>Password Reset - Registrar System</title>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #16a34a; color: white; padding: 20px; text-align: center; }
-                        .content { padding: 30px 20px; background-color: #f8f9fa; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #eab308; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
-                        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
-                        .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Password Reset Request</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello <strong>${userName}</strong>,</p>
-
-                            <p>You have requested to reset your password for the Registrar Document Request System.</p>
-
-                            <p>Please click the button below to reset your password:</p>
-
-                            <a href="${resetUrl}" class="button">Reset Password</a>
-
-                            <p><strong>Important:</strong> This link will expire in 15 minutes for security reasons.</p>
-
-                            <div class="warning">
-                                <strong>Security Notice:</strong><br>
-                                If you did not request this password reset, please ignore this email.<br>
-                                Your account remains secure and no changes have been made.
-                            </div>
-
-                            <p>If the button above doesn't work, you can copy and paste this link into your browser:</p>
-                            <p><small>${resetUrl}</small></p>
-
-                            <p>Best regards,<br>
-                            Registrar System Team</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message. Please do not reply to this email.</p>
-                            <p>&copy; ${new Date().getFullYear()} Registrar Document Request System</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
+            const content = await this.renderTemplate('password_reset', { userName, resetUrl });
 
             // Email configuration
             const mailOptions = {
                 from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM}>`,
                 to: toEmail,
-                subject: 'Password Reset - Registrar Document Request System',
-                html: htmlContent
+                ...content
             };
 
             // Send email
-            const info = await this.transporter.sendMail(mailOptions);
+            const info = await this.deliver(mailOptions, { kind: 'password_reset' });
 
-            console.log(`📧 Password reset email sent to ${toEmail} (Message ID: ${info.messageId})`);
+            console.log(`📧 Password reset email sent to ${toEmail} (${describeDelivery(info)})`);
             return true;
 
         } catch (error) {
@@ -184,70 +142,19 @@ class MailService {
      */
     async sendPasswordChangedEmail(toEmail, userName = 'User') {
         try {
-            // HTML email template
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <title>Password Changed - Registrar System</title>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #16a34a; color: white; padding: 20px; text-align: center; }
-                        .content { padding: 30px 20px; background-color: #f8f9fa; }
-                        .success { background-color: #d1fae5; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0; }
-                        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Password Successfully Changed</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello <strong>${userName}</strong>,</p>
-
-                            <div class="success">
-                                <strong>✓ Password Changed Successfully</strong><br>
-                                Your password has been successfully updated in the Registrar Document Request System.
-                            </div>
-
-                            <p>You can now log in to your account using your new password.</p>
-
-                            <p>If you did not make this change, please contact system administrator immediately.</p>
-
-                            <p>For security reasons, we recommend:</p>
-                            <ul>
-                                <li>Using a strong, unique password</li>
-                                <li>Enabling two-factor authentication if available</li>
-                                <li>Not sharing your credentials with others</li>
-                            </ul>
-
-                            <p>Best regards,<br>
-                            Registrar System Team</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message. Please do not reply to this email.</p>
-                            <p>&copy; ${new Date().getFullYear()} Registrar Document Request System</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
+            const content = await this.renderTemplate('password_changed', { userName });
 
             // Email configuration
             const mailOptions = {
                 from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM}>`,
                 to: toEmail,
-                subject: 'Password Changed Successfully - Registrar System',
-                html: htmlContent
+                ...content
             };
 
             // Send email
-            const info = await this.transporter.sendMail(mailOptions);
+            const info = await this.deliver(mailOptions, { kind: 'password_changed' });
 
-            console.log(`📧 Password change confirmation email sent to ${toEmail} (Message ID: ${info.messageId})`);
+            console.log(`📧 Password change confirmation email sent to ${toEmail} (${describeDelivery(info)})`);
             return true;
 
         } catch (error) {
@@ -256,27 +163,110 @@ class MailService {
         }
     }
 
+    /**
+     * Render messages from the editable email_templates table (services/emailTemplates.js)
+     * Without a template store the built-in templates in config/emailTemplates.js are used.
+     *
+     * @param {Object} templates - EmailTemplates instance
+     */
+    useTemplates(templates) {
+        this.templates = templates;
+    }
+
+    /**
+     * Render the subject and bodies of a message
+     *
+     * @param {string} templateKey - Template key (the message kind, e.g. ready_for_pickup)
+     * @param {Object} variables - Values for the template placeholders
+     * @returns {Promise<Object>} { subject, html, text } to spread into the mail options
+     */
+    async renderTemplate(templateKey, variables) {
+        if (this.templates) {
+            return await this.templates.render(templateKey, variables);
+        }
+
+        const template = EmailTemplates.builtIn(templateKey);
+        if (!template) throw new Error(`Unknown email template: ${templateKey}`);
+        return renderTemplate(template, variables);
+    }
+
+    /**
+     * Send any template, e.g. one an admin added, to a recipient
+     *
+     * @param {string} templateKey - Template key
+     * @param {string} toEmail - Recipient email address
+     * @param {Object} variables - Values for the template placeholders
+     * @param {Object} [meta] - { referenceNumber } shown in the outbox
+     * @returns {Promise<Object>} Delivery result (see deliver)
+     */
+    async sendTemplateEmail(templateKey, toEmail, variables, meta = {}) {
+        const content = await this.renderTemplate(templateKey, variables);
+        return await this.sendMail({ to: toEmail, ...content }, { kind: templateKey, ...meta });
+    }
+
+    /**
+     * Queue outgoing mail in a durable outbox (services/emailOutbox.js)
+     * Without one, or while the database is down, messages go straight to SMTP.
+     *
+     * @param {Object} outbox - EmailOutbox instance
+     */
+    useOutbox(outbox) {
+        this.outbox = outbox;
+    }
+
+    /**
+     * Hand a message to the outbox, falling back to sending it right away
+     * Every notification method goes through here.
+     *
+     * @param {Object} mailOptions - Email options (to, subject, html, attachments)
+     * @param {Object} [meta] - { kind, referenceNumber } shown in the outbox
+     * @returns {Promise<Object>} { queued: true, outboxId } or the SMTP send result
+     */
+    async deliver(mailOptions, meta = {}) {
+        // Ensure from field is set if not provided
+        if (!mailOptions.from) {
+            mailOptions.from = `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM}>`;
+        }
+
+        if (this.outbox && this.outbox.dbManager.isConnected) {
+            try {
+                const outboxId = await this.outbox.enqueue(mailOptions, meta);
+                return { queued: true, outboxId, messageId: null };
+            } catch (error) {
+                console.error('❌ Failed to queue email, sending directly:', error.message);
+            }
+        }
+
+        return await this.sendNow(mailOptions);
+    }
+
+    /**
+     * Send a message over SMTP now (used by the outbox worker and scheduled reports)
+     *
+     * @param {Object} mailOptions - Email options
+     * @returns {Promise<Object>} Send result with messageId
+     */
+    async sendNow(mailOptions) {
+        return await this.transporter.sendMail(mailOptions);
+    }
+
     /**
      * Generic send mail method
-     * Sends an email with the provided mail options
+     * Queues an email with the provided mail options
      *
      * @param {Object} mailOptions - Email options (to, subject, html, etc.)
-     * @returns {Promise<Object>} Send result with messageId
+     * @param {Object} [meta] - { kind, referenceNumber } shown in the outbox
+     * @returns {Promise<Object>} Delivery result (see deliver)
      */
-    async sendMail(mailOptions) {
+    async sendMail(mailOptions, meta = {}) {
         try {
-            // Ensure from field is set if not provided
-            if (!mailOptions.from) {
-                mailOptions.from = `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM}>`;
-            }
-
-            const info = await this.transporter.sendMail(mailOptions);
-            console.log(`📧 Email sent successfully (Message ID: ${info.messageId})`);
+            const info = await this.deliver(mailOptions, { kind: 'generic', ...meta });
+            console.log(`📧 Email sent successfully (${describeDelivery(info)})`);
             return info;
 
         } catch (error) {
             console.error('❌ Failed to send email:', error.message);
-            throw new Error('Failed to send email');
+            throw new Error('Failed to send email', { cause: error });
         }
     }
 
@@ -289,18 +279,15 @@ class MailService {
      */
     async sendTestEmail(testEmail) {
         try {
+            const content = await this.renderTemplate('test', { sentAt: new Date().toISOString() });
+
             const mailOptions = {
                 to: testEmail,
-                subject: 'SMTP Test - Registrar System',
-                html: `
-                    <h2>SMTP Configuration Test</h2>
-                    <p>This is a test email to verify SMTP configuration.</p>
-                    <p>Sent at: ${new Date().toISOString()}</p>
-                `
+                ...content
             };
 
-            const info = await this.sendMail(mailOptions);
-            console.log(`📧 Test email sent successfully to ${testEmail} (Message ID: ${info.messageId})`);
+            const info = await this.sendMail(mailOptions, { kind: 'test' });
+            console.log(`📧 Test email sent successfully to ${testEmail} (${describeDelivery(info)})`);
             return true;
 
         } catch (error) {
@@ -353,162 +340,38 @@ class MailService {
         } = data;
 
         try {
-            // Generate document rows for the email table
-            const documentRows = documents.map(doc => {
-                const documentName = doc.name || doc.documentName || 'Document';
-                const schoolYear = doc.schoolYear || doc.year || 'N/A';
-                const semester = doc.semester || 'N/A';
-                const quantity = doc.quantity || 1;
-                const price = parseFloat(doc.price || doc.unitPrice || 0);
-
-                return `
-                    <tr>
-                        <td style="padding: 12px; border: 1px solid #e2e8f0;">${documentName}</td>
-                        <td style="padding: 12px; border: 1px solid #e2e8f0;">${schoolYear}</td>
-                        <td style="padding: 12px; border: 1px solid #e2e8f0;">${semester}</td>
-                        <td style="padding: 12px; border: 1px solid #e2e8f0; text-align: center;">${quantity}</td>
-                        <td style="padding: 12px; border: 1px solid #e2e8f0; text-align: right;">₱${price.toFixed(2)}</td>
-                    </tr>
-                `;
-            }).join('');
-
-            // Format year level display
-            const yearLevelDisplay = requesterType === 'student' && year ? `Year ${year}` : 'Alumni';
-
-            // Professional HTML email template
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <title>Document Request Submitted - Registrar System</title>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-                        .container { max-width: 700px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
-                        .header h1 { margin: 0; font-size: 24px; }
-                        .content { padding: 30px 20px; background-color: #f8fafc; }
-                        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
-                        .info-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #f1f5f9; }
-                        .info-row:last-child { border-bottom: none; }
-                        .info-label { font-weight: bold; color: #475569; }
-                        .info-value { color: #1e293b; }
-                        .documents-table { width: 100%; border-collapse: collapse; margin: 20px 0; background-color: #ffffff; border-radius: 8px; overflow: hidden; }
-                        .documents-table th { background-color: #16a34a; color: white; padding: 12px; text-align: left; }
-                        .documents-table td { padding: 12px; border: 1px solid #e2e8f0; }
-                        .total-row { background-color: #f1f5f9; font-weight: bold; }
-                        .total-row td { padding: 15px 12px; }
-                        .processing-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
-                        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #16a34a; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
-                        .success-badge { background-color: #16a34a; color: white; padding: 8px 16px; border-radius: 20px; display: inline-block; margin-bottom: 15px; font-weight: bold; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Document Request Submitted</h1>
-                        </div>
-                        <div class="content">
-                            <div class="success-badge">✓ Request Submitted Successfully</div>
-                            <p>Hello <strong>${fullName}</strong>,</p>
-
-                            <p>Your document request has been successfully submitted to the Registrar Office. Below is a summary of your request for your reference.</p>
-
-                            <div class="info-box">
-                                <div class="info-row">
-                                    <span class="info-label">Reference Number:</span>
-                                    <span class="info-value" style="font-family: monospace; font-size: 16px; font-weight: bold;">${referenceNumber}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Status:</span>
-                                    <span class="info-value"><span style="background-color: #fbbf24; color: #78350f; padding: 4px 12px; border-radius: 4px; font-weight: bold;">PENDING</span></span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Request Type:</span>
-                                    <span class="info-value">${requesterType === 'student' ? 'Student' : 'Alumni'}</span>
-                                </div>
-                            </div>
-
-                            <div class="info-box">
-                                <div class="info-row">
-                                    <span class="info-label">Email:</span>
-                                    <span class="info-value">${email || toEmail}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Contact Number:</span>
-                                    <span class="info-value">${contactNo || 'N/A'}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Course/Program:</span>
-                                    <span class="info-value">${course || 'N/A'}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Year Level:</span>
-                                    <span class="info-value">${yearLevelDisplay}</span>
-                                </div>
-                            </div>
-
-                            <h3 style="color: #16a34a; margin-top: 30px;">Requested Documents</h3>
-                            <table class="documents-table">
-                                <thead>
-                                    <tr>
-                                        <th>Document</th>
-                                        <th>School Year</th>
-                                        <th>Semester</th>
-                                        <th style="text-align: center;">Quantity</th>
-                                        <th style="text-align: right;">Price</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    ${documentRows}
-                                    <tr class="total-row">
-                                        <td colspan="4" style="text-align: right; padding-right: 12px;"><strong>Total Amount:</strong></td>
-                                        <td style="text-align: right;"><strong>₱${(parseFloat(totalAmount) || 0).toFixed(2)}</strong></td>
-                                    </tr>
-                                </tbody>
-                            </table>
-
-                            <div class="processing-notice">
-                                <strong>⏳ Processing Time Notice</strong>
-                                <p style="margin: 10px 0 0 0;">Your request will be processed within <strong>3–5 business days</strong>. You will receive another email notification once your documents are ready for pickup.</p>
-                            </div>
-
-                            <div class="info-box" style="background-color: #f0f9ff; border-color: #7dd3fc;">
-                                <strong>📋 Important Reminders:</strong>
-                                <ul style="margin: 10px 0 0 0; padding-left: 20px;">
-                                    <li>Please bring a valid ID when picking up your documents.</li>
-                                    <li>For Students and Alumni, documents will be released once payment is confirmed.</li>
-                                    <li>You can track your request status online using your reference number.</li>
-                                </ul>
-                            </div>
-
-                            <p style="margin-top: 30px;">If you have any questions or concerns, please contact the Registrar Office during office hours.</p>
-
-                            <p>Best regards,<br>
-                            <strong>San Pablo Colleges Registrar System</strong></p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message. Please do not reply to this email.</p>
-                            <p>&copy; ${new Date().getFullYear()} San Pablo Colleges. All rights reserved.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
+            // Document rows for the email table
+            const documentItems = documents.map(doc => ({
+                documentName: doc.name || doc.documentName || 'Document',
+                schoolYear: doc.schoolYear || doc.year || 'N/A',
+                semester: doc.semester || 'N/A',
+                quantity: doc.quantity || 1,
+                price: parseFloat(doc.price || doc.unitPrice || 0).toFixed(2)
+            }));
+
+            const content = await this.renderTemplate('request_summary', {
+                fullName,
+                referenceNumber,
+                requestTypeLabel: requesterType === 'student' ? 'Student' : 'Alumni',
+                email: email || toEmail,
+                contactNo: contactNo || 'N/A',
+                course: course || 'N/A',
+                yearLevel: requesterType === 'student' && year ? `Year ${year}` : 'Alumni',
+                documents: documentItems,
+                totalAmount: (parseFloat(totalAmount) || 0).toFixed(2)
+            });
 
             // Email configuration
             const mailOptions = {
                 from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM}>`,
                 to: toEmail || email,
-                subject: `Document Request Submitted - ${referenceNumber}`,
-                html: htmlContent
+                ...content
             };
 
             // Send email
-            const info = await this.transporter.sendMail(mailOptions);
+            const info = await this.deliver(mailOptions, { kind: 'request_summary', referenceNumber });
 
-            console.log(`📧 Request summary email sent successfully to ${toEmail || email} (Message ID: ${info.messageId})`);
+            console.log(`📧 Request summary email sent successfully to ${toEmail || email} (${describeDelivery(info)})`);
             console.log(`   Reference Number: ${referenceNumber}`);
             console.log(`   Request ID: ${requestId}`);
             console.log(`   Documents: ${documents.length}, Total: ₱${totalAmount.toFixed(2)}`);
@@ -534,6 +397,7 @@ class MailService {
      * - Document Type
      * - Scheduled Pick-up date
      * - Pickup instructions
+     * - Pickup QR code (single-use token) to show at the release window
      *
      * @param {Object} data - Pickup notification data
      * @param {string} data.toEmail - Recipient email address
@@ -541,10 +405,11 @@ class MailService {
      * @param {string} data.referenceNumber - Unique reference number
      * @param {string} data.documentType - Document type name
      * @param {string} data.scheduledPickup - Scheduled pickup date
+     * @param {string} [data.pickupToken] - Token from PickupToken.issue, sent as an inline QR code
      * @returns {Promise<boolean>} Success status
      */
     async sendReadyForPickupEmail(data) {
-        const { toEmail, fullName, referenceNumber, documentType, scheduledPickup } = data;
+        const { toEmail, fullName, referenceNumber, documentType, scheduledPickup, pickupToken } = data;
 
         try {
             // Format the scheduled pickup date
@@ -557,109 +422,33 @@ class MailService {
                 }) 
                 : 'To be scheduled';
 
-            // Professional HTML email template for READY_FOR_PICKUP
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <title>Documents Ready for Pickup - San Pablo Colleges</title>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #16a34a; color: white; padding: 30px 20px; text-align: center; }
-                        .header h1 { margin: 0; font-size: 24px; }
-                        .header-subtitle { font-size: 14px; opacity: 0.9; margin-top: 5px; }
-                        .content { padding: 30px 20px; background-color: #f8fafc; }
-                        .info-box { background-color: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
-                        .info-row { display: flex; justify-content: space-between; padding: 12px 0; border-bottom: 1px solid #f1f5f9; }
-                        .info-row:last-child { border-bottom: none; }
-                        .info-label { font-weight: bold; color: #475569; }
-                        .info-value { color: #1e293b; }
-                        .pickup-date { background-color: #dbeafe; border: 2px solid #3b82f6; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center; }
-                        .pickup-date-label { color: #1e40af; font-weight: bold; font-size: 14px; text-transform: uppercase; letter-spacing: 0.5px; }
-                        .pickup-date-value { color: #1e3a8a; font-size: 24px; font-weight: bold; margin-top: 10px; }
-                        .requirements-box { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 20px; margin: 20px 0; border-radius: 4px; }
-                        .requirements-box h3 { margin-top: 0; color: #92400e; }
-                        .requirements-box ul { margin: 10px 0 0 0; padding-left: 20px; color: #78350f; }
-                        .requirements-box li { margin: 8px 0; }
-                        .footer { background-color: #1e293b; color: #94a3b8; padding: 20px; text-align: center; font-size: 12px; }
-                        .success-badge { background-color: #16a34a; color: white; padding: 8px 16px; border-radius: 20px; display: inline-block; margin-bottom: 15px; font-weight: bold; }
-                        .document-info { background-color: #f0fdf4; border: 1px solid #22c55e; border-radius: 8px; padding: 15px; margin: 15px 0; }
-                        .document-info strong { color: #166534; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>📄 Documents Ready for Pickup</h1>
-                            <div class="header-subtitle">San Pablo Colleges - Registrar Office</div>
-                        </div>
-                        <div class="content">
-                            <div class="success-badge">✓ Your Documents Are Ready!</div>
-                            <p>Hello <strong>${fullName}</strong>,</p>
-
-                            <p>Great news! Your requested document(s) have been processed and are now ready for pickup at the Registrar Office.</p>
-
-                            <div class="info-box">
-                                <div class="info-row">
-                                    <span class="info-label">Reference Number:</span>
-                                    <span class="info-value" style="font-family: monospace; font-size: 16px; font-weight: bold;">${referenceNumber}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Status:</span>
-                                    <span class="info-value"><span style="background-color: #22c55e; color: white; padding: 4px 12px; border-radius: 4px; font-weight: bold;">READY FOR PICKUP</span></span>
-                                </div>
-                            </div>
-
-                            <div class="document-info">
-                                <strong>Document:</strong> ${documentType}
-                            </div>
-
-                            <div class="pickup-date">
-                                <div class="pickup-date-label">📅 Scheduled Pickup Date</div>
-                                <div class="pickup-date-value">${pickupDate}</div>
-                            </div>
-
-                            <div class="requirements-box">
-                                <h3>📋 Requirements for Pickup</h3>
-                                <ul>
-                                    <li>Bring a valid <strong>government-issued ID</strong> (e.g., Passport, Driver's License, School ID)</li>
-                                    <li>If someone else will pick up the document, they need an <strong>authorization letter</strong> and their own valid ID</li>
-                                    <li>Office hours: <strong>Monday - Friday, 8:00 AM - 5:00 PM</strong></li>
-                                    <li>Please arrive at least <strong>30 minutes</strong> before closing time</li>
-                                </ul>
-                            </div>
-
-                            <p><strong>Note:</strong> Please pick up your documents within <strong>30 days</strong> from the scheduled date. Unclaimed documents may require a new request.</p>
-
-                            <p>If you have any questions or need to reschedule, please contact the Registrar Office during office hours.</p>
-
-                            <p style="margin-top: 30px;">Best regards,<br>
-                            <strong>San Pablo Colleges</strong><br>
-                            <strong>Registrar Office</strong></p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message. Please do not reply to this email.</p>
-                            <p>© ${new Date().getFullYear()} San Pablo Colleges. All rights reserved.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
+            const content = await this.renderTemplate('ready_for_pickup', {
+                fullName,
+                referenceNumber,
+                documentType,
+                pickupDate,
+                hasPickupQr: Boolean(pickupToken)
+            });
 
             // Email configuration
             const mailOptions = {
                 from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
                 to: toEmail,
-                subject: `📄 Your Documents are Ready for Pickup - ${referenceNumber}`,
-                html: htmlContent
+                ...content
             };
 
+            if (pickupToken) {
+                mailOptions.attachments = [{
+                    filename: `pickup-${referenceNumber}.png`,
+                    content: await QRCode.toBuffer(pickupToken, { errorCorrectionLevel: 'M', margin: 2, width: 400 }),
+                    cid: 'pickup-qr'
+                }];
+            }
+
             // Send email
-            const info = await this.transporter.sendMail(mailOptions);
+            const info = await this.deliver(mailOptions, { kind: 'ready_for_pickup', referenceNumber });
 
-            console.log(`📧 Ready for pickup email sent successfully to ${toEmail} (Message ID: ${info.messageId})`);
+            console.log(`📧 Ready for pickup email sent successfully to ${toEmail} (${describeDelivery(info)})`);
             console.log(`   Reference Number: ${referenceNumber}`);
             console.log(`   Document: ${documentType}`);
             console.log(`   Pickup Date: ${pickupDate}`);
@@ -673,6 +462,381 @@ class MailService {
             return false;
         }
     }
+
+    /**
+     * Send notification that staff started processing a request
+     * @param {Object} data - Request data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} [data.documentType] - Requested documents, comma separated
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendRequestProcessingEmail(data) {
+        const { toEmail, fullName, referenceNumber, documentType } = data;
+
+        try {
+            const content = await this.renderTemplate('request_processing', { fullName, referenceNumber, documentType });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'request_processing', referenceNumber });
+            console.log(`📧 Request processing email sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send request processing email:', error.message);
+            // Don't throw - email failure should not fail the status update
+            return false;
+        }
+    }
+
+    /**
+     * Send notification that a request was declined
+     * @param {Object} data - Request data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} [data.documentType] - Requested documents, comma separated
+     * @param {string} [data.reason] - Reason given by staff
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendRequestDeclinedEmail(data) {
+        const { toEmail, fullName, referenceNumber, documentType, reason } = data;
+
+        try {
+            const content = await this.renderTemplate('request_declined', { fullName, referenceNumber, documentType, reason });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'request_declined', referenceNumber });
+            console.log(`📧 Request declined email sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send request declined email:', error.message);
+            // Don't throw - email failure should not fail the status update
+            return false;
+        }
+    }
+
+    /**
+     * Send a requester portal sign-in email with a one-time code and magic link
+     * @param {Object} data - Login data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.code - 6-digit one-time code
+     * @param {string} data.loginUrl - Magic link that signs the requester in
+     * @param {number} data.expiresInMinutes - Minutes until the code and link expire
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendRequesterLoginEmail(data) {
+        const { toEmail, code, loginUrl, expiresInMinutes } = data;
+
+        try {
+            const content = await this.renderTemplate('requester_login', { code, loginUrl, expiresInMinutes });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'requester_login' });
+            console.log(`📧 Requester login email sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send requester login email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send the one-time code that confirms a requester's cancellation
+     * @param {Object} data - Cancellation code data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} data.code - 6-digit one-time code
+     * @param {number} data.expiresInMinutes - Minutes until the code expires
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendCancellationCodeEmail(data) {
+        const { toEmail, fullName, referenceNumber, code, expiresInMinutes } = data;
+
+        try {
+            const content = await this.renderTemplate('cancellation_code', { fullName, referenceNumber, code, expiresInMinutes });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'cancellation_code', referenceNumber });
+            console.log(`📧 Cancellation code sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send cancellation code email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send confirmation that a request was cancelled
+     * @param {Object} data - Cancellation data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} data.reason - Reason given by the requester
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendCancellationConfirmationEmail(data) {
+        const { toEmail, fullName, referenceNumber, reason } = data;
+
+        try {
+            const content = await this.renderTemplate('cancellation_confirmation', { fullName, referenceNumber, reason });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'cancellation_confirmation', referenceNumber });
+            console.log(`📧 Cancellation confirmation sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send cancellation confirmation email:', error.message);
+            // Don't throw - email failure should not undo the cancellation
+            return false;
+        }
+    }
+
+    /**
+     * Send a one-time code for changing notification preferences from the tracking page
+     * @param {Object} data - Code data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number the requester looked up
+     * @param {string} data.code - 6-digit one-time code
+     * @param {number} data.expiresInMinutes - Minutes until the code expires
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendNotificationPreferencesCodeEmail(data) {
+        const { toEmail, fullName, referenceNumber, code, expiresInMinutes } = data;
+
+        try {
+            const content = await this.renderTemplate('notification_preferences_code', { fullName, referenceNumber, code, expiresInMinutes });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'notification_preferences_code', referenceNumber });
+            console.log(`📧 Notification settings code sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send notification settings code email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send an SLA escalation to a department head listing overdue requests
+     * @param {Object} data - Email data
+     * @param {string} data.toEmail - Department head's email address
+     * @param {string} data.departmentName - Department name
+     * @param {Array} data.requests - Overdue requests ({ referenceNumber, status, dueDate, daysOverdue, assignee })
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendSlaEscalationEmail(data) {
+        const { toEmail, departmentName, requests } = data;
+
+        try {
+            const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+
+            const content = await this.renderTemplate('sla_escalation', {
+                departmentName,
+                requestCount: requests.length,
+                requests: requests.map(request => ({
+                    referenceNumber: request.referenceNumber,
+                    status: request.status,
+                    dueDate: formatDate(request.dueDate),
+                    daysOverdue: request.daysOverdue,
+                    assignee: request.assignee || 'Unassigned'
+                }))
+            });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'sla_escalation' });
+            console.log(`📧 SLA escalation sent to ${toEmail} for ${requests.length} request(s) (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send SLA escalation email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Remind a requester of an upcoming pickup
+     * @param {Object} data - Email data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} data.documents - Requested document names
+     * @param {string|Date} data.scheduledPickup - Scheduled pickup date
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendPickupReminderEmail(data) {
+        const { toEmail, fullName, referenceNumber, documents, scheduledPickup } = data;
+
+        try {
+            const pickupDate = new Date(scheduledPickup).toLocaleDateString('en-US', {
+                weekday: 'long',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+
+            const content = await this.renderTemplate('pickup_reminder', {
+                fullName,
+                referenceNumber,
+                documentNames: documents || 'Document',
+                pickupDate
+            });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'pickup_reminder', referenceNumber });
+            console.log(`📧 Pickup reminder sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send pickup reminder email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Tell a requester that their ready documents have not been claimed
+     * @param {Object} data - Email data
+     * @param {string} data.toEmail - Requester's email address
+     * @param {string} data.fullName - Requester's full name
+     * @param {string} data.referenceNumber - Reference number of the request
+     * @param {string} data.documents - Requested document names
+     * @param {string|Date} data.readySince - Pickup date, or when the documents became ready
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendUnclaimedDocumentsEmail(data) {
+        const { toEmail, fullName, referenceNumber, documents, readySince } = data;
+
+        try {
+            const readyDate = new Date(readySince).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+
+            const content = await this.renderTemplate('unclaimed_documents', {
+                fullName,
+                referenceNumber,
+                documentNames: documents || 'Document',
+                readyDate
+            });
+
+            const mailOptions = {
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmail,
+                ...content
+            };
+
+            const info = await this.deliver(mailOptions, { kind: 'unclaimed_documents', referenceNumber });
+            console.log(`📧 Unclaimed documents alert sent to ${toEmail} (${describeDelivery(info)})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to send unclaimed documents email:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send a scheduled report as an attachment
+     * Goes straight to SMTP instead of the outbox: ReportDelivery keeps its own
+     * delivery history and retries. Unlike the other notification methods this
+     * throws on failure, so that history records whether and why it was sent.
+     *
+     * @param {Object} data - Email data
+     * @param {Array<string>} data.toEmails - Recipient addresses
+     * @param {string} data.subscriptionName - Name of the saved report
+     * @param {string} data.departmentName - Department covered by the report
+     * @param {string} data.periodFrom - First day of the report (YYYY-MM-DD)
+     * @param {string} data.periodTo - Last day of the report (YYYY-MM-DD)
+     * @param {Object} data.attachment - { filename, content, contentType }
+     * @returns {Promise<Object>} Send result with messageId
+     */
+    async sendScheduledReportEmail(data) {
+        const { toEmails, subscriptionName, departmentName, periodFrom, periodTo, attachment } = data;
+
+        const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+        const period = periodFrom === periodTo
+            ? formatDate(periodFrom)
+            : `${formatDate(periodFrom)} to ${formatDate(periodTo)}`;
+
+        const content = await this.renderTemplate('scheduled_report', {
+            subscriptionName,
+            departmentName,
+            period,
+            fileName: attachment.filename
+        });
+
+        let info;
+        try {
+            info = await this.sendNow({
+                from: `"San Pablo Colleges - Registrar Office" <${process.env.SMTP_FROM}>`,
+                to: toEmails.join(', '),
+                ...content,
+                attachments: [attachment]
+            });
+        } catch (error) {
+            console.error('❌ Failed to send scheduled report email:', error.message);
+            throw new Error('Failed to send email', { cause: error });
+        }
+        console.log(`📧 Scheduled report "${subscriptionName}" sent to ${toEmails.length} recipient(s)`);
+        return info;
+    }
 }
 
 module.exports = MailService;
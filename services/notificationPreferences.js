@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Requester notification preferences
+ *
+ * Each student or alumni record chooses, per request event, which channels it
+ * is notified on: email, SMS, both or none. Preferences are stored in
+ * notification_preferences keyed by (requesterType, requesterId, event); an event
+ * without a row uses DEFAULT_PREFERENCES, which match what requesters received
+ * before preferences existed. The processing event and the declined email are
+ * new, so they stay off until a requester opts in.
+ *
+ * Every notification trigger asks allows(requestId, event, channel) before
+ * sending. SMS also honours the phone-level opt-out list (see smsNotifier.js).
+ */
+
+const EVENTS = ['submitted', 'processing', 'ready', 'declined', 'reminder'];
+const CHANNELS = ['email', 'sms'];
+
+const DEFAULT_PREFERENCES = {
+    submitted: { email: true, sms: true },
+    processing: { email: false, sms: false },
+    ready: { email: true, sms: true },
+    declined: { email: false, sms: true },
+    reminder: { email: true, sms: false }
+};
+
+/**
+ * Turn { event: { email, sms } } into the API shape { event: ['email', 'sms'] }
+ * @param {Object} preferences - Preferences keyed by event
+ * @returns {Object} Enabled channels per event
+ */
+const toChannelLists = (preferences) => Object.fromEntries(
+    EVENTS.map(event => [event, CHANNELS.filter(channel => preferences[event][channel])])
+);
+
+class NotificationPreferences {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Validate preferences sent by a requester
+     * Body shape: { submitted: ['email', 'sms'], processing: ['none'], ready: [], ... };
+     * events left out keep their current setting.
+     * @param {Object} body - Channels per event
+     * @returns {Object} { data } with { event: { email, sms } } or { error }
+     */
+    validate(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return { error: 'preferences must be an object of channel lists keyed by event' };
+        }
+
+        const data = {};
+        for (const [event, value] of Object.entries(body)) {
+            if (!EVENTS.includes(event)) {
+                return { error: `Unknown event '${event}'. Allowed: ${EVENTS.join(', ')}` };
+            }
+
+            const channels = (Array.isArray(value) ? value : [value]).map(channel => String(channel).toLowerCase());
+            const unknown = channels.find(channel => channel !== 'none' && !CHANNELS.includes(channel));
+            if (unknown) {
+                return { error: `Unknown channel '${unknown}' for ${event}. Allowed: email, sms, none` };
+            }
+            if (channels.includes('none') && channels.length > 1) {
+                return { error: `${event}: 'none' cannot be combined with other channels` };
+            }
+
+            data[event] = { email: channels.includes('email'), sms: channels.includes('sms') };
+        }
+
+        if (Object.keys(data).length === 0) {
+            return { error: `Provide channels for at least one event: ${EVENTS.join(', ')}` };
+        }
+        return { data };
+    }
+
+    /**
+     * Get the preferences of a student or alumni record
+     * @param {string} requesterType - student or alumni
+     * @param {number} requesterId - students.id or alumni.id
+     * @returns {Promise<Object>} { event: { email, sms } } for every event
+     */
+    async getForRequester(requesterType, requesterId) {
+        const rows = await this.dbManager.executeQuery(
+            `SELECT event, email, sms FROM notification_preferences
+             WHERE requesterType = ? AND requesterId = ?`,
+            [requesterType, requesterId]
+        );
+
+        const preferences = Object.fromEntries(EVENTS.map(event => [event, { ...DEFAULT_PREFERENCES[event] }]));
+        for (const row of rows) {
+            preferences[row.event] = { email: Boolean(row.email), sms: Boolean(row.sms) };
+        }
+        return preferences;
+    }
+
+    /**
+     * Save preferences of a student or alumni record
+     * @param {string} requesterType - student or alumni
+     * @param {number} requesterId - students.id or alumni.id
+     * @param {Object} preferences - Validated { event: { email, sms } }
+     * @returns {Promise<Object>} All preferences after the change
+     */
+    async update(requesterType, requesterId, preferences) {
+        for (const [event, { email, sms }] of Object.entries(preferences)) {
+            await this.dbManager.executeQuery(
+                `INSERT INTO notification_preferences (requesterType, requesterId, event, email, sms)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE email = VALUES(email), sms = VALUES(sms)`,
+                [requesterType, requesterId, event, email, sms]
+            );
+        }
+        return await this.getForRequester(requesterType, requesterId);
+    }
+
+    /**
+     * Whether the requester of a request wants a notification on a channel
+     * Falls back to the default when preferences cannot be read, so a lookup
+     * failure never silences notifications the requester would get by default.
+     * @param {number} requestId - document_requests.id
+     * @param {string} event - submitted, processing, ready, declined or reminder
+     * @param {string} channel - email or sms
+     * @returns {Promise<boolean>}
+     */
+    async allows(requestId, event, channel) {
+        const fallback = Boolean(DEFAULT_PREFERENCES[event]?.[channel]);
+
+        try {
+            const rows = await this.dbManager.executeQuery(
+                `SELECT np.email, np.sms
+                 FROM document_requests dr
+                 JOIN notification_preferences np
+                   ON np.requesterType = dr.requesterType AND np.requesterId = dr.requesterId AND np.event = ?
+                 WHERE dr.id = ?`,
+                [event, requestId]
+            );
+            return rows.length > 0 ? Boolean(rows[0][channel]) : fallback;
+        } catch (error) {
+            console.error('Notification preference lookup error:', error.message);
+            return fallback;
+        }
+    }
+}
+
+module.exports = NotificationPreferences;
+module.exports.EVENTS = EVENTS;
+module.exports.CHANNELS = CHANNELS;
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
+module.exports.toChannelLists = toChannelLists;
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Staff out-of-office and delegation
+ *
+ * A staff member can set a leave period (users.outOfOfficeStart/End) with a
+ * delegate. While the period is active:
+ * - automatic assignment (services/staffAssignment.js) skips the user
+ * - the delegate sees the user's open requests in their own queue
+ * - tracking entries written by the delegate on those requests record the
+ *   absent owner in request_tracking.onBehalfOf (see DocumentRequest.addTrackingEntry)
+ */
+
+const { outOfOfficeCondition } = require('../models/User');
+const { OPEN_STATUSES } = require('./requestWorkflow');
+
+class OutOfOffice {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Get the out-of-office settings of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} Settings with delegate name and whether the period is active
+     */
+    async getStatus(userId) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT u.id, u.outOfOfficeStart, u.outOfOfficeEnd, u.delegateUserId,
+                   CONCAT(d.firstName, ' ', d.lastName) as delegateName,
+                   ${outOfOfficeCondition('u')} as active
+            FROM users u
+            LEFT JOIN users d ON u.delegateUserId = d.id
+            WHERE u.id = ?
+        `, [userId]);
+
+        if (rows.length === 0) return null;
+        const { id, ...status } = rows[0];
+        return { ...status, active: Boolean(status.active) };
+    }
+
+    /**
+     * Check an out-of-office period before saving it
+     * @param {number} userId - User going on leave
+     * @param {Object} period
+     * @param {string} period.start - Start date/time
+     * @param {string} period.end - End date/time
+     * @param {number} period.delegateUserId - Staff member covering for the user
+     * @returns {Promise<Object|null>} { statusCode, error, message } when invalid, otherwise null
+     */
+    async validate(userId, { start, end, delegateUserId }) {
+        const startDate = new Date(start);
+        const endDate = new Date(end);
+
+        if (!start || !end || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+            return {
+                statusCode: 400,
+                error: 'Invalid period',
+                message: 'start and end must be valid dates'
+            };
+        }
+
+        if (endDate <= startDate) {
+            return {
+                statusCode: 400,
+                error: 'Invalid period',
+                message: 'end must be after start'
+            };
+        }
+
+        if (endDate <= new Date()) {
+            return {
+                statusCode: 400,
+                error: 'Invalid period',
+                message: 'The out-of-office period has already ended'
+            };
+        }
+
+        const delegateId = parseInt(delegateUserId);
+        if (!delegateId || isNaN(delegateId)) {
+            return {
+                statusCode: 400,
+                error: 'Delegate required',
+                message: 'delegateUserId must name the staff member covering your requests'
+            };
+        }
+
+        if (delegateId === userId) {
+            return {
+                statusCode: 400,
+                error: 'Invalid delegate',
+                message: 'You cannot delegate to yourself'
+            };
+        }
+
+        const delegates = await this.dbManager.executeQuery(
+            `SELECT id, (outOfOfficeStart < ? AND outOfOfficeEnd > ?) as awayDuringPeriod
+             FROM users WHERE id = ? AND role = 'staff' AND isActive = TRUE`,
+            [endDate, startDate, delegateId]
+        );
+        if (delegates.length === 0) {
+            return {
+                statusCode: 400,
+                error: 'Invalid delegate',
+                message: 'The delegate must be an active staff member'
+            };
+        }
+
+        // Delegation is one level deep, so a delegate who is away at any point of the
+        // period would leave the queue unattended
+        if (delegates[0].awayDuringPeriod) {
+            return {
+                statusCode: 409,
+                error: 'Invalid delegate',
+                message: 'The delegate is out of office during part of this period'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Save an out-of-office period (validate first)
+     * @param {number} userId - User going on leave
+     * @param {Object} period - { start, end, delegateUserId }
+     * @returns {Promise<void>}
+     */
+    async set(userId, { start, end, delegateUserId }) {
+        await this.dbManager.executeQuery(
+            'UPDATE users SET outOfOfficeStart = ?, outOfOfficeEnd = ?, delegateUserId = ? WHERE id = ?',
+            [new Date(start), new Date(end), parseInt(delegateUserId), userId]
+        );
+    }
+
+    /**
+     * Remove a user's out-of-office period
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async clear(userId) {
+        await this.dbManager.executeQuery(
+            'UPDATE users SET outOfOfficeStart = NULL, outOfOfficeEnd = NULL, delegateUserId = NULL WHERE id = ?',
+            [userId]
+        );
+    }
+
+    /**
+     * Get the users who are currently away and have delegated to a staff member
+     * @param {number} delegateUserId - Delegate's user ID
+     * @returns {Promise<Array>} Users ({ id, firstName, lastName, outOfOfficeEnd, openRequests })
+     */
+    async getAbsentOwners(delegateUserId) {
+        const placeholders = OPEN_STATUSES.map(() => '?').join(',');
+        return await this.dbManager.executeQuery(`
+            SELECT u.id, u.firstName, u.lastName, u.outOfOfficeEnd,
+                   (SELECT COUNT(*)
+                    FROM document_requests dr
+                    JOIN request_statuses rs ON dr.statusId = rs.id
+                    WHERE dr.processedBy = u.id AND dr.deletedAt IS NULL
+                      AND rs.statusName IN (${placeholders})) as openRequests
+            FROM users u
+            WHERE u.delegateUserId = ? AND ${outOfOfficeCondition('u')}
+            ORDER BY u.lastName, u.firstName
+        `, [...OPEN_STATUSES, delegateUserId]);
+    }
+
+    /**
+     * Find whose behalf a user acts on when changing a request
+     * @param {Object} request - Request row with processedBy
+     * @param {number} userId - Acting user ID
+     * @returns {Promise<number|null>} Absent owner's ID when the user is their active delegate, otherwise null
+     */
+    async getDelegatingOwner(request, userId) {
+        if (!request.processedBy || request.processedBy === userId) return null;
+
+        const rows = await this.dbManager.executeQuery(
+            `SELECT id FROM users u WHERE u.id = ? AND u.delegateUserId = ? AND ${outOfOfficeCondition('u')}`,
+            [request.processedBy, userId]
+        );
+        return rows.length > 0 ? rows[0].id : null;
+    }
+}
+
+module.exports = OutOfOffice;
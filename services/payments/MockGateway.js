@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Local mock payment gateway
+ *
+ * Used in development and as the default adapter. Checkouts are never charged;
+ * a payment is completed by POSTing a signed callback to
+ * /api/payments/webhooks/mock with the body { reference, status } and an
+ * `x-mock-signature` header holding HMAC-SHA256(PAYMENT_WEBHOOK_SECRET, rawBody).
+ */
+
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+const STATUS_MAP = {
+    paid: 'PAID',
+    failed: 'FAILED',
+    cancelled: 'CANCELLED'
+};
+
+class MockGateway extends PaymentGateway {
+    constructor() {
+        super('mock');
+        this.secret = process.env.PAYMENT_WEBHOOK_SECRET || '';
+    }
+
+    createCheckout = async ({ payment, successUrl }) => {
+        const providerReference = `MOCK-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        const separator = successUrl && successUrl.includes('?') ? '&' : '?';
+
+        return {
+            providerReference,
+            checkoutUrl: successUrl ? `${successUrl}${separator}mockPayment=${providerReference}` : null
+        };
+    };
+
+    verifyWebhook = (req) => {
+        if (!this.secret) {
+            console.warn('⚠️ PAYMENT_WEBHOOK_SECRET is not set; rejecting mock webhook');
+            return false;
+        }
+
+        const expected = PaymentGateway.sign(this.secret, req.rawBody || '');
+        return PaymentGateway.signaturesMatch(expected, req.get('x-mock-signature'));
+    };
+
+    parseWebhook = (body) => {
+        const status = STATUS_MAP[String(body?.status || '').toLowerCase()];
+        if (!body?.reference || !status) return null;
+
+        return {
+            providerReference: body.reference,
+            providerPaymentId: body.reference,
+            status
+        };
+    };
+
+    refund = async () => {
+        // Nothing to call; the mock gateway never captured real money
+    };
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview PayMongo payment gateway adapter
+ *
+ * Opens PayMongo Checkout Sessions so requesters can pay with GCash, Maya or
+ * card, and verifies the `Paymongo-Signature` header on webhook callbacks.
+ *
+ * Environment:
+ * - PAYMONGO_SECRET_KEY: API secret key (sk_test_... / sk_live_...)
+ * - PAYMONGO_WEBHOOK_SECRET: signing secret of the registered webhook
+ */
+
+const PaymentGateway = require('./PaymentGateway');
+
+const API_BASE_URL = 'https://api.paymongo.com/v1';
+
+class PayMongoGateway extends PaymentGateway {
+    constructor() {
+        super('paymongo');
+        this.secretKey = process.env.PAYMONGO_SECRET_KEY || '';
+        this.webhookSecret = process.env.PAYMONGO_WEBHOOK_SECRET || '';
+    }
+
+    /**
+     * Call the PayMongo REST API
+     * @param {string} path - API path
+     * @param {Object} attributes - data.attributes payload
+     * @returns {Promise<Object>} Parsed response body
+     */
+    callApi = async (path, attributes) => {
+        if (!this.secretKey) {
+            throw new Error('PAYMONGO_SECRET_KEY is not configured');
+        }
+
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${Buffer.from(`${this.secretKey}:`).toString('base64')}`
+            },
+            body: JSON.stringify({ data: { attributes } })
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const detail = body?.errors?.[0]?.detail || response.statusText;
+            throw new Error(`PayMongo request failed: ${detail}`);
+        }
+
+        return body;
+    };
+
+    createCheckout = async ({ payment, request, documents, successUrl, cancelUrl }) => {
+        const lineItems = documents.map(doc => ({
+            name: doc.name,
+            quantity: doc.quantity,
+            amount: Math.round(Number(doc.price) * 100), // centavos
+            currency: payment.currency
+        }));
+
+        const body = await this.callApi('/checkout_sessions', {
+            line_items: lineItems,
+            payment_method_types: ['gcash', 'paymaya', 'card'],
+            reference_number: request.referenceNumber,
+            description: `Document request ${request.referenceNumber}`,
+            send_email_receipt: false,
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            metadata: { paymentId: String(payment.id) }
+        });
+
+        return {
+            providerReference: body.data.id,
+            checkoutUrl: body.data.attributes.checkout_url
+        };
+    };
+
+    verifyWebhook = (req) => {
+        const header = req.get('paymongo-signature');
+        if (!header || !this.webhookSecret) return false;
+
+        // Header format: t=<timestamp>,te=<test signature>,li=<live signature>
+        const parts = Object.fromEntries(
+            header.split(',').map(part => part.trim().split('='))
+        );
+
+        const expected = PaymentGateway.sign(this.webhookSecret, `${parts.t}.${req.rawBody || ''}`);
+        const livemode = req.body?.data?.attributes?.livemode;
+        return PaymentGateway.signaturesMatch(expected, livemode ? parts.li : parts.te);
+    };
+
+    parseWebhook = (body) => {
+        const event = body?.data?.attributes;
+        if (event?.type !== 'checkout_session.payment.paid') return null;
+
+        const session = event.data;
+        return {
+            providerReference: session?.id,
+            providerPaymentId: session?.attributes?.payments?.[0]?.id || null,
+            status: 'PAID'
+        };
+    };
+
+    refund = async ({ payment, reason }) => {
+        if (!payment.providerPaymentId) {
+            throw new Error('Payment has no captured PayMongo payment ID to refund');
+        }
+
+        await this.callApi('/refunds', {
+            amount: Math.round(Number(payment.amount) * 100),
+            payment_id: payment.providerPaymentId,
+            reason: 'requested_by_customer',
+            notes: reason
+        });
+    };
+}
+
+module.exports = PayMongoGateway;
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Base class for payment gateway adapters
+ *
+ * Every provider (local mock, PayMongo for GCash/Maya, ...) implements the same
+ * small surface so PaymentController never talks to a provider directly:
+ * - createCheckout: open a hosted checkout for a pending payment
+ * - verifyWebhook: check the signature of an incoming callback
+ * - parseWebhook: translate a callback into { providerReference, status }
+ * - refund: return a captured payment to the payer
+ */
+
+const crypto = require('crypto');
+
+class PaymentGateway {
+    /**
+     * @param {string} name - Adapter name stored in payments.provider
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Open a hosted checkout for a payment
+     * @param {Object} options
+     * @param {Object} options.payment - Pending payment row
+     * @param {Object} options.request - Document request being paid
+     * @param {Array} options.documents - Request document lines
+     * @param {string} options.successUrl - Where the payer lands after paying
+     * @param {string} options.cancelUrl - Where the payer lands after cancelling
+     * @returns {Promise<{providerReference: string, checkoutUrl: string}>}
+     */
+    async createCheckout(options) {
+        throw new Error(`${this.name} gateway does not implement createCheckout`);
+    }
+
+    /**
+     * Verify the signature of a webhook call
+     * @param {Object} req - Express request object (req.rawBody holds the unparsed body)
+     * @returns {boolean} True when the call is authentic
+     */
+    verifyWebhook(req) {
+        throw new Error(`${this.name} gateway does not implement verifyWebhook`);
+    }
+
+    /**
+     * Translate a webhook payload into a payment outcome
+     * @param {Object} body - Parsed webhook body
+     * @returns {Object|null} { providerReference, providerPaymentId, status } or null to ignore the event
+     */
+    parseWebhook(body) {
+        throw new Error(`${this.name} gateway does not implement parseWebhook`);
+    }
+
+    /**
+     * Refund a captured payment
+     * @param {Object} options
+     * @param {Object} options.payment - Paid payment row
+     * @param {string} options.reason - Refund reason
+     * @returns {Promise<void>}
+     */
+    async refund(options) {
+        throw new Error(`${this.name} gateway does not implement refund`);
+    }
+
+    /**
+     * Compute a hex HMAC-SHA256 signature
+     * @param {string} secret - Shared webhook secret
+     * @param {string|Buffer} payload - Data to sign
+     * @returns {string} Hex digest
+     */
+    static sign(secret, payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Compare two hex signatures in constant time
+     * @param {string} expected - Signature we computed
+     * @param {string} received - Signature sent by the caller
+     * @returns {boolean}
+     */
+    static signaturesMatch(expected, received) {
+        if (!expected || !received) return false;
+
+        const a = Buffer.from(String(expected), 'utf8');
+        const b = Buffer.from(String(received), 'utf8');
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Payment gateway registry
+ *
+ * PAYMENT_GATEWAY selects the adapter used for new checkouts (default: mock).
+ * Webhooks and refunds always go through the adapter recorded on the payment row,
+ * so switching providers does not strand payments opened with the old one.
+ */
+
+const MockGateway = require('./MockGateway');
+const PayMongoGateway = require('./PayMongoGateway');
+
+const GATEWAYS = {
+    mock: MockGateway,
+    paymongo: PayMongoGateway
+};
+
+/**
+ * Get a gateway adapter by name
+ * @param {string} [name] - Adapter name; defaults to PAYMENT_GATEWAY
+ * @returns {Object|null} Gateway instance or null if unknown
+ */
+const getGateway = (name = process.env.PAYMENT_GATEWAY || 'mock') => {
+    const Gateway = GATEWAYS[String(name).toLowerCase()];
+    return Gateway ? new Gateway() : null;
+};
+
+/**
+ * Whether a request's fee has been settled
+ * Requests with no amount due never need to be paid.
+ * @param {Object} request - Document request row with totalAmount and paymentStatus
+ * @returns {boolean}
+ */
+const isPaymentSettled = (request) => {
+    if (!request) return false;
+    if (Number(request.totalAmount || 0) <= 0) return true;
+    return request.paymentStatus === 'PAID' || request.paymentStatus === 'WAIVED';
+};
+
+module.exports = { getGateway, isPaymentSettled, GATEWAY_NAMES: Object.keys(GATEWAYS) };
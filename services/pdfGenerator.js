@@ -1,4 +1,5 @@
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 
 /**
  * PDF Generator Service - Professional document request report generation
@@ -8,8 +9,11 @@ const PDFDocument = require('pdfkit');
  * - Automatic page breaks and table pagination
  * - Dynamic title generation based on user role
  * - Summary statistics section
+ * - Revenue and collection section with period-over-period comparison
  * - Tabular data display for document requests
  * - Date range display
+ * - Active report filters echoed in the page header
+ * - Claim stub sheets with a QR code per request for pickup days
  * - Generation metadata (generated by, generated at)
  *
  * Design:
@@ -41,7 +45,9 @@ class PDFGenerator {
      * @param {string} options.userRole - Role of report generator (admin or staff)
      * @param {string} options.departmentName - Department name for the report
      * @param {Object} options.dateRange - Date range { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+     * @param {Array<string>} [options.filters] - Active filters, one "Label: value" line each
      * @param {Object} options.statistics - Summary statistics
+     * @param {Object} [options.revenue] - Revenue report from services/revenueReport.js
      * @param {Array} options.data - Array of document requests
      * @param {string} options.generatedBy - Email of user who generated report
      * @param {Date} options.generatedAt - Timestamp of generation
@@ -55,7 +61,9 @@ class PDFGenerator {
                     userRole,
                     departmentName,
                     dateRange,
+                    filters,
                     statistics,
+                    revenue,
                     data,
                     generatedBy,
                     generatedAt
@@ -78,7 +86,7 @@ class PDFGenerator {
                 doc.on('error', reject);
 
                 // =============== PAGE 1 HEADER ===============
-                this.drawHeader(doc);
+                this.drawHeader(doc, filters);
 
                 // =============== MAIN TITLE ===============
                 doc.fontSize(16).font('Helvetica-Bold');
@@ -102,6 +110,12 @@ class PDFGenerator {
                 this.drawStatisticsSection(doc, statistics);
                 doc.moveDown(0.8);
 
+                // =============== REVENUE SECTION ===============
+                if (revenue) {
+                    this.drawRevenueSection(doc, revenue);
+                    doc.moveDown(0.8);
+                }
+
                 // =============== TABLE HEADER ===============
                 const tableTop = doc.y;
                 const tableColumns = [
@@ -133,7 +147,7 @@ class PDFGenerator {
                         doc.addPage();
 
                         // Add header to new page
-                        this.drawHeader(doc);
+                        this.drawHeader(doc, filters);
                         doc.moveDown(1.5);
 
                         // Redraw table header on new page
@@ -158,11 +172,295 @@ class PDFGenerator {
         });
     };
 
+    /**
+     * Generate an official receipt (OR) for a paid request
+     *
+     * @param {Object} options - Receipt options
+     * @param {Object} options.receipt - official_receipts row (orNumber, issuedAt, amount, issuedByName)
+     * @param {Object} options.request - Document request with requester details
+     * @param {Array} options.documents - Request document lines { name, quantity, price, totalPrice }
+     * @param {string} options.paymentMethod - How the fee was paid (e.g. gateway name)
+     * @param {boolean} options.reprint - Whether to watermark the receipt as a reprint
+     * @param {string} options.generatedBy - Email of user who printed the receipt
+     * @param {Date} options.generatedAt - Timestamp of printing
+     * @returns {Promise<Buffer>} PDF file buffer
+     */
+    generateReceiptPDF = async (options) => {
+        return new Promise((resolve, reject) => {
+            try {
+                const {
+                    receipt,
+                    request,
+                    documents,
+                    paymentMethod,
+                    reprint,
+                    generatedBy,
+                    generatedAt
+                } = options;
+
+                const doc = new PDFDocument({
+                    size: 'A4',
+                    margin: this.margin,
+                    bufferPages: true
+                });
+
+                const chunks = [];
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                if (reprint) {
+                    this.drawWatermark(doc, 'REPRINT');
+                }
+
+                // =============== HEADER ===============
+                this.drawHeader(doc);
+
+                doc.fontSize(16).font('Helvetica-Bold');
+                doc.text('OFFICIAL RECEIPT', { align: 'center' });
+                doc.moveDown(0.8);
+
+                // =============== RECEIPT DETAILS ===============
+                const requesterName = [request.firstName, request.middleInitial, request.surname]
+                    .filter(Boolean)
+                    .join(' ');
+
+                const col2X = this.pageWidth / 2;
+                let y = doc.y;
+
+                doc.fontSize(10).font('Helvetica-Bold');
+                doc.text(`OR No.: ${receipt.orNumber}`, this.margin, y);
+                doc.text(`Date: ${this.formatDate(new Date(receipt.issuedAt))}`, col2X, y, {
+                    width: col2X - this.margin,
+                    align: 'right'
+                });
+                y += this.lineHeight + 5;
+
+                doc.font('Helvetica');
+                const details = [
+                    ['Received from', requesterName || 'N/A'],
+                    [request.requesterType === 'student' ? 'Student Number' : 'Requester Type',
+                        request.requesterType === 'student' ? (request.studentNumber || 'N/A') : 'Alumni'],
+                    ['Course', request.course || 'N/A'],
+                    ['Reference Number', request.referenceNumber],
+                    ['Payment Method', paymentMethod || 'N/A']
+                ];
+
+                for (const [label, value] of details) {
+                    doc.font('Helvetica-Bold').text(`${label}:`, this.margin, y, { width: 120 });
+                    doc.font('Helvetica').text(String(value), this.margin + 120, y, {
+                        width: this.pageWidth - this.margin * 2 - 120
+                    });
+                    y += this.lineHeight;
+                }
+
+                doc.y = y + 10;
+
+                // =============== LINE ITEMS ===============
+                const tableColumns = [
+                    { key: 'name', label: 'Document', width: 275 },
+                    { key: 'quantity', label: 'Qty', width: 50 },
+                    { key: 'price', label: 'Unit Price', width: 95 },
+                    { key: 'totalPrice', label: 'Amount', width: 95 }
+                ];
+
+                this.drawTableHeader(doc, tableColumns);
+
+                for (const line of documents) {
+                    this.drawTableRow(doc, {
+                        name: line.name,
+                        quantity: String(line.quantity),
+                        price: this.formatCurrency(line.price),
+                        totalPrice: this.formatCurrency(line.totalPrice)
+                    }, tableColumns);
+                }
+
+                // =============== TOTAL ===============
+                doc.moveDown(0.5);
+                doc.fontSize(11).font('Helvetica-Bold');
+                doc.text(`TOTAL AMOUNT PAID: ${this.formatCurrency(receipt.amount)}`, this.margin, doc.y, {
+                    width: this.pageWidth - this.margin * 2,
+                    align: 'right'
+                });
+                doc.moveDown(3);
+
+                // =============== SIGNATURE ===============
+                const signatureY = doc.y;
+                const signatureX = this.pageWidth - this.margin - 200;
+                doc.strokeColor('#000000').lineWidth(0.5);
+                doc.moveTo(signatureX, signatureY).lineTo(this.pageWidth - this.margin, signatureY).stroke();
+                doc.fontSize(9).font('Helvetica');
+                doc.text(receipt.issuedByName || 'Registrar', signatureX, signatureY + 4, {
+                    width: 200,
+                    align: 'center'
+                });
+                doc.text('Authorized Representative', signatureX, doc.y, { width: 200, align: 'center' });
+
+                // =============== FOOTER ===============
+                this.drawPageFooter(doc, generatedBy, generatedAt);
+
+                doc.end();
+
+            } catch (error) {
+                reject(error);
+            }
+        });
+    };
+
+    /**
+     * Generate a printable sheet of claim stubs for a pickup day
+     * Eight stubs per A4 page (two columns, four rows) with dashed cut lines.
+     * Each stub carries a QR code encoding the request's reference number.
+     *
+     * @param {Object} options - Sheet options
+     * @param {string} options.date - Pickup day (YYYY-MM-DD)
+     * @param {string} options.departmentName - Department(s) the stubs are for
+     * @param {Array} options.stubs - Requests from DocumentRequest.getReadyForPickup
+     * @param {string} options.generatedBy - Email of user who printed the stubs
+     * @param {Date} options.generatedAt - Timestamp of printing
+     * @returns {Promise<Buffer>} PDF file buffer
+     */
+    generateClaimStubsPDF = async (options) => {
+        const { date, departmentName, stubs, generatedBy, generatedAt } = options;
+
+        // QR codes render asynchronously, so they are prepared before the document
+        const qrImages = await Promise.all(stubs.map(stub => QRCode.toBuffer(stub.referenceNumber, {
+            errorCorrectionLevel: 'M',
+            margin: 1,
+            width: 240
+        })));
+
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({
+                    size: 'A4',
+                    margin: this.margin,
+                    bufferPages: true
+                });
+
+                const chunks = [];
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                const columns = 2;
+                const rows = 4;
+                const gap = 10;
+                const stubWidth = (this.pageWidth - this.margin * 2 - gap) / columns;
+                const stubHeight = 140;
+                const pickupDate = this.formatDate(new Date(`${date}T00:00:00`));
+
+                let gridTop = 0;
+                stubs.forEach((stub, index) => {
+                    const slot = index % (columns * rows);
+
+                    // =============== PAGE HEADER ===============
+                    if (slot === 0) {
+                        if (index > 0) {
+                            this.drawPageFooter(doc, generatedBy, generatedAt);
+                            doc.addPage();
+                        }
+                        this.drawHeader(doc);
+                        doc.fontSize(12).font('Helvetica-Bold');
+                        doc.text(`CLAIM STUBS – ${departmentName} – ${pickupDate}`, { align: 'center' });
+                        doc.moveDown(0.5);
+                        gridTop = doc.y;
+                    }
+
+                    const x = this.margin + (slot % columns) * (stubWidth + gap);
+                    const y = gridTop + Math.floor(slot / columns) * (stubHeight + gap);
+                    this.drawClaimStub(doc, stub, qrImages[index], { x, y, width: stubWidth, height: stubHeight, pickupDate });
+                });
+
+                // =============== FINAL PAGE FOOTER ===============
+                this.drawPageFooter(doc, generatedBy, generatedAt);
+
+                doc.end();
+
+            } catch (error) {
+                reject(error);
+            }
+        });
+    };
+
+    /**
+     * Draw one claim stub inside a dashed cut box
+     * @param {PDFDocument} doc - PDFKit document
+     * @param {Object} stub - Request row (referenceNumber, requesterName, studentNumber, documents, department_name)
+     * @param {Buffer} qrImage - PNG of the reference number QR code
+     * @param {Object} box - { x, y, width, height, pickupDate }
+     */
+    drawClaimStub = (doc, stub, qrImage, { x, y, width, height, pickupDate }) => {
+        const padding = 8;
+        const qrSize = 80;
+        const textWidth = width - qrSize - padding * 3;
+
+        doc.save();
+        doc.strokeColor('#999999').lineWidth(0.5).dash(3, { space: 3 });
+        doc.rect(x, y, width, height).stroke();
+        doc.restore();
+
+        doc.image(qrImage, x + width - qrSize - padding, y + padding, { fit: [qrSize, qrSize] });
+        doc.fontSize(6).font('Helvetica').fillColor('#666666');
+        doc.text('Scan at the release window', x + width - qrSize - padding, y + padding + qrSize + 2, {
+            width: qrSize,
+            align: 'center'
+        });
+        doc.fillColor('#000000');
+
+        const textX = x + padding;
+        doc.fontSize(7).font('Helvetica-Bold');
+        doc.text("CLAIM STUB – REGISTRAR'S OFFICE", textX, y + padding, { width: textWidth });
+
+        doc.fontSize(11).font('Helvetica-Bold');
+        doc.text(stub.referenceNumber, textX, doc.y + 3, { width: textWidth });
+
+        doc.fontSize(8).font('Helvetica');
+        doc.text(stub.requesterName || 'N/A', textX, doc.y + 2, { width: textWidth, height: 20, ellipsis: true });
+        doc.text(stub.studentNumber || (stub.requesterType === 'alumni' ? 'Alumni' : ''), textX, doc.y, { width: textWidth });
+        doc.text(stub.department_name || '', textX, doc.y, { width: textWidth, height: 10, ellipsis: true });
+
+        doc.fontSize(7).font('Helvetica-Bold');
+        doc.text('Documents:', textX, doc.y + 3, { width: textWidth });
+        doc.font('Helvetica');
+        doc.text(stub.documents || 'N/A', textX, doc.y, { width: textWidth, height: 26, ellipsis: true });
+
+        // Claimant signature line along the bottom of the stub
+        const lineY = y + height - 16;
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(textX, lineY).lineTo(textX + textWidth, lineY).stroke();
+        doc.fontSize(6).font('Helvetica');
+        doc.text(`Claimant signature / date – pickup ${pickupDate}`, textX, lineY + 2, { width: textWidth });
+    };
+
+    /**
+     * Draw a large diagonal watermark across the current page
+     * @param {PDFDocument} doc - PDFKit document
+     * @param {string} text - Watermark text
+     */
+    drawWatermark = (doc, text) => {
+        const centerX = this.pageWidth / 2;
+        const centerY = this.pageHeight / 2;
+
+        doc.save();
+        doc.rotate(-45, { origin: [centerX, centerY] });
+        doc.fillColor('#c0392b').fillOpacity(0.15);
+        doc.fontSize(96).font('Helvetica-Bold');
+        doc.text(text, 0, centerY - 48, { width: this.pageWidth, align: 'center', lineBreak: false });
+        doc.restore();
+
+        // Restore the cursor so the page content starts at the top
+        doc.fillColor('#000000').fillOpacity(1);
+        doc.x = this.margin;
+        doc.y = this.margin;
+    };
+
     /**
      * Draw PDF header with institution branding
      * @param {PDFDocument} doc - PDFKit document
+     * @param {Array<string>} [filters] - Active report filters to list under the branding
      */
-    drawHeader = (doc) => {
+    drawHeader = (doc, filters = []) => {
         const headerY = doc.y;
 
         // Institution name and office designation
@@ -175,6 +473,12 @@ class PDFGenerator {
         doc.fontSize(9).font('Helvetica-Oblique');
         doc.text('Laguna Province, Philippines', { align: 'center' });
 
+        if (filters.length > 0) {
+            doc.moveDown(0.3);
+            doc.fontSize(8).font('Helvetica');
+            doc.text(`Filters: ${filters.join(' | ')}`, { align: 'center' });
+        }
+
         doc.moveDown(0.5);
 
         // Horizontal line separator
@@ -246,6 +550,62 @@ class PDFGenerator {
         doc.y = y;
     };
 
+    /**
+     * Draw revenue and collection section
+     * Totals against the previous period, then billed and collected amounts per document type
+     * @param {PDFDocument} doc - PDFKit document
+     * @param {Object} revenue - Revenue report (totals, byDocumentType, previousPeriod)
+     */
+    drawRevenueSection = (doc, revenue) => {
+        const { totals, byDocumentType, previousPeriod } = revenue;
+
+        doc.fontSize(11).font('Helvetica-Bold');
+        doc.text('REVENUE AND COLLECTIONS', this.margin, doc.y, { underline: true });
+        doc.moveDown(0.3);
+
+        doc.fontSize(9).font('Helvetica');
+        const previousLabel = `${this.formatDate(new Date(`${previousPeriod.from}T00:00:00`))} to ${this.formatDate(new Date(`${previousPeriod.to}T00:00:00`))}`;
+        const col2X = this.pageWidth / 2;
+        let y = doc.y;
+
+        doc.text(`Billed: ${this.formatCurrency(totals.billed)} (${this.formatChange(totals.change.billed.percent)})`, this.margin, y, {
+            width: col2X - this.margin - 10
+        });
+        doc.text(`Collected: ${this.formatCurrency(totals.collected)} (${this.formatChange(totals.change.collected.percent)})`, col2X, y, {
+            width: col2X - 10
+        });
+        y += this.smallLineHeight + 3;
+
+        doc.fillColor('#666666');
+        doc.text(`Change compared with the previous period (${previousLabel})`, this.margin, y, {
+            width: this.pageWidth - this.margin * 2
+        });
+        doc.fillColor('#000000');
+        doc.y = y + this.smallLineHeight + 6;
+
+        if (byDocumentType.length === 0) return;
+
+        const tableColumns = [
+            { key: 'label', label: 'Document Type', width: 165 },
+            { key: 'quantity', label: 'Qty', width: 50 },
+            { key: 'billed', label: 'Billed', width: 100 },
+            { key: 'collected', label: 'Collected', width: 100 },
+            { key: 'change', label: 'vs Previous', width: 100 }
+        ];
+
+        this.drawTableHeader(doc, tableColumns);
+
+        for (const row of byDocumentType) {
+            this.drawTableRow(doc, {
+                label: row.label,
+                quantity: String(row.quantity),
+                billed: this.formatCurrency(row.billed),
+                collected: this.formatCurrency(row.collected),
+                change: this.formatChange(row.change.billed.percent)
+            }, tableColumns);
+        }
+    };
+
     /**
      * Draw table header row
      * @param {PDFDocument} doc - PDFKit document
@@ -380,6 +740,28 @@ class PDFGenerator {
         return `${month}/${day}/${year}`;
     };
 
+    /**
+     * Format an amount in Philippine pesos (PHP 1,234.50)
+     * @param {number|string} amount - Amount
+     * @returns {string} Formatted amount
+     */
+    formatCurrency = (amount) => {
+        const value = Number(amount) || 0;
+        return `PHP ${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    };
+
+    /**
+     * Format a period-over-period change (+12.5%, -3.0%, or N/A without a previous amount)
+     * @param {number|null} percent - Percentage change
+     * @returns {string} Formatted change
+     */
+    formatChange = (percent) => {
+        if (percent === null || percent === undefined) {
+            return 'N/A';
+        }
+        return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+    };
+
     /**
      * Format date and time (MM/DD/YYYY HH:MM AM/PM)
      * @param {Date} date - Date object
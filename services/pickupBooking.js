@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Pickup appointment booking
+ *
+ * Lets the requester of a READY request book a pickup slot. The request row is
+ * locked for the whole booking so a requester cannot hold two slots, and the
+ * slot's place is taken with a conditional update so a full slot can never be
+ * overbooked. Rebooking gives back the place in the previous slot. The slot's
+ * start becomes the request's scheduledPickup.
+ */
+
+const PickupSlot = require('../models/PickupSlot');
+const TransactionDay = require('../models/TransactionDay');
+const { normalizeStatusName } = require('./requestWorkflow');
+const realtime = require('./realtime');
+
+class PickupBooking {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.slotModel = new PickupSlot(dbManager);
+        this.transactionDayModel = new TransactionDay(dbManager);
+    }
+
+    /**
+     * Whether a slot can be booked right now
+     * @param {Object} slot - Slot from PickupSlot.findById
+     * @returns {Promise<Object|null>} { statusCode, error, message } or null when bookable
+     */
+    async checkSlot(slot) {
+        if (new Date(`${slot.date}T${slot.startTime}`) <= new Date()) {
+            return { statusCode: 400, error: 'Slot has passed', message: 'This pickup slot has already started' };
+        }
+
+        const availability = await this.transactionDayModel.checkAvailability(slot.date);
+        if (!availability.available) {
+            return {
+                statusCode: 409,
+                error: 'Day unavailable',
+                message: availability.message || `There are no transactions on ${slot.date}`
+            };
+        }
+
+        if (slot.remaining <= 0) {
+            return { statusCode: 409, error: 'Slot full', message: 'This pickup slot is fully booked' };
+        }
+        return null;
+    }
+
+    /**
+     * Book (or move) the pickup of a request into a slot
+     * @param {Object} request - Request row (from DocumentRequest.findById)
+     * @param {number} slotId - Slot to book
+     * @param {Object} options
+     * @param {string} options.via - Who booked, for the tracking note
+     * @returns {Promise<Object>} { booking } on success or { statusCode, error, message }
+     */
+    async book(request, slotId, { via }) {
+        if (normalizeStatusName(request.status) !== 'READY') {
+            return { statusCode: 409, error: 'Request not ready', message: 'A pickup slot can only be booked once the request is ready for pickup' };
+        }
+
+        const slot = await this.slotModel.findById(slotId);
+        if (!slot) {
+            return { statusCode: 404, error: 'Slot not found', message: 'No pickup slot found with the provided ID' };
+        }
+
+        const current = await this.slotModel.findBookingByRequest(request.id);
+        if (current && current.slotId === slot.id) {
+            return { booking: current };
+        }
+
+        const slotError = await this.checkSlot(slot);
+        if (slotError) return slotError;
+
+        const scheduledPickup = `${slot.date} ${slot.startTime}:00`;
+
+        const result = await this.dbManager.withTransaction(async (connection) => {
+            const [locked] = await connection.execute(
+                'SELECT statusId FROM document_requests WHERE id = ? FOR UPDATE',
+                [request.id]
+            );
+            if (!locked[0] || locked[0].statusId !== request.statusId) {
+                return { statusCode: 409, error: 'Request changed', message: 'The request was updated by someone else; reload and try again' };
+            }
+
+            if (!await this.slotModel.reserve(connection, slot.id)) {
+                return { statusCode: 409, error: 'Slot full', message: 'This pickup slot is fully booked' };
+            }
+
+            const [previous] = await connection.execute(
+                'SELECT slotId FROM pickup_bookings WHERE requestId = ?',
+                [request.id]
+            );
+            if (previous[0]) {
+                await this.slotModel.release(connection, previous[0].slotId);
+            }
+
+            await connection.execute(
+                `INSERT INTO pickup_bookings (requestId, slotId) VALUES (?, ?)
+                 ON DUPLICATE KEY UPDATE slotId = VALUES(slotId), bookedAt = CURRENT_TIMESTAMP`,
+                [request.id, slot.id]
+            );
+            await connection.execute(
+                'UPDATE document_requests SET scheduledPickup = ?, updatedAt = NOW() WHERE id = ?',
+                [scheduledPickup, request.id]
+            );
+            await connection.execute(
+                'INSERT INTO request_tracking (requestId, statusId, notes) VALUES (?, ?, ?)',
+                [request.id, request.statusId, `Pickup ${previous[0] ? 'rebooked' : 'booked'} for ${slot.date} ${slot.startTime}-${slot.endTime} by ${via}`]
+            );
+            return null;
+        });
+        if (result) return result;
+
+        console.log(`📅 Request ${request.referenceNumber} booked into pickup slot ${slot.id} (${slot.date} ${slot.startTime})`);
+
+        realtime.emitToStaff(request, 'pickupBooked', {
+            requestId: request.id,
+            referenceNumber: request.referenceNumber,
+            slotId: slot.id,
+            date: slot.date,
+            startTime: slot.startTime,
+            endTime: slot.endTime
+        });
+
+        return { booking: await this.slotModel.findBookingByRequest(request.id) };
+    }
+
+    /**
+     * Drop a request's booking and give its place back, e.g. when staff set the pickup by hand
+     * @param {number} requestId - Request ID
+     * @returns {Promise<boolean>} True if there was a booking
+     */
+    async clear(requestId) {
+        return await this.dbManager.withTransaction(async (connection) => {
+            const [rows] = await connection.execute(
+                'SELECT id, slotId FROM pickup_bookings WHERE requestId = ? FOR UPDATE',
+                [requestId]
+            );
+            if (!rows[0]) return false;
+
+            await connection.execute('DELETE FROM pickup_bookings WHERE id = ?', [rows[0].id]);
+            await this.slotModel.release(connection, rows[0].slotId);
+            return true;
+        });
+    }
+}
+
+module.exports = PickupBooking;
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Real-time request events over Socket.IO
+ *
+ * Sockets authenticate with the staff JWT (AuthMiddleware.verifySocket) and are
+ * placed in rooms on connect:
+ * - user:<id>          every staff/admin socket, for requests assigned to them
+ * - department:<id>    one per department the staff member belongs to
+ * - admins             admin sockets, which see every department
+ * Membership comes from the users and user_departments tables (the token's
+ * department_ids only while the database is down) and is re-checked with
+ * refreshUser when an admin changes or deactivates an account. A signed-in
+ * socket is sent `sessionExpired` and disconnected when its token expires.
+ * Staff dashboards may also send `joinDepartment`; it only ever adds a room the
+ * user already belongs to, so unauthenticated sockets cannot join one.
+ * Any socket, signed in or not, may follow public tracking rooms with
+ * `trackRequest` / `untrackRequest` (request:<referenceNumber>). Those rooms
+ * only ever receive the reference number and status, never requester details.
+ *
+ * Events:
+ * - requestCreated, requestAssigned, requestStatusChanged   staff rooms
+ *   (pickupBooked also goes out through emitToStaff)
+ * - trackingUpdated                                         request:<referenceNumber>
+ *
+ * The emit helpers are no-ops until setupSocketServer has run (e.g. in jobs or scripts).
+ */
+
+const { toUiName } = require('./requestWorkflow');
+
+// Public tracking rooms one socket may follow at a time
+const MAX_TRACKED_REQUESTS = 5;
+
+// Reference numbers handed out by the request forms (SPC-DOC-XXXXXX-XXXX, older REF-...)
+const REFERENCE_NUMBER_REGEX = /^(SPC-DOC|REF)-[A-Z0-9-]{1,40}$/;
+
+// Longest delay setTimeout accepts; remember-me tokens last longer and are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const rooms = {
+    user: (userId) => `user:${userId}`,
+    department: (departmentId) => `department:${departmentId}`,
+    admins: 'admins',
+    request: (referenceNumber) => `request:${referenceNumber}`
+};
+
+let io = null;
+let db = null;
+
+/**
+ * Disconnect a signed-in socket once its token expires
+ * @param {Object} socket - Socket.IO socket
+ * @param {number} expiresAt - Expiry time in milliseconds
+ */
+const scheduleExpiry = (socket, expiresAt) => {
+    const remaining = expiresAt - Date.now();
+    if (remaining <= 0) {
+        socket.emit('sessionExpired', { message: 'Your session has expired. Please login again.' });
+        socket.disconnect(true);
+        return;
+    }
+    socket.data.expiryTimer = setTimeout(() => scheduleExpiry(socket, expiresAt), Math.min(remaining, MAX_TIMER_MS));
+};
+
+/**
+ * Put a signed-in socket in the rooms its account currently belongs to
+ * Rooms the account lost are left; a deactivated account is disconnected.
+ * @param {Object} socket - Socket.IO socket (local or fetched)
+ * @returns {Promise<void>}
+ */
+const syncRooms = async (socket) => {
+    const { user } = socket.data;
+    if (!user) return;
+
+    let role = user.role;
+    let departmentIds = user.department_ids || [];
+
+    if (db?.isConnected) {
+        const [account] = await db.executeQuery('SELECT role, isActive FROM users WHERE id = ?', [user.id]);
+        if (!account || !account.isActive) {
+            socket.disconnect(true);
+            return;
+        }
+        role = account.role;
+        const departments = role === 'staff'
+            ? await db.executeQuery('SELECT department_id FROM user_departments WHERE user_id = ?', [user.id])
+            : [];
+        departmentIds = departments.map(department => department.department_id);
+    }
+
+    socket.data.role = role;
+    socket.data.departmentIds = departmentIds;
+
+    for (const room of socket.rooms) {
+        const lostDepartment = room.startsWith('department:') && role !== 'admin'
+            && !departmentIds.includes(parseInt(room.slice('department:'.length)));
+        if (lostDepartment || (room === rooms.admins && role !== 'admin')) socket.leave(room);
+    }
+
+    socket.join(rooms.user(user.id));
+    for (const departmentId of departmentIds) {
+        socket.join(rooms.department(departmentId));
+    }
+    if (role === 'admin') socket.join(rooms.admins);
+};
+
+/**
+ * Authenticate sockets and wire up room membership
+ * @param {Object} server - Socket.IO server
+ * @param {Object} authMiddleware - AuthMiddleware instance (verifySocket)
+ * @param {Object} [dbManager] - Database manager used to look up current memberships
+ */
+const setupSocketServer = (server, authMiddleware, dbManager = null) => {
+    io = server;
+    db = dbManager;
+    io.use(authMiddleware.verifySocket);
+
+    io.on('connection', (socket) => {
+        const { user } = socket.data;
+
+        console.log(`🔌 Socket connected: ${socket.id} (${user ? `${user.role} ${user.username}` : 'public'})`);
+
+        socket.on('joinDepartment', (departmentId, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            const id = parseInt(departmentId);
+
+            if (!user) {
+                return reply({ success: false, message: 'Authentication required' });
+            }
+            const role = socket.data.role || user.role;
+            const departmentIds = socket.data.departmentIds || user.department_ids || [];
+            if (!id || (role !== 'admin' && !departmentIds.includes(id))) {
+                return reply({ success: false, message: 'Not a member of this department' });
+            }
+
+            socket.join(rooms.department(id));
+            reply({ success: true, departmentId: id });
+        });
+
+        socket.on('trackRequest', (referenceNumber, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            const reference = String(referenceNumber || '').trim().toUpperCase();
+
+            if (!REFERENCE_NUMBER_REGEX.test(reference)) {
+                return reply({ success: false, message: 'Invalid reference number' });
+            }
+
+            const tracked = [...socket.rooms].filter(room => room.startsWith('request:'));
+            if (!tracked.includes(rooms.request(reference)) && tracked.length >= MAX_TRACKED_REQUESTS) {
+                return reply({ success: false, message: `At most ${MAX_TRACKED_REQUESTS} requests can be tracked at once` });
+            }
+
+            socket.join(rooms.request(reference));
+            reply({ success: true, referenceNumber: reference });
+        });
+
+        socket.on('untrackRequest', (referenceNumber) => {
+            socket.leave(rooms.request(String(referenceNumber || '').trim().toUpperCase()));
+        });
+
+        socket.on('disconnect', () => {
+            clearTimeout(socket.data.expiryTimer);
+            console.log(`🔌 Socket disconnected: ${socket.id}`);
+        });
+
+        if (user) {
+            if (user.exp) scheduleExpiry(socket, user.exp * 1000);
+            syncRooms(socket).catch(error => {
+                console.error(`❌ Socket ${socket.id} room setup failed:`, error.message);
+                socket.disconnect(true);
+            });
+        }
+    });
+};
+
+/**
+ * Re-check the rooms of every socket signed in as a user
+ * Call after an admin changes the user's role, departments or active flag.
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+const refreshUser = async (userId) => {
+    if (!io || !userId) return;
+
+    try {
+        const sockets = await io.in(rooms.user(userId)).fetchSockets();
+        for (const socket of sockets) {
+            await syncRooms(socket);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to refresh socket rooms of user ${userId}:`, error.message);
+    }
+};
+
+/**
+ * Staff rooms that should hear about a request
+ * @param {Object} request - Request with department_id and processedBy
+ * @param {Array<number|null>} [extraUserIds] - Other users to include (e.g. previous assignee)
+ * @returns {Array<string>} Room names
+ */
+const staffRooms = (request, extraUserIds = []) => {
+    const targets = [rooms.admins];
+    if (request.department_id) targets.push(rooms.department(request.department_id));
+    for (const userId of [request.processedBy, ...extraUserIds]) {
+        if (userId) targets.push(rooms.user(userId));
+    }
+    return [...new Set(targets)];
+};
+
+/**
+ * Send an event to the staff rooms of a request (department, assignee and admins)
+ * @param {Object} request - Request with department_id and processedBy
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToStaff = (request, event, payload) => {
+    if (!io || !request) return;
+    io.to(staffRooms(request)).emit(event, payload);
+};
+
+/**
+ * Announce a newly submitted request to its department (and assignee, if any)
+ * @param {Object} request - Request row (id, referenceNumber, department_id, processedBy, status)
+ */
+const requestCreated = (request) => {
+    if (!io || !request) return;
+
+    emitToStaff(request, 'requestCreated', {
+        requestId: request.id,
+        referenceNumber: request.referenceNumber,
+        departmentId: request.department_id || null,
+        status: toUiName(request.status || 'PENDING'),
+        processedBy: request.processedBy || null,
+        createdAt: new Date().toISOString()
+    });
+
+    if (request.processedBy) {
+        requestAssigned(request, { from: null, to: request.processedBy });
+    }
+};
+
+/**
+ * Announce that a request moved to another staff member
+ * @param {Object} request - Request row (id, referenceNumber, department_id)
+ * @param {Object} change
+ * @param {number|null} change.from - Previous assignee
+ * @param {number|null} change.to - New assignee
+ * @param {number} [change.assignedBy] - User who made the change (omitted for automatic assignment)
+ */
+const requestAssigned = (request, { from, to, assignedBy = null }) => {
+    if (!io || !request) return;
+
+    io.to(staffRooms({ ...request, processedBy: to }, [from])).emit('requestAssigned', {
+        requestId: request.id,
+        referenceNumber: request.referenceNumber,
+        departmentId: request.department_id || null,
+        previousAssignee: from || null,
+        assignedTo: to || null,
+        assignedBy,
+        assignedAt: new Date().toISOString()
+    });
+};
+
+/**
+ * Announce a status change to staff and to the public tracking room of the request
+ * @param {Object} request - Request row (id, referenceNumber, department_id, processedBy)
+ * @param {Object} change
+ * @param {string} [change.previousStatus] - Status before the change (database name)
+ * @param {string} change.status - New status (database name)
+ * @param {number} [change.changedBy] - User who made the change (omitted for requester/system changes)
+ * @param {string} [change.reason] - Why the status changed (e.g. a requester's cancellation reason)
+ */
+const requestStatusChanged = (request, { previousStatus = null, status, changedBy = null, reason = null }) => {
+    if (!io || !request) return;
+
+    const changedAt = new Date().toISOString();
+
+    emitToStaff(request, 'requestStatusChanged', {
+        requestId: request.id,
+        referenceNumber: request.referenceNumber,
+        departmentId: request.department_id || null,
+        previousStatus: previousStatus ? toUiName(previousStatus) : null,
+        status: toUiName(status),
+        processedBy: request.processedBy || null,
+        changedBy,
+        reason,
+        changedAt
+    });
+
+    if (request.referenceNumber) {
+        io.to(rooms.request(request.referenceNumber)).emit('trackingUpdated', {
+            referenceNumber: request.referenceNumber,
+            status: toUiName(status),
+            updatedAt: changedAt
+        });
+    }
+};
+
+module.exports = { setupSocketServer, refreshUser, emitToStaff, requestCreated, requestAssigned, requestStatusChanged, rooms };
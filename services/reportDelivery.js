@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Scheduled report delivery
+ *
+ * Emails saved report definitions (report_subscriptions) to their recipients.
+ * The report covers the last complete window before the run day: yesterday,
+ * last Monday-Sunday, or last calendar month. The daily job sends every
+ * window once; a failed window is retried on later runs up to MAX_ATTEMPTS.
+ * Each attempt is written to report_deliveries.
+ *
+ * Reports are rendered by ReportController with the subscription owner's
+ * access: staff owners must still be assigned to the department.
+ */
+
+const ReportController = require('../controllers/reportController');
+const ReportSubscription = require('../models/ReportSubscription');
+
+// Failed attempts after which a window is given up
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Get the last complete report window before a day
+ * @param {string} dateWindow - previous_day, previous_week or previous_month
+ * @param {Date} [today] - Run day (defaults to now)
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+const getReportWindow = (dateWindow, today = new Date()) => {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    if (dateWindow === 'previous_month') {
+        const from = new Date(day.getFullYear(), day.getMonth() - 1, 1);
+        const to = new Date(day.getFullYear(), day.getMonth(), 0);
+        return { from: toDateString(from), to: toDateString(to) };
+    }
+
+    if (dateWindow === 'previous_week') {
+        // Monday to Sunday of the week before the current one
+        const daysSinceMonday = (day.getDay() + 6) % 7;
+        const from = new Date(day);
+        from.setDate(from.getDate() - daysSinceMonday - 7);
+        const to = new Date(from);
+        to.setDate(to.getDate() + 6);
+        return { from: toDateString(from), to: toDateString(to) };
+    }
+
+    const yesterday = new Date(day);
+    yesterday.setDate(yesterday.getDate() - 1);
+    return { from: toDateString(yesterday), to: toDateString(yesterday) };
+};
+
+class ReportDelivery {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.subscriptionModel = new ReportSubscription(dbManager);
+        this.reportController = new ReportController(dbManager);
+    }
+
+    /**
+     * Build the report scope of a subscription, applying the owner's department access
+     * @param {Object} subscription - Subscription from ReportSubscription
+     * @param {Object} window - { from, to } as YYYY-MM-DD
+     * @returns {Promise<Object>} { scope } or { error }
+     */
+    async resolveScope(subscription, window) {
+        const { ownerId, ownerRole, ownerIsActive, departmentId } = subscription;
+
+        if (!ownerIsActive || !['admin', 'staff'].includes(ownerRole)) {
+            return { error: 'The subscription owner can no longer generate reports' };
+        }
+
+        let departmentName = 'ALL DEPARTMENTS';
+        if (departmentId) {
+            const department = ownerRole === 'staff'
+                ? await this.reportController.verifyStaffDepartmentAccess(ownerId, departmentId)
+                : await this.reportController.departmentModel.findById(departmentId);
+            if (!department) {
+                return { error: 'The subscription owner no longer has access to this department' };
+            }
+            departmentName = department.department_name;
+        } else if (ownerRole === 'staff') {
+            return { error: 'Staff subscriptions must specify a department' };
+        }
+
+        return {
+            scope: {
+                userRole: ownerRole,
+                fromDate: window.from,
+                toDate: window.to,
+                fromDateValue: new Date(window.from),
+                toDateValue: new Date(window.to),
+                departmentId: departmentId || undefined,
+                departmentName
+            }
+        };
+    }
+
+    /**
+     * Render and email one subscription, recording the attempt
+     * @param {Object} subscription - Subscription from ReportSubscription
+     * @param {Object} [options]
+     * @param {Object} [options.window] - { from, to }; defaults to the subscription's last window
+     * @param {string} [options.source] - 'schedule' or 'manual'
+     * @param {number} [options.triggeredBy] - User sending it manually
+     * @returns {Promise<Object>} { status, error, periodFrom, periodTo, deliveryId }
+     */
+    async deliver(subscription, { window = getReportWindow(subscription.dateWindow), source = 'schedule', triggeredBy = null } = {}) {
+        const delivery = {
+            subscriptionId: subscription.id,
+            periodFrom: window.from,
+            periodTo: window.to,
+            recipients: subscription.recipients,
+            source,
+            triggeredBy
+        };
+
+        try {
+            const { scope, error } = await this.resolveScope(subscription, window);
+            if (error) throw new Error(error);
+
+            const file = await this.reportController.renderReport(scope, subscription.format, subscription.ownerEmail);
+
+            await this.mailService.sendScheduledReportEmail({
+                toEmails: subscription.recipients,
+                subscriptionName: subscription.name,
+                departmentName: scope.departmentName,
+                periodFrom: window.from,
+                periodTo: window.to,
+                attachment: file
+            });
+
+            delivery.status = 'sent';
+            delivery.filename = file.filename;
+            delivery.sizeBytes = file.content.length;
+        } catch (error) {
+            delivery.status = 'failed';
+            delivery.error = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+            console.error(`❌ Report subscription ${subscription.id} not delivered:`, delivery.error);
+        }
+
+        const deliveryId = await this.subscriptionModel.logDelivery(delivery);
+
+        return {
+            status: delivery.status,
+            error: delivery.error || null,
+            periodFrom: window.from,
+            periodTo: window.to,
+            deliveryId
+        };
+    }
+
+    /**
+     * Send every active subscription whose last window has not been delivered yet
+     * @returns {Promise<Object>} { sent, failed }
+     */
+    async run() {
+        const subscriptions = await this.subscriptionModel.findActive();
+        let sent = 0;
+        let failed = 0;
+
+        for (const subscription of subscriptions) {
+            const window = getReportWindow(subscription.dateWindow);
+            const history = await this.subscriptionModel.countDeliveries(subscription.id, window.from, window.to);
+            if (history.sent > 0 || history.failed >= MAX_ATTEMPTS) continue;
+
+            const outcome = await this.deliver(subscription, { window });
+            if (outcome.status === 'sent') sent++;
+            else failed++;
+        }
+
+        return { sent, failed };
+    }
+}
+
+module.exports = ReportDelivery;
+module.exports.getReportWindow = getReportWindow;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Spreadsheet export of the document request report
+ *
+ * Writes report rows to an HTTP response as CSV or XLSX while they are read
+ * from the database, so large date ranges never sit in memory. Each row is
+ * one request_documents line.
+ */
+
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+const ExcelJS = require('exceljs');
+
+const pipelineAsync = promisify(pipeline);
+
+// Column order shared by both formats: row key, header, XLSX width and number format
+const COLUMNS = [
+    { key: 'referenceNumber', header: 'Reference No.', width: 22 },
+    { key: 'dateRequested', header: 'Date Requested', width: 20, numFmt: 'yyyy-mm-dd hh:mm' },
+    { key: 'requesterType', header: 'Requester Type', width: 14 },
+    { key: 'studentId', header: 'Student/Alumni ID', width: 18 },
+    { key: 'studentName', header: 'Name', width: 32 },
+    { key: 'course', header: 'Course', width: 28 },
+    { key: 'department_name', header: 'Department', width: 28 },
+    { key: 'status', header: 'Status', width: 12 },
+    { key: 'paymentStatus', header: 'Payment Status', width: 14 },
+    { key: 'documentType', header: 'Document', width: 30 },
+    { key: 'quantity', header: 'Quantity', width: 10 },
+    { key: 'unitPrice', header: 'Unit Price', width: 12, numFmt: '#,##0.00' },
+    { key: 'lineTotal', header: 'Line Total', width: 12, numFmt: '#,##0.00' },
+    { key: 'requestTotal', header: 'Request Total', width: 14, numFmt: '#,##0.00' },
+    { key: 'processedBy', header: 'Processed By', width: 20 }
+];
+
+const MONEY_COLUMNS = new Set(['unitPrice', 'lineTotal', 'requestTotal']);
+
+// Leading characters that make spreadsheet apps evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format a date as YYYY-MM-DD HH:MM:SS in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateTimeString = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Escape one CSV field (RFC 4180), neutralising formula injection
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return toDateTimeString(value);
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Convert a database row to cell values in column order
+ * DECIMAL columns arrive as strings from mysql2 and go through formatMoney.
+ * @param {Object} row - Report row
+ * @param {Function} [formatMoney] - Converts a money value (defaults to Number)
+ * @returns {Array} Cell values
+ */
+const toCells = (row, formatMoney = Number) => COLUMNS.map(({ key }) => {
+    const value = row[key];
+    if (MONEY_COLUMNS.has(key) && value !== null && value !== undefined) {
+        return formatMoney(value);
+    }
+    return value;
+});
+
+class ReportExporter {
+    /**
+     * Stream rows to the response as CSV
+     * @param {import('stream').Readable} rows - Object-mode stream of report rows
+     * @param {Object} res - Express response object (headers already set)
+     * @returns {Promise<void>} Resolves when the response is finished
+     */
+    async writeCsv(rows, res) {
+        // UTF-8 BOM so Excel opens names with accents correctly
+        res.write('\uFEFF' + COLUMNS.map(column => toCsvField(column.header)).join(',') + '\r\n');
+
+        const toCsvLine = new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, callback) {
+                callback(null, toCells(row, value => Number(value).toFixed(2)).map(toCsvField).join(',') + '\r\n');
+            }
+        });
+
+        await pipelineAsync(rows, toCsvLine, res);
+    }
+
+    /**
+     * Stream rows to the response as an XLSX workbook
+     * @param {import('stream').Readable} rows - Object-mode stream of report rows
+     * @param {Object} res - Express response object (headers already set)
+     * @param {Object} [meta]
+     * @param {string} [meta.sheetName] - Worksheet name
+     * @param {string} [meta.generatedBy] - Email of the user exporting
+     * @returns {Promise<void>} Resolves when the workbook is written
+     */
+    async writeXlsx(rows, res, { sheetName = 'Document Requests', generatedBy } = {}) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        workbook.creator = generatedBy || 'Registrar Office';
+        workbook.created = new Date();
+
+        // Excel rejects sheet names over 31 characters or containing \ / ? * [ ] :
+        const worksheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31), {
+            views: [{ state: 'frozen', ySplit: 1 }]
+        });
+        worksheet.columns = COLUMNS.map(({ key, header, width, numFmt }) => ({
+            key,
+            header,
+            width,
+            style: numFmt ? { numFmt } : {}
+        }));
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).commit();
+
+        for await (const row of rows) {
+            worksheet.addRow(toCells(row)).commit();
+        }
+
+        worksheet.commit();
+        await workbook.commit();
+    }
+}
+
+module.exports = ReportExporter;
+module.exports.COLUMNS = COLUMNS;
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Optional filters shared by the report endpoints
+ *
+ * Parses the filter query parameters of /api/reports/*, turns them into a SQL
+ * condition on document_requests (alias dr) and describes them in words for
+ * the PDF header. List parameters accept comma-separated values or repeated
+ * parameters (?status=PENDING,READY or ?status=PENDING&status=READY).
+ */
+
+const { normalizeStatusName, toUiName } = require('./requestWorkflow');
+
+const REQUESTER_TYPES = ['student', 'alumni'];
+
+/**
+ * Split a list query parameter into trimmed, non-empty values
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Values
+ */
+const toList = (value) => []
+    .concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a positive integer ID
+ * @param {string} value - Raw value
+ * @returns {number|null} ID, or null when invalid
+ */
+const toId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validate the filter query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { filters } or { error } with a message for a 400 response
+ */
+const parseReportFilters = (query) => {
+    const filters = {};
+
+    if (query.status !== undefined) {
+        const statuses = [];
+        for (const input of toList(query.status)) {
+            const statusName = normalizeStatusName(input);
+            if (!statusName) return { error: `Unknown status: ${input}` };
+            if (!statuses.includes(statusName)) statuses.push(statusName);
+        }
+        if (statuses.length === 0) return { error: 'status must list at least one status' };
+        filters.statuses = statuses;
+    }
+
+    if (query.requesterType !== undefined) {
+        const requesterType = String(query.requesterType).trim().toLowerCase();
+        if (!REQUESTER_TYPES.includes(requesterType)) {
+            return { error: `requesterType must be one of: ${REQUESTER_TYPES.join(', ')}` };
+        }
+        filters.requesterType = requesterType;
+    }
+
+    if (query.documentTypeIds !== undefined) {
+        const ids = toList(query.documentTypeIds).map(toId);
+        if (ids.length === 0 || ids.includes(null)) {
+            return { error: 'documentTypeIds must be a comma-separated list of document type IDs' };
+        }
+        filters.documentTypeIds = [...new Set(ids)];
+    }
+
+    for (const param of ['courseId', 'purposeId', 'processedBy']) {
+        if (query[param] === undefined) continue;
+        const id = toId(query[param]);
+        if (!id) return { error: `${param} must be a valid ID` };
+        filters[param] = id;
+    }
+
+    // Stored as free text (VARCHAR(20)) on the request, so only the length is checked
+    for (const param of ['schoolYear', 'semester']) {
+        if (query[param] === undefined) continue;
+        const value = String(query[param]).trim();
+        if (!value || value.length > 20) return { error: `${param} must be 1 to 20 characters` };
+        filters[param] = value;
+    }
+
+    return { filters };
+};
+
+/**
+ * Build the SQL condition for parsed filters
+ * Status filtering needs request_statuses joined as rs.
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Object} { sql: string starting with AND (or empty), params: array }
+ */
+const buildFilterSql = (filters = {}) => {
+    let sql = '';
+    const params = [];
+
+    if (filters.statuses) {
+        sql += ` AND rs.statusName IN (${filters.statuses.map(() => '?').join(',')})`;
+        params.push(...filters.statuses);
+    }
+    if (filters.requesterType) {
+        sql += ' AND dr.requesterType = ?';
+        params.push(filters.requesterType);
+    }
+    if (filters.documentTypeIds) {
+        sql += ` AND EXISTS (
+            SELECT 1 FROM request_documents rdf
+            WHERE rdf.requestId = dr.id AND rdf.documentTypeId IN (${filters.documentTypeIds.map(() => '?').join(',')})
+        )`;
+        params.push(...filters.documentTypeIds);
+    }
+    if (filters.courseId) {
+        sql += ' AND dr.courseId = ?';
+        params.push(filters.courseId);
+    }
+    if (filters.purposeId) {
+        sql += ' AND dr.purposeId = ?';
+        params.push(filters.purposeId);
+    }
+    if (filters.processedBy) {
+        sql += ' AND dr.processedBy = ?';
+        params.push(filters.processedBy);
+    }
+    if (filters.schoolYear) {
+        sql += ' AND dr.school_year = ?';
+        params.push(filters.schoolYear);
+    }
+    if (filters.semester) {
+        sql += ' AND dr.request_semester = ?';
+        params.push(filters.semester);
+    }
+
+    return { sql, params };
+};
+
+/**
+ * Describe the active filters in words, e.g. for the PDF header
+ * Looks up the names of referenced courses, purposes, staff and document types.
+ * @param {Object} dbManager - Database manager instance
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Promise<Array<string>>} One "Label: value" line per filter
+ */
+const describeFilters = async (dbManager, filters = {}) => {
+    const lines = [];
+    const lookup = async (query, id) => (await dbManager.executeQuery(query, [id]))[0]?.name || `#${id}`;
+
+    if (filters.statuses) {
+        lines.push(`Status: ${filters.statuses.map(toUiName).join(', ')}`);
+    }
+    if (filters.requesterType) {
+        lines.push(`Requester: ${filters.requesterType === 'student' ? 'Students' : 'Alumni'}`);
+    }
+    if (filters.documentTypeIds) {
+        const rows = await dbManager.executeQuery(
+            `SELECT documentName as name FROM document_types WHERE id IN (${filters.documentTypeIds.map(() => '?').join(',')}) ORDER BY documentName`,
+            filters.documentTypeIds
+        );
+        lines.push(`Documents: ${rows.map(row => row.name).join(', ') || 'none'}`);
+    }
+    if (filters.courseId) {
+        lines.push(`Course: ${await lookup('SELECT courseName as name FROM courses WHERE id = ?', filters.courseId)}`);
+    }
+    if (filters.purposeId) {
+        lines.push(`Purpose: ${await lookup('SELECT purposeName as name FROM request_purposes WHERE id = ?', filters.purposeId)}`);
+    }
+    if (filters.processedBy) {
+        lines.push(`Processed by: ${await lookup("SELECT CONCAT(firstName, ' ', lastName) as name FROM users WHERE id = ?", filters.processedBy)}`);
+    }
+    if (filters.schoolYear) {
+        lines.push(`School year: ${filters.schoolYear}`);
+    }
+    if (filters.semester) {
+        lines.push(`Semester: ${filters.semester}`);
+    }
+
+    return lines;
+};
+
+module.exports = {
+    parseReportFilters,
+    buildFilterSql,
+    describeFilters
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Requester-initiated request cancellation
+ *
+ * Shared by the requester portal (session login) and the public
+ * reference-number + OTP flow. Moves the request to CANCELLED through the
+ * workflow, closes any open checkout, records the reason in request_tracking,
+ * notifies the department's staff over Socket.IO and emails the requester.
+ */
+
+const DocumentRequest = require('../models/DocumentRequest');
+const Payment = require('../models/Payment');
+const RequestWorkflow = require('./requestWorkflow');
+const { toUiName, getAllowedTransitions } = require('./requestWorkflow');
+const realtime = require('./realtime');
+
+const CANCELLED = 'CANCELLED';
+
+/**
+ * Whether a requester may still cancel a request in this status
+ * @param {string} statusName - Current DB status name
+ * @returns {boolean}
+ */
+const canRequesterCancel = (statusName) =>
+    getAllowedTransitions(statusName, 'requester').some(t => t.to === CANCELLED);
+
+class RequestCancellation {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} [mailService] - Mail service used for the confirmation email
+     */
+    constructor(dbManager, mailService = null) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+        this.paymentModel = new Payment(dbManager);
+        this.workflow = new RequestWorkflow(dbManager);
+    }
+
+    /**
+     * Cancel a request on behalf of its requester
+     * @param {Object} request - Request row (from DocumentRequest.findById/findByReferenceNumber)
+     * @param {Object} options
+     * @param {string} options.reason - Why the requester is cancelling
+     * @param {string} options.via - How the requester was verified, for the tracking note
+     * @returns {Promise<Object>} { request } on success or { statusCode, error, message }
+     */
+    async cancel(request, { reason, via }) {
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+        const cancelled = await this.workflow.resolveStatus(CANCELLED);
+        if (!cancelled) {
+            return { statusCode: 500, error: 'Status not configured', message: 'The CANCELLED status is not configured' };
+        }
+
+        if (request.status === cancelled.statusName) {
+            return { statusCode: 409, error: 'Already cancelled', message: 'This request has already been cancelled' };
+        }
+
+        const transitionError = this.workflow.validateTransition(request, cancelled.statusName, {
+            reason: trimmedReason,
+            actor: 'requester'
+        });
+        if (transitionError) return transitionError;
+
+        // Only cancel from the status that was checked, so a request staff move to
+        // READY in the meantime is never overwritten
+        const update = await this.dbManager.executeQuery(
+            `UPDATE document_requests SET statusId = ?, updatedAt = CURRENT_TIMESTAMP
+             WHERE id = ? AND statusId = ?`,
+            [cancelled.id, request.id, request.statusId]
+        );
+        if (update.affectedRows === 0) {
+            return {
+                statusCode: 409,
+                error: 'Request changed',
+                message: 'The request was updated while it was being cancelled. Reload it and try again.'
+            };
+        }
+
+        // An open checkout must not be paid after the request is gone
+        const pending = await this.paymentModel.findPendingByRequestId(request.id);
+        if (pending) {
+            await this.paymentModel.update(pending.id, { status: 'CANCELLED', notes: 'Request cancelled by requester' });
+        }
+
+        const updatedRequest = await this.documentRequestModel.findById(request.id);
+        await this.documentRequestModel.addTrackingEntry(
+            request.id,
+            cancelled.id,
+            `Status changed from ${toUiName(request.status)} to ${toUiName(cancelled.statusName)} by requester (${via}): ${trimmedReason}`
+        );
+
+        console.log(`🚫 Request ${request.referenceNumber} cancelled by requester (${via})`);
+
+        realtime.requestStatusChanged(request, {
+            previousStatus: request.status,
+            status: cancelled.statusName,
+            reason: trimmedReason
+        });
+
+        if (this.mailService && request.email) {
+            await this.mailService.sendCancellationConfirmationEmail({
+                toEmail: request.email,
+                fullName: `${request.firstName} ${request.surname}`,
+                referenceNumber: request.referenceNumber,
+                reason: trimmedReason
+            });
+        }
+
+        return { request: updatedRequest };
+    }
+}
+
+module.exports = RequestCancellation;
+module.exports.canRequesterCancel = canRequesterCancel;
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Request status workflow service
+ *
+ * Resolves status names/IDs sent by clients and enforces the transitions
+ * defined in config/requestWorkflow.js. Controllers call validateTransition()
+ * before writing a new statusId and answer with the returned error, which
+ * carries a 409 for illegal moves.
+ */
+
+const workflow = require('../config/requestWorkflow');
+const { isPaymentSettled } = require('./payments');
+
+/**
+ * Guard checks referenced by name from the workflow definition
+ * Each returns an error message when the move must be refused.
+ */
+const GUARDS = {
+    paymentSettled: (request) => isPaymentSettled(request)
+        ? null
+        : `Payment is ${request.paymentStatus || 'UNPAID'}. Record the payment or waive it first.`
+};
+
+/**
+ * Endpoints that own a transition (transition.via)
+ * Any other route asking for the move gets a 409 naming the endpoint.
+ */
+const DEDICATED_ROUTES = {
+    pickupRelease: 'POST /api/staff/pickup/release with the pickup QR token'
+};
+
+/**
+ * Map any accepted spelling (DB name or UI name) to the DB status name
+ * @param {string} input - Status name from a client
+ * @returns {string|null} DB status name or null if unknown
+ */
+const normalizeStatusName = (input) => {
+    if (!input || typeof input !== 'string') return null;
+
+    const candidate = input.trim().toUpperCase().replace(/\s+/g, '_');
+    if (workflow.statuses[candidate]) return candidate;
+
+    const match = Object.entries(workflow.statuses).find(([, def]) => def.uiName === candidate);
+    return match ? match[0] : null;
+};
+
+/**
+ * Map a DB status name to the name used by the frontend
+ * @param {string} statusName - DB status name
+ * @returns {string} UI status name (unchanged if unknown)
+ */
+const toUiName = (statusName) => workflow.statuses[statusName]?.uiName || statusName;
+
+/**
+ * Whether a status ends the workflow
+ * @param {string} statusName - DB status name
+ * @returns {boolean}
+ */
+const isTerminal = (statusName) => Boolean(workflow.statuses[statusName]?.terminal);
+
+/**
+ * Statuses of requests that are still being worked on
+ * @type {string[]}
+ */
+const OPEN_STATUSES = Object.keys(workflow.statuses).filter(name => !isTerminal(name));
+
+/**
+ * Get the transitions allowed out of a status
+ * @param {string} fromName - Current DB status name
+ * @param {string} [actor] - 'staff' or 'requester'; omit to get every transition
+ * @returns {Array<Object>} Transition definitions
+ */
+const getAllowedTransitions = (fromName, actor) => {
+    if (isTerminal(fromName)) return [];
+
+    return workflow.transitions.filter(t =>
+        (t.from === fromName || t.from === '*') &&
+        t.to !== fromName &&
+        (!actor || (t.actors || ['staff']).includes(actor))
+    );
+};
+
+class RequestWorkflow {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Resolve a status given as ID, DB name or UI name
+     * @param {number|string} input - Status identifier
+     * @returns {Promise<Object|null>} { id, statusName } or null if unknown/inactive
+     */
+    async resolveStatus(input) {
+        if (input === undefined || input === null || input === '') return null;
+
+        const numericId = Number(input);
+        if (Number.isInteger(numericId) && numericId > 0) {
+            const rows = await this.dbManager.executeQuery(
+                'SELECT id, statusName FROM request_statuses WHERE id = ? AND isActive = TRUE',
+                [numericId]
+            );
+            return rows[0] && workflow.statuses[rows[0].statusName] ? rows[0] : null;
+        }
+
+        const statusName = normalizeStatusName(String(input));
+        if (!statusName) return null;
+
+        const rows = await this.dbManager.executeQuery(
+            'SELECT id, statusName FROM request_statuses WHERE statusName = ? AND isActive = TRUE',
+            [statusName]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Check whether a request may move to a status
+     * Moving to the status it is already in is treated as a no-op and allowed.
+     *
+     * @param {Object} request - Request row with status (DB name), paymentStatus and totalAmount
+     * @param {string} toName - Target DB status name
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Reason supplied by the caller
+     * @param {string} [options.actor] - 'staff' (default) or 'requester'
+     * @param {string} [options.via] - Dedicated endpoint making the move (key of DEDICATED_ROUTES)
+     * @returns {Object|null} null when allowed, otherwise { statusCode, error, message }
+     */
+    validateTransition(request, toName, { reason, actor = 'staff', via } = {}) {
+        const fromName = request.status || request.statusName;
+
+        if (fromName === toName) return null;
+
+        const transition = getAllowedTransitions(fromName, actor).find(t => t.to === toName);
+        if (!transition) {
+            const allowed = getAllowedTransitions(fromName, actor).map(t => toUiName(t.to));
+            return {
+                statusCode: 409,
+                error: 'Invalid status transition',
+                message: `Cannot move a request from ${toUiName(fromName)} to ${toUiName(toName)}.` +
+                    (allowed.length ? ` Allowed: ${allowed.join(', ')}.` : ' No further changes are allowed.')
+            };
+        }
+
+        if (transition.via && transition.via !== via) {
+            return {
+                statusCode: 409,
+                error: 'Use the dedicated endpoint',
+                message: `Requests are moved to ${toUiName(toName)} only through ${DEDICATED_ROUTES[transition.via]}`
+            };
+        }
+
+        if (transition.requiresReason && !(typeof reason === 'string' && reason.trim())) {
+            return {
+                statusCode: 400,
+                error: 'Reason required',
+                message: `A reason is required to move a request to ${toUiName(toName)}`
+            };
+        }
+
+        for (const guardName of transition.guards || []) {
+            const failure = GUARDS[guardName](request);
+            if (failure) {
+                return {
+                    statusCode: 409,
+                    error: 'Transition blocked',
+                    message: `Cannot move a request to ${toUiName(toName)}: ${failure}`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe the workflow as a graph for admins and the frontend
+     * @returns {Promise<Object>} { initialStatus, statuses, transitions }
+     */
+    async getGraph() {
+        const rows = await this.dbManager.executeQuery(
+            'SELECT id, statusName, isActive FROM request_statuses'
+        );
+        const byName = Object.fromEntries(rows.map(row => [row.statusName, row]));
+
+        const statuses = Object.entries(workflow.statuses).map(([name, def]) => ({
+            id: byName[name]?.id || null,
+            name,
+            uiName: def.uiName,
+            description: def.description,
+            terminal: Boolean(def.terminal),
+            configured: Boolean(byName[name]?.isActive)
+        }));
+
+        // Expand wildcard transitions so clients get explicit edges
+        const transitions = [];
+        for (const [name] of Object.entries(workflow.statuses)) {
+            for (const t of getAllowedTransitions(name)) {
+                transitions.push({
+                    from: name,
+                    to: t.to,
+                    requiresReason: Boolean(t.requiresReason),
+                    guards: t.guards || [],
+                    actors: t.actors || ['staff'],
+                    via: t.via || null
+                });
+            }
+        }
+
+        return { initialStatus: workflow.initialStatus, statuses, transitions };
+    }
+}
+
+module.exports = RequestWorkflow;
+module.exports.normalizeStatusName = normalizeStatusName;
+module.exports.toUiName = toUiName;
+module.exports.isTerminal = isTerminal;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.getAllowedTransitions = getAllowedTransitions;
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Requester notifications for request events
+ *
+ * One place for the request and staff controllers to notify a requester about
+ * their request on the channels they chose (see notificationPreferences.js):
+ * - allows: ask before sending an email the caller builds itself (the request
+ *   summary and the ready-for-pickup email with its QR code)
+ * - requestSubmitted / statusChanged: send the remaining emails and the SMS
+ *
+ * Notifications are best effort and never throw.
+ */
+
+const NotificationPreferences = require('./notificationPreferences');
+const SmsNotifier = require('./smsNotifier');
+
+// Request statuses (database names) that notify the requester, and their event
+const STATUS_EVENTS = {
+    PROCESSING: 'processing',
+    READY: 'ready',
+    DECLINE: 'declined'
+};
+
+class RequesterNotifier {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.preferences = new NotificationPreferences(dbManager);
+        this.sms = new SmsNotifier(dbManager);
+    }
+
+    /**
+     * Whether the requester of a request wants a notification on a channel
+     * @param {number} requestId - document_requests.id
+     * @param {string} event - submitted, processing, ready, declined or reminder
+     * @param {string} channel - email or sms
+     * @returns {Promise<boolean>}
+     */
+    allows = (requestId, event, channel) => this.preferences.allows(requestId, event, channel);
+
+    /**
+     * Get the email recipient of a request
+     * @param {number} requestId - document_requests.id
+     * @returns {Promise<Object|null>} { email, fullName, referenceNumber, documentType }
+     */
+    async getRecipient(requestId) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT
+                dr.referenceNumber,
+                COALESCE(s.email, a.email) as email,
+                CONCAT(COALESCE(s.firstName, a.firstName), ' ', COALESCE(s.surname, a.surname)) as fullName,
+                GROUP_CONCAT(DISTINCT dt.documentName ORDER BY dt.documentName SEPARATOR ', ') as documentType
+            FROM document_requests dr
+            LEFT JOIN students s ON dr.requesterId = s.id AND dr.requesterType = 'student'
+            LEFT JOIN alumni a ON dr.requesterId = a.id AND dr.requesterType = 'alumni'
+            LEFT JOIN request_documents rd ON rd.requestId = dr.id
+            LEFT JOIN document_types dt ON rd.documentTypeId = dt.id
+            WHERE dr.id = ?
+            GROUP BY dr.id
+        `, [requestId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Notify the requester that a request was submitted (SMS; the caller sends the summary email)
+     * @param {number} requestId - document_requests.id
+     * @returns {Promise<void>}
+     */
+    requestSubmitted = async (requestId) => {
+        await this.sms.notifyRequest(requestId, 'submitted');
+    };
+
+    /**
+     * Notify the requester that a request moved to a new status
+     * The ready-for-pickup email is sent by the caller, which issues the pickup QR code.
+     * @param {number} requestId - document_requests.id
+     * @param {string} statusName - New status (database name)
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Reason given with the change (shown when declined)
+     * @param {Object} [options.mailService] - Mail service for the processing and declined emails
+     * @returns {Promise<void>}
+     */
+    statusChanged = async (requestId, statusName, { reason, mailService } = {}) => {
+        const event = STATUS_EVENTS[statusName];
+        if (!event) return;
+
+        try {
+            if (event !== 'ready' && mailService && await this.allows(requestId, event, 'email')) {
+                const recipient = await this.getRecipient(requestId);
+
+                if (recipient?.email) {
+                    const data = {
+                        toEmail: recipient.email,
+                        fullName: recipient.fullName,
+                        referenceNumber: recipient.referenceNumber,
+                        documentType: recipient.documentType
+                    };
+                    if (event === 'processing') {
+                        await mailService.sendRequestProcessingEmail(data);
+                    } else {
+                        await mailService.sendRequestDeclinedEmail({ ...data, reason: reason ? String(reason).trim() : null });
+                    }
+                } else {
+                    console.warn(`⚠️ No requester email for request ${requestId}; skipping ${event} email`);
+                }
+            }
+        } catch (error) {
+            console.error(`Error sending ${event} email for request ${requestId}:`, error);
+        }
+
+        await this.sms.notifyRequest(requestId, event, { reason });
+    };
+}
+
+module.exports = RequesterNotifier;
+module.exports.STATUS_EVENTS = STATUS_EVENTS;
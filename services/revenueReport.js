@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Revenue and collection report
+ *
+ * Aggregates request_documents.totalPrice for requests submitted in a period.
+ * Billed counts every line of a request that was not declined or cancelled;
+ * collected counts the lines of requests whose payment status is PAID. Each
+ * total is compared with the period of the same length just before it.
+ */
+
+const { buildFilterSql } = require('./reportFilters');
+
+// Requests in these states never produce revenue
+const EXCLUDED_STATUSES = ['DECLINE', 'CANCELLED'];
+
+// Grouping of the timeline: SQL expression giving the first day of each bucket (YYYY-MM-DD)
+const INTERVALS = {
+    day: "DATE_FORMAT(dr.createdAt, '%Y-%m-%d')",
+    week: "DATE_FORMAT(DATE_SUB(dr.createdAt, INTERVAL WEEKDAY(dr.createdAt) DAY), '%Y-%m-%d')", // Weeks start on Monday
+    month: "DATE_FORMAT(dr.createdAt, '%Y-%m-01')"
+};
+
+// Breakdowns: SQL key and label per dimension
+const DIMENSIONS = {
+    documentType: { key: 'dt.id', label: 'dt.documentName' },
+    department: { key: 'd.department_id', label: 'd.department_name' },
+    requesterType: { key: 'dr.requesterType', label: 'dr.requesterType' }
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Get the period of the same number of days that ends the day before fromDate
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+const previousPeriod = (fromDate, toDate) => {
+    const from = new Date(`${fromDate}T00:00:00`);
+    const to = new Date(`${toDate}T00:00:00`);
+    const days = Math.round((to - from) / 86400000) + 1;
+
+    const previousTo = new Date(from);
+    previousTo.setDate(previousTo.getDate() - 1);
+    const previousFrom = new Date(from);
+    previousFrom.setDate(previousFrom.getDate() - days);
+
+    return { from: toDateString(previousFrom), to: toDateString(previousTo) };
+};
+
+/**
+ * Compare a value with the previous period
+ * @param {number} current - Value in the report period
+ * @param {number} previous - Value in the previous period
+ * @returns {Object} { amount, percent } (percent is null when previous is 0)
+ */
+const compare = (current, previous) => ({
+    amount: Number((current - previous).toFixed(2)),
+    percent: previous ? Number((((current - previous) / previous) * 100).toFixed(1)) : null
+});
+
+class RevenueReport {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Build the WHERE clause shared by every aggregate
+     * @param {string} fromDate - First day (YYYY-MM-DD)
+     * @param {string} toDate - Last day (YYYY-MM-DD)
+     * @param {number} [departmentId] - Department filter
+     * @param {Object} [filters] - Report filters (see services/reportFilters)
+     * @returns {Object} { where: string, params: array }
+     */
+    buildFilter(fromDate, toDate, departmentId, filters) {
+        let where = `
+            WHERE dr.createdAt BETWEEN ? AND ?
+              AND dr.deletedAt IS NULL
+              AND rs.statusName NOT IN (${EXCLUDED_STATUSES.map(() => '?').join(',')})`;
+        const params = [`${fromDate} 00:00:00`, `${toDate} 23:59:59`, ...EXCLUDED_STATUSES];
+
+        if (departmentId) {
+            where += ' AND dr.department_id = ?';
+            params.push(departmentId);
+        }
+
+        const extra = buildFilterSql(filters);
+        where += extra.sql;
+        params.push(...extra.params);
+
+        return { where, params };
+    }
+
+    /**
+     * Sum billed and collected amounts, optionally grouped
+     * @param {Object} filter - { where, params } from buildFilter
+     * @param {string} [groupKey] - SQL expression to group by
+     * @param {string} [groupLabel] - SQL expression naming each group
+     * @returns {Promise<Array>} Rows with key, label, requests, quantity, billed, collected
+     */
+    async aggregate({ where, params }, groupKey, groupLabel) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT
+                ${groupKey ? `${groupKey} as \`key\`, MAX(${groupLabel || groupKey}) as label,` : ''}
+                COUNT(DISTINCT dr.id) as requests,
+                COALESCE(SUM(rd.quantity), 0) as quantity,
+                COALESCE(SUM(rd.totalPrice), 0) as billed,
+                COALESCE(SUM(CASE WHEN dr.paymentStatus = 'PAID' THEN rd.totalPrice ELSE 0 END), 0) as collected
+            FROM document_requests dr
+            JOIN request_documents rd ON dr.id = rd.requestId
+            JOIN document_types dt ON rd.documentTypeId = dt.id
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            LEFT JOIN departments d ON dr.department_id = d.department_id
+            ${where}
+            ${groupKey ? `GROUP BY ${groupKey} ORDER BY ${groupKey}` : ''}
+        `, params);
+
+        // DECIMAL sums arrive as strings from mysql2
+        return rows.map(row => ({
+            ...row,
+            requests: Number(row.requests),
+            quantity: Number(row.quantity),
+            billed: Number(row.billed),
+            collected: Number(row.collected)
+        }));
+    }
+
+    /**
+     * Group a breakdown by key, pairing current and previous period amounts
+     * @param {Array} current - Rows of the report period
+     * @param {Array} previous - Rows of the previous period
+     * @returns {Array} Breakdown sorted by billed amount, highest first
+     */
+    mergeBreakdown(current, previous) {
+        const previousByKey = new Map(previous.map(row => [String(row.key), row]));
+
+        const merged = current.map(row => {
+            const before = previousByKey.get(String(row.key));
+            previousByKey.delete(String(row.key));
+            return this.withComparison(row, before);
+        });
+
+        // Groups that only had revenue in the previous period
+        for (const before of previousByKey.values()) {
+            merged.push(this.withComparison({ ...before, requests: 0, quantity: 0, billed: 0, collected: 0 }, before));
+        }
+
+        return merged.sort((a, b) => b.billed - a.billed);
+    }
+
+    /**
+     * Attach the previous period's amounts and the change to a row
+     * @param {Object} row - Current period row
+     * @param {Object} [before] - Previous period row
+     * @returns {Object} Row with previousBilled, previousCollected and change
+     */
+    withComparison(row, before) {
+        const previousBilled = before ? before.billed : 0;
+        const previousCollected = before ? before.collected : 0;
+
+        return {
+            ...row,
+            previousBilled,
+            previousCollected,
+            change: {
+                billed: compare(row.billed, previousBilled),
+                collected: compare(row.collected, previousCollected)
+            }
+        };
+    }
+
+    /**
+     * Build the revenue report
+     * @param {Object} options
+     * @param {string} options.fromDate - First day (YYYY-MM-DD)
+     * @param {string} options.toDate - Last day (YYYY-MM-DD)
+     * @param {number} [options.departmentId] - Department filter
+     * @param {Object} [options.filters] - Report filters (see services/reportFilters)
+     * @param {string} [options.interval] - Timeline grouping: day, week or month
+     * @returns {Promise<Object>} Totals, breakdowns and timeline
+     */
+    async build({ fromDate, toDate, departmentId, filters, interval = 'day' }) {
+        const previous = previousPeriod(fromDate, toDate);
+        const currentFilter = this.buildFilter(fromDate, toDate, departmentId, filters);
+        const previousFilter = this.buildFilter(previous.from, previous.to, departmentId, filters);
+
+        const [[totals], [previousTotals]] = await Promise.all([
+            this.aggregate(currentFilter),
+            this.aggregate(previousFilter)
+        ]);
+
+        const breakdowns = {};
+        for (const [name, { key, label }] of Object.entries(DIMENSIONS)) {
+            const [current, before] = await Promise.all([
+                this.aggregate(currentFilter, key, label),
+                this.aggregate(previousFilter, key, label)
+            ]);
+            breakdowns[name] = this.mergeBreakdown(current, before);
+        }
+
+        const timeline = await this.aggregate(currentFilter, INTERVALS[interval]);
+
+        return {
+            period: { from: fromDate, to: toDate },
+            previousPeriod: previous,
+            interval,
+            totals: this.withComparison(totals, previousTotals),
+            byDocumentType: breakdowns.documentType,
+            byDepartment: breakdowns.department,
+            byRequesterType: breakdowns.requesterType,
+            timeline: timeline.map(({ key, label, ...row }) => ({ periodStart: key, ...row }))
+        };
+    }
+}
+
+module.exports = RevenueReport;
+module.exports.INTERVALS = INTERVALS;
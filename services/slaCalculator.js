@@ -0,0 +1,130 @@
+/**
+ * @fileoverview SLA calculator
+ *
+ * Each document type has a processing target in working days
+ * (document_types.processingDays). A request is due that many working days
+ * after it is submitted, using the slowest document on the request. Working
+ * days are Monday to Friday, except dates the transaction calendar resolves
+ * to 'no transaction' (explicit or imported days, then weekly rules).
+ *
+ * Only requests still being worked on (SLA_STATUSES) can be at risk or
+ * overdue; READY requests are finished and only wait for pickup.
+ */
+
+const { DEFAULT_PROCESSING_DAYS } = require('../models/Document');
+const TransactionCalendar = require('./transactionCalendar');
+
+// Closures are read from the calendar in windows of this many calendar days
+const CLOSURE_WINDOW_DAYS = 60;
+
+// Statuses the SLA clock runs in (database names)
+const SLA_STATUSES = ['PENDING', 'PROCESSING'];
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * SQL expression classifying a request against its due date
+ * Evaluates to 'overdue', 'at_risk', 'on_track' or NULL when the request has no
+ * due date or (given the status alias) is not in one of the SLA_STATUSES.
+ * @param {string} alias - Table alias of document_requests
+ * @param {string} [statusAlias] - Table alias of request_statuses
+ * @returns {string} SQL fragment
+ */
+const slaStatusSql = (alias, statusAlias = null) => {
+    const configured = parseInt(process.env.SLA_AT_RISK_DAYS);
+    const atRiskDays = isNaN(configured) ? 1 : configured;
+    const statusGuard = statusAlias
+        ? `WHEN ${statusAlias}.statusName NOT IN (${SLA_STATUSES.map(status => `'${status}'`).join(', ')}) THEN NULL`
+        : '';
+    return `
+    CASE
+        ${statusGuard}
+        WHEN ${alias}.dueDate IS NULL THEN NULL
+        WHEN ${alias}.dueDate < CURDATE() THEN 'overdue'
+        WHEN ${alias}.dueDate <= CURDATE() + INTERVAL ${atRiskDays} DAY THEN 'at_risk'
+        ELSE 'on_track'
+    END`;
+};
+
+class SlaCalculator {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.calendar = new TransactionCalendar(dbManager);
+    }
+
+    /**
+     * Get the dates in a range the calendar resolves to 'no transaction'
+     * @param {Date} from - First date (inclusive)
+     * @param {Date} to - Last date (inclusive)
+     * @returns {Promise<Set<string>>} Closed dates as YYYY-MM-DD
+     */
+    async getClosedDates(from, to) {
+        const resolved = await this.calendar.resolveRange(toDateString(from), toDateString(to));
+        return new Set([...resolved.values()].filter(day => !day.available).map(day => day.date));
+    }
+
+    /**
+     * Add working days to a date, skipping weekends and closures
+     * @param {Date} start - Day the count starts from (not itself counted)
+     * @param {number} workingDays - Working days to add
+     * @returns {Promise<string>} Due date as YYYY-MM-DD
+     */
+    async addWorkingDays(start, workingDays) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        let remaining = workingDays;
+        let windowEnd = null;
+        let closed = new Set();
+
+        while (remaining > 0) {
+            date.setDate(date.getDate() + 1);
+
+            if (!windowEnd || date > windowEnd) {
+                windowEnd = new Date(date);
+                windowEnd.setDate(windowEnd.getDate() + CLOSURE_WINDOW_DAYS);
+                closed = await this.getClosedDates(date, windowEnd);
+            }
+
+            const weekday = date.getDay();
+            if (weekday !== 0 && weekday !== 6 && !closed.has(toDateString(date))) {
+                remaining--;
+            }
+        }
+
+        return toDateString(date);
+    }
+
+    /**
+     * Compute the due date of a new request
+     * @param {Array<number>} documentTypeIds - Document types on the request
+     * @param {Date} [submittedAt] - Submission time (defaults to now)
+     * @returns {Promise<string|null>} Due date as YYYY-MM-DD, or null without documents
+     */
+    async computeDueDate(documentTypeIds, submittedAt = new Date()) {
+        if (!documentTypeIds || documentTypeIds.length === 0) return null;
+
+        const rows = await this.dbManager.executeQuery(
+            `SELECT MAX(processingDays) as processingDays FROM document_types WHERE id IN (${documentTypeIds.map(() => '?').join(',')})`,
+            documentTypeIds
+        );
+        const processingDays = rows[0]?.processingDays ?? DEFAULT_PROCESSING_DAYS;
+
+        return await this.addWorkingDays(submittedAt, processingDays);
+    }
+}
+
+module.exports = SlaCalculator;
+module.exports.slaStatusSql = slaStatusSql;
+module.exports.SLA_STATUSES = SLA_STATUSES;
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview SLA escalation
+ *
+ * Emails each department head (departments.head_email) the pending and
+ * processing requests of their department that are past their due date. A request is escalated once:
+ * document_requests.escalatedAt is set when the email goes out, and a note is
+ * added to request_tracking. Departments without a head are retried on the
+ * next run.
+ */
+
+const DocumentRequest = require('../models/DocumentRequest');
+const { toUiName } = require('./requestWorkflow');
+const { SLA_STATUSES } = require('./slaCalculator');
+
+class SlaEscalation {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(dbManager, mailService) {
+        this.dbManager = dbManager;
+        this.mailService = mailService;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+    }
+
+    /**
+     * Get breached requests that have not been escalated yet
+     * @returns {Promise<Array>} Requests with department and assignee details
+     */
+    async getPendingEscalations() {
+        return await this.dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber, dr.statusId, dr.dueDate, dr.createdAt,
+                rs.statusName as status,
+                d.department_id, d.department_name, d.head_email,
+                CONCAT(u.firstName, ' ', u.lastName) as assignee,
+                DATEDIFF(CURDATE(), dr.dueDate) as daysOverdue
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            JOIN departments d ON dr.department_id = d.department_id
+            LEFT JOIN users u ON dr.processedBy = u.id
+            WHERE dr.deletedAt IS NULL
+              AND dr.escalatedAt IS NULL
+              AND dr.dueDate < CURDATE()
+              AND rs.statusName IN (${SLA_STATUSES.map(() => '?').join(',')})
+            ORDER BY d.department_id, dr.dueDate ASC
+        `, SLA_STATUSES);
+    }
+
+    /**
+     * Escalate every breached request to its department head
+     * @returns {Promise<number>} Number of requests escalated
+     */
+    async run() {
+        const breached = await this.getPendingEscalations();
+        if (breached.length === 0) return 0;
+
+        const byDepartment = new Map();
+        for (const request of breached) {
+            if (!byDepartment.has(request.department_id)) byDepartment.set(request.department_id, []);
+            byDepartment.get(request.department_id).push(request);
+        }
+
+        let escalated = 0;
+        for (const requests of byDepartment.values()) {
+            const { department_name: departmentName, head_email: headEmail } = requests[0];
+
+            if (!headEmail) {
+                console.warn(`⚠️ ${requests.length} overdue request(s) in ${departmentName} not escalated: no department head email set`);
+                continue;
+            }
+
+            const sent = await this.mailService.sendSlaEscalationEmail({
+                toEmail: headEmail,
+                departmentName,
+                requests: requests.map(request => ({ ...request, status: toUiName(request.status) }))
+            });
+            if (!sent) continue;
+
+            const ids = requests.map(request => request.id);
+            await this.dbManager.executeQuery(
+                `UPDATE document_requests SET escalatedAt = NOW() WHERE id IN (${ids.map(() => '?').join(',')})`,
+                ids
+            );
+            for (const request of requests) {
+                await this.documentRequestModel.addTrackingEntry(
+                    request.id,
+                    request.statusId,
+                    `Overdue by ${request.daysOverdue} day(s); escalated to the ${departmentName} head (${headEmail})`
+                );
+            }
+            escalated += requests.length;
+        }
+
+        return escalated;
+    }
+}
+
+module.exports = SlaEscalation;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Local file SMS provider
+ *
+ * Used in development and as the default adapter. Nothing is sent: each message
+ * is appended as a JSON line to SMS_LOG_FILE (default logs/sms.log) and echoed
+ * to the console. Replies are simulated by POSTing { from, text } to
+ * /api/sms/inbound/file with an `x-sms-signature` header holding
+ * HMAC-SHA256(SMS_WEBHOOK_SECRET, rawBody).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SmsProvider = require('./SmsProvider');
+
+class FileSmsProvider extends SmsProvider {
+    constructor() {
+        super('file');
+        this.acceptsReplies = true;
+        this.logFile = path.resolve(process.env.SMS_LOG_FILE || path.join('logs', 'sms.log'));
+        this.secret = process.env.SMS_WEBHOOK_SECRET || '';
+    }
+
+    send = async ({ to, message }) => {
+        const providerMessageId = `FILE-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        const line = JSON.stringify({ id: providerMessageId, to, message, sentAt: new Date().toISOString() });
+
+        await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+        await fs.promises.appendFile(this.logFile, `${line}\n`);
+        console.log(`📱 SMS to ${to}: ${message}`);
+
+        return { providerMessageId };
+    };
+
+    verifyInbound = (req) => {
+        if (!this.secret) {
+            console.warn('⚠️ SMS_WEBHOOK_SECRET is not set; rejecting inbound SMS callback');
+            return false;
+        }
+
+        const expected = SmsProvider.sign(this.secret, req.rawBody || '');
+        return SmsProvider.signaturesMatch(expected, req.get('x-sms-signature'));
+    };
+
+    parseInbound = (body) => {
+        if (!body?.from || typeof body.text !== 'string') return null;
+        return { from: String(body.from), text: body.text };
+    };
+}
+
+module.exports = FileSmsProvider;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Semaphore SMS provider adapter
+ *
+ * Sends through the Semaphore (semaphore.co) messages API, the usual gateway for
+ * Philippine networks. Semaphore has no inbound callback, so replies such as
+ * STOP are not received; requesters opt out through the requester portal.
+ *
+ * Environment:
+ * - SEMAPHORE_API_KEY: API key
+ * - SEMAPHORE_SENDER_NAME: approved sender name (optional, max 11 characters)
+ */
+
+const SmsProvider = require('./SmsProvider');
+
+const API_URL = 'https://api.semaphore.co/api/v4/messages';
+
+class SemaphoreProvider extends SmsProvider {
+    constructor() {
+        super('semaphore');
+        this.apiKey = process.env.SEMAPHORE_API_KEY || '';
+        this.senderName = process.env.SEMAPHORE_SENDER_NAME || '';
+    }
+
+    send = async ({ to, message }) => {
+        if (!this.apiKey) {
+            throw new Error('SEMAPHORE_API_KEY is not configured');
+        }
+
+        const params = new URLSearchParams({
+            apikey: this.apiKey,
+            // Semaphore expects local numbers (09XXXXXXXXX or 639XXXXXXXXX)
+            number: to.replace(/^\+/, ''),
+            message
+        });
+        if (this.senderName) params.set('sendername', this.senderName);
+
+        const response = await fetch(API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params.toString(),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !Array.isArray(body)) {
+            const detail = body && !Array.isArray(body)
+                ? Object.values(body).flat().join(' ')
+                : response.statusText;
+            throw new Error(`Semaphore request failed: ${detail}`);
+        }
+
+        return { providerMessageId: body[0]?.message_id ? String(body[0].message_id) : null };
+    };
+}
+
+module.exports = SemaphoreProvider;
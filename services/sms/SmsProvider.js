@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Base class for SMS provider adapters
+ *
+ * Every provider (local file stub, Semaphore, Twilio, ...) implements the same
+ * small surface so SmsNotifier never talks to a provider directly:
+ * - send: deliver one text message to an E.164 number
+ * - verifyInbound: check that an incoming keyword callback is authentic
+ * - parseInbound: translate a callback into { from, text }
+ */
+
+const crypto = require('crypto');
+
+class SmsProvider {
+    /**
+     * @param {string} name - Adapter name stored in sms_messages.provider
+     */
+    constructor(name) {
+        this.name = name;
+        // Whether replies (STOP) reach us through verifyInbound / parseInbound
+        this.acceptsReplies = false;
+        // Texts are sent while API requests wait, so a provider call never hangs longer than this
+        this.timeoutMs = (parseInt(process.env.SMS_TIMEOUT_SECONDS) || 5) * 1000;
+    }
+
+    /**
+     * Send a text message
+     * @param {Object} options
+     * @param {string} options.to - Recipient in E.164 form (+639171234567)
+     * @param {string} options.message - Message text
+     * @returns {Promise<{providerMessageId: string|null}>}
+     */
+    async send(options) {
+        throw new Error(`${this.name} SMS provider does not implement send`);
+    }
+
+    /**
+     * Verify an inbound message callback (replies such as STOP)
+     * @param {Object} req - Express request object (req.rawBody holds an unparsed JSON body)
+     * @returns {boolean} True when the call is authentic
+     */
+    verifyInbound(req) {
+        return false;
+    }
+
+    /**
+     * Translate an inbound callback into a message
+     * @param {Object} body - Parsed callback body
+     * @returns {Object|null} { from, text } or null to ignore the call
+     */
+    parseInbound(body) {
+        return null;
+    }
+
+    /**
+     * Answer an accepted inbound callback
+     * @param {Object} res - Express response object
+     * @param {Object} body - JSON acknowledgement
+     */
+    acknowledgeInbound(res, body) {
+        res.json(body);
+    }
+
+    /**
+     * Compute a hex HMAC-SHA256 signature
+     * @param {string} secret - Shared secret
+     * @param {string|Buffer} payload - Data to sign
+     * @returns {string} Hex digest
+     */
+    static sign(secret, payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Compare two signatures in constant time
+     * @param {string} expected - Signature we computed
+     * @param {string} received - Signature sent by the caller
+     * @returns {boolean}
+     */
+    static signaturesMatch(expected, received) {
+        if (!expected || !received) return false;
+
+        const a = Buffer.from(String(expected), 'utf8');
+        const b = Buffer.from(String(received), 'utf8');
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+}
+
+module.exports = SmsProvider;
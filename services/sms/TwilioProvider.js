@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Twilio SMS provider adapter
+ *
+ * Sends through the Twilio Messages API and accepts Twilio's incoming-message
+ * webhook (configure the number's messaging URL as /api/sms/inbound/twilio),
+ * verifying the `X-Twilio-Signature` header.
+ *
+ * Environment:
+ * - TWILIO_ACCOUNT_SID: account SID
+ * - TWILIO_AUTH_TOKEN: auth token (also signs webhooks)
+ * - TWILIO_FROM_NUMBER: sending number in E.164 form
+ */
+
+const crypto = require('crypto');
+const SmsProvider = require('./SmsProvider');
+
+const API_BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+class TwilioProvider extends SmsProvider {
+    constructor() {
+        super('twilio');
+        this.acceptsReplies = true;
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID || '';
+        this.authToken = process.env.TWILIO_AUTH_TOKEN || '';
+        this.fromNumber = process.env.TWILIO_FROM_NUMBER || '';
+    }
+
+    send = async ({ to, message }) => {
+        if (!this.accountSid || !this.authToken || !this.fromNumber) {
+            throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER must be configured');
+        }
+
+        const response = await fetch(`${API_BASE_URL}/Accounts/${this.accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`
+            },
+            body: new URLSearchParams({ To: to, From: this.fromNumber, Body: message }).toString(),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Twilio request failed: ${body?.message || response.statusText}`);
+        }
+
+        return { providerMessageId: body.sid || null };
+    };
+
+    verifyInbound = (req) => {
+        const received = req.get('x-twilio-signature');
+        if (!received || !this.authToken) return false;
+
+        // Signature: base64 HMAC-SHA1 of the full URL followed by each POST param (sorted) as name+value
+        const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        const params = req.body || {};
+        const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+        const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest('base64');
+
+        return SmsProvider.signaturesMatch(expected, received);
+    };
+
+    parseInbound = (body) => {
+        if (!body?.From || typeof body.Body !== 'string') return null;
+        return { from: String(body.From), text: body.Body };
+    };
+
+    acknowledgeInbound = (res) => {
+        // An empty TwiML response: Twilio sends no automatic reply
+        res.type('text/xml').send('<Response></Response>');
+    };
+}
+
+module.exports = TwilioProvider;
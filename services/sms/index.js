@@ -0,0 +1,65 @@
+/**
+ * @fileoverview SMS provider registry and phone number helpers
+ *
+ * SMS_PROVIDER selects the adapter used for outgoing messages (default outside
+ * production: file, which only writes to a log; config/env.js requires it to be
+ * set in production). Inbound callbacks name their adapter in the URL.
+ */
+
+const FileSmsProvider = require('./FileSmsProvider');
+const SemaphoreProvider = require('./SemaphoreProvider');
+const TwilioProvider = require('./TwilioProvider');
+
+const PROVIDERS = {
+    file: FileSmsProvider,
+    semaphore: SemaphoreProvider,
+    twilio: TwilioProvider
+};
+
+/**
+ * Get a provider adapter by name
+ * @param {string} [name] - Adapter name; defaults to SMS_PROVIDER
+ * @returns {Object|null} Provider instance or null if unknown
+ */
+const getProvider = (name = process.env.SMS_PROVIDER || 'file') => {
+    const Provider = PROVIDERS[String(name).toLowerCase()];
+    return Provider ? new Provider() : null;
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Philippine mobile numbers are accepted in the forms people type them
+ * (0917 123 4567, 917-123-4567, 63917..., +63 917...) and become +639XXXXXXXXX.
+ * Numbers already in international form (+ and country code) are kept.
+ * @param {string} value - Number as entered (contactNo)
+ * @returns {string|null} E.164 number, or null when it cannot be texted
+ */
+const normalizePhoneNumber = (value) => {
+    if (value === undefined || value === null) return null;
+
+    const raw = String(value).trim();
+    const digits = raw.replace(/[\s().-]/g, '');
+    if (!/^\+?\d+$/.test(digits)) return null;
+
+    const local = digits.replace(/^(\+?63|0)(?=9\d{9}$)/, '');
+    if (/^9\d{9}$/.test(local)) return `+63${local}`;
+
+    if (digits.startsWith('+') && !digits.startsWith('+63') && /^\+[1-9]\d{7,14}$/.test(digits)) {
+        return digits;
+    }
+
+    return null;
+};
+
+/**
+ * Mask a phone number for logs and API responses
+ * @param {string} phoneNumber - E.164 number
+ * @returns {string} e.g. +63917*****67
+ */
+const maskPhoneNumber = (phoneNumber) => {
+    const value = String(phoneNumber || '');
+    if (value.length <= 6) return value;
+    return `${value.slice(0, 6)}${'*'.repeat(value.length - 8)}${value.slice(-2)}`;
+};
+
+module.exports = { getProvider, normalizePhoneNumber, maskPhoneNumber, PROVIDER_NAMES: Object.keys(PROVIDERS) };
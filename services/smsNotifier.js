@@ -0,0 +1,238 @@
+/**
+ * @fileoverview SMS notifications for request status changes
+ *
+ * Texts the requester's contactNo (students / alumni) when a request is
+ * submitted, starts processing, becomes READY or is declined, and for pickup
+ * reminders, if the requester's notification preferences allow SMS for that
+ * event. Numbers are normalized to E.164; numbers that cannot be texted or are
+ * on the sms_opt_outs list are skipped. Every attempt, sent, failed or skipped,
+ * is written to sms_messages.
+ *
+ * Notifications are best effort: notifyRequest never throws, so a provider
+ * outage cannot fail the status change that triggered it.
+ *
+ * Opt-out: replying STOP (or UNSUBSCRIBE, CANCEL, END, QUIT, STOPALL) through a
+ * provider with inbound callbacks adds the number to sms_opt_outs; START or
+ * UNSTOP removes it. Requesters can also opt out from the requester portal.
+ */
+
+const NotificationPreferences = require('./notificationPreferences');
+const { getProvider, normalizePhoneNumber, maskPhoneNumber } = require('./sms');
+
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+
+// Two SMS segments; longer decline reasons are cut
+const MAX_MESSAGE_LENGTH = 306;
+
+const EVENTS = {
+    submitted: (request) =>
+        `Registrar: We received your document request ${request.referenceNumber}. ` +
+        'We will text you when it is ready for pickup.',
+    processing: (request) =>
+        `Registrar: Your request ${request.referenceNumber} is now being processed.`,
+    ready: (request) =>
+        `Registrar: Your request ${request.referenceNumber} is READY FOR PICKUP. ` +
+        'Show the pickup QR code from your email or the requester portal and bring a valid ID.',
+    declined: (request, { reason } = {}) =>
+        `Registrar: Your request ${request.referenceNumber} was declined` +
+        (reason ? `. Reason: ${String(reason).trim()}` : '. Please contact the Registrar Office for details.'),
+    reminder: (request, { pickupDate } = {}) =>
+        `Registrar: Reminder - your documents for request ${request.referenceNumber} are ready for pickup` +
+        (pickupDate ? ` on ${pickupDate}.` : '. Please claim them at the Registrar Office.')
+};
+
+class SmsNotifier {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     * @param {Object} [provider] - SMS provider adapter; defaults to SMS_PROVIDER
+     */
+    constructor(dbManager, provider = getProvider()) {
+        this.dbManager = dbManager;
+        this.provider = provider;
+        this.preferences = new NotificationPreferences(dbManager);
+    }
+
+    /**
+     * Build the message text for an event
+     * @param {string} event - submitted, processing, ready, declined or reminder
+     * @param {Object} request - Request with referenceNumber
+     * @param {Object} [options] - { reason } or { pickupDate }
+     * @returns {string} Message
+     */
+    buildMessage(event, request, options) {
+        let message = EVENTS[event](request, options);
+        const footer = this.provider.acceptsReplies ? ' Reply STOP to opt out.' : '';
+
+        if (message.length + footer.length > MAX_MESSAGE_LENGTH) {
+            message = `${message.slice(0, MAX_MESSAGE_LENGTH - footer.length - 3).trimEnd()}...`;
+        }
+        return message + footer;
+    }
+
+    /**
+     * Get a request with the requester's contact number
+     * @param {number} requestId - Request ID
+     * @returns {Promise<Object|null>} { id, referenceNumber, contactNo }
+     */
+    async getRequestContact(requestId) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.referenceNumber,
+                CASE
+                    WHEN dr.requesterType = 'student' THEN s.contactNo
+                    ELSE a.contactNo
+                END as contactNo
+            FROM document_requests dr
+            LEFT JOIN students s ON dr.requesterType = 'student' AND dr.requesterId = s.id
+            LEFT JOIN alumni a ON dr.requesterType = 'alumni' AND dr.requesterId = a.id
+            WHERE dr.id = ?
+        `, [requestId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Get the mobile numbers on file for a requester email (student and alumni records)
+     * @param {string} email - Requester email, lowercased
+     * @returns {Promise<Array>} Distinct E.164 numbers with their opt-out state
+     */
+    async getRequesterNumbers(email) {
+        const rows = await this.dbManager.executeQuery(`
+            SELECT contactNo FROM students WHERE LOWER(TRIM(email)) = ? AND contactNo IS NOT NULL
+            UNION
+            SELECT contactNo FROM alumni WHERE LOWER(TRIM(email)) = ? AND contactNo IS NOT NULL
+        `, [email, email]);
+
+        const numbers = [...new Set(rows.map(row => normalizePhoneNumber(row.contactNo)).filter(Boolean))];
+        const result = [];
+        for (const phoneNumber of numbers) {
+            result.push({ phoneNumber, optedOut: await this.isOptedOut(phoneNumber) });
+        }
+        return result;
+    }
+
+    /**
+     * Whether a number has opted out of SMS notifications
+     * @param {string} phoneNumber - E.164 number
+     * @returns {Promise<boolean>}
+     */
+    async isOptedOut(phoneNumber) {
+        const rows = await this.dbManager.executeQuery(
+            'SELECT id FROM sms_opt_outs WHERE phoneNumber = ? LIMIT 1',
+            [phoneNumber]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Stop sending SMS to a number
+     * @param {string} phoneNumber - E.164 number
+     * @param {string} [source] - keyword, requester or staff
+     * @returns {Promise<void>}
+     */
+    async optOut(phoneNumber, source = 'keyword') {
+        await this.dbManager.executeQuery(
+            'INSERT IGNORE INTO sms_opt_outs (phoneNumber, source) VALUES (?, ?)',
+            [phoneNumber, source]
+        );
+    }
+
+    /**
+     * Resume sending SMS to a number
+     * @param {string} phoneNumber - E.164 number
+     * @returns {Promise<void>}
+     */
+    async optIn(phoneNumber) {
+        await this.dbManager.executeQuery('DELETE FROM sms_opt_outs WHERE phoneNumber = ?', [phoneNumber]);
+    }
+
+    /**
+     * Act on a reply received through a provider callback
+     * @param {Object} inbound - { from, text } from provider.parseInbound
+     * @returns {Promise<string|null>} 'opted_out', 'opted_in' or null when the text is not a keyword
+     */
+    async handleInbound({ from, text }) {
+        const phoneNumber = normalizePhoneNumber(from);
+        if (!phoneNumber) return null;
+
+        const keyword = String(text || '').trim().split(/\s+/)[0].toUpperCase();
+
+        if (OPT_OUT_KEYWORDS.includes(keyword)) {
+            await this.optOut(phoneNumber, 'keyword');
+            console.log(`📵 ${maskPhoneNumber(phoneNumber)} opted out of SMS notifications`);
+            return 'opted_out';
+        }
+        if (OPT_IN_KEYWORDS.includes(keyword)) {
+            await this.optIn(phoneNumber);
+            console.log(`📱 ${maskPhoneNumber(phoneNumber)} opted back in to SMS notifications`);
+            return 'opted_in';
+        }
+        return null;
+    }
+
+    /**
+     * Record a delivery attempt
+     * @param {Object} entry - sms_messages columns
+     * @returns {Promise<void>}
+     */
+    async log({ requestId, toNumber, event, message, status, providerMessageId = null, error = null }) {
+        await this.dbManager.executeQuery(
+            `INSERT INTO sms_messages (requestId, toNumber, event, message, provider, status, providerMessageId, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [requestId, toNumber, event, message, this.provider.name, status, providerMessageId,
+                error ? String(error).slice(0, 255) : null]
+        );
+    }
+
+    /**
+     * Text the requester about a request event
+     * @param {number} requestId - Request ID
+     * @param {string} event - submitted, processing, ready, declined or reminder
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Decline reason
+     * @param {string} [options.pickupDate] - Formatted pickup date for reminders
+     * @returns {Promise<string|null>} Logged status (sent, failed, skipped) or null if nothing was attempted
+     */
+    notifyRequest = async (requestId, event, options = {}) => {
+        try {
+            if (!EVENTS[event] || !this.provider) return null;
+
+            // Requesters who chose no SMS for this event are not texted (and nothing is logged)
+            if (!(await this.preferences.allows(requestId, event, 'sms'))) return null;
+
+            const request = await this.getRequestContact(requestId);
+            if (!request) return null;
+
+            const message = this.buildMessage(event, request, options);
+            const toNumber = normalizePhoneNumber(request.contactNo);
+            const entry = { requestId: request.id, toNumber, event, message };
+
+            if (!toNumber) {
+                await this.log({ ...entry, status: 'skipped', error: 'No valid mobile number' });
+                return 'skipped';
+            }
+            if (await this.isOptedOut(toNumber)) {
+                await this.log({ ...entry, status: 'skipped', error: 'Number opted out' });
+                return 'skipped';
+            }
+
+            try {
+                const { providerMessageId } = await this.provider.send({ to: toNumber, message });
+                await this.log({ ...entry, status: 'sent', providerMessageId });
+                console.log(`✅ ${event} SMS sent to ${maskPhoneNumber(toNumber)} for request ${request.referenceNumber}`);
+                return 'sent';
+            } catch (sendError) {
+                await this.log({ ...entry, status: 'failed', error: sendError.message });
+                console.error(`❌ Failed to send ${event} SMS for request ${request.referenceNumber}:`, sendError.message);
+                return 'failed';
+            }
+        } catch (error) {
+            console.error('SMS notification error:', error);
+            return null;
+        }
+    };
+}
+
+module.exports = SmsNotifier;
+module.exports.OPT_OUT_KEYWORDS = OPT_OUT_KEYWORDS;
+module.exports.OPT_IN_KEYWORDS = OPT_IN_KEYWORDS;
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Staff assignment service
+ *
+ * Picks the staff member (document_requests.processedBy) who handles a new
+ * request, using the strategy configured for the request's department in
+ * department_assignment_settings:
+ * - round_robin: cycle through the department's staff in ID order
+ * - least_open: staff member with the fewest open requests
+ * - manual: leave the request unassigned for an admin to assign
+ *
+ * Only active staff who belong to the department through user_departments
+ * are eligible, and staff who are out of office get no new requests. Admins
+ * can also reassign a single request or rebalance the open requests of a
+ * department; every move is written to request_tracking.
+ */
+
+const DocumentRequest = require('../models/DocumentRequest');
+const { outOfOfficeCondition } = require('../models/User');
+const { OPEN_STATUSES } = require('./requestWorkflow');
+const realtime = require('./realtime');
+
+const STRATEGIES = ['round_robin', 'least_open', 'manual'];
+const DEFAULT_STRATEGY = 'round_robin';
+
+class StaffAssignment {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.documentRequestModel = new DocumentRequest(dbManager);
+    }
+
+    /**
+     * Get the active staff of a department with their open workload
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<Array>} Staff rows ({ id, firstName, lastName, outOfOffice, openRequests }) in ID order
+     */
+    async getEligibleStaff(departmentId) {
+        const placeholders = OPEN_STATUSES.map(() => '?').join(',');
+        const query = `
+            SELECT
+                u.id, u.firstName, u.lastName,
+                ${outOfOfficeCondition('u')} as outOfOffice,
+                (SELECT COUNT(*)
+                 FROM document_requests dr
+                 JOIN request_statuses rs ON dr.statusId = rs.id
+                 WHERE dr.processedBy = u.id AND dr.deletedAt IS NULL
+                   AND rs.statusName IN (${placeholders})) as openRequests
+            FROM users u
+            JOIN user_departments ud ON ud.user_id = u.id
+            WHERE ud.department_id = ? AND u.role = 'staff' AND u.isActive = TRUE
+            ORDER BY u.id ASC
+        `;
+        const staff = await this.dbManager.executeQuery(query, [...OPEN_STATUSES, departmentId]);
+        return staff.map(member => ({ ...member, outOfOffice: Boolean(member.outOfOffice) }));
+    }
+
+    /**
+     * Get the assignment strategy of a department
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<string>} Strategy name
+     */
+    async getStrategy(departmentId) {
+        const rows = await this.dbManager.executeQuery(
+            'SELECT strategy FROM department_assignment_settings WHERE department_id = ?',
+            [departmentId]
+        );
+        return rows[0]?.strategy || DEFAULT_STRATEGY;
+    }
+
+    /**
+     * Set the assignment strategy of a department
+     * @param {number} departmentId - Department ID
+     * @param {string} strategy - One of STRATEGIES
+     * @param {number} updatedBy - Admin user ID
+     * @returns {Promise<void>}
+     */
+    async setStrategy(departmentId, strategy, updatedBy) {
+        await this.dbManager.executeQuery(
+            `INSERT INTO department_assignment_settings (department_id, strategy, updatedBy)
+             VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE strategy = VALUES(strategy), updatedBy = VALUES(updatedBy)`,
+            [departmentId, strategy, updatedBy]
+        );
+    }
+
+    /**
+     * List every department with its strategy and eligible staff
+     * @returns {Promise<Array>} Department settings
+     */
+    async getSettings() {
+        const departments = await this.dbManager.executeQuery(`
+            SELECT d.department_id, d.department_name,
+                   COALESCE(s.strategy, ?) as strategy, s.lastAssignedUserId, s.updatedAt
+            FROM departments d
+            LEFT JOIN department_assignment_settings s ON s.department_id = d.department_id
+            ORDER BY d.department_name
+        `, [DEFAULT_STRATEGY]);
+
+        for (const department of departments) {
+            department.staff = await this.getEligibleStaff(department.department_id);
+        }
+        return departments;
+    }
+
+    /**
+     * Choose the staff member for a new request of a department
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<number|null>} User ID, or null when nobody is eligible or the strategy is manual
+     */
+    async pickAssignee(departmentId) {
+        if (!departmentId) return null;
+
+        const strategy = await this.getStrategy(departmentId);
+        if (strategy === 'manual') return null;
+
+        // Staff on leave keep their open requests (handled by their delegate) but get no new ones
+        const staff = (await this.getEligibleStaff(departmentId)).filter(member => !member.outOfOffice);
+        if (staff.length === 0) return null;
+
+        if (strategy === 'least_open') {
+            // Ties go to the lowest ID so the choice is deterministic
+            return staff.reduce((best, member) => member.openRequests < best.openRequests ? member : best).id;
+        }
+
+        // Round robin: the cursor row is locked so concurrent submissions get different staff
+        return await this.dbManager.withTransaction(async (connection) => {
+            await connection.execute(
+                'INSERT IGNORE INTO department_assignment_settings (department_id, strategy) VALUES (?, ?)',
+                [departmentId, DEFAULT_STRATEGY]
+            );
+            const [rows] = await connection.execute(
+                'SELECT lastAssignedUserId FROM department_assignment_settings WHERE department_id = ? FOR UPDATE',
+                [departmentId]
+            );
+            const lastId = rows[0]?.lastAssignedUserId || 0;
+            const next = staff.find(member => member.id > lastId) || staff[0];
+
+            await connection.execute(
+                'UPDATE department_assignment_settings SET lastAssignedUserId = ? WHERE department_id = ?',
+                [next.id, departmentId]
+            );
+            return next.id;
+        });
+    }
+
+    /**
+     * Move a request to another staff member and record it in request_tracking
+     * @param {Object} request - Request row with id, statusId, processedBy and department_id
+     * @param {number|null} toUserId - New assignee, or null to unassign
+     * @param {Object} options
+     * @param {Object} options.user - User making the change (req.user)
+     * @param {string} [options.reason] - Why the request was moved
+     * @returns {Promise<void>}
+     */
+    async assign(request, toUserId, { user, reason }) {
+        await this.dbManager.executeQuery(
+            'UPDATE document_requests SET processedBy = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+            [toUserId, request.id]
+        );
+
+        const names = await this.getUserNames([request.processedBy, toUserId]);
+        const from = request.processedBy ? names[request.processedBy] : 'unassigned';
+        const to = toUserId ? names[toUserId] : 'unassigned';
+
+        await this.documentRequestModel.addTrackingEntry(
+            request.id,
+            request.statusId,
+            `Reassigned from ${from} to ${to} by ${user.role} (${user.firstName} ${user.lastName})` +
+                (reason ? `: ${reason}` : ''),
+            user.id
+        );
+
+        realtime.requestAssigned(request, { from: request.processedBy, to: toUserId, assignedBy: user.id });
+    }
+
+    /**
+     * Spread the open requests of a department evenly over its eligible staff
+     * Requests held by staff who are inactive or no longer in the department
+     * are always moved; otherwise only the excess above the even share is.
+     * Staff who are out of office keep their requests (their delegate covers
+     * them) but are never given more.
+     *
+     * @param {number} departmentId - Department ID
+     * @param {Object} options
+     * @param {Object} options.user - User making the change (req.user)
+     * @param {string} [options.reason] - Why the department was rebalanced
+     * @returns {Promise<Array>} Moves made ({ requestId, referenceNumber, from, to })
+     */
+    async rebalance(departmentId, { user, reason }) {
+        const staff = await this.getEligibleStaff(departmentId);
+        const available = staff.filter(member => !member.outOfOffice);
+        if (available.length === 0) return [];
+
+        const placeholders = OPEN_STATUSES.map(() => '?').join(',');
+        const openRequests = await this.dbManager.executeQuery(`
+            SELECT dr.id, dr.referenceNumber, dr.statusId, dr.processedBy, dr.department_id
+            FROM document_requests dr
+            JOIN request_statuses rs ON dr.statusId = rs.id
+            WHERE dr.department_id = ? AND dr.deletedAt IS NULL AND rs.statusName IN (${placeholders})
+            ORDER BY dr.createdAt ASC
+        `, [departmentId, ...OPEN_STATUSES]);
+
+        // Only this department's open requests are balanced; work in other departments is not counted
+        const load = new Map(staff.map(member => [member.id, 0]));
+        const toMove = [];
+        for (const request of openRequests) {
+            if (load.has(request.processedBy)) {
+                load.set(request.processedBy, load.get(request.processedBy) + 1);
+            } else {
+                toMove.push(request);
+            }
+        }
+
+        const heldByAway = staff
+            .filter(member => member.outOfOffice)
+            .reduce((total, member) => total + load.get(member.id), 0);
+        const share = Math.ceil((openRequests.length - heldByAway) / available.length);
+        for (const member of available) {
+            const mine = openRequests.filter(request => request.processedBy === member.id);
+            // Keep the oldest requests with their current owner; hand over the newest
+            while (load.get(member.id) > share) {
+                toMove.push(mine.pop());
+                load.set(member.id, load.get(member.id) - 1);
+            }
+        }
+
+        const moves = [];
+        for (const request of toMove) {
+            const targetId = available
+                .map(member => member.id)
+                .reduce((best, id) => load.get(id) < load.get(best) ? id : best);
+            if (targetId === request.processedBy) {
+                load.set(targetId, load.get(targetId) + 1);
+                continue;
+            }
+
+            await this.assign(request, targetId, { user, reason: reason || 'Department rebalanced' });
+            load.set(targetId, load.get(targetId) + 1);
+            moves.push({ requestId: request.id, referenceNumber: request.referenceNumber, from: request.processedBy, to: targetId });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Check whether a user may be assigned requests of a department
+     * @param {number} userId - User ID
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<boolean>}
+     */
+    async isEligible(userId, departmentId) {
+        const rows = await this.dbManager.executeQuery(
+            `SELECT 1 FROM users u
+             JOIN user_departments ud ON ud.user_id = u.id
+             WHERE u.id = ? AND ud.department_id = ? AND u.role = 'staff' AND u.isActive = TRUE`,
+            [userId, departmentId]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Look up display names of users
+     * @param {Array<number|null>} ids - User IDs
+     * @returns {Promise<Object>} Map of ID to "First Last"
+     */
+    async getUserNames(ids) {
+        const wanted = ids.filter(Boolean);
+        if (wanted.length === 0) return {};
+
+        const rows = await this.dbManager.executeQuery(
+            `SELECT id, CONCAT(firstName, ' ', lastName) as name FROM users WHERE id IN (${wanted.map(() => '?').join(',')})`,
+            wanted
+        );
+        return Object.fromEntries(rows.map(row => [row.id, row.name]));
+    }
+}
+
+module.exports = StaffAssignment;
+module.exports.STRATEGIES = STRATEGIES;
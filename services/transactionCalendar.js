@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Transaction calendar: weekly rules, holiday import and month preview
+ *
+ * What a date looks like is decided in this order:
+ * 1. its transaction_days row (set by admins, or materialized from a holiday import),
+ *    published or not
+ * 2. the matching weekly rule (see TransactionDayRule)
+ * 3. normal transaction hours
+ * resolveDate/resolveRange apply this order; availability checks, claim stubs
+ * and SLA due dates all go through them.
+ *
+ * Holidays come from an iCalendar (.ics) file, e.g. an exported Philippine
+ * holidays calendar. All-day events (including multi-day ones and yearly
+ * RRULEs) become transaction_days rows so they override the rules.
+ */
+
+const TransactionDayRule = require('../models/TransactionDayRule');
+const { matchRule } = require('../models/TransactionDayRule');
+
+// Most dates one import may write
+const MAX_IMPORT_DATES = 1000;
+
+// Longest event expanded into separate days
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date|string} date - Date (DATE columns arrive as local-midnight Dates)
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    if (typeof date === 'string') return date.slice(0, 10);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return toDateString(new Date(year, month - 1, day + days));
+};
+
+/**
+ * Turn an iCalendar DATE or DATE-TIME value into YYYY-MM-DD
+ * @param {string} value - e.g. 20261225 or 20261225T000000Z
+ * @returns {string|null} Date string, or null when unreadable
+ */
+const icsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+const icsText = (value) => String(value || '')
+    .replace(/\\[nN]/g, ' ')
+    .replace(/\\([\\;,])/g, '$1')
+    .trim();
+
+/**
+ * Read the events of an iCalendar file
+ * @param {string} text - .ics contents
+ * @returns {Array<Object>} Events { start, end (exclusive), name, yearly, until, count }
+ */
+const parseIcs = (text) => {
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+        if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+            current = {};
+            continue;
+        }
+        if (/^END:VEVENT$/i.test(line.trim())) {
+            const start = icsDate(current?.DTSTART);
+            if (start && String(current.STATUS || '').toUpperCase() !== 'CANCELLED') {
+                const end = icsDate(current.DTEND);
+                const rrule = Object.fromEntries(String(current.RRULE || '')
+                    .split(';')
+                    .filter(part => part.includes('='))
+                    .map(part => part.split('=').map(s => s.trim().toUpperCase())));
+
+                events.push({
+                    start,
+                    end: end && end > start ? end : addDays(start, 1),
+                    name: icsText(current.SUMMARY) || 'Holiday',
+                    yearly: rrule.FREQ === 'YEARLY',
+                    until: icsDate(rrule.UNTIL),
+                    count: parseInt(rrule.COUNT) || null
+                });
+            }
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        // NAME;PARAM=...:VALUE - only the name and value matter here
+        const match = /^([A-Za-z-]+)(?:;[^:]*)?:(.*)$/.exec(line);
+        if (match && current[match[1].toUpperCase()] === undefined) {
+            current[match[1].toUpperCase()] = match[2];
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Expand events into one entry per holiday date within a range
+ * @param {Array<Object>} events - Result of parseIcs
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Array<Object>} { date, name } sorted by date, one per date
+ */
+const expandHolidays = (events, fromDate, toDate) => {
+    const byDate = new Map();
+
+    const addEvent = (start, end, name) => {
+        for (let date = start, i = 0; date < end && i < MAX_EVENT_DAYS; date = addDays(date, 1), i++) {
+            if (date < fromDate || date > toDate) continue;
+            byDate.set(date, byDate.has(date) ? `${byDate.get(date)} / ${name}` : name);
+        }
+    };
+
+    for (const event of events) {
+        if (!event.yearly) {
+            addEvent(event.start, event.end, event.name);
+            continue;
+        }
+
+        const length = Math.round((new Date(event.end) - new Date(event.start)) / 86400000);
+        const firstYear = Number(event.start.slice(0, 4));
+        const lastYear = Number(toDate.slice(0, 4));
+        for (let year = firstYear, n = 0; year <= lastYear; year++, n++) {
+            if (event.count && n >= event.count) break;
+            const start = `${year}${event.start.slice(4)}`;
+            if (event.until && start > event.until) break;
+            addEvent(start, addDays(start, length), event.name);
+        }
+    }
+
+    return [...byDate.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, name]) => ({ date, name }));
+};
+
+/**
+ * Describe one date from its transaction_days row and matching rule
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object|undefined} existing - transaction_days row
+ * @param {Object|null} rule - Matching weekly rule
+ * @returns {Object} { date, status, time_start, time_end, message, source, rule?, available }
+ */
+const describeDate = (date, existing, rule) => {
+    const entry = { date };
+
+    if (existing) {
+        Object.assign(entry, {
+            status: existing.status,
+            time_start: existing.time_start,
+            time_end: existing.time_end,
+            message: existing.message,
+            source: 'day'
+        });
+    } else if (rule) {
+        Object.assign(entry, {
+            status: rule.status,
+            time_start: rule.time_start,
+            time_end: rule.time_end,
+            message: rule.message || null,
+            source: 'rule',
+            rule: rule.name
+        });
+    } else {
+        Object.assign(entry, { status: 'available', time_start: null, time_end: null, message: null, source: 'default' });
+    }
+
+    entry.available = entry.status !== 'no transaction';
+    return entry;
+};
+
+class TransactionCalendar {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.ruleModel = new TransactionDayRule(dbManager);
+    }
+
+    /**
+     * Get the transaction_days rows of a range, keyed by date
+     * @param {string} fromDate - First date (YYYY-MM-DD, inclusive)
+     * @param {string} toDate - Last date (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Map<string, Object>>} Rows by date
+     */
+    async getDays(fromDate, toDate) {
+        const days = await this.dbManager.executeQuery(`
+            SELECT DATE_FORMAT(date, '%Y-%m-%d') as date, status, time_start, time_end, message, is_published
+            FROM transaction_days
+            WHERE date BETWEEN ? AND ?
+        `, [fromDate, toDate]);
+        return new Map(days.map(day => [day.date, day]));
+    }
+
+    /**
+     * Resolve every date of a range (explicit days, then weekly rules, then normal hours)
+     * @param {string} fromDate - First date (YYYY-MM-DD, inclusive)
+     * @param {string} toDate - Last date (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Map<string, Object>>} Resolved entries by date
+     */
+    async resolveRange(fromDate, toDate) {
+        const [dayByDate, activeRules] = await Promise.all([
+            this.getDays(fromDate, toDate),
+            this.ruleModel.getAll({ activeOnly: true })
+        ]);
+
+        const resolved = new Map();
+        for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+            resolved.set(date, describeDate(date, dayByDate.get(date), matchRule(activeRules, date)));
+        }
+        return resolved;
+    }
+
+    /**
+     * Resolve a single date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object>} { date, status, time_start, time_end, message, source, rule?, available }
+     */
+    async resolveDate(date) {
+        return (await this.resolveRange(date, date)).get(date);
+    }
+
+    /**
+     * Resolve every date of a month, optionally with proposed changes that are not saved yet
+     * @param {string} month - YYYY-MM
+     * @param {Object} [proposed]
+     * @param {Array<Object>} [proposed.rules] - Validated rules to add to the active ones
+     * @param {Array<Object>} [proposed.holidays] - { date, name } to import
+     * @param {string} [proposed.holidayStatus] - Status the holidays would get
+     * @param {boolean} [proposed.overwrite] - Whether holidays would replace existing days
+     * @returns {Promise<Array<Object>>} One entry per date with its status and source
+     */
+    async buildMonth(month, { rules = [], holidays = [], holidayStatus = 'no transaction', overwrite = false } = {}) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const fromDate = `${month}-01`;
+        const toDate = toDateString(new Date(year, monthNumber, 0));
+
+        const [dayByDate, activeRules] = await Promise.all([
+            this.getDays(fromDate, toDate),
+            this.ruleModel.getAll({ activeOnly: true })
+        ]);
+
+        const holidayByDate = new Map(holidays.map(holiday => [holiday.date, holiday.name]));
+        // Proposed rules count as the newest when statuses tie
+        const allRules = [...activeRules, ...rules.map(rule => ({ ...rule, id: Number.MAX_SAFE_INTEGER, proposed: true }))];
+
+        const calendar = [];
+        for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+            const weekday = new Date(year, monthNumber - 1, Number(date.slice(8))).getDay();
+            const existing = dayByDate.get(date);
+            const holiday = holidayByDate.get(date);
+            const rule = matchRule(allRules, date);
+
+            let entry;
+            if (holiday && (!existing || overwrite)) {
+                entry = describeDate(date, { status: holidayStatus, time_start: null, time_end: null, message: holiday });
+                Object.assign(entry, { source: 'holiday', proposed: true });
+            } else {
+                entry = describeDate(date, existing, rule);
+                if (entry.source === 'rule') entry.proposed = Boolean(rule.proposed);
+            }
+
+            calendar.push({ date, weekday, ...entry });
+        }
+
+        return calendar;
+    }
+
+    /**
+     * Write holidays as transaction_days rows (unpublished, so the single published day is untouched)
+     * Days that already exist are kept unless overwrite is set; days with pickup bookings are never overwritten.
+     * @param {Array<Object>} holidays - { date, name }
+     * @param {Object} [options]
+     * @param {string} [options.status] - Status of the holiday days
+     * @param {boolean} [options.overwrite] - Replace existing days
+     * @returns {Promise<Object>} { created, updated, skipped, booked } lists of dates
+     */
+    async importHolidays(holidays, { status = 'no transaction', overwrite = false } = {}) {
+        const summary = { created: [], updated: [], skipped: [], booked: [] };
+        if (holidays.length === 0) return summary;
+
+        const bookedRows = await this.dbManager.executeQuery(`
+            SELECT DISTINCT DATE_FORMAT(td.date, '%Y-%m-%d') as date
+            FROM transaction_days td
+            JOIN pickup_slots ps ON ps.transactionDayId = td.id
+            WHERE ps.bookedCount > 0 AND td.date BETWEEN ? AND ?
+        `, [holidays[0].date, holidays[holidays.length - 1].date]);
+        const bookedDates = new Set(bookedRows.map(row => row.date));
+
+        await this.dbManager.withTransaction(async (connection) => {
+            for (const { date, name } of holidays) {
+                if (overwrite && bookedDates.has(date)) {
+                    summary.booked.push(date);
+                    continue;
+                }
+
+                const [result] = await connection.execute(
+                    overwrite
+                        ? `INSERT INTO transaction_days (date, status, time_start, time_end, message, is_published)
+                           VALUES (?, ?, NULL, NULL, ?, 0)
+                           ON DUPLICATE KEY UPDATE status = VALUES(status), time_start = NULL, time_end = NULL,
+                               message = VALUES(message), updated_at = CURRENT_TIMESTAMP`
+                        : `INSERT IGNORE INTO transaction_days (date, status, time_start, time_end, message, is_published)
+                           VALUES (?, ?, NULL, NULL, ?, 0)`,
+                    [date, status, name]
+                );
+
+                // affectedRows: 1 = inserted, 2 = replaced, 0 = kept as it was
+                if (result.affectedRows === 1) summary.created.push(date);
+                else if (result.affectedRows === 2) summary.updated.push(date);
+                else summary.skipped.push(date);
+            }
+        });
+
+        return summary;
+    }
+}
+
+module.exports = TransactionCalendar;
+module.exports.parseIcs = parseIcs;
+module.exports.expandHolidays = expandHolidays;
+module.exports.MAX_IMPORT_DATES = MAX_IMPORT_DATES;
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Processing turnaround analytics
+ *
+ * Measures two stages of each request submitted in a period:
+ * - pendingToReady: submission (createdAt) until the first READY entry in
+ *   request_tracking, falling back to dateProcessed
+ * - readyToReleased: READY until release (dateCompleted, falling back to the
+ *   first RELEASED tracking entry)
+ *
+ * Durations are calendar hours. Each stage is summarised as count, median and
+ * 90th percentile per department, document type, staff member (processedBy)
+ * and week of submission. A request with several document types counts once
+ * for each of them.
+ */
+
+const STAGES = ['pendingToReady', 'readyToReleased'];
+
+// Default window when no dates are given
+const DEFAULT_WEEKS = 12;
+
+// Longest period one call may cover (durations are summarised in memory)
+const MAX_PERIOD_DAYS = 366;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Percentile of sorted values with linear interpolation (same as PERCENTILE_CONT)
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null} Percentile, or null without values
+ */
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return null;
+
+    const rank = (sorted.length - 1) * p;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Summarise durations
+ * @param {Array<number>} hours - Durations in hours
+ * @returns {Object} { count, medianHours, p90Hours }
+ */
+const summarize = (hours) => {
+    const sorted = [...hours].sort((a, b) => a - b);
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+    return {
+        count: sorted.length,
+        medianHours: round(percentile(sorted, 0.5)),
+        p90Hours: round(percentile(sorted, 0.9))
+    };
+};
+
+/**
+ * Hours between two timestamps, or null when the stage is incomplete
+ * @param {Date|null} start - Stage start
+ * @param {Date|null} end - Stage end
+ * @returns {number|null} Hours
+ */
+const hoursBetween = (start, end) => {
+    if (!start || !end) return null;
+    const hours = (new Date(end) - new Date(start)) / 3600000;
+    return hours >= 0 ? hours : null;
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+const weekStart = (date) => {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return toDateString(monday);
+};
+
+class TurnaroundAnalytics {
+    /**
+     * @param {Object} dbManager - Database manager instance
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Default period: the last DEFAULT_WEEKS weeks up to today
+     * @returns {Object} { fromDate, toDate } as YYYY-MM-DD
+     */
+    defaultPeriod() {
+        const to = new Date();
+        const from = new Date(to);
+        from.setDate(from.getDate() - DEFAULT_WEEKS * 7 + 1);
+        return { fromDate: toDateString(from), toDate: toDateString(to) };
+    }
+
+    /**
+     * Validate an optional fromDate/toDate pair from a query string
+     * @param {string} [fromDate] - First day (YYYY-MM-DD)
+     * @param {string} [toDate] - Last day (YYYY-MM-DD)
+     * @returns {string|null} Error message, or null when valid
+     */
+    validatePeriod(fromDate, toDate) {
+        if (!fromDate && !toDate) return null;
+        if (!fromDate || !toDate) return 'Provide both fromDate and toDate, or neither';
+
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        const from = new Date(fromDate);
+        const to = new Date(toDate);
+        if (!dateRegex.test(fromDate) || !dateRegex.test(toDate) || isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return 'Dates must be in YYYY-MM-DD format';
+        }
+        if (from > to) return 'From date cannot be greater than To date';
+        if ((to - from) / 86400000 + 1 > MAX_PERIOD_DAYS) {
+            return `The period cannot be longer than ${MAX_PERIOD_DAYS} days`;
+        }
+        return null;
+    }
+
+    /**
+     * Get stage timestamps of the requests submitted in a period
+     * @param {string} fromDate - First day (YYYY-MM-DD)
+     * @param {string} toDate - Last day (YYYY-MM-DD)
+     * @param {Array<number>} [departmentIds] - Department filter
+     * @returns {Promise<Object>} { requests, documentTypes } where documentTypes maps request ID to [{ id, name }]
+     */
+    async getStageTimes(fromDate, toDate, departmentIds) {
+        let where = 'WHERE dr.createdAt BETWEEN ? AND ? AND dr.deletedAt IS NULL';
+        const params = [`${fromDate} 00:00:00`, `${toDate} 23:59:59`];
+        if (departmentIds) {
+            where += ` AND dr.department_id IN (${departmentIds.map(() => '?').join(',')})`;
+            params.push(...departmentIds);
+        }
+
+        const requests = await this.dbManager.executeQuery(`
+            SELECT
+                dr.id, dr.department_id, MAX(d.department_name) as department_name,
+                dr.processedBy, MAX(CONCAT(u.firstName, ' ', u.lastName)) as staffName,
+                dr.createdAt as submittedAt,
+                COALESCE(MIN(CASE WHEN rs.statusName = 'READY' THEN rt.createdAt END), dr.dateProcessed) as readyAt,
+                COALESCE(dr.dateCompleted, MIN(CASE WHEN rs.statusName = 'RELEASED' THEN rt.createdAt END)) as releasedAt
+            FROM document_requests dr
+            LEFT JOIN departments d ON dr.department_id = d.department_id
+            LEFT JOIN users u ON dr.processedBy = u.id
+            LEFT JOIN request_tracking rt ON rt.requestId = dr.id
+            LEFT JOIN request_statuses rs ON rt.statusId = rs.id
+            ${where}
+            GROUP BY dr.id
+        `, params);
+
+        const lines = await this.dbManager.executeQuery(`
+            SELECT DISTINCT rd.requestId, dt.id, dt.documentName
+            FROM document_requests dr
+            JOIN request_documents rd ON rd.requestId = dr.id
+            JOIN document_types dt ON rd.documentTypeId = dt.id
+            ${where}
+        `, params);
+
+        const documentTypes = new Map();
+        for (const line of lines) {
+            if (!documentTypes.has(line.requestId)) documentTypes.set(line.requestId, []);
+            documentTypes.get(line.requestId).push({ id: line.id, name: line.documentName });
+        }
+
+        return { requests, documentTypes };
+    }
+
+    /**
+     * Build the turnaround report
+     * @param {Object} [options]
+     * @param {string} [options.fromDate] - First submission day (YYYY-MM-DD)
+     * @param {string} [options.toDate] - Last submission day (YYYY-MM-DD)
+     * @param {Array<number>} [options.departmentIds] - Department filter (all when omitted)
+     * @returns {Promise<Object>} Overall, per-group and weekly stage statistics
+     */
+    async build({ fromDate, toDate, departmentIds } = {}) {
+        if (!fromDate || !toDate) {
+            ({ fromDate, toDate } = this.defaultPeriod());
+        }
+
+        const { requests, documentTypes } = await this.getStageTimes(fromDate, toDate, departmentIds);
+
+        // group name -> key -> { label fields, pendingToReady: [], readyToReleased: [] }
+        const groups = { department: new Map(), documentType: new Map(), staff: new Map(), week: new Map() };
+        const overall = { pendingToReady: [], readyToReleased: [] };
+
+        const add = (group, key, fields, durations) => {
+            if (!groups[group].has(key)) {
+                groups[group].set(key, { ...fields, pendingToReady: [], readyToReleased: [] });
+            }
+            const entry = groups[group].get(key);
+            for (const stage of STAGES) {
+                if (durations[stage] !== null) entry[stage].push(durations[stage]);
+            }
+        };
+
+        for (const request of requests) {
+            const durations = {
+                pendingToReady: hoursBetween(request.submittedAt, request.readyAt),
+                readyToReleased: hoursBetween(request.readyAt, request.releasedAt)
+            };
+            for (const stage of STAGES) {
+                if (durations[stage] !== null) overall[stage].push(durations[stage]);
+            }
+
+            add('department', request.department_id, {
+                departmentId: request.department_id,
+                departmentName: request.department_name || 'Unassigned'
+            }, durations);
+
+            if (request.processedBy) {
+                add('staff', request.processedBy, { userId: request.processedBy, name: request.staffName }, durations);
+            }
+
+            for (const type of documentTypes.get(request.id) || []) {
+                add('documentType', type.id, { documentTypeId: type.id, documentName: type.name }, durations);
+            }
+
+            const week = weekStart(new Date(request.submittedAt));
+            add('week', week, { weekStart: week }, durations);
+        }
+
+        // Slowest groups first, by median time to READY
+        const finish = (group) => [...groups[group].values()]
+            .map(({ pendingToReady, readyToReleased, ...fields }) => ({
+                ...fields,
+                pendingToReady: summarize(pendingToReady),
+                readyToReleased: summarize(readyToReleased)
+            }))
+            .sort((a, b) => (b.pendingToReady.medianHours ?? -1) - (a.pendingToReady.medianHours ?? -1));
+
+        return {
+            period: { from: fromDate, to: toDate },
+            requests: requests.length,
+            overall: {
+                pendingToReady: summarize(overall.pendingToReady),
+                readyToReleased: summarize(overall.readyToReleased)
+            },
+            byDepartment: finish('department'),
+            byDocumentType: finish('documentType'),
+            byStaff: finish('staff'),
+            weekly: finish('week').sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+        };
+    }
+}
+
+module.exports = TurnaroundAnalytics;
@@ -0,0 +1,13 @@
+-- Migration: Authorized representative pickup
+-- Purpose: Let a requester name a representative (with an ID and an authorization
+--          letter upload) and record the staff member who checked the ID at release
+-- Date: 2026-10-19
+USE document_request_db;
+
+ALTER TABLE document_requests
+ADD COLUMN representativeName VARCHAR(150) NULL AFTER otherPurpose,
+ADD COLUMN representativeIdNumber VARCHAR(100) NULL AFTER representativeName,
+ADD COLUMN authorizationLetter VARCHAR(255) NULL AFTER representativeIdNumber,
+ADD COLUMN representativeIdConfirmedAt DATETIME NULL AFTER authorizationLetter,
+ADD COLUMN representativeIdConfirmedBy INT NULL AFTER representativeIdConfirmedAt,
+ADD CONSTRAINT fk_document_requests_representative_confirmed_by FOREIGN KEY (representativeIdConfirmedBy) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- Migration: SLA targets and overdue escalation
+-- Purpose: Working-day processing targets per document type, a due date per request,
+--          and department heads who receive escalation emails for overdue requests
+-- Date: 2026-10-19
+USE document_request_db;
+
+ALTER TABLE document_types
+ADD COLUMN processingDays INT NOT NULL DEFAULT 3 AFTER basePrice;
+
+UPDATE document_types SET processingDays = 10 WHERE documentName LIKE '%Transcript of Records%';
+UPDATE document_types SET processingDays = 2 WHERE documentName LIKE '%Certificate of Enrollment%';
+
+ALTER TABLE departments
+ADD COLUMN head_email VARCHAR(255) NULL AFTER department_name;
+
+ALTER TABLE document_requests
+ADD COLUMN dueDate DATE NULL AFTER adminNotes,
+ADD COLUMN escalatedAt DATETIME NULL AFTER dueDate;
+
+CREATE INDEX idx_due_date ON document_requests(dueDate);
@@ -0,0 +1,12 @@
+-- Migration: Soft deletion for document requests
+-- Purpose: Keep deleted requests (and their documents/tracking history) in a trash until purged
+-- Date: 2026-10-19
+USE document_request_db;
+
+ALTER TABLE document_requests
+ADD COLUMN deletedAt DATETIME NULL AFTER adminNotes,
+ADD COLUMN deletedBy INT NULL AFTER deletedAt,
+ADD COLUMN deleteReason TEXT NULL AFTER deletedBy,
+ADD CONSTRAINT fk_document_requests_deleted_by FOREIGN KEY (deletedBy) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_deleted_at ON document_requests(deletedAt);
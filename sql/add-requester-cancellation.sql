@@ -0,0 +1,16 @@
+-- Migration: Requester-initiated cancellation
+-- Purpose: CANCELLED request status and cancellation codes in requester_otps (cancel by reference number + emailed OTP)
+-- Date: 2026-10-19
+USE document_request_db;
+
+-- Requesters can withdraw their own requests
+ALTER TABLE request_statuses MODIFY COLUMN statusName
+    ENUM('PENDING', 'SET', 'PROCESSING', 'READY', 'RECEIVED', 'RELEASED', 'FAILED', 'DECLINE', 'CANCELLED') UNIQUE NOT NULL;
+
+INSERT IGNORE INTO request_statuses (statusName, description) VALUES
+('CANCELLED', 'Request was cancelled by the requester');
+
+ALTER TABLE requester_otps
+    MODIFY COLUMN purpose ENUM('login', 'cancel') NOT NULL DEFAULT 'login';
+
+SELECT id, statusName, description, isActive FROM request_statuses ORDER BY id;
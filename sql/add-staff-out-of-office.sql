@@ -0,0 +1,17 @@
+-- Migration: Staff out-of-office and delegation
+-- Purpose: Let staff set a leave period with a delegate who handles their open requests,
+--          and record delegated actions in request_tracking
+-- Date: 2026-10-19
+USE document_request_db;
+
+ALTER TABLE users
+ADD COLUMN outOfOfficeStart DATETIME NULL AFTER lastLogin,
+ADD COLUMN outOfOfficeEnd DATETIME NULL AFTER outOfOfficeStart,
+ADD COLUMN delegateUserId INT NULL AFTER outOfOfficeEnd,
+ADD CONSTRAINT fk_users_delegate_user FOREIGN KEY (delegateUserId) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_delegate_user_id ON users(delegateUserId);
+
+ALTER TABLE request_tracking
+ADD COLUMN onBehalfOf INT NULL AFTER changedBy,
+ADD CONSTRAINT fk_request_tracking_on_behalf_of FOREIGN KEY (onBehalfOf) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Migration: Load-balanced staff assignment
+-- Purpose: Per-department assignment strategy (round_robin, least_open, manual) and round-robin cursor
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS department_assignment_settings (
+    department_id INT PRIMARY KEY,
+    strategy ENUM('round_robin', 'least_open', 'manual') NOT NULL DEFAULT 'round_robin',
+    lastAssignedUserId INT NULL,
+    updatedBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (department_id) REFERENCES departments(department_id) ON DELETE CASCADE,
+    FOREIGN KEY (lastAssignedUserId) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Requests assigned to staff outside their department (or inactive staff) are left for
+-- POST /api/admin/assignment/departments/:departmentId/rebalance to fix
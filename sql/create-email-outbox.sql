@@ -0,0 +1,45 @@
+-- Migration: Durable email outbox
+-- Purpose: Queue every outgoing email, retry failed sends with backoff and keep
+--          a delivery log per attempt
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NULL,
+    referenceNumber VARCHAR(50) NULL,
+    kind VARCHAR(50) NOT NULL,
+    toEmail TEXT NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    payload LONGTEXT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed', 'dead', 'cancelled') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    maxAttempts INT NOT NULL DEFAULT 6,
+    nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    lastError TEXT NULL,
+    messageId VARCHAR(255) NULL,
+    lockToken CHAR(36) NULL,
+    lockedAt DATETIME NULL,
+    sentAt DATETIME NULL,
+    cancelledAt DATETIME NULL,
+    cancelledBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_attempt (status, nextAttemptAt),
+    INDEX idx_reference_number (referenceNumber),
+    INDEX idx_lock_token (lockToken),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE SET NULL,
+    FOREIGN KEY (cancelledBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS email_outbox_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    outboxId INT NOT NULL,
+    attemptNo INT NOT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    error TEXT NULL,
+    messageId VARCHAR(255) NULL,
+    attemptedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_outbox_id (outboxId),
+    FOREIGN KEY (outboxId) REFERENCES email_outbox(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
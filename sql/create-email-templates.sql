@@ -0,0 +1,21 @@
+-- Migration: Editable email templates
+-- Purpose: Store the subject, HTML and plain-text bodies of outgoing emails so
+--          admins can edit them. The built-in templates are inserted by the
+--          server on startup (config/emailTemplates.js); edited rows are kept.
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS email_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    templateKey VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    subject VARCHAR(255) NOT NULL,
+    htmlBody MEDIUMTEXT NOT NULL,
+    textBody MEDIUMTEXT NULL,
+    isSystem BOOLEAN NOT NULL DEFAULT FALSE,
+    updatedBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
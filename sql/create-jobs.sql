@@ -0,0 +1,32 @@
+-- Migration: Background job scheduler
+-- Purpose: Track recurring jobs (last run, outcome, pause flag, lock) and mark
+--          requests that already received a pickup reminder or unclaimed alert
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    description VARCHAR(255) NULL,
+    schedule VARCHAR(100) NOT NULL,
+    isPaused BOOLEAN NOT NULL DEFAULT FALSE,
+    lastRunAt DATETIME NULL,
+    lastFinishedAt DATETIME NULL,
+    lastStatus ENUM('running', 'success', 'failed') NULL,
+    lastResult TEXT NULL,
+    lastDurationMs INT NULL,
+    lastTrigger ENUM('schedule', 'manual') NULL,
+    lastTriggeredBy INT NULL,
+    runCount INT NOT NULL DEFAULT 0,
+    failureCount INT NOT NULL DEFAULT 0,
+    lockedBy VARCHAR(255) NULL,
+    lockedUntil DATETIME NULL,
+    pausedBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lastTriggeredBy) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (pausedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE document_requests
+ADD COLUMN pickupReminderSentAt DATETIME NULL AFTER escalatedAt,
+ADD COLUMN unclaimedAlertAt DATETIME NULL AFTER pickupReminderSentAt;
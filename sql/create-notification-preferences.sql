@@ -0,0 +1,20 @@
+-- Migration: Requester notification preferences
+-- Purpose: Let each student/alumni record choose email and/or SMS per request
+--          event (submitted, processing, ready, declined, reminder), changed from
+--          the tracking page with an emailed code
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requesterType ENUM('student', 'alumni') NOT NULL,
+    requesterId INT NOT NULL,
+    event ENUM('submitted', 'processing', 'ready', 'declined', 'reminder') NOT NULL,
+    email BOOLEAN NOT NULL DEFAULT TRUE,
+    sms BOOLEAN NOT NULL DEFAULT TRUE,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_requester_event (requesterType, requesterId, event)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE requester_otps
+MODIFY COLUMN purpose ENUM('login', 'cancel', 'preferences') NOT NULL DEFAULT 'login';
@@ -0,0 +1,38 @@
+-- Migration: Official receipts (OR) for paid document requests
+-- Purpose: Gapless OR numbering per school year, reprint counts and voided receipts
+-- Date: 2026-10-19
+USE document_request_db;
+
+-- Last OR sequence issued per school year; rows are locked while a receipt is issued
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+    schoolYear VARCHAR(9) PRIMARY KEY,
+    lastNumber INT NOT NULL DEFAULT 0,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every OR number ever issued; voided receipts keep their number so the sequence has no gaps
+CREATE TABLE IF NOT EXISTS official_receipts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    orNumber VARCHAR(30) NOT NULL UNIQUE,
+    schoolYear VARCHAR(9) NOT NULL,
+    sequenceNumber INT NOT NULL,
+    requestId INT NOT NULL,
+    paymentId INT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    issuedBy INT NULL,
+    issuedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    printCount INT NOT NULL DEFAULT 0,
+    lastPrintedAt DATETIME NULL,
+    voidedAt DATETIME NULL,
+    voidedBy INT NULL,
+    voidReason TEXT NULL,
+    UNIQUE KEY uq_school_year_sequence (schoolYear, sequenceNumber),
+    INDEX idx_request_id (requestId),
+    INDEX idx_voided_at (voidedAt),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE RESTRICT,
+    FOREIGN KEY (paymentId) REFERENCES payments(id) ON DELETE SET NULL,
+    FOREIGN KEY (issuedBy) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (voidedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DESCRIBE official_receipts;
@@ -0,0 +1,39 @@
+-- Migration: Online payments for document requests
+-- Purpose: Record payment attempts per request and track whether a request is settled
+-- Date: 2026-10-19
+USE document_request_db;
+
+-- Settlement state of the request as a whole (WAIVED = staff exempted the fee)
+ALTER TABLE document_requests
+ADD COLUMN paymentStatus ENUM('UNPAID', 'PAID', 'REFUNDED', 'WAIVED') NOT NULL DEFAULT 'UNPAID' AFTER totalAmount;
+
+CREATE INDEX idx_payment_status ON document_requests(paymentStatus);
+
+-- Requests without a fee do not need to be paid
+UPDATE document_requests SET paymentStatus = 'WAIVED' WHERE totalAmount <= 0;
+
+-- One row per checkout attempt made through a payment gateway
+CREATE TABLE IF NOT EXISTS payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    providerReference VARCHAR(255) NULL,
+    providerPaymentId VARCHAR(255) NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'PHP',
+    status ENUM('PENDING', 'PAID', 'FAILED', 'REFUNDED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    checkoutUrl TEXT NULL,
+    paidAt DATETIME NULL,
+    refundedAt DATETIME NULL,
+    refundedBy INT NULL,
+    notes TEXT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_provider_reference (provider, providerReference),
+    INDEX idx_request_id (requestId),
+    INDEX idx_status (status),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (refundedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DESCRIBE payments;
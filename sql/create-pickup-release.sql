@@ -0,0 +1,35 @@
+-- Migration: QR pickup verification and release
+-- Purpose: Single-use pickup tokens emailed when a request becomes READY, and a
+--          record of who released each request and to whom
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS pickup_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NOT NULL,
+    nonceHash CHAR(64) NOT NULL UNIQUE,
+    expiresAt DATETIME NOT NULL,
+    usedAt DATETIME NULL,
+    usedBy INT NULL,
+    revokedAt DATETIME NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_request_id (requestId),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (usedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS request_releases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NOT NULL UNIQUE,
+    pickupTokenId INT NULL,
+    releasedBy INT NULL,
+    releasedTo ENUM('self', 'representative') NOT NULL DEFAULT 'self',
+    representativeName VARCHAR(150) NULL,
+    idPresented VARCHAR(100) NULL,
+    remarks TEXT NULL,
+    releasedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_released_by (releasedBy),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (pickupTokenId) REFERENCES pickup_tokens(id) ON DELETE SET NULL,
+    FOREIGN KEY (releasedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
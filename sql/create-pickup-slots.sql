@@ -0,0 +1,30 @@
+-- Migration: Pickup appointment slots
+-- Purpose: Bookable time slots with a capacity per transaction day, and the
+--          slot each READY request is booked into
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS pickup_slots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transactionDayId INT NOT NULL,
+    startTime TIME NOT NULL,
+    endTime TIME NOT NULL,
+    capacity INT NOT NULL,
+    bookedCount INT NOT NULL DEFAULT 0,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_day_start (transactionDayId, startTime),
+    FOREIGN KEY (transactionDayId) REFERENCES transaction_days(id) ON DELETE CASCADE,
+    FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS pickup_bookings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NOT NULL UNIQUE,
+    slotId INT NOT NULL,
+    bookedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_slot_id (slotId),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (slotId) REFERENCES pickup_slots(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,48 @@
+-- Migration: Scheduled report delivery
+-- Purpose: Saved report definitions, their email recipients and a history of
+--          every delivery attempt
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    ownerId INT NOT NULL,
+    departmentId INT NULL,
+    dateWindow ENUM('previous_day', 'previous_week', 'previous_month') NOT NULL DEFAULT 'previous_week',
+    format ENUM('pdf', 'csv', 'xlsx') NOT NULL DEFAULT 'pdf',
+    isActive BOOLEAN NOT NULL DEFAULT TRUE,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_owner_id (ownerId),
+    INDEX idx_is_active (isActive),
+    FOREIGN KEY (ownerId) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (departmentId) REFERENCES departments(department_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS report_subscription_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    subscriptionId INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_subscription_email (subscriptionId, email),
+    FOREIGN KEY (subscriptionId) REFERENCES report_subscriptions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS report_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    subscriptionId INT NOT NULL,
+    periodFrom DATE NOT NULL,
+    periodTo DATE NOT NULL,
+    recipients TEXT NOT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    error TEXT NULL,
+    filename VARCHAR(255) NULL,
+    sizeBytes INT NULL,
+    source ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+    triggeredBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_subscription_period (subscriptionId, periodFrom, periodTo),
+    FOREIGN KEY (subscriptionId) REFERENCES report_subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (triggeredBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
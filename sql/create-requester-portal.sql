@@ -0,0 +1,22 @@
+-- Migration: Requester self-service portal
+-- Purpose: One-time login codes/magic links for requesters
+-- Date: 2026-10-19
+USE document_request_db;
+
+-- One-time codes emailed to requesters; only hashes are stored
+CREATE TABLE IF NOT EXISTS requester_otps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    purpose ENUM('login') NOT NULL DEFAULT 'login',
+    referenceNumber VARCHAR(255) NULL,
+    codeHash CHAR(64) NOT NULL,
+    linkTokenHash CHAR(64) NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    expiresAt DATETIME NOT NULL,
+    consumedAt DATETIME NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_email_purpose (email, purpose),
+    INDEX idx_link_token_hash (linkTokenHash),
+    INDEX idx_expires_at (expiresAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
@@ -0,0 +1,28 @@
+-- Migration: SMS notifications
+-- Purpose: Opt-out list and delivery log for SMS status notifications sent to
+--          requesters' contact numbers
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phoneNumber VARCHAR(20) NOT NULL UNIQUE,
+    source ENUM('keyword', 'requester', 'staff') NOT NULL DEFAULT 'keyword',
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requestId INT NULL,
+    toNumber VARCHAR(20) NULL,
+    event VARCHAR(30) NOT NULL,
+    message VARCHAR(480) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    status ENUM('sent', 'failed', 'skipped') NOT NULL,
+    providerMessageId VARCHAR(100) NULL,
+    error VARCHAR(255) NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_request_id (requestId),
+    INDEX idx_to_number (toNumber),
+    FOREIGN KEY (requestId) REFERENCES document_requests(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,23 @@
+-- Migration: Recurring transaction-day rules
+-- Purpose: Weekly rules (e.g. every Saturday: no transaction) that apply to
+--          dates without an explicit transaction_days row
+-- Date: 2026-10-19
+USE document_request_db;
+
+CREATE TABLE IF NOT EXISTS transaction_day_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    weekday TINYINT NOT NULL,
+    status ENUM('no transaction', 'limited', 'available') NOT NULL,
+    time_start TIME NULL,
+    time_end TIME NULL,
+    message TEXT NULL,
+    startsOn DATE NULL,
+    endsOn DATE NULL,
+    is_active TINYINT(1) DEFAULT 1,
+    createdBy INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_weekday (weekday),
+    FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- Migration: Align request_statuses with the status workflow
+-- Purpose: Make every status used by config/requestWorkflow.js available and retire legacy ones
+-- Date: 2026-10-19
+USE document_request_db;
+
+-- Allow every workflow status; legacy values stay in the ENUM so existing rows remain valid
+ALTER TABLE request_statuses MODIFY COLUMN statusName
+    ENUM('PENDING', 'SET', 'PROCESSING', 'READY', 'RECEIVED', 'RELEASED', 'FAILED', 'DECLINE') UNIQUE NOT NULL;
+
+INSERT IGNORE INTO request_statuses (statusName, description) VALUES
+('PENDING', 'Request has been submitted and is waiting for processing'),
+('PROCESSING', 'Request is currently being processed'),
+('READY', 'Request has been processed and is ready for pickup'),
+('RELEASED', 'Documents have been released to the requester'),
+('DECLINE', 'Request has been declined or rejected');
+
+-- Legacy statuses are not part of the workflow and cannot be selected anymore
+UPDATE request_statuses SET isActive = FALSE WHERE statusName IN ('SET', 'RECEIVED', 'FAILED');
+
+-- Requests still sitting in a legacy status need to be moved manually
+SELECT rs.statusName, COUNT(*) AS requests
+FROM document_requests dr
+JOIN request_statuses rs ON dr.statusId = rs.id
+WHERE rs.statusName IN ('SET', 'RECEIVED', 'FAILED')
+GROUP BY rs.statusName;
+
+SELECT id, statusName, description, isActive FROM request_statuses ORDER BY id;
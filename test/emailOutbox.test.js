@@ -0,0 +1,141 @@
+/**
+ * EmailOutbox retry, dead-letter and claim handling (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailOutbox = require('../services/emailOutbox');
+
+/**
+ * Fake dbManager that records queries; UPDATEs report `affectedRows`
+ * @param {Object} [options]
+ * @param {number} [options.affectedRows] - Rows an UPDATE of email_outbox reports
+ * @param {Array} [options.claimed] - Rows returned by the claim SELECT
+ */
+const fakeDb = ({ affectedRows = 1, claimed = [] } = {}) => ({
+    isConnected: true,
+    queries: [],
+    async executeQuery(query, values = []) {
+        this.queries.push({ query, values });
+        if (/^\s*UPDATE email_outbox/.test(query)) return { affectedRows };
+        if (/^\s*SELECT \* FROM email_outbox/.test(query)) return claimed;
+        return { affectedRows: 1, insertId: 1 };
+    },
+    updates() {
+        return this.queries.filter(({ query }) => /UPDATE email_outbox\s+SET status = (\?|'sent')/.test(query));
+    },
+    attemptLogs() {
+        return this.queries.filter(({ query }) => query.includes('INSERT INTO email_outbox_attempts'));
+    }
+});
+
+const mailer = (result) => ({
+    async sendNow() {
+        if (result instanceof Error) throw result;
+        return result;
+    }
+});
+
+const row = (overrides = {}) => ({
+    id: 7,
+    kind: 'request_summary',
+    toEmail: 'student@example.com',
+    payload: JSON.stringify({ to: 'student@example.com', subject: 'Hello' }),
+    attempts: 0,
+    maxAttempts: 3,
+    lockToken: 'token-a',
+    ...overrides
+});
+
+const outbox = (db, mailService) => {
+    const instance = new EmailOutbox(db, mailService);
+    instance.maxAttempts = 3;
+    instance.retrySeconds = 60;
+    return instance;
+};
+
+test('retryDelay doubles per attempt and is capped at six hours', () => {
+    const instance = outbox(fakeDb(), mailer({}));
+    assert.equal(instance.retryDelay(1), 60);
+    assert.equal(instance.retryDelay(2), 120);
+    assert.equal(instance.retryDelay(3), 240);
+    assert.equal(instance.retryDelay(20), 6 * 60 * 60);
+});
+
+test('a successful send is recorded only under the claim token', async () => {
+    const db = fakeDb();
+    const status = await outbox(db, mailer({ messageId: '<m1>' })).attempt(row());
+
+    assert.equal(status, 'sent');
+    const [update] = db.updates();
+    assert.match(update.query, /WHERE id = \? AND lockToken = \?/);
+    assert.deepEqual(update.values, [1, '<m1>', 7, 'token-a']);
+    assert.equal(db.attemptLogs().length, 1);
+    assert.equal(db.attemptLogs()[0].values[2], 'sent');
+});
+
+test('a sent one-time code has its body cleared', async () => {
+    const db = fakeDb();
+    await outbox(db, mailer({ messageId: '<m2>' })).attempt(row({ kind: 'requester_login' }));
+
+    assert.match(db.updates()[0].query, /payload = NULL/);
+});
+
+test('a sent pickup notice has its QR token cleared', async () => {
+    const db = fakeDb();
+    await outbox(db, mailer({ messageId: '<m5>' })).attempt(row({ kind: 'ready_for_pickup' }));
+
+    assert.match(db.updates()[0].query, /payload = NULL/);
+});
+
+test('a failed send is retried later with backoff', async () => {
+    const db = fakeDb();
+    const status = await outbox(db, mailer(new Error('SMTP down'))).attempt(row({ attempts: 1 }));
+
+    assert.equal(status, 'failed');
+    const [update] = db.updates();
+    assert.match(update.query, /WHERE id = \? AND lockToken = \?/);
+    assert.deepEqual(update.values, ['failed', 2, 'SMTP down', 120, 7, 'token-a']);
+    assert.equal(db.attemptLogs()[0].values[2], 'failed');
+});
+
+test('the last allowed failure marks the message dead', async () => {
+    const db = fakeDb();
+    const status = await outbox(db, mailer(new Error('Mailbox unavailable'))).attempt(row({ attempts: 2 }));
+
+    assert.equal(status, 'dead');
+    assert.deepEqual(db.updates()[0].values, ['dead', 3, 'Mailbox unavailable', 0, 7, 'token-a']);
+});
+
+test('the underlying SMTP error is stored when the send error wraps it', async () => {
+    const db = fakeDb();
+    const error = new Error('Failed to send email', { cause: new Error('550 No such user') });
+    await outbox(db, mailer(error)).attempt(row());
+
+    assert.equal(db.updates()[0].values[2], '550 No such user');
+});
+
+test('a result is dropped when another worker reclaimed the message', async () => {
+    for (const result of [{ messageId: '<m3>' }, new Error('SMTP down')]) {
+        const db = fakeDb({ affectedRows: 0 });
+        const status = await outbox(db, mailer(result)).attempt(row());
+
+        assert.equal(status, 'skipped');
+        assert.equal(db.attemptLogs().length, 0);
+    }
+});
+
+test('processDue counts each outcome of the claimed batch', async () => {
+    const db = fakeDb({ claimed: [row({ id: 1 }), row({ id: 2, attempts: 2 })] });
+    const counts = await outbox(db, mailer(new Error('SMTP down'))).processDue();
+
+    assert.deepEqual(counts, { sent: 0, failed: 1, dead: 1, skipped: 0 });
+});
+
+test('processDue does nothing while the database is down', async () => {
+    const db = fakeDb({ claimed: [row()] });
+    db.isConnected = false;
+    const counts = await outbox(db, mailer({ messageId: '<m4>' })).processDue();
+
+    assert.deepEqual(counts, { sent: 0, failed: 0, dead: 0, skipped: 0 });
+    assert.equal(db.queries.length, 0);
+});